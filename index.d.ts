@@ -0,0 +1,942 @@
+// Type definitions for @ostlerdev/cachetapi
+// These are maintained by hand alongside the JSDoc in `src/`. When a method or option changes there, change it here too.
+
+import { EventEmitter } from 'events'
+import { AxiosAdapter, AxiosInstance } from 'axios'
+
+/* ----------------- Constants ----------------- */
+export const ComponentStatus: Readonly<{
+	OPERATIONAL: 1
+	PERFORMANCE_ISSUES: 2
+	PARTIAL_OUTAGE: 3
+	MAJOR_OUTAGE: 4
+}>
+export type ComponentStatusValue = 1 | 2 | 3 | 4
+
+export const IncidentStatus: Readonly<{
+	SCHEDULED: 0
+	INVESTIGATING: 1
+	IDENTIFIED: 2
+	WATCHING: 3
+	FIXED: 4
+}>
+export type IncidentStatusValue = 0 | 1 | 2 | 3 | 4
+
+export const MetricCalcType: Readonly<{
+	SUM: 0
+	AVERAGE: 1
+}>
+export type MetricCalcTypeValue = 0 | 1
+
+export const ComponentGroupCollapse: Readonly<{
+	NEVER: 0
+	ALWAYS: 1
+	NOT_OPERATIONAL: 2
+}>
+export type ComponentGroupCollapseValue = 0 | 1 | 2
+
+export const ScheduleStatus: Readonly<{
+	UPCOMING: 0
+	IN_PROGRESS: 1
+	COMPLETE: 2
+}>
+export type ScheduleStatusValue = 0 | 1 | 2
+
+/** Cachet stores some booleans as tinyints, and accepts either */
+export type CachetBoolean = boolean | 0 | 1
+
+/** A point in time: a Date, a Unix timestamp in seconds (or milliseconds), or a date string (See `parseTime`) */
+export type TimeInput = Date | number | string
+
+/* ----------------- Resources ----------------- */
+/** The fields Cachet adds to every resource it returns */
+export interface CachetResource {
+	id: number
+	created_at: string
+	updated_at: string
+}
+
+export interface ComponentInput {
+	name: string
+	status: ComponentStatusValue
+	description?: string
+	link?: string
+	order?: number
+	group_id?: number
+	enabled?: CachetBoolean
+}
+export interface Component extends ComponentInput, CachetResource {
+	description: string
+	link: string
+	order: number
+	group_id: number
+	enabled: boolean
+	status_name?: string
+	deleted_at?: string | null
+}
+
+export interface ComponentGroupInput {
+	name: string
+	order?: number
+	collapsed?: ComponentGroupCollapseValue
+	visible?: CachetBoolean
+}
+export interface ComponentGroup extends ComponentGroupInput, CachetResource {
+	order: number
+	collapsed: ComponentGroupCollapseValue
+	enabled_components?: Component[]
+}
+
+export interface IncidentInput {
+	name: string
+	status: IncidentStatusValue
+	message?: string
+	visible?: CachetBoolean
+	component_id?: number
+	component_status?: ComponentStatusValue
+	notify?: boolean
+	stickied?: CachetBoolean
+	created_at?: string | number
+	template?: string
+	vars?: { [name: string]: any } | string[]
+}
+export interface Incident extends IncidentInput, CachetResource {
+	/** Cachet accepts a timestamp when creating an Incident, but always returns a date string */
+	created_at: string
+	message: string
+	visible: CachetBoolean
+	component_id: number
+	human_status?: string
+	occurred_at?: string
+	deleted_at?: string | null
+}
+
+export interface IncidentTemplateInput {
+	name: string
+	template: string
+	slug?: string
+}
+export interface IncidentTemplate extends IncidentTemplateInput, CachetResource {
+	slug: string
+}
+
+export interface IncidentUpdateInput {
+	status: IncidentStatusValue
+	message: string
+}
+export interface IncidentUpdate extends IncidentUpdateInput, CachetResource {
+	incident_id: number
+	user_id?: number
+	human_status?: string
+	permalink?: string
+}
+
+export interface ScheduleInput {
+	name: string
+	status: ScheduleStatusValue
+	scheduled_at: string
+	message?: string
+	completed_at?: string | null
+	/** The Components affected by the maintenance, as a map of `component_id` to the Component status to use during the window */
+	components?: { [component_id: number]: ComponentStatusValue }
+	notify?: boolean
+}
+export interface Schedule extends ScheduleInput, CachetResource {
+	message: string
+	completed_at: string | null
+	human_status?: string
+}
+
+export interface MetricInput {
+	name: string
+	suffix: string
+	description?: string
+	default_value?: number
+	calc_type?: MetricCalcTypeValue
+	display_chart?: CachetBoolean
+	places?: number
+	default_view?: number
+	threshold?: number
+	order?: number
+	visible?: CachetBoolean
+}
+export interface Metric extends MetricInput, CachetResource {
+	description: string
+	default_value: number
+	calc_type: MetricCalcTypeValue
+}
+
+export interface MetricPointInput {
+	value: number
+	/** Unix timestamp (in seconds) of when the point was measured */
+	timestamp?: number
+}
+export interface MetricPoint extends CachetResource {
+	metric_id: number
+	value: number
+	counter: number
+	calculated_value?: number
+}
+
+export interface SubscriberInput {
+	email: string
+	verify?: boolean
+	/** The Component IDs to subscribe to. Subscribes to everything if left out (or `"*"`). */
+	components?: number[] | "*"
+}
+export interface Subscriber extends CachetResource {
+	email: string
+	verify_code?: string
+	verified_at: string | null
+}
+export interface Subscription extends CachetResource {
+	subscriber_id: number
+	component_id: number
+}
+
+/* ----------------- Lists ----------------- */
+export interface ListQuery {
+	sort?: string
+	order?: "asc" | "desc"
+	per_page?: number
+	page?: number
+	/** Any field filter supported by the resource, for example `status`, `group_id`, `enabled`, `name` or `visible` */
+	[field: string]: any
+}
+
+export interface PaginationOptions extends ListQuery {
+	max_items?: number
+	signal?: AbortSignalLike
+	timeout?: number
+}
+
+export interface MetricPointRangeOptions extends PaginationOptions {
+	from?: TimeInput
+	to?: TimeInput
+	/** The offset from UTC in minutes of the Cachet instance's timezone, which `created_at` dates are in */
+	utc_offset?: number
+}
+
+export interface Pagination {
+	total: number
+	count: number
+	per_page: number
+	current_page: number
+	total_pages: number
+	links: {
+		next_page: string | null
+		previous_page: string | null
+	}
+}
+
+/** What list methods return when `with_meta` is `true` */
+export interface ListResponse<T> {
+	meta: { pagination: Pagination, [key: string]: any }
+	data: T[]
+}
+
+export interface VersionResponse {
+	meta: {
+		on_latest: boolean
+		latest: { tag_name: string, prelease: boolean, draft: boolean }
+	}
+	data: string
+}
+
+/* ----------------- Options ----------------- */
+export interface Logger {
+	debug(message: string, meta?: any): void
+	info(message: string, meta?: any): void
+	warn(message: string, meta?: any): void
+	error(message: string, meta?: any): void
+}
+
+export interface RetryPolicy {
+	max_attempts?: number
+	base_delay?: number
+	max_delay?: number
+	jitter?: boolean
+	methods?: string[]
+	status_codes?: number[]
+	error_codes?: string[]
+	respect_retry_after?: boolean
+}
+
+export interface CacheStore {
+	get(key: string): any | Promise<any>
+	set(key: string, value: any, ttl?: number): void | Promise<void>
+	delete(key: string): void | Promise<void>
+	keys(): string[] | Promise<string[]>
+	clear?(): void | Promise<void>
+}
+
+export type CacheResource = "components" | "groups" | "incidents" | "templates" | "schedules" | "metrics" | "subscribers" | "version" | "ping"
+
+export interface CacheOptions {
+	ttl?: number
+	ttls?: { [resource in CacheResource]?: number }
+	max_entries?: number
+	store?: CacheStore
+}
+
+export interface RateLimitOptions {
+	concurrency?: number
+	per_second?: number
+	burst?: number
+}
+
+export interface CachetAPIOptions {
+	url: string
+	apiToken?: string
+	logger?: Partial<Logger>
+	retry?: RetryPolicy | boolean
+	adapter?: AxiosAdapter
+	cache?: CacheOptions | boolean | ResponseCache
+	rate_limit?: RateLimitOptions | RateLimiter
+	timeout?: number
+}
+
+/** The parts of an `AbortSignal` that are used, so that this doesn't depend on the DOM typings */
+export interface AbortSignalLike {
+	readonly aborted: boolean
+	addEventListener(type: "abort", listener: () => void): void
+	removeEventListener(type: "abort", listener: () => void): void
+}
+
+/** The last argument of every method that sends a single request */
+export interface RequestOptions {
+	signal?: AbortSignalLike
+	timeout?: number
+}
+
+/* ----------------- Sync ----------------- */
+export interface DesiredComponent extends Partial<ComponentInput> {
+	name: string
+	/** The name of the Component Group it belongs in, or `null` to ungroup it */
+	group?: string | null
+	tag?: string
+}
+
+export interface DesiredState {
+	groups?: ComponentGroupInput[]
+	components?: DesiredComponent[]
+}
+
+export interface SyncOptions {
+	dryRun?: boolean
+	prune?: boolean
+	match?: "name" | "tag"
+}
+
+export interface SyncStep {
+	action: "create" | "update" | "delete"
+	type: "group" | "component"
+	name: string
+	id?: number
+	data?: { [field: string]: any }
+	group?: string
+	result?: any
+}
+
+export interface SyncResult {
+	plan: SyncStep[]
+	applied: SyncStep[]
+}
+
+/* ----------------- Backup ----------------- */
+export interface BackupDocument {
+	format: "cachetapi-backup"
+	version: number
+	exported_at: string
+	cachet_version?: string
+	utc_offset?: number
+	groups: ComponentGroup[]
+	components: Component[]
+	incidents: Array<Incident & { updates: IncidentUpdate[] }>
+	metrics: Array<Metric & { points: MetricPoint[] }>
+	schedules: Schedule[]
+	subscribers: Array<Subscriber & { subscriptions: Subscription[] }>
+}
+
+export type BackupResource = "groups" | "components" | "incidents" | "updates" | "metrics" | "schedules" | "subscribers"
+
+export interface ImportResult {
+	ids: { [resource in BackupResource]: { [old_id: number]: number } }
+	counts: { [resource in BackupResource | "points" | "subscriptions"]: number }
+}
+
+/* ----------------- Metrics ----------------- */
+export interface MetricBucket {
+	start: Date
+	end: Date
+	count: number
+	value: number
+	sum: number
+	average: number | null
+	min: number | null
+	max: number | null
+	percentiles?: { [percentile: number]: number | null }
+}
+
+export interface SummarizeOptions {
+	interval: "minute" | "hour" | "day" | "week" | number
+	from?: TimeInput
+	to?: TimeInput
+	calc_type?: MetricCalcTypeValue
+	default_value?: number
+	percentiles?: number[]
+	utc_offset?: number
+}
+
+export interface ParseMetricPointOptions {
+	from?: "csv" | "json"
+	columns?: { value?: string, timestamp?: string }
+	utc_offset?: number
+	delimiter?: string
+}
+
+export interface MetricPointRow {
+	row: number
+	point?: MetricPointInput
+	error?: CachetValidationError
+}
+
+export interface ImportMetricPointsOptions extends ParseMetricPointOptions {
+	chunk_size?: number
+	onProgress?: (done: number, total: number) => void
+}
+
+export interface MetricPointImportReport {
+	total: number
+	succeeded: number
+	failed: number
+	rows: Array<{
+		row: number
+		status: "ok" | "error"
+		point?: MetricPointInput
+		result?: MetricPoint
+		error?: Error
+	}>
+}
+
+export function parseTime(time: TimeInput, utc_offset?: number): number
+export function filterMetricPoints<T extends { created_at: string }>(points: T[], range?: { from?: TimeInput, to?: TimeInput, utc_offset?: number }): T[]
+export function summarizeMetricPoints(points: MetricPoint[], options: SummarizeOptions): MetricBucket[]
+export function percentile(values: number[], p: number): number | null
+export function parseMetricPointRows(input: string | Array<object | any[]>, options?: ParseMetricPointOptions): MetricPointRow[]
+
+/* ----------------- Status Tree ----------------- */
+export interface StatusTreeOptions {
+	include_disabled?: boolean
+	include_hidden?: boolean
+	include_empty?: boolean
+}
+
+export interface StatusTreeGroup {
+	id: number
+	name: string
+	order: number
+	collapsed: ComponentGroupCollapseValue
+	is_collapsed: boolean
+	status: ComponentStatusValue
+	components: Component[]
+	group: ComponentGroup
+}
+
+export interface StatusTree {
+	status: ComponentStatusValue
+	groups: StatusTreeGroup[]
+	ungrouped: { status: ComponentStatusValue, components: Component[] }
+}
+
+export function buildStatusTree(current: { components: Component[], groups: ComponentGroup[] }, options?: StatusTreeOptions): StatusTree
+
+/* ----------------- Subscribers ----------------- */
+export interface ParseSubscriberOptions {
+	columns?: { email?: string, components?: string, verify?: string }
+	verify?: boolean
+	components?: number[]
+	delimiter?: string
+}
+
+export interface SubscriberRow {
+	row: number
+	subscriber?: SubscriberInput
+	email?: string
+	error?: CachetValidationError
+}
+
+export interface ImportSubscribersOptions extends ParseSubscriberOptions {
+	chunk_size?: number
+	onProgress?: (done: number, total: number) => void
+}
+
+export interface SubscriberImportReport {
+	total: number
+	added: number
+	existing: number
+	duplicates: number
+	invalid: number
+	failed: number
+	rows: Array<{
+		row: number
+		email?: string
+		status: "added" | "existing" | "duplicate" | "invalid" | "error"
+		subscriber?: Subscriber
+		error?: Error
+	}>
+}
+
+export function parseSubscriberRows(input: string | Array<object | string>, options?: ParseSubscriberOptions): SubscriberRow[]
+
+/* ----------------- CSV ----------------- */
+export function parseCSV(text: string, options?: { delimiter?: string }): string[][]
+export function parseCSVRecords(text: string, options?: { delimiter?: string }): Array<{ [header: string]: string }>
+
+/* ----------------- Templates ----------------- */
+export function getTemplateVariables(template: string): string[]
+
+/* ----------------- Errors ----------------- */
+export interface CachetErrorDetails {
+	status?: number
+	method?: string
+	url?: string
+	errors?: Array<{ [key: string]: any }>
+	cause?: Error
+}
+
+export class CachetError extends Error {
+	constructor(message: string, details?: CachetErrorDetails)
+	status?: number
+	method?: string
+	url?: string
+	errors: Array<{ [key: string]: any }>
+	cause?: Error
+}
+export class CachetAuthError extends CachetError {}
+export class CachetNotFoundError extends CachetError {}
+export class CachetValidationError extends CachetError {}
+export class CachetRateLimitError extends CachetError {
+	constructor(message: string, details?: CachetErrorDetails & { retry_after?: number })
+	retry_after?: number
+}
+export class CachetNetworkError extends CachetError {
+	constructor(message: string, details?: CachetErrorDetails & { code?: string })
+	code?: string
+}
+export class CachetAbortError extends CachetError {}
+export class CachetServerError extends CachetError {}
+
+/* ----------------- CachetAPI ----------------- */
+export default class CachetAPI {
+	constructor(options: CachetAPIOptions)
+
+	options: CachetAPIOptions
+	logger: Logger
+	retry_policy: RetryPolicy
+	cache?: ResponseCache
+	limiter?: RateLimiter
+	api: AxiosInstance
+
+	ping(request_options?: RequestOptions): Promise<string>
+	getVersion(with_meta?: false, request_options?: RequestOptions): Promise<string>
+	getVersion(with_meta: true, request_options?: RequestOptions): Promise<VersionResponse>
+
+	getComponents(query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<Component[]>
+	getComponents(query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Component>>
+	getComponents(with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Component>>
+	getComponents(with_meta: false, request_options?: RequestOptions): Promise<Component[]>
+	iterateComponents(options?: PaginationOptions): AsyncIterableIterator<Component>
+	getAllComponents(options?: PaginationOptions): Promise<Component[]>
+	getComponent(component_id: number, request_options?: RequestOptions): Promise<Component>
+	addComponent(component: ComponentInput, request_options?: RequestOptions): Promise<Component>
+	updateComponent(component_id: number, component: Partial<ComponentInput>, request_options?: RequestOptions): Promise<Component>
+	deleteComponent(component_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	getComponentGroups(query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<ComponentGroup[]>
+	getComponentGroups(query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<ComponentGroup>>
+	getComponentGroups(with_meta: true, request_options?: RequestOptions): Promise<ListResponse<ComponentGroup>>
+	getComponentGroups(with_meta: false, request_options?: RequestOptions): Promise<ComponentGroup[]>
+	iterateComponentGroups(options?: PaginationOptions): AsyncIterableIterator<ComponentGroup>
+	getAllComponentGroups(options?: PaginationOptions): Promise<ComponentGroup[]>
+	getComponentGroup(group_id: number, request_options?: RequestOptions): Promise<ComponentGroup>
+	addComponentGroup(group: ComponentGroupInput, request_options?: RequestOptions): Promise<ComponentGroup>
+	updateComponentGroup(group_id: number, group: Partial<ComponentGroupInput>, request_options?: RequestOptions): Promise<ComponentGroup>
+	deleteComponentGroup(group_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	sync(desired: DesiredState, options?: SyncOptions): Promise<SyncResult>
+	getStatusTree(options?: StatusTreeOptions & RequestOptions): Promise<StatusTree>
+
+	getIncidents(query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<Incident[]>
+	getIncidents(query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Incident>>
+	getIncidents(with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Incident>>
+	getIncidents(with_meta: false, request_options?: RequestOptions): Promise<Incident[]>
+	iterateIncidents(options?: PaginationOptions): AsyncIterableIterator<Incident>
+	getAllIncidents(options?: PaginationOptions): Promise<Incident[]>
+	getIncident(incident_id: number, request_options?: RequestOptions): Promise<Incident>
+	addIncident(incident: IncidentInput, request_options?: RequestOptions): Promise<Incident>
+	updateIncident(incident_id: number, incident: Partial<IncidentInput>, request_options?: RequestOptions): Promise<Incident>
+	deleteIncident(incident_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	getIncidentTemplates(query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<IncidentTemplate[]>
+	getIncidentTemplates(query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<IncidentTemplate>>
+	getIncidentTemplates(with_meta: true, request_options?: RequestOptions): Promise<ListResponse<IncidentTemplate>>
+	getIncidentTemplates(with_meta: false, request_options?: RequestOptions): Promise<IncidentTemplate[]>
+	iterateIncidentTemplates(options?: PaginationOptions): AsyncIterableIterator<IncidentTemplate>
+	getAllIncidentTemplates(options?: PaginationOptions): Promise<IncidentTemplate[]>
+	getIncidentTemplate(template_id: number, request_options?: RequestOptions): Promise<IncidentTemplate>
+	addIncidentTemplate(template: IncidentTemplateInput, request_options?: RequestOptions): Promise<IncidentTemplate>
+	updateIncidentTemplate(template_id: number, template: Partial<IncidentTemplateInput>, request_options?: RequestOptions): Promise<IncidentTemplate>
+	deleteIncidentTemplate(template_id: number, request_options?: RequestOptions): Promise<boolean>
+	addIncidentFromTemplate(template: string | number, incident: Partial<IncidentInput> & { name: string, status: IncidentStatusValue }, vars?: { [name: string]: any }, request_options?: RequestOptions): Promise<Incident>
+
+	getIncidentUpdates(incident_id: number, query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<IncidentUpdate[]>
+	getIncidentUpdates(incident_id: number, query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<IncidentUpdate>>
+	getIncidentUpdates(incident_id: number, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<IncidentUpdate>>
+	getIncidentUpdates(incident_id: number, with_meta: false, request_options?: RequestOptions): Promise<IncidentUpdate[]>
+	iterateIncidentUpdates(incident_id: number, options?: PaginationOptions): AsyncIterableIterator<IncidentUpdate>
+	getAllIncidentUpdates(incident_id: number, options?: PaginationOptions): Promise<IncidentUpdate[]>
+	getIncidentUpdate(incident_id: number, update_id: number, request_options?: RequestOptions): Promise<IncidentUpdate>
+	addIncidentUpdate(incident_id: number, update: IncidentUpdateInput, request_options?: RequestOptions): Promise<IncidentUpdate>
+	updateIncidentUpdate(incident_id: number, update_id: number, update: Partial<IncidentUpdateInput>, request_options?: RequestOptions): Promise<IncidentUpdate>
+	deleteIncidentUpdate(incident_id: number, update_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	openIncident(incident: Partial<IncidentInput> & { name: string }): Promise<IncidentWorkflow>
+	resumeIncident(incident_id: number): Promise<IncidentWorkflow>
+
+	getSchedules(query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<Schedule[]>
+	getSchedules(query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Schedule>>
+	getSchedules(with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Schedule>>
+	getSchedules(with_meta: false, request_options?: RequestOptions): Promise<Schedule[]>
+	iterateSchedules(options?: PaginationOptions): AsyncIterableIterator<Schedule>
+	getAllSchedules(options?: PaginationOptions): Promise<Schedule[]>
+	getSchedule(schedule_id: number, request_options?: RequestOptions): Promise<Schedule>
+	addSchedule(schedule: ScheduleInput, request_options?: RequestOptions): Promise<Schedule>
+	updateSchedule(schedule_id: number, schedule: Partial<ScheduleInput>, request_options?: RequestOptions): Promise<Schedule>
+	deleteSchedule(schedule_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	getMetrics(query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<Metric[]>
+	getMetrics(query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Metric>>
+	getMetrics(with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Metric>>
+	getMetrics(with_meta: false, request_options?: RequestOptions): Promise<Metric[]>
+	iterateMetrics(options?: PaginationOptions): AsyncIterableIterator<Metric>
+	getAllMetrics(options?: PaginationOptions): Promise<Metric[]>
+	getMetric(metric_id: number, request_options?: RequestOptions): Promise<Metric>
+	addMetric(metric: MetricInput, request_options?: RequestOptions): Promise<Metric>
+	deleteMetric(metric_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	getMetricPoints(metric_id: number, query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<MetricPoint[]>
+	getMetricPoints(metric_id: number, query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<MetricPoint>>
+	getMetricPoints(metric_id: number, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<MetricPoint>>
+	getMetricPoints(metric_id: number, with_meta: false, request_options?: RequestOptions): Promise<MetricPoint[]>
+	iterateMetricPoints(metric_id: number, options?: MetricPointRangeOptions): AsyncIterableIterator<MetricPoint>
+	getAllMetricPoints(metric_id: number, options?: MetricPointRangeOptions): Promise<MetricPoint[]>
+	getMetricSummary(metric_id: number, options: SummarizeOptions & { per_page?: number, signal?: AbortSignalLike, timeout?: number }): Promise<MetricBucket[]>
+	addMetricPoint(metric_id: number, point: MetricPointInput, request_options?: RequestOptions): Promise<MetricPoint>
+	importMetricPoints(metric_id: number, points: string | Array<object | any[]>, options?: ImportMetricPointsOptions): Promise<MetricPointImportReport>
+	deleteMetricPoint(metric_id: number, point_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	getSubscribers(query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<Subscriber[]>
+	getSubscribers(query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Subscriber>>
+	getSubscribers(with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Subscriber>>
+	getSubscribers(with_meta: false, request_options?: RequestOptions): Promise<Subscriber[]>
+	iterateSubscribers(options?: PaginationOptions): AsyncIterableIterator<Subscriber>
+	getAllSubscribers(options?: PaginationOptions): Promise<Subscriber[]>
+	addSubscriber(subscriber: SubscriberInput, request_options?: RequestOptions): Promise<Subscriber>
+	deleteSubscriber(subscriber_id: number, request_options?: RequestOptions): Promise<boolean>
+	importSubscribers(subscribers: string | Array<object | string>, options?: ImportSubscribersOptions): Promise<SubscriberImportReport>
+
+	getSubscriptions(subscriber_id: number, query?: ListQuery, with_meta?: false, request_options?: RequestOptions): Promise<Subscription[]>
+	getSubscriptions(subscriber_id: number, query: ListQuery | undefined, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Subscription>>
+	getSubscriptions(subscriber_id: number, with_meta: true, request_options?: RequestOptions): Promise<ListResponse<Subscription>>
+	getSubscriptions(subscriber_id: number, with_meta: false, request_options?: RequestOptions): Promise<Subscription[]>
+	iterateSubscriptions(subscriber_id: number, options?: PaginationOptions): AsyncIterableIterator<Subscription>
+	getAllSubscriptions(subscriber_id: number, options?: PaginationOptions): Promise<Subscription[]>
+	subscribeToComponents(subscriber_id: number, component_ids: number[], request_options?: RequestOptions): Promise<Subscription[]>
+	unsubscribeFromComponents(subscriber_id: number, component_ids: number[], request_options?: RequestOptions): Promise<Subscription[]>
+	deleteSubscription(subscriber_id: number, subscription_id: number, request_options?: RequestOptions): Promise<boolean>
+
+	exportAll(options?: { points?: boolean, utc_offset?: number }): Promise<BackupDocument>
+	importAll(doc: BackupDocument, options?: { remapIds?: boolean, utc_offset?: number }): Promise<ImportResult>
+
+	watch(options?: WatcherOptions): Watcher
+}
+
+/* ----------------- CachetCluster ----------------- */
+export interface ClusterResult<T> {
+	ok: boolean
+	results: { [instance: string]: T }
+	errors: { [instance: string]: Error }
+	succeeded: string[]
+	failed: string[]
+}
+
+export type ClusterInstance = { name: string, api: CachetAPI } | ({ name: string } & CachetAPIOptions)
+
+type PromiseValue<T> = T extends Promise<infer U> ? U : T
+
+/** The CachetAPI methods that are fanned out by a CachetCluster */
+export type ClusterMethod = {
+	[K in keyof CachetAPI]-?: CachetAPI[K] extends (...args: any[]) => Promise<any> ? K : never
+}[keyof CachetAPI] & keyof CachetAPI
+
+type FannedOut = {
+	[K in ClusterMethod]: CachetAPI[K] extends (...args: infer A) => Promise<infer R> ? (...args: A) => Promise<ClusterResult<R>> : never
+}
+
+export interface CachetCluster extends FannedOut {}
+
+export class CachetCluster {
+	constructor(instances: ClusterInstance[], options?: Partial<CachetAPIOptions>)
+	instances: Map<string, CachetAPI>
+	readonly names: string[]
+
+	get(name: string): CachetAPI
+	map<T>(fn: (api: CachetAPI, name: string) => T | Promise<T>): Promise<ClusterResult<PromiseValue<T>>>
+	call<K extends ClusterMethod & keyof CachetAPI>(method: K, ...args: Parameters<CachetAPI[K]>): Promise<ClusterResult<PromiseValue<ReturnType<CachetAPI[K]>>>>
+	mapComponents(): Promise<ClusterResult<{ [component_name: string]: number }>>
+	withComponent<T>(component_name: string, fn: (api: CachetAPI, component_id: number, name: string) => T | Promise<T>): Promise<ClusterResult<PromiseValue<T>>>
+}
+
+/* ----------------- Cache ----------------- */
+export class MemoryCacheStore implements CacheStore {
+	constructor(options?: { max_entries?: number, now?: () => number })
+	readonly size: number
+	get(key: string): any
+	set(key: string, value: any, ttl?: number): void
+	delete(key: string): void
+	keys(): string[]
+	clear(): void
+}
+
+export class ResponseCache {
+	constructor(options?: CacheOptions)
+	store: CacheStore
+	stats: { hits: number, misses: number, revalidated: number }
+	wrap(adapter?: AxiosAdapter): AxiosAdapter
+	invalidate(resources: CacheResource | CacheResource[]): Promise<void>
+	clear(): Promise<void>
+}
+
+/* ----------------- RateLimiter ----------------- */
+export interface RateLimitStats {
+	active: number
+	queued: number
+	max_queued: number
+	started: number
+	delayed: number
+	total_wait: number
+	average_wait: number
+	max_wait: number
+}
+
+export class RateLimiter {
+	constructor(options?: RateLimitOptions)
+	readonly queued: number
+	active: number
+	getStats(): RateLimitStats
+	wrap(adapter?: AxiosAdapter): AxiosAdapter
+	schedule<T>(task: () => T | Promise<T>): Promise<T>
+}
+
+/* ----------------- IncidentWorkflow ----------------- */
+export interface TransitionOptions {
+	component_status?: ComponentStatusValue
+}
+
+export class IncidentWorkflow {
+	constructor(api: CachetAPI, incident: Incident, options?: { component_id?: number, component_status?: ComponentStatusValue })
+	api: CachetAPI
+	incident: Incident
+	component_id?: number
+	component_status?: ComponentStatusValue
+	status: IncidentStatusValue
+	updates: IncidentUpdate[]
+
+	investigating(message: string, options?: TransitionOptions): Promise<IncidentUpdate>
+	identified(message: string, options?: TransitionOptions): Promise<IncidentUpdate>
+	watching(message: string, options?: TransitionOptions): Promise<IncidentUpdate>
+	resolve(message: string, options?: TransitionOptions): Promise<IncidentUpdate>
+	isResolved(): boolean
+	transition(status: IncidentStatusValue, message: string, options?: TransitionOptions): Promise<IncidentUpdate>
+}
+
+/* ----------------- MockCachetServer ----------------- */
+export type MockResource = "components" | "groups" | "incidents" | "templates" | "updates" | "schedules" | "metrics" | "points" | "subscribers" | "subscriptions"
+
+export interface MockCachetServerOptions {
+	apiToken?: string
+	version?: string
+	per_page?: number
+	seed?: { [resource in MockResource]?: object[] }
+	now?: () => Date
+	etags?: boolean
+}
+
+export interface MockRequest {
+	method: string
+	path: string
+	params?: { [key: string]: any }
+	data?: any
+	headers?: { [key: string]: string }
+	base_url?: string
+}
+
+export class MockCachetServer {
+	constructor(options?: MockCachetServerOptions)
+	options: MockCachetServerOptions
+	requests: Array<{ method: string, path: string, params: { [key: string]: any }, data: any }>
+	adapter: AxiosAdapter
+	reset(seed?: { [resource in MockResource]?: object[] }): void
+	getAll(resource: MockResource): any[]
+	handle(request: MockRequest): { status: number, headers: { [key: string]: string }, data: any }
+}
+
+/* ----------------- MetricReporter ----------------- */
+export interface MetricReporterOptions {
+	interval?: number
+	batch_size?: number
+	max_buffer?: number
+	concurrency?: number
+	aggregate?: "sum" | "average" | "min" | "max" | "last" | "count" | ((values: number[]) => number)
+}
+
+export interface FlushSummary {
+	sent: number
+	failed: number
+}
+
+export class MetricReporter extends EventEmitter {
+	constructor(api: CachetAPI, options?: MetricReporterOptions)
+	api: CachetAPI
+	options: MetricReporterOptions
+	readonly pending: number
+
+	report(metric_id: number, value: number, timestamp?: number): void
+	start(): this
+	stop(): this
+	close(): Promise<FlushSummary>
+	flush(): Promise<FlushSummary>
+
+	on(event: "sent", listener: (metric_id: number, point: MetricPointInput, result: MetricPoint) => void): this
+	on(event: "failed", listener: (error: Error, metric_id: number, points: MetricPointInput[]) => void): this
+	on(event: "dropped", listener: (metric_id: number, points: MetricPointInput[], reason: "buffer_full" | "closed") => void): this
+	on(event: "flush", listener: (summary: FlushSummary) => void): this
+	on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+/* ----------------- Monitor ----------------- */
+export interface MonitorThresholds {
+	partial_outage?: number
+	major_outage?: number
+	recover?: number
+}
+
+export interface CheckResult {
+	ok: boolean
+	duration: number
+	message?: string
+}
+
+export interface MonitorCheck {
+	name: string
+	component_id: number
+	type?: "http" | "tcp" | "function"
+	url?: string
+	method?: string
+	headers?: { [name: string]: string }
+	expected_status?: number | number[] | ((status: number) => boolean)
+	host?: string
+	port?: number
+	fn?: () => boolean | { ok: boolean, message?: string } | Promise<boolean | { ok: boolean, message?: string }>
+	interval?: number
+	timeout?: number
+	thresholds?: MonitorThresholds
+}
+
+export interface MonitorOptions {
+	interval?: number
+	timeout?: number
+	thresholds?: MonitorThresholds
+	incidents?: boolean | {
+		name?: (check: MonitorCheck, result: CheckResult) => string
+		message?: (check: MonitorCheck, result: CheckResult) => string
+		resolved_message?: (check: MonitorCheck, result: CheckResult) => string
+		visible?: boolean
+		notify?: boolean
+	}
+	checks?: MonitorCheck[]
+}
+
+export interface MonitorState {
+	status: ComponentStatusValue
+	failures: number
+	successes: number
+	last_result?: CheckResult
+	workflow?: IncidentWorkflow
+}
+
+export interface MonitorTransition {
+	name: string
+	component_id: number
+	from: ComponentStatusValue
+	to: ComponentStatusValue
+	result: CheckResult
+}
+
+export class Monitor extends EventEmitter {
+	constructor(api: CachetAPI, options?: MonitorOptions)
+	api: CachetAPI
+	options: MonitorOptions
+
+	add(check: MonitorCheck): this
+	remove(name: string): this
+	getState(name: string): MonitorState
+	start(): this
+	stop(): this
+	run(name: string): Promise<CheckResult>
+	runAll(): Promise<{ [name: string]: CheckResult }>
+
+	on(event: "check", listener: (name: string, result: CheckResult, state: MonitorState) => void): this
+	on(event: "transition", listener: (transition: MonitorTransition) => void): this
+	on(event: "incident:opened" | "incident:resolved", listener: (name: string, workflow: IncidentWorkflow) => void): this
+	on(event: "failed", listener: (error: Error, name: string) => void): this
+	on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+/* ----------------- Watcher ----------------- */
+export interface WatcherOptions {
+	interval?: number
+	components?: boolean
+	incidents?: boolean
+	updates?: boolean
+	incident_limit?: number
+}
+
+export interface WatcherEvent {
+	type: "component:status-changed" | "incident:created" | "incident:updated" | "update:added"
+	before: any
+	after: any
+	changes?: string[]
+	incident?: Incident
+}
+
+export class Watcher extends EventEmitter {
+	constructor(api: CachetAPI, options?: WatcherOptions)
+	api: CachetAPI
+	options: WatcherOptions
+	running: boolean
+
+	start(): this
+	stop(): this
+	poll(): Promise<WatcherEvent[]>
+
+	on(event: "component:status-changed", listener: (change: { before: Component, after: Component }) => void): this
+	on(event: "incident:created", listener: (change: { before: null, after: Incident }) => void): this
+	on(event: "incident:updated", listener: (change: { before: Incident, after: Incident, changes: string[] }) => void): this
+	on(event: "update:added", listener: (change: { before: null, after: IncidentUpdate, incident: Incident }) => void): this
+	on(event: "ready", listener: () => void): this
+	on(event: "poll", listener: (events: WatcherEvent[]) => void): this
+	on(event: "failed", listener: (error: Error) => void): this
+	on(event: string | symbol, listener: (...args: any[]) => void): this
+}
@@ -1,11 +1,50 @@
 import axios from 'axios'
 
+import { buildQuery } from './query'
+import { fromAxiosError, CachetNotFoundError, CachetValidationError } from './errors'
+import { createLogger, redact } from './logger'
+import { createRetryPolicy, shouldRetry, getRetryDelay, sleep } from './retry'
+import { createCache } from './cache'
+import { createRateLimiter } from './limiter'
+import { getRequestConfig, splitRequestOptions, createAbortableAdapter } from './abort'
+import { getMissingTemplateVariables } from './templates'
+import { IncidentStatus } from './constants'
+import IncidentWorkflow from './IncidentWorkflow'
+import Watcher from './Watcher'
+import { planSync, applySync } from './sync'
+import { buildStatusTree } from './tree'
+import { exportAll, importAll } from './backup'
+import { importSubscribers } from './subscribers'
+import { parseTime, summarizeMetricPoints, parseMetricPointRows } from './metrics'
+import {
+	validateComponent,
+	validateComponentGroup,
+	validateIncident,
+	validateIncidentUpdate,
+	validateIncidentTemplate,
+	validateSchedule,
+	validateMetric,
+	validateMetricPoint,
+	validateSubscriber
+} from './validation'
+
 export default class CachetAPI {
 	/**
 	 * Create a new CachetAPI
 	 * @param  {Object} options - Options about the CachetAPI Instance
 	 * @param {String} options.url - The URL of the CachetAPI Instance
 	 * @param {String} [options.apiToken] - The API Token for the CachetAPI Instance
+	 * @param {Object} [options.logger] - A logger to send request/response debug info and errors to, such as `console` or a winston logger (See {@link createLogger}).
+	 * The API Token and subscriber emails are redacted from everything that is logged. Nothing is logged if this is not set.
+	 * @param {RetryPolicy|Boolean} [options.retry] - How to retry requests that fail with a transient error (See {@link RetryPolicy}).
+	 * By default, idempotent requests (GET, PUT and DELETE) are attempted up to 3 times. Set to `false` to disable retries.
+	 * @param {Function} [options.adapter] - A custom axios adapter to send requests with, such as the `adapter` of a {@link MockCachetServer} for testing offline
+	 * @param {CacheOptions|Boolean} [options.cache] - Cache the responses of `get*` methods, and invalidate them whenever an `add*`, `update*` or `delete*` method succeeds (See {@link CacheOptions}).
+	 * Set to `true` to cache everything for 60 seconds in memory. Nothing is cached if this is not set. The cache can be used directly from `cachet_api.cache` (See {@link ResponseCache}).
+	 * @param {RateLimitOptions} [options.rate_limit] - Queue requests so that only so many are in flight, or started per second (See {@link RateLimitOptions}).
+	 * Requests are not limited if this is not set. Queue and wait time statistics are available from `cachet_api.limiter.getStats()` (See {@link RateLimiter}).
+	 * @param {Integer} [options.timeout] - How long (in ms) each call may take in total, including retries and time spent waiting to be sent, before it fails with a
+	 * {@link CachetNetworkError} with the code `ECONNABORTED`. Calls can wait forever if this is not set. Can be overridden for a single call (See {@link RequestOptions}).
 	 * @return {CachetAPI}
 	 *
 	 * @example
@@ -15,6 +54,69 @@ export default class CachetAPI {
 	 * 	url: "https://demo.cachethq.io/api",
 	 * 	apiToken: "9yMHsdioQosnyVK4iCVR"
 	 * })
+	 *
+	 * @example <caption>Logging</caption>
+	 * let cachet_api = new CachetAPI({
+	 * 	url: "https://demo.cachethq.io/api",
+	 * 	apiToken: "9yMHsdioQosnyVK4iCVR",
+	 * 	logger: console
+	 * })
+	 *
+	 * @example <caption>Retries</caption>
+	 * let cachet_api = new CachetAPI({
+	 * 	url: "https://demo.cachethq.io/api",
+	 * 	apiToken: "9yMHsdioQosnyVK4iCVR",
+	 * 	// Also retry POST requests, such as addMetricPoint, up to 5 times
+	 * 	retry: { max_attempts: 5, methods: ["get", "put", "delete", "post"] }
+	 * })
+	 *
+	 * @example <caption>Caching</caption>
+	 * let cachet_api = new CachetAPI({
+	 * 	url: "https://demo.cachethq.io/api",
+	 * 	apiToken: "9yMHsdioQosnyVK4iCVR",
+	 * 	// Cache Components and Component Groups for 30 seconds, and everything else for 5 seconds
+	 * 	cache: { ttl: 5000, ttls: { components: 30000, groups: 30000 } }
+	 * })
+	 *
+	 * @example <caption>Rate Limiting</caption>
+	 * let cachet_api = new CachetAPI({
+	 * 	url: "https://demo.cachethq.io/api",
+	 * 	apiToken: "9yMHsdioQosnyVK4iCVR",
+	 * 	// At most 4 requests in flight, and 10 started per second
+	 * 	rate_limit: { concurrency: 4, per_second: 10 }
+	 * })
+	 *
+	 * @example <caption>Timeouts and Cancellation</caption>
+	 * let cachet_api = new CachetAPI({
+	 * 	url: "https://demo.cachethq.io/api",
+	 * 	apiToken: "9yMHsdioQosnyVK4iCVR",
+	 * 	// Give up on any call that takes longer than 10 seconds
+	 * 	timeout: 10000
+	 * })
+	 *
+	 * // Give a health check less time than that, and stop it when the process is shutting down
+	 * let controller = new AbortController()
+	 * process.once("SIGTERM", () => controller.abort())
+	 *
+	 * try {
+	 * 	await cachet_api.ping({ timeout: 2000, signal: controller.signal })
+	 * } catch (e) {
+	 * 	if (e instanceof CachetAbortError)
+	 * 		// The call was cancelled
+	 * 	else if (e instanceof CachetNetworkError && e.code === "ECONNABORTED")
+	 * 		// The call timed out
+	 * }
+	 *
+	 * @example <caption>Testing offline</caption>
+	 * import CachetAPI, { MockCachetServer } from 'cachetapi'
+	 *
+	 * let server = new MockCachetServer({ apiToken: "test-token" })
+	 *
+	 * let cachet_api = new CachetAPI({
+	 * 	url: "https://cachet.example.com/api",
+	 * 	apiToken: "test-token",
+	 * 	adapter: server.adapter
+	 * })
 	 */
 	constructor(options){
 		if (!options || !options.url)
@@ -22,13 +124,37 @@ export default class CachetAPI {
 
 		this.options = options
 
-		this.api = axios.create({ baseURL: this.options.url, headers: {"X-Cachet-Token": this.options.apiToken} })
+		this.logger = createLogger(this.options.logger)
+		this.retry_policy = createRetryPolicy(this.options.retry)
+		this.cache = createCache(this.options.cache)
+		this.limiter = createRateLimiter(this.options.rate_limit)
+
+		let axios_config = { baseURL: this.options.url, headers: {"X-Cachet-Token": this.options.apiToken} }
+		let adapter = this.options.adapter
+
+		if (this.options.timeout !== undefined && (!Number.isInteger(this.options.timeout) || this.options.timeout < 0))
+			throw new CachetValidationError("Error! options.timeout must be an Integer of at least 0, got " + JSON.stringify(this.options.timeout))
+
+		// Requests answered from the cache never reach the limiter, so they don't wait in its queue
+		if (this.limiter)
+			adapter = this.limiter.wrap(adapter)
+		if (this.cache)
+			adapter = this.cache.wrap(adapter)
+
+		// Timeouts and cancellation wrap everything else, so that they also cover time spent waiting in the limiter's queue
+		axios_config.adapter = createAbortableAdapter(adapter, { timeout: this.options.timeout })
+
+		this.api = axios.create(axios_config)
+
+		this.api.interceptors.request.use((config) => this.logRequest(config))
+		this.api.interceptors.response.use((response) => this.logResponse(response), (error) => this.retryRequest(error))
 	}
 
 
 	/* ----------------- GENERAL ----------------- */
 	/**
 	 * Ping the CachetAPI server and get back a response
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<String>} Responds with "Pong!" when online
 	 *
 	 * @example <caption>Async/Await</caption>
@@ -40,13 +166,13 @@ export default class CachetAPI {
 	 * 	// response = "Pong!"
 	 * }).catch((error) => { })
 	 */
-	async ping(){
+	async ping(request_options){
 		let response 
 
 		let url = "/v1/ping"
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
@@ -56,6 +182,7 @@ export default class CachetAPI {
 	/**
 	 * Get the version of the CachetAPI server
 	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {String|Object} Returns the current version as a string OR an Object if `with_meta` is `true`
 	 *
 	 * @example <caption>Async/Await</caption>
@@ -67,13 +194,13 @@ export default class CachetAPI {
 	 * 	// version = "2.4.0-dev"
 	 * }).catch((error) => { })
 	 */
-	async getVersion(with_meta){
+	async getVersion(with_meta, request_options){
 		let response 
 
 		let url = "/v1/version"
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
@@ -101,7 +228,9 @@ export default class CachetAPI {
 	 */
 	/**
 	 * Get all the Components
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Components (See {@link ListQuery})
 	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Array.<Component>>} Returns an Array of Components
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -112,14 +241,27 @@ export default class CachetAPI {
 	 * cachet_api.getComponents().then((components) => {
 	 * 	// components = [{@link Component}, {@link Component}, {@link Component}]
 	 * }).catch((error) => { })
+	 *
+	 * @example <caption>Filtering and Sorting</caption>
+	 * // All the enabled Components in Group 3 that have a Major Outage
+	 * let components = await cachet_api.getComponents({ group_id: 3, enabled: true, status: 4, sort: "name", order: "asc" })
+	 * // components = [{@link Component}, {@link Component}]
 	 */
-	async getComponents(with_meta){
+	async getComponents(query, with_meta, request_options){
+		// Support the original `(with_meta)` signature, where the query was not yet an option
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
 		let response 
 
 		let url = "/v1/components"
+		let params = buildQuery("components", query)
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}	
@@ -132,9 +274,49 @@ export default class CachetAPI {
 		else
 			return response.data.data
 	}
+	/**
+	 * Iterate over all the Components, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Components to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Components have been returned
+	 * @return {AsyncIterator.<Component>} Returns an Async Iterator that yields Components
+	 * 
+	 * @example
+	 * for await (let component of cachet_api.iterateComponents({ per_page: 50 })) {
+	 * 	// component = {@link Component}
+	 * }
+	 */
+	iterateComponents(options){
+		return this.paginate("/v1/components", "components", options)
+	}
+	/**
+	 * Get all the Components, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Components to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Components have been returned
+	 * @return {Promise<Array.<Component>>} Returns an Array of Components
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let components = await cachet_api.getAllComponents({ max_items: 500 })
+	 * // components = [{@link Component}, {@link Component}, {@link Component}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getAllComponents({ max_items: 500 }).then((components) => {
+	 * 	// components = [{@link Component}, {@link Component}, {@link Component}]
+	 * }).catch((error) => { })
+	 */
+	async getAllComponents(options){
+		let components = []
+
+		for await (let component of this.iterateComponents(options))
+			components.push(component)
+
+		return components
+	}
 	/**
 	 * Get a Component
 	 * @param  {Integer} component_id - The ID of the Component you wish to get
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Component>} Returns a component
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -146,13 +328,13 @@ export default class CachetAPI {
 	 * 	// component = {@link Component}
 	 * }).catch((error) => { })
 	 */
-	async getComponent(component_id){
+	async getComponent(component_id, request_options){
 		let response 
 
 		let url = "/v1/components/" + component_id
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
@@ -163,13 +345,16 @@ export default class CachetAPI {
 	/**
 	 * Add a new Component
 	 * @param  {Component} component - The Component you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Component>} Returns a component
 	 * 
 	 * @example <caption>Async/Await</caption>
+	 * import { ComponentStatus } from 'cachetapi'
+	 *
 	 * let component = await cachet_api.addComponent({
 	 * 	name: "My Component",
 	 * 	description: "My Description",
-	 * 	status: 0
+	 * 	status: ComponentStatus.OPERATIONAL
 	 * })
 	 * // component = {@link Component}
 	 *
@@ -177,18 +362,20 @@ export default class CachetAPI {
 	 * cachet_api.addComponent({
 	 * 	name: "My Component",
 	 * 	description: "My Description",
-	 * 	status: 0
+	 * 	status: ComponentStatus.OPERATIONAL
 	 * }).then((component) => {
 	 * 	// component = {@link Component}
 	 * }).catch((error) => { })
 	 */
-	async addComponent(component){
+	async addComponent(component, request_options){
+		validateComponent(component)
+
 		let response 
 
 		let url = "/v1/components"
 
 		try {
-			response = await this.api.post(url, component)
+			response = await this.api.post(url, component, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'POST', e)
 		}
@@ -200,30 +387,33 @@ export default class CachetAPI {
 	 * Update a Component
 	 * @param  {Integer} component_id - The ID of the Component you wish to update
 	 * @param  {Component} component - The updated Component info
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Component>} Returns a component
 	 * 
 	 * @example <caption>Async/Await</caption>
 	 * let component = await cachet_api.updateComponent(0, {
 	 * 	name: "My Updated Component",
-	 * 	status: 1
+	 * 	status: ComponentStatus.PARTIAL_OUTAGE
 	 * })
 	 * // component = {@link Component}
 	 *
 	 * @example <caption>Promise</caption>
 	 * cachet_api.updateComponent(0, {
 	 * 	name: "My Updated Component",
-	 * 	status: 1
+	 * 	status: ComponentStatus.PARTIAL_OUTAGE
 	 * }).then((component) => {
 	 * 	// component = {@link Component}
 	 * }).catch((error) => { })
 	 */
-	async updateComponent(component_id, component){
+	async updateComponent(component_id, component, request_options){
+		validateComponent(component, true)
+
 		let response 
 
 		let url = "/v1/components/" + component_id
 
 		try {
-			response = await this.api.put(url, component)
+			response = await this.api.put(url, component, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'PUT', e)
 		}
@@ -234,6 +424,7 @@ export default class CachetAPI {
 	/**
 	 * Delete a Component
 	 * @param  {Integer} component_id - The ID of the Component you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Boolean>} Returns `true` if component deletion was successful
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -245,13 +436,13 @@ export default class CachetAPI {
 	 * 	// success = true
 	 * }).catch((error) => { })
 	 */
-	async deleteComponent(component_id){
+	async deleteComponent(component_id, request_options){
 		let response 
 
 		let url = "/v1/components/" + component_id
 
 		try {
-			response = await this.api.delete(url)
+			response = await this.api.delete(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'DELETE', e)
 		}
@@ -269,7 +460,9 @@ export default class CachetAPI {
 	 */
 	/**
 	 * Get all the Component Groups
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Component Groups (See {@link ListQuery})
 	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Array.<ComponentGroup>>} Returns an Array of Component Groups
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -281,13 +474,21 @@ export default class CachetAPI {
 	 * 	// component_groups = [{@link ComponentGroup}, {@link ComponentGroup}, {@link ComponentGroup}]
 	 * }).catch((error) => { })
 	 */
-	async getComponentGroups(with_meta){
+	async getComponentGroups(query, with_meta, request_options){
+		// Support the original `(with_meta)` signature, where the query was not yet an option
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
 		let response 
 
 		let url = "/v1/components/groups"
+		let params = buildQuery("component_groups", query)
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}	
@@ -300,9 +501,49 @@ export default class CachetAPI {
 		else
 			return response.data.data
 	}
+	/**
+	 * Iterate over all the Component Groups, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Component Groups to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Component Groups have been returned
+	 * @return {AsyncIterator.<ComponentGroup>} Returns an Async Iterator that yields Component Groups
+	 * 
+	 * @example
+	 * for await (let component_group of cachet_api.iterateComponentGroups({ per_page: 50 })) {
+	 * 	// component_group = {@link ComponentGroup}
+	 * }
+	 */
+	iterateComponentGroups(options){
+		return this.paginate("/v1/components/groups", "component_groups", options)
+	}
+	/**
+	 * Get all the Component Groups, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Component Groups to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Component Groups have been returned
+	 * @return {Promise<Array.<ComponentGroup>>} Returns an Array of Component Groups
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let component_groups = await cachet_api.getAllComponentGroups({ max_items: 500 })
+	 * // component_groups = [{@link ComponentGroup}, {@link ComponentGroup}, {@link ComponentGroup}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getAllComponentGroups({ max_items: 500 }).then((component_groups) => {
+	 * 	// component_groups = [{@link ComponentGroup}, {@link ComponentGroup}, {@link ComponentGroup}]
+	 * }).catch((error) => { })
+	 */
+	async getAllComponentGroups(options){
+		let component_groups = []
+
+		for await (let component_group of this.iterateComponentGroups(options))
+			component_groups.push(component_group)
+
+		return component_groups
+	}
 	/**
 	 * Get a Component Group
 	 * @param  {Integer} group_id - The ID of the Component Group you wish to get
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<ComponentGroup>} Returns a Component Group
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -314,13 +555,13 @@ export default class CachetAPI {
 	 * 	// component_group = {@link ComponentGroup}
 	 * }).catch((error) => { })
 	 */
-	async getComponentGroup(group_id){
+	async getComponentGroup(group_id, request_options){
 		let response 
 
 		let url = "/v1/components/groups/" + group_id
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
@@ -331,6 +572,7 @@ export default class CachetAPI {
 	/**
 	 * Add a new Component Group
 	 * @param  {ComponentGroup} group - The Component Group you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<ComponentGroup>} Returns a Component Group
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -346,13 +588,15 @@ export default class CachetAPI {
 	 * 	// component_group = {@link ComponentGroup}
 	 * }).catch((error) => { })
 	 */
-	async addComponentGroup(group){
+	async addComponentGroup(group, request_options){
+		validateComponentGroup(group)
+
 		let response 
 
 		let url = "/v1/components/groups"
 
 		try {
-			response = await this.api.post(url, group)
+			response = await this.api.post(url, group, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'POST', e)
 		}
@@ -364,6 +608,7 @@ export default class CachetAPI {
 	 * Update a Component Group
 	 * @param  {Integer} group_id - The ID of the Component Group you wish to update
 	 * @param  {ComponentGroup} group - The updated Component Group info
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<ComponentGroup>} Returns a component
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -379,13 +624,15 @@ export default class CachetAPI {
 	 * 	// component_group = {@link ComponentGroup}
 	 * }).catch((error) => { })
 	 */
-	async updateComponentGroup(group_id, group){
+	async updateComponentGroup(group_id, group, request_options){
+		validateComponentGroup(group, true)
+
 		let response 
 
 		let url = "/v1/components/groups/" + group_id
 
 		try {
-			response = await this.api.put(url, group)
+			response = await this.api.put(url, group, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'PUT', e)
 		}
@@ -396,6 +643,7 @@ export default class CachetAPI {
 	/**
 	 * Delete a ComponentGroup
 	 * @param  {Integer} group_id - The ID of the Component Group you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Boolean>} Returns `true` if Component Group deletion was successful
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -407,13 +655,13 @@ export default class CachetAPI {
 	 * 	// success = true
 	 * }).catch((error) => { })
 	 */
-	async deleteComponentGroup(group_id){
+	async deleteComponentGroup(group_id, request_options){
 		let response 
 
 		let url = "/v1/components/groups/" + group_id
 
 		try {
-			response = await this.api.delete(url)
+			response = await this.api.delete(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'DELETE', e)
 		}
@@ -422,6 +670,84 @@ export default class CachetAPI {
 		return true
 	}
 
+	/* ----------------- SYNC ----------------- */
+	/**
+	 * Make the Components and Component Groups in Cachet match a desired state, such as a service catalog kept in a JSON or YAML file.
+	 * Existing Components and Component Groups are matched by name (or Components by tag), and then the Component Groups are
+	 * created/updated before the Components that belong to them. Nothing is deleted unless `prune` is set.
+	 * @param  {DesiredState} desired - The Components and Component Groups that should exist
+	 * @param  {Object} [options] - Options about the sync
+	 * @param  {Boolean} [options.dryRun=false] - Only work out the plan, without changing anything in Cachet
+	 * @param  {Boolean} [options.prune=false] - Delete Components and Component Groups that are not in the desired state
+	 * @param  {String} [options.match="name"] - Match desired Components to existing ones by `name` or by `tag`
+	 * @return {Promise<Object>} Resolves with `{ plan, applied }`, where `plan` is every {@link SyncStep} and `applied` is the steps that were applied (along with their `result`)
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let { plan, applied } = await cachet_api.sync({
+	 * 	groups: [{ name: "Core", collapsed: ComponentGroupCollapse.NOT_OPERATIONAL }],
+	 * 	components: [
+	 * 		{ name: "API", group: "Core", link: "https://api.example.com" },
+	 * 		{ name: "Website", group: "Core" },
+	 * 		{ name: "Docs", group: null }
+	 * 	]
+	 * }, { prune: true })
+	 *
+	 * @example <caption>Dry Run</caption>
+	 * let { plan } = await cachet_api.sync(desired_state, { dryRun: true, prune: true })
+	 * // plan = [{ action: "create", type: "group", name: "Core", data: { name: "Core" } }, ...]
+	 */
+	async sync(desired, options){
+		options = options || {}
+
+		let components = await this.getAllComponents()
+		let groups = await this.getAllComponentGroups()
+
+		let plan = planSync({ components, groups }, desired, options)
+
+		if (options.dryRun)
+			return { plan, applied: [] }
+
+		let applied = await applySync(this, plan)
+
+		return { plan, applied }
+	}
+
+	/**
+	 * Get the Component Groups with their Components nested inside them, laid out the same way as Cachet's status page.
+	 * Each Component Group has the worst status of its Components, and the tree as a whole has the worst status of every Component in it.
+	 * @param  {Object} [options] - What to include, along with the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Boolean} [options.include_disabled=false] - Include disabled Components
+	 * @param  {Boolean} [options.include_hidden=false] - Include Component Groups that aren't visible to the public, along with their Components
+	 * @param  {Boolean} [options.include_empty=false] - Include Component Groups that don't have any Components
+	 * @return {Promise<StatusTree>} Returns the Component Groups, and the Components that aren't in one (See {@link StatusTree})
+	 *
+	 * @example <caption>Async/Await</caption>
+	 * let tree = await cachet_api.getStatusTree()
+	 * // tree = {
+	 * // 	status: ComponentStatus.PARTIAL_OUTAGE,
+	 * // 	groups: [{ id: 1, name: "Core", status: ComponentStatus.PARTIAL_OUTAGE, is_collapsed: false, components: [{@link Component}, {@link Component}] }],
+	 * // 	ungrouped: { status: ComponentStatus.OPERATIONAL, components: [{@link Component}] }
+	 * // }
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getStatusTree({ include_hidden: true }).then((tree) => {
+	 * 	// tree = {@link StatusTree}
+	 * }).catch((error) => { })
+	 */
+	async getStatusTree(options){
+		let { request_options, rest } = splitRequestOptions(options)
+
+		// Share one deadline between both lists
+		request_options = this.requestConfig(request_options)
+
+		let [groups, components] = await Promise.all([
+			this.getAllComponentGroups(request_options),
+			this.getAllComponents(request_options)
+		])
+
+		return buildStatusTree({ groups, components }, rest)
+	}
+
 	/* ----------------- INCIDENTS ----------------- */
 	/**
 	 * @typedef {Object} Incident
@@ -434,11 +760,13 @@ export default class CachetAPI {
 	 * @property {Boolean} [notify] - Whether to notify subscribers
 	 * @property {Integer} [created_at] - When the Incident was created
 	 * @property {String} [template] - The template slug to use.
-	 * @property {Array.<String>} [vars] - The variables to pass to the template.
+	 * @property {Object|Array.<String>} [vars] - The variables to pass to the template.
 	 */
 	/**
 	 * Get all the Incidents
-	 * @param  {Boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Incidents (See {@link ListQuery})
+	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Array.<Incident>>} Returns an Array of Incidents
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -450,13 +778,21 @@ export default class CachetAPI {
 	 * 	// incident = [{@link Incident}, {@link Incident}, {@link Incident}]
 	 * }).catch((error) => { })
 	 */
-	async getIncidents(with_meta){
+	async getIncidents(query, with_meta, request_options){
+		// Support the original `(with_meta)` signature, where the query was not yet an option
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
 		let response 
 
 		let url = "/v1/incidents"
+		let params = buildQuery("incidents", query)
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}	
@@ -469,9 +805,49 @@ export default class CachetAPI {
 		else
 			return response.data.data
 	}
+	/**
+	 * Iterate over all the Incidents, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Incidents to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Incidents have been returned
+	 * @return {AsyncIterator.<Incident>} Returns an Async Iterator that yields Incidents
+	 * 
+	 * @example
+	 * for await (let incident of cachet_api.iterateIncidents({ per_page: 50 })) {
+	 * 	// incident = {@link Incident}
+	 * }
+	 */
+	iterateIncidents(options){
+		return this.paginate("/v1/incidents", "incidents", options)
+	}
+	/**
+	 * Get all the Incidents, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Incidents to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Incidents have been returned
+	 * @return {Promise<Array.<Incident>>} Returns an Array of Incidents
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let incidents = await cachet_api.getAllIncidents({ max_items: 500 })
+	 * // incidents = [{@link Incident}, {@link Incident}, {@link Incident}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getAllIncidents({ max_items: 500 }).then((incidents) => {
+	 * 	// incidents = [{@link Incident}, {@link Incident}, {@link Incident}]
+	 * }).catch((error) => { })
+	 */
+	async getAllIncidents(options){
+		let incidents = []
+
+		for await (let incident of this.iterateIncidents(options))
+			incidents.push(incident)
+
+		return incidents
+	}
 	/**
 	 * Get an Incident
 	 * @param  {Integer} incident_id - The ID of the Incident you wish to get
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Incident>} Returns an Incident
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -483,13 +859,13 @@ export default class CachetAPI {
 	 * 	// incident = {@link Incident}
 	 * }).catch((error) => { })
 	 */
-	async getIncident(incident_id){
+	async getIncident(incident_id, request_options){
 		let response 
 
 		let url = "/v1/incidents/" + incident_id
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
@@ -500,6 +876,7 @@ export default class CachetAPI {
 	/**
 	 * Add a new Incident
 	 * @param  {Incident} incident - The Incident you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Incident>} Returns an Incident
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -521,13 +898,15 @@ export default class CachetAPI {
 	 * 	// incident = {@link Incident}
 	 * }).catch((error) => { })
 	 */
-	async addIncident(incident){
+	async addIncident(incident, request_options){
+		validateIncident(incident)
+
 		let response 
 
 		let url = "/v1/incidents"
 
 		try {
-			response = await this.api.post(url, incident)
+			response = await this.api.post(url, incident, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'POST', e)
 		}
@@ -539,6 +918,7 @@ export default class CachetAPI {
 	 * Update an Incident
 	 * @param  {Integer} incident_id - The ID of the Incident you wish to update
 	 * @param  {Incident} incident - The updated Incident info
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Incident>} Returns an Incident
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -556,13 +936,15 @@ export default class CachetAPI {
 	 * 	// incident = {@link Incident}
 	 * }).catch((error) => { })
 	 */
-	async updateIncident(incident_id, incident){
+	async updateIncident(incident_id, incident, request_options){
+		validateIncident(incident, true)
+
 		let response 
 
 		let url = "/v1/incidents/" + incident_id
 
 		try {
-			response = await this.api.put(url, incident)
+			response = await this.api.put(url, incident, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'PUT', e)
 		}
@@ -573,6 +955,7 @@ export default class CachetAPI {
 	/**
 	 * Delete an Incident
 	 * @param  {Integer} incident_id - The ID of the Incident you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
 	 * @return {Promise<Boolean>} Returns `true` if the Incident deletion was successful
 	 * 
 	 * @example <caption>Async/Await</caption>
@@ -584,13 +967,13 @@ export default class CachetAPI {
 	 * 	// success = true
 	 * }).catch((error) => { })
 	 */
-	async deleteIncident(incident_id){
+	async deleteIncident(incident_id, request_options){
 		let response 
 
 		let url = "/v1/incidents/" + incident_id
 
 		try {
-			response = await this.api.delete(url)
+			response = await this.api.delete(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'DELETE', e)
 		}
@@ -599,40 +982,51 @@ export default class CachetAPI {
 		return true
 	}
 
-	/* ----------------- INCIDENT UPDATES ----------------- */
+	/* ----------------- INCIDENT TEMPLATES ----------------- */
 	/**
-	 * @typedef {Object} IncidentUpdate
-	 * @property {String} message - Description of the Incident Update
-	 * @property {Integer} status - Status of the Incident Update (See the {@link https://docs.cachethq.io/v1.0/docs/incident-statuses Cachet Docs})
+	 * @typedef {Object} IncidentTemplate
+	 * @property {String} name - Name of the Incident Template
+	 * @property {String} template - The Twig source of the template, for example `{{ service }} is experiencing issues`
+	 * @property {String} [slug] - The slug of the Incident Template, used as the `template` field of an {@link Incident}
+	 * @property {Integer} [id] - The id of the Incident Template
 	 */
 	/**
-	 * Get all the IncidentUpdates for a specific Incident
-	 * @param  {Integer} incident_id - The ID of the Incident you wish to get Incident Updates for
+	 * Get all the Incident Templates
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Incident Templates (See {@link ListQuery})
 	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
-	 * @return {Promise<Array.<IncidentUpdate>>} Returns an Array of IncidentUpdates
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Array.<IncidentTemplate>>} Returns an Array of Incident Templates
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let incident_updates = await cachet_api.getIncidentUpdates()
-	 * // incident_updates = [{@link IncidentUpdate}, {@link IncidentUpdate}, {@link IncidentUpdate}]
+	 * let incident_templates = await cachet_api.getIncidentTemplates()
+	 * // incident_templates = [{@link IncidentTemplate}, {@link IncidentTemplate}, {@link IncidentTemplate}]
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.getIncidentUpdates().then((incident_updates) => {
-	 * 	// incident_updates = [{@link IncidentUpdate}, {@link IncidentUpdate}, {@link IncidentUpdate}]
+	 * cachet_api.getIncidentTemplates().then((incident_templates) => {
+	 * 	// incident_templates = [{@link IncidentTemplate}, {@link IncidentTemplate}, {@link IncidentTemplate}]
 	 * }).catch((error) => { })
 	 */
-	async getIncidentUpdates(incident_id, with_meta){
+	async getIncidentTemplates(query, with_meta, request_options){
+		// Allow `with_meta` to be passed without a query, the same as the other list methods
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
 		let response 
 
-		let url = "/v1/incidents/" + incident_id + "/updates" 
+		let url = "/v1/incidents/templates"
+		let params = buildQuery("incident_templates", query)
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
-		}	
+		}
 
 		// If the user would like the "meta" data returned as well, they need to set the with_meta flag
-		// otherwise, we will just return an array of Components 
+		// otherwise, we will just return an array of Incident Templates 
 		// (since its nicer to work with than always doing .data on the response)
 		if (with_meta)
 			return response.data
@@ -640,27 +1034,66 @@ export default class CachetAPI {
 			return response.data.data
 	}
 	/**
-	 * Get an Incident Update
-	 * @param  {Integer} incident_id - The ID of the Incident you wish to get the specific Incident Update from
-	 * @param  {Integer} update_id - The ID of the Incident Update you wish to get
-	 * @return {Promise<IncidentUpdate>} Returns an Incident Update
+	 * Iterate over all the Incident Templates, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Incident Templates to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Incident Templates have been returned
+	 * @return {AsyncIterator.<IncidentTemplate>} Returns an Async Iterator that yields Incident Templates
+	 * 
+	 * @example
+	 * for await (let incident_template of cachet_api.iterateIncidentTemplates({ per_page: 50 })) {
+	 * 	// incident_template = {@link IncidentTemplate}
+	 * }
+	 */
+	iterateIncidentTemplates(options){
+		return this.paginate("/v1/incidents/templates", "incident_templates", options)
+	}
+	/**
+	 * Get all the Incident Templates, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Incident Templates to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Incident Templates have been returned
+	 * @return {Promise<Array.<IncidentTemplate>>} Returns an Array of Incident Templates
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let incident_update = await cachet_api.getIncidentUpdate(0, 0)
-	 * // incident_update = {@link IncidentUpdate}
+	 * let incident_templates = await cachet_api.getAllIncidentTemplates()
+	 * // incident_templates = [{@link IncidentTemplate}, {@link IncidentTemplate}, {@link IncidentTemplate}]
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.getIncidentUpdate(0, 0).then((incident_update) => {
-	 * 	// incident_update = {@link IncidentUpdate}
+	 * cachet_api.getAllIncidentTemplates().then((incident_templates) => {
+	 * 	// incident_templates = [{@link IncidentTemplate}, {@link IncidentTemplate}, {@link IncidentTemplate}]
 	 * }).catch((error) => { })
 	 */
-	async getIncidentUpdate(incident_id, update_id){
+	async getAllIncidentTemplates(options){
+		let incident_templates = []
+
+		for await (let incident_template of this.iterateIncidentTemplates(options))
+			incident_templates.push(incident_template)
+
+		return incident_templates
+	}
+	/**
+	 * Get an Incident Template
+	 * @param  {Integer} template_id - The ID of the Incident Template you wish to get
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<IncidentTemplate>} Returns an Incident Template
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let incident_template = await cachet_api.getIncidentTemplate(0)
+	 * // incident_template = {@link IncidentTemplate}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getIncidentTemplate(0).then((incident_template) => {
+	 * 	// incident_template = {@link IncidentTemplate}
+	 * }).catch((error) => { })
+	 */
+	async getIncidentTemplate(template_id, request_options){
 		let response 
 
-		let url = "/v1/incidents/" + incident_id + "/updates/" + update_id
+		let url = "/v1/incidents/templates/" + template_id
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
@@ -669,33 +1102,35 @@ export default class CachetAPI {
 		return response.data.data
 	}
 	/**
-	 * Add a new Incident Update
-	 * @param  {Integer} incident_id - The ID of the Incident you wish to add an Incident Updates to
-	 * @param  {IncidentUpdate} update - The Incident Update you wish to add
-	 * @return {Promise<IncidentUpdate>} Returns an IncidentUpdate
+	 * Add a new Incident Template
+	 * @param  {IncidentTemplate} template - The Incident Template you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<IncidentTemplate>} Returns an Incident Template
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let incident_update = await cachet_api.addIncidentUpdate(0, {
-	 * 	message: "My Update",
-	 * 	status: 2
+	 * let incident_template = await cachet_api.addIncidentTemplate({
+	 * 	name: "Service Outage",
+	 * 	template: "{{ service }} is currently unavailable in {{ region }}"
 	 * })
-	 * // incident_update = {@link IncidentUpdate}
+	 * // incident_template = {@link IncidentTemplate}
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.addIncidentUpdate(0, {
-	 * 	message: "My Update",
-	 * 	status: 2
-	 * }).then((incident_update) => {
-	 * 	// incident_update = {@link IncidentUpdate}
+	 * cachet_api.addIncidentTemplate({
+	 * 	name: "Service Outage",
+	 * 	template: "{{ service }} is currently unavailable in {{ region }}"
+	 * }).then((incident_template) => {
+	 * 	// incident_template = {@link IncidentTemplate}
 	 * }).catch((error) => { })
 	 */
-	async addIncidentUpdate(incident_id, update){
+	async addIncidentTemplate(template, request_options){
+		validateIncidentTemplate(template)
+
 		let response 
 
-		let url = "/v1/incidents/" + incident_id + "/updates"
+		let url = "/v1/incidents/templates"
 
 		try {
-			response = await this.api.post(url, update)
+			response = await this.api.post(url, template, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'POST', e)
 		}
@@ -704,34 +1139,34 @@ export default class CachetAPI {
 		return response.data.data
 	}
 	/**
-	 * Update an Incident Update
-	 * @param  {Integer} incident_id - The ID of the Incident that you wish to update an Incident Updates on
-	 * @param  {Integer} update_id - The ID of the Incident Update you wish to update
-	 * @param  {IncidentUpdate} update - The updated IncidentUpdate
-	 * @return {Promise<IncidentUpdate>} Returns a component
+	 * Update an Incident Template
+	 * @param  {Integer} template_id - The ID of the Incident Template you wish to update
+	 * @param  {IncidentTemplate} template - The updated Incident Template info
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<IncidentTemplate>} Returns an Incident Template
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let incident_update = await cachet_api.updateIncidentUpdate(0, 0, {
-	 * 	message: "My Updated Message",
-	 * 	status: 4
+	 * let incident_template = await cachet_api.updateIncidentTemplate(0, {
+	 * 	template: "{{ service }} is unavailable. We are investigating."
 	 * })
-	 * // incident_update = {@link IncidentUpdate}
+	 * // incident_template = {@link IncidentTemplate}
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.updateIncidentUpdate(0, 0, {
-	 * 	message: "My Updated Message",
-	 * 	status: 4
-	 * }).then((incident_update) => {
-	 * 	// incident_update = {@link IncidentUpdate}
+	 * cachet_api.updateIncidentTemplate(0, {
+	 * 	template: "{{ service }} is unavailable. We are investigating."
+	 * }).then((incident_template) => {
+	 * 	// incident_template = {@link IncidentTemplate}
 	 * }).catch((error) => { })
 	 */
-	async updateIncidentUpdate(incident_id, update_id, update){
+	async updateIncidentTemplate(template_id, template, request_options){
+		validateIncidentTemplate(template, true)
+
 		let response 
 
-		let url = "/v1/incidents/" + incident_id + "/updates/" + update_id
+		let url = "/v1/incidents/templates/" + template_id
 
 		try {
-			response = await this.api.put(url, update)
+			response = await this.api.put(url, template, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'PUT', e)
 		}
@@ -740,27 +1175,27 @@ export default class CachetAPI {
 		return response.data.data
 	}
 	/**
-	 * Delete an Incident Update
-	 * @param  {Integer} incident_id - The ID of the Incident that you wish to delete an Incident Updates from
-	 * @param  {Integer} update_id - The ID of the Incident Update you wish to delete
-	 * @return {Promise<Boolean>} Returns `true` if Incident Update deletion was successful
+	 * Delete an Incident Template
+	 * @param  {Integer} template_id - The ID of the Incident Template you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Boolean>} Returns `true` if Incident Template deletion was successful
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let success = await cachet_api.deleteIncidentUpdate(0, 0)
+	 * let success = await cachet_api.deleteIncidentTemplate(0)
 	 * // success = true
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.deleteIncidentUpdate(0, 0).then((success) => {
+	 * cachet_api.deleteIncidentTemplate(0).then((success) => {
 	 * 	// success = true
 	 * }).catch((error) => { })
 	 */
-	async deleteIncidentUpdate(incident_id, update_id){
+	async deleteIncidentTemplate(template_id, request_options){
 		let response 
 
-		let url = "/v1/incidents/" + incident_id + "/updates/" + update_id
+		let url = "/v1/incidents/templates/" + template_id
 
 		try {
-			response = await this.api.delete(url)
+			response = await this.api.delete(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'DELETE', e)
 		}
@@ -768,37 +1203,93 @@ export default class CachetAPI {
 		// Since nothing is returned from the API other than `204`, return true
 		return true
 	}
+	/**
+	 * Add a new Incident using an Incident Template. The template is looked up by its slug or name, and every variable
+	 * that the template needs is checked to be in `vars` before the Incident is sent to Cachet.
+	 * @param  {String|Integer} template - The slug, name or ID of the Incident Template to use
+	 * @param  {Incident} incident - The Incident you wish to add (`message` can be left out, as the template is used instead)
+	 * @param  {Object} [vars] - The variables to render the template with
+	 * @param  {RequestOptions} [request_options] - Cancel the requests with an AbortSignal, or give them a timeout in total (See {@link RequestOptions})
+	 * @return {Promise<Incident>} Returns an Incident
+	 * @throws {CachetNotFoundError} Throws if no Incident Template matches `template`
+	 * @throws {CachetValidationError} Throws if any of the variables the template needs are missing from `vars`
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let incident = await cachet_api.addIncidentFromTemplate("service-outage", {
+	 * 	name: "API Outage",
+	 * 	status: 1,
+	 * 	visible: 1
+	 * }, { service: "API", region: "us-east" })
+	 * // incident = {@link Incident}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.addIncidentFromTemplate("service-outage", {
+	 * 	name: "API Outage",
+	 * 	status: 1,
+	 * 	visible: 1
+	 * }, { service: "API", region: "us-east" }).then((incident) => {
+	 * 	// incident = {@link Incident}
+	 * }).catch((error) => { })
+	 */
+	async addIncidentFromTemplate(template, incident, vars, request_options){
+		vars = vars || {}
 
-	/* ----------------- METRICS ----------------- */
+		// Share one deadline between looking up the template and adding the Incident
+		request_options = this.requestConfig(request_options)
+
+		let templates = await this.getAllIncidentTemplates(request_options)
+
+		let match = templates.find((t) => t.slug === template || t.name === template || t.id === template)
+
+		if (!match)
+			throw new CachetNotFoundError("Error! Unable to find an Incident Template matching " + JSON.stringify(template))
+
+		let missing = getMissingTemplateVariables(match.template, vars)
+
+		if (missing.length > 0)
+			throw new CachetValidationError("Error! The Incident Template \"" + match.slug + "\" is missing the variables: " + missing.join(", "))
+
+		return await this.addIncident(Object.assign({}, incident, { template: match.slug, vars }), request_options)
+	}
+
+	/* ----------------- INCIDENT UPDATES ----------------- */
 	/**
-	 * @typedef {Object} Metric
-	 * @property {String} name - Name of the Metric
-	 * @property {String} description - Description of what the metric is measuring
-	 * @property {Integer} suffix - Measurments in
-	 * @property {Integer} default_value - The default value to use when a point is added
-	 * @property {Boolean} [display_chart] - Whether the Chart for the metric should be displayed
+	 * @typedef {Object} IncidentUpdate
+	 * @property {String} message - Description of the Incident Update
+	 * @property {Integer} status - Status of the Incident Update (See the {@link https://docs.cachethq.io/v1.0/docs/incident-statuses Cachet Docs})
 	 */
 	/**
-	 * Get all the Metrics
+	 * Get all the IncidentUpdates for a specific Incident
+	 * @param  {Integer} incident_id - The ID of the Incident you wish to get Incident Updates for
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Incident Updates (See {@link ListQuery})
 	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
-	 * @return {Promise<Array.<Metric>>} Returns an Array of Metrics
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Array.<IncidentUpdate>>} Returns an Array of IncidentUpdates
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let metrics = await cachet_api.getMetrics()
-	 * // metrics = [{@link Metric}, {@link Metric}, {@link Metric}]
+	 * let incident_updates = await cachet_api.getIncidentUpdates()
+	 * // incident_updates = [{@link IncidentUpdate}, {@link IncidentUpdate}, {@link IncidentUpdate}]
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.getMetrics().then((metrics) => {
-	 * 	// metrics = [{@link Metric}, {@link Metric}, {@link Metric}]
+	 * cachet_api.getIncidentUpdates().then((incident_updates) => {
+	 * 	// incident_updates = [{@link IncidentUpdate}, {@link IncidentUpdate}, {@link IncidentUpdate}]
 	 * }).catch((error) => { })
 	 */
-	async getMetrics(with_meta){
+	async getIncidentUpdates(incident_id, query, with_meta, request_options){
+		// Support the original `(with_meta)` signature, where the query was not yet an option
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
 		let response 
 
-		let url = "/v1/metrics"
+		let url = "/v1/incidents/" + incident_id + "/updates" 
+		let params = buildQuery("incident_updates", query)
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}	
@@ -812,26 +1303,69 @@ export default class CachetAPI {
 			return response.data.data
 	}
 	/**
-	 * Get a Metric
-	 * @param  {Integer} metric_id - The ID of the Metric you wish to get
-	 * @return {Promise<Metric>} Returns a Metric
+	 * Iterate over all the Incident Updates, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Integer} incident_id - The ID of the Incident you wish to get Incident Updates for
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Incident Updates to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Incident Updates have been returned
+	 * @return {AsyncIterator.<IncidentUpdate>} Returns an Async Iterator that yields Incident Updates
+	 * 
+	 * @example
+	 * for await (let incident_update of cachet_api.iterateIncidentUpdates(0, { per_page: 50 })) {
+	 * 	// incident_update = {@link IncidentUpdate}
+	 * }
+	 */
+	iterateIncidentUpdates(incident_id, options){
+		return this.paginate("/v1/incidents/" + incident_id + "/updates", "incident_updates", options)
+	}
+	/**
+	 * Get all the Incident Updates, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Integer} incident_id - The ID of the Incident you wish to get Incident Updates for
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Incident Updates to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Incident Updates have been returned
+	 * @return {Promise<Array.<IncidentUpdate>>} Returns an Array of Incident Updates
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let metric = await cachet_api.getMetric(0)
-	 * // metric = {@link Metric}
+	 * let incident_updates = await cachet_api.getAllIncidentUpdates(0, { max_items: 500 })
+	 * // incident_updates = [{@link IncidentUpdate}, {@link IncidentUpdate}, {@link IncidentUpdate}]
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.getMetric(0).then((metric) => {
-	 * 	// metric = {@link Metric}
+	 * cachet_api.getAllIncidentUpdates(0, { max_items: 500 }).then((incident_updates) => {
+	 * 	// incident_updates = [{@link IncidentUpdate}, {@link IncidentUpdate}, {@link IncidentUpdate}]
+	 * }).catch((error) => { })
+	 */
+	async getAllIncidentUpdates(incident_id, options){
+		let incident_updates = []
+
+		for await (let incident_update of this.iterateIncidentUpdates(incident_id, options))
+			incident_updates.push(incident_update)
+
+		return incident_updates
+	}
+	/**
+	 * Get an Incident Update
+	 * @param  {Integer} incident_id - The ID of the Incident you wish to get the specific Incident Update from
+	 * @param  {Integer} update_id - The ID of the Incident Update you wish to get
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<IncidentUpdate>} Returns an Incident Update
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let incident_update = await cachet_api.getIncidentUpdate(0, 0)
+	 * // incident_update = {@link IncidentUpdate}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getIncidentUpdate(0, 0).then((incident_update) => {
+	 * 	// incident_update = {@link IncidentUpdate}
 	 * }).catch((error) => { })
 	 */
-	async getMetric(metric_id){
+	async getIncidentUpdate(incident_id, update_id, request_options){
 		let response 
 
-		let url = "/v1/metrics/" + metric_id
+		let url = "/v1/incidents/" + incident_id + "/updates/" + update_id
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
@@ -840,36 +1374,36 @@ export default class CachetAPI {
 		return response.data.data
 	}
 	/**
-	 * Add a new Metric
-	 * @param  {Metric} metric - The Metric you wish to add
-	 * @return {Promise<Metric>} Returns a Metric
+	 * Add a new Incident Update
+	 * @param  {Integer} incident_id - The ID of the Incident you wish to add an Incident Updates to
+	 * @param  {IncidentUpdate} update - The Incident Update you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<IncidentUpdate>} Returns an IncidentUpdate
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let metric = await cachet_api.addMetric({
-	 * 	name: "My Metric",
-	 * 	suffix: "F",
-	 * 	description: "My Metric Description",
-	 * 	default_value: 1
+	 * let incident_update = await cachet_api.addIncidentUpdate(0, {
+	 * 	message: "My Update",
+	 * 	status: 2
 	 * })
-	 * // metric = {@link Metric}
+	 * // incident_update = {@link IncidentUpdate}
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.addMetric({
-	 * 	name: "My Metric",
-	 * 	suffix: "F",
-	 * 	description: "My Metric Description",
-	 * 	default_value: 1
-	 * }).then((metric) => {
-	 * 	// metric = {@link Metric}
+	 * cachet_api.addIncidentUpdate(0, {
+	 * 	message: "My Update",
+	 * 	status: 2
+	 * }).then((incident_update) => {
+	 * 	// incident_update = {@link IncidentUpdate}
 	 * }).catch((error) => { })
 	 */
-	async addMetric(metric){
+	async addIncidentUpdate(incident_id, update, request_options){
+		validateIncidentUpdate(update)
+
 		let response 
 
-		let url = "/v1/metrics"
+		let url = "/v1/incidents/" + incident_id + "/updates"
 
 		try {
-			response = await this.api.post(url, metric)
+			response = await this.api.post(url, update, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'POST', e)
 		}
@@ -878,26 +1412,67 @@ export default class CachetAPI {
 		return response.data.data
 	}
 	/**
-	 * Delete a Metric
-	 * @param  {Integer} metric_id - The ID of the Metric you wish to delete
-	 * @return {Promise<Boolean>} Returns `true` if Metric deletion was successful
+	 * Update an Incident Update
+	 * @param  {Integer} incident_id - The ID of the Incident that you wish to update an Incident Updates on
+	 * @param  {Integer} update_id - The ID of the Incident Update you wish to update
+	 * @param  {IncidentUpdate} update - The updated IncidentUpdate
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<IncidentUpdate>} Returns a component
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let success = await cachet_api.deleteMetric(0)
+	 * let incident_update = await cachet_api.updateIncidentUpdate(0, 0, {
+	 * 	message: "My Updated Message",
+	 * 	status: 4
+	 * })
+	 * // incident_update = {@link IncidentUpdate}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.updateIncidentUpdate(0, 0, {
+	 * 	message: "My Updated Message",
+	 * 	status: 4
+	 * }).then((incident_update) => {
+	 * 	// incident_update = {@link IncidentUpdate}
+	 * }).catch((error) => { })
+	 */
+	async updateIncidentUpdate(incident_id, update_id, update, request_options){
+		validateIncidentUpdate(update, true)
+
+		let response 
+
+		let url = "/v1/incidents/" + incident_id + "/updates/" + update_id
+
+		try {
+			response = await this.api.put(url, update, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'PUT', e)
+		}
+
+		// axios wraps in data AND cachet wraps in data. Unwrap both.
+		return response.data.data
+	}
+	/**
+	 * Delete an Incident Update
+	 * @param  {Integer} incident_id - The ID of the Incident that you wish to delete an Incident Updates from
+	 * @param  {Integer} update_id - The ID of the Incident Update you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Boolean>} Returns `true` if Incident Update deletion was successful
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let success = await cachet_api.deleteIncidentUpdate(0, 0)
 	 * // success = true
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.deleteMetric(0).then((success) => {
+	 * cachet_api.deleteIncidentUpdate(0, 0).then((success) => {
 	 * 	// success = true
 	 * }).catch((error) => { })
 	 */
-	async deleteMetric(metric_id){
+	async deleteIncidentUpdate(incident_id, update_id, request_options){
 		let response 
 
-		let url = "/v1/metrics/" + metric_id
+		let url = "/v1/incidents/" + incident_id + "/updates/" + update_id
 
 		try {
-			response = await this.api.delete(url)
+			response = await this.api.delete(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'DELETE', e)
 		}
@@ -905,191 +1480,297 @@ export default class CachetAPI {
 		// Since nothing is returned from the API other than `204`, return true
 		return true
 	}
+
+	/* ----------------- INCIDENT WORKFLOWS ----------------- */
 	/**
-	 * @typedef {Object} MetricPoint
-	 * @property {Number} value - Value to plot on the metric graph
-	 * @property {Timestamp} [timestamp] - Unix timestamp of the point was measured
+	 * Open a new Incident and get back an {@link IncidentWorkflow} to walk it through to resolution.
+	 * The Incident starts as "Investigating", and if a `component_id` and `component_status` are passed, the Component is set to that status.
+	 * @param  {Incident} incident - The Incident you wish to open (`status` defaults to Investigating and `visible` defaults to `1`)
+	 * @return {Promise<IncidentWorkflow>} Returns an IncidentWorkflow for the new Incident
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let workflow = await cachet_api.openIncident({
+	 * 	name: "API Outage",
+	 * 	message: "We are looking into reports of API errors",
+	 * 	component_id: 3,
+	 * 	component_status: ComponentStatus.MAJOR_OUTAGE
+	 * })
+	 *
+	 * await workflow.identified("A bad deploy is causing errors")
+	 * await workflow.watching("The deploy has been rolled back")
+	 * await workflow.resolve("The API is working normally again")
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.openIncident({
+	 * 	name: "API Outage",
+	 * 	message: "We are looking into reports of API errors",
+	 * 	component_id: 3,
+	 * 	component_status: ComponentStatus.MAJOR_OUTAGE
+	 * }).then((workflow) => {
+	 * 	return workflow.resolve("The API is working normally again")
+	 * }).catch((error) => { })
 	 */
+	async openIncident(incident){
+		incident = Object.assign({ status: IncidentStatus.INVESTIGATING, visible: 1 }, incident)
+
+		let added = await this.addIncident(incident)
+
+		return new IncidentWorkflow(this, added, {
+			component_id: incident.component_id,
+			component_status: incident.component_status
+		})
+	}
 	/**
-	 * Get all the Metric Points
-	 * @param  {Integer} metric_id - The ID of the Metric you wish to get Metric Points from
+	 * Get an {@link IncidentWorkflow} for an Incident that is already open, for example one opened by another process
+	 * @param  {Integer} incident_id - The ID of the Incident you wish to manage
+	 * @return {Promise<IncidentWorkflow>} Returns an IncidentWorkflow for the Incident
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let workflow = await cachet_api.resumeIncident(0)
+	 * await workflow.resolve("The API is working normally again")
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.resumeIncident(0).then((workflow) => {
+	 * 	return workflow.resolve("The API is working normally again")
+	 * }).catch((error) => { })
+	 */
+	async resumeIncident(incident_id){
+		let incident = await this.getIncident(incident_id)
+
+		let component_status
+
+		// Look up the linked Component so that we only update it when its status actually changes
+		if (incident.component_id)
+			component_status = (await this.getComponent(incident.component_id)).status
+
+		return new IncidentWorkflow(this, incident, { component_id: incident.component_id || undefined, component_status })
+	}
+
+	/* ----------------- SCHEDULES ----------------- */
+	/**
+	 * @typedef {Object} Schedule
+	 * @property {String} name - Name of the Schedule
+	 * @property {String} message - Description of the scheduled maintenance
+	 * @property {Integer} status - Status of the Schedule (0 = Upcoming, 1 = In Progress, 2 = Complete)
+	 * @property {String} scheduled_at - When the maintenance starts (`YYYY-MM-DD HH:mm`)
+	 * @property {String} [completed_at] - When the maintenance is expected to finish (`YYYY-MM-DD HH:mm`)
+	 * @property {Object.<Integer, Integer>} [components] - The Components affected by the maintenance, as a map of `component_id` to the Component status to use during the window
+	 * @property {Boolean} [notify] - Whether to notify subscribers
+	 * @property {Integer} [id] - The id of the Schedule
+	 */
+	/**
+	 * Get all the Schedules
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Schedules (See {@link ListQuery})
 	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
-	 * @return {Promise<Array.<MetricPoint>>} Returns an Array of Components
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Array.<Schedule>>} Returns an Array of Schedules
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let metric_point = await cachet_api.getMetricPoints(0)
-	 * // metric_point = [{@link MetricPoint}, {@link MetricPoint}, {@link MetricPoint}]
+	 * let schedules = await cachet_api.getSchedules()
+	 * // schedules = [{@link Schedule}, {@link Schedule}, {@link Schedule}]
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.getMetricPoints(0).then((metric_point) => {
-	 * 	// metric_point = [{@link MetricPoint}, {@link MetricPoint}, {@link MetricPoint}]
+	 * cachet_api.getSchedules().then((schedules) => {
+	 * 	// schedules = [{@link Schedule}, {@link Schedule}, {@link Schedule}]
 	 * }).catch((error) => { })
 	 */
-	async getMetricPoints(metric_id){
+	async getSchedules(query, with_meta, request_options){
+		// Allow `with_meta` to be passed without a query, the same as the other list methods
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
 		let response 
 
-		let url = "/v1/metrics/" + metric_id + "/points"
+		let url = "/v1/schedules"
+		let params = buildQuery("schedules", query)
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
 		} catch (e) {
 			throw this.createError(url, 'GET', e)
 		}
 
-		// axios wraps in data AND cachet wraps in data. Unwrap both.
-		return response.data.data
+		// If the user would like the "meta" data returned as well, they need to set the with_meta flag
+		// otherwise, we will just return an array of Schedules 
+		// (since its nicer to work with than always doing .data on the response)
+		if (with_meta)
+			return response.data
+		else
+			return response.data.data
 	}
 	/**
-	 * Add a new Component
-	 * @param  {Integer} metric_id - The ID of the Metric you wish to add a Metric Point to
-	 * @param  {MetricPoint} point - The Metric Point you wish to add
-	 * @return {Promise<MetricPoint>} Returns a MetricPoint
+	 * Iterate over all the Schedules, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Schedules to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Schedules have been returned
+	 * @return {AsyncIterator.<Schedule>} Returns an Async Iterator that yields Schedules
+	 * 
+	 * @example
+	 * for await (let schedule of cachet_api.iterateSchedules({ per_page: 50 })) {
+	 * 	// schedule = {@link Schedule}
+	 * }
+	 */
+	iterateSchedules(options){
+		return this.paginate("/v1/schedules", "schedules", options)
+	}
+	/**
+	 * Get all the Schedules, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Schedules to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Schedules have been returned
+	 * @return {Promise<Array.<Schedule>>} Returns an Array of Schedules
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let metric_point = await cachet_api.addMetricPoint({
-	 * 	value: 0.75
-	 * })
-	 * // metric_point = {@link MetricPoint}
+	 * let schedules = await cachet_api.getAllSchedules({ max_items: 500 })
+	 * // schedules = [{@link Schedule}, {@link Schedule}, {@link Schedule}]
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.addMetricPoint({
-	 * 	value: 0.75
-	 * }).then((metric_point) => {
-	 * 	// metric_point = {@link MetricPoint}
+	 * cachet_api.getAllSchedules({ max_items: 500 }).then((schedules) => {
+	 * 	// schedules = [{@link Schedule}, {@link Schedule}, {@link Schedule}]
 	 * }).catch((error) => { })
 	 */
-	async addMetricPoint(metric_id, point){
-		let response 
-
-		let url = "/v1/metrics/" + metric_id + "/points"
+	async getAllSchedules(options){
+		let schedules = []
 
-		try {
-			response = await this.api.post(url, point)
-		} catch (e) {
-			throw this.createError(url, 'POST', e)
-		}
+		for await (let schedule of this.iterateSchedules(options))
+			schedules.push(schedule)
 
-		// axios wraps in data AND cachet wraps in data. Unwrap both.
-		return response.data.data
+		return schedules
 	}
 	/**
-	 * Delete a Metric Point
-	 * @param  {Integer} metric_id - The ID of the Metric you wish to delete a Metric Point from
-	 * @param  {Integer} point_id - The ID of the Metric Point you wish to delete
-	 * @return {Promise<Boolean>} Returns `true` if Metric Point deletion was successful
+	 * Get a Schedule
+	 * @param  {Integer} schedule_id - The ID of the Schedule you wish to get
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Schedule>} Returns a Schedule
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let success = await cachet_api.deleteMetricPoint(0, 0)
-	 * // success = true
+	 * let schedule = await cachet_api.getSchedule(0)
+	 * // schedule = {@link Schedule}
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.deleteMetricPoint(0, 0).then((success) => {
-	 * 	// success = true
+	 * cachet_api.getSchedule(0).then((schedule) => {
+	 * 	// schedule = {@link Schedule}
 	 * }).catch((error) => { })
 	 */
-	async deleteMetricPoint(metric_id, point_id){
+	async getSchedule(schedule_id, request_options){
 		let response 
 
-		let url = "/v1/metrics/" + metric_id + "/points/" + point_id
+		let url = "/v1/schedules/" + schedule_id
 
 		try {
-			response = await this.api.delete(url)
+			response = await this.api.get(url, this.requestConfig(request_options))
 		} catch (e) {
-			throw this.createError(url, 'DELETE', e)
+			throw this.createError(url, 'GET', e)
 		}
 
-		// Since nothing is returned from the API other than `204`, return true
-		return true
+		// axios wraps in data AND cachet wraps in data. Unwrap both.
+		return response.data.data
 	}
-
-	/* ----------------- SUBSCRIBERS ----------------- */
 	/**
-	 * @typedef {Object} Subscriber
-	 * @property {String} email - Name of the Component
-	 * @property {Boolean} [verify] - Whether the Component is enabled
-	 * @property {Array.<Integer>} [components="*"] - Array of component_id's that you wish to subscribe to
-	 */
-	/**
-	 * Get all the Subscribers
-	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
-	 * @return {Promise<Array.<Subscriber>>} Returns an Array of Subscribers
+	 * Add a new Schedule
+	 * @param  {Schedule} schedule - The Schedule you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Schedule>} Returns a Schedule
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let subscribers = await cachet_api.getSubscribers()
-	 * // subscribers = [{@link Subscriber}, {@link Subscriber}, {@link Subscriber}]
+	 * let schedule = await cachet_api.addSchedule({
+	 * 	name: "Database Upgrade",
+	 * 	message: "We will be upgrading our database servers",
+	 * 	status: 0,
+	 * 	scheduled_at: "2018-07-01 02:00",
+	 * 	completed_at: "2018-07-01 04:00"
+	 * })
+	 * // schedule = {@link Schedule}
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.getSubscribers().then((subscribers) => {
-	 * 	// subscribers = [{@link Subscriber}, {@link Subscriber}, {@link Subscriber}]
+	 * cachet_api.addSchedule({
+	 * 	name: "Database Upgrade",
+	 * 	message: "We will be upgrading our database servers",
+	 * 	status: 0,
+	 * 	scheduled_at: "2018-07-01 02:00"
+	 * }).then((schedule) => {
+	 * 	// schedule = {@link Schedule}
 	 * }).catch((error) => { })
 	 */
-	async getSubscribers(){
+	async addSchedule(schedule, request_options){
+		validateSchedule(schedule)
+
 		let response 
 
-		let url = "/v1/subscribers"
+		let url = "/v1/schedules"
 
 		try {
-			response = await this.api.get(url)
+			response = await this.api.post(url, schedule, this.requestConfig(request_options))
 		} catch (e) {
-			throw this.createError(url, 'GET', e)
+			throw this.createError(url, 'POST', e)
 		}
 
 		// axios wraps in data AND cachet wraps in data. Unwrap both.
 		return response.data.data
 	}
 	/**
-	 * Add a new Subscriber
-	 * @param  {Subscriber} subscriber - The Subscriber you wish to add
-	 * @return {Promise<Subscriber>} Returns a Subscriber
+	 * Update a Schedule
+	 * @param  {Integer} schedule_id - The ID of the Schedule you wish to update
+	 * @param  {Schedule} schedule - The updated Schedule info
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Schedule>} Returns a Schedule
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let subscriber = await cachet_api.addSubscriber({
-	 * 	email: "email@example.com"
+	 * let schedule = await cachet_api.updateSchedule(0, {
+	 * 	status: 2,
+	 * 	completed_at: "2018-07-01 03:30"
 	 * })
-	 * // subscriber = {@link Subscriber}
+	 * // schedule = {@link Schedule}
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.addSubscriber({
-	 * 	email: "email@example.com"
-	 * }).then((subscriber) => {
-	 * 	// subscriber = {@link Subscriber}
+	 * cachet_api.updateSchedule(0, {
+	 * 	status: 2,
+	 * 	completed_at: "2018-07-01 03:30"
+	 * }).then((schedule) => {
+	 * 	// schedule = {@link Schedule}
 	 * }).catch((error) => { })
 	 */
-	async addSubscriber(subscriber){
+	async updateSchedule(schedule_id, schedule, request_options){
+		validateSchedule(schedule, true)
+
 		let response 
 
-		let url = "/v1/subscribers"
+		let url = "/v1/schedules/" + schedule_id
 
 		try {
-			response = await this.api.post(url, subscriber)
+			response = await this.api.put(url, schedule, this.requestConfig(request_options))
 		} catch (e) {
-			throw this.createError(url, 'POST', e)
+			throw this.createError(url, 'PUT', e)
 		}
 
 		// axios wraps in data AND cachet wraps in data. Unwrap both.
 		return response.data.data
 	}
 	/**
-	 * Delete a Subscriber
-	 * @param  {Integer} subscriber_id - The ID of the Subscriber you wish to delete
-	 * @return {Promise<Boolean>} Returns `true` if Subscriber deletion was successful
+	 * Delete a Schedule
+	 * @param  {Integer} schedule_id - The ID of the Schedule you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Boolean>} Returns `true` if Schedule deletion was successful
 	 * 
 	 * @example <caption>Async/Await</caption>
-	 * let success = await cachet_api.deleteSubscriber(0)
+	 * let success = await cachet_api.deleteSchedule(0)
 	 * // success = true
 	 *
 	 * @example <caption>Promise</caption>
-	 * cachet_api.deleteSubscriber(0).then((success) => {
+	 * cachet_api.deleteSchedule(0).then((success) => {
 	 * 	// success = true
 	 * }).catch((error) => { })
 	 */
-	async deleteSubscriber(subscriber_id){
+	async deleteSchedule(schedule_id, request_options){
 		let response 
 
-		let url = "/v1/subscribers/" + subscriber_id
+		let url = "/v1/schedules/" + schedule_id
 
 		try {
-			response = await this.api.delete(url)
+			response = await this.api.delete(url, this.requestConfig(request_options))
 		} catch (e) {
 			throw this.createError(url, 'DELETE', e)
 		}
@@ -1098,23 +1779,1129 @@ export default class CachetAPI {
 		return true
 	}
 
-	/* ----------------- Utilities ----------------- */
-	createError(url, type, error){
-		var extraErrorText = "";
-
-		if (error && error.response){
-			if (error.response.status)
-				extraErrorText += error.response.status + " "
-			if (error.response.statusText)
-				extraErrorText += error.response.statusText + " | "
-			if (error.response.data)
-				extraErrorText += JSON.stringify(error.response.data)
-		} else {
-			extraErrorText = error.toString()
-		}
+	/* ----------------- METRICS ----------------- */
+	/**
+	 * @typedef {Object} Metric
+	 * @property {String} name - Name of the Metric
+	 * @property {String} description - Description of what the metric is measuring
+	 * @property {Integer} suffix - Measurments in
+	 * @property {Integer} default_value - The default value to use when a point is added
+	 * @property {Boolean} [display_chart] - Whether the Chart for the metric should be displayed
+	 */
+	/**
+	 * Get all the Metrics
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Metrics (See {@link ListQuery})
+	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Array.<Metric>>} Returns an Array of Metrics
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let metrics = await cachet_api.getMetrics()
+	 * // metrics = [{@link Metric}, {@link Metric}, {@link Metric}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getMetrics().then((metrics) => {
+	 * 	// metrics = [{@link Metric}, {@link Metric}, {@link Metric}]
+	 * }).catch((error) => { })
+	 */
+	async getMetrics(query, with_meta, request_options){
+		// Support the original `(with_meta)` signature, where the query was not yet an option
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
+		let response 
+
+		let url = "/v1/metrics"
+		let params = buildQuery("metrics", query)
+
+		try {
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
+		} catch (e) {
+			throw this.createError(url, 'GET', e)
+		}	
+
+		// If the user would like the "meta" data returned as well, they need to set the with_meta flag
+		// otherwise, we will just return an array of Components 
+		// (since its nicer to work with than always doing .data on the response)
+		if (with_meta)
+			return response.data
+		else
+			return response.data.data
+	}
+	/**
+	 * Iterate over all the Metrics, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Metrics to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Metrics have been returned
+	 * @return {AsyncIterator.<Metric>} Returns an Async Iterator that yields Metrics
+	 * 
+	 * @example
+	 * for await (let metric of cachet_api.iterateMetrics({ per_page: 50 })) {
+	 * 	// metric = {@link Metric}
+	 * }
+	 */
+	iterateMetrics(options){
+		return this.paginate("/v1/metrics", "metrics", options)
+	}
+	/**
+	 * Get all the Metrics, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Metrics to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Metrics have been returned
+	 * @return {Promise<Array.<Metric>>} Returns an Array of Metrics
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let metrics = await cachet_api.getAllMetrics({ max_items: 500 })
+	 * // metrics = [{@link Metric}, {@link Metric}, {@link Metric}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getAllMetrics({ max_items: 500 }).then((metrics) => {
+	 * 	// metrics = [{@link Metric}, {@link Metric}, {@link Metric}]
+	 * }).catch((error) => { })
+	 */
+	async getAllMetrics(options){
+		let metrics = []
+
+		for await (let metric of this.iterateMetrics(options))
+			metrics.push(metric)
+
+		return metrics
+	}
+	/**
+	 * Get a Metric
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to get
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Metric>} Returns a Metric
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let metric = await cachet_api.getMetric(0)
+	 * // metric = {@link Metric}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getMetric(0).then((metric) => {
+	 * 	// metric = {@link Metric}
+	 * }).catch((error) => { })
+	 */
+	async getMetric(metric_id, request_options){
+		let response 
+
+		let url = "/v1/metrics/" + metric_id
+
+		try {
+			response = await this.api.get(url, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'GET', e)
+		}
+
+		// axios wraps in data AND cachet wraps in data. Unwrap both.
+		return response.data.data
+	}
+	/**
+	 * Add a new Metric
+	 * @param  {Metric} metric - The Metric you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Metric>} Returns a Metric
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let metric = await cachet_api.addMetric({
+	 * 	name: "My Metric",
+	 * 	suffix: "F",
+	 * 	description: "My Metric Description",
+	 * 	default_value: 1
+	 * })
+	 * // metric = {@link Metric}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.addMetric({
+	 * 	name: "My Metric",
+	 * 	suffix: "F",
+	 * 	description: "My Metric Description",
+	 * 	default_value: 1
+	 * }).then((metric) => {
+	 * 	// metric = {@link Metric}
+	 * }).catch((error) => { })
+	 */
+	async addMetric(metric, request_options){
+		validateMetric(metric)
+
+		let response 
+
+		let url = "/v1/metrics"
+
+		try {
+			response = await this.api.post(url, metric, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'POST', e)
+		}
+
+		// axios wraps in data AND cachet wraps in data. Unwrap both.
+		return response.data.data
+	}
+	/**
+	 * Delete a Metric
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Boolean>} Returns `true` if Metric deletion was successful
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let success = await cachet_api.deleteMetric(0)
+	 * // success = true
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.deleteMetric(0).then((success) => {
+	 * 	// success = true
+	 * }).catch((error) => { })
+	 */
+	async deleteMetric(metric_id, request_options){
+		let response 
+
+		let url = "/v1/metrics/" + metric_id
+
+		try {
+			response = await this.api.delete(url, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'DELETE', e)
+		}
+
+		// Since nothing is returned from the API other than `204`, return true
+		return true
+	}
+	/**
+	 * @typedef {Object} MetricPoint
+	 * @property {Number} value - Value to plot on the metric graph
+	 * @property {Timestamp} [timestamp] - Unix timestamp of the point was measured
+	 */
+	/**
+	 * Get all the Metric Points
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to get Metric Points from
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Metric Points (See {@link ListQuery})
+	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Array.<MetricPoint>>} Returns an Array of Components
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let metric_point = await cachet_api.getMetricPoints(0)
+	 * // metric_point = [{@link MetricPoint}, {@link MetricPoint}, {@link MetricPoint}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getMetricPoints(0).then((metric_point) => {
+	 * 	// metric_point = [{@link MetricPoint}, {@link MetricPoint}, {@link MetricPoint}]
+	 * }).catch((error) => { })
+	 */
+	async getMetricPoints(metric_id, query, with_meta, request_options){
+		// Allow `with_meta` to be passed without a query, the same as the other list methods
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
+		let response 
+
+		let url = "/v1/metrics/" + metric_id + "/points"
+		let params = buildQuery("metric_points", query)
+
+		try {
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
+		} catch (e) {
+			throw this.createError(url, 'GET', e)
+		}
+
+		// If the user would like the "meta" data returned as well, they need to set the with_meta flag
+		// otherwise, we will just return an array of Metric Points 
+		// (since its nicer to work with than always doing .data on the response)
+		if (with_meta)
+			return response.data
+		else
+			return response.data.data
+	}
+	/**
+	 * Iterate over all the Metric Points, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to get Metric Points from
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Date|Number|String} [options.from] - Only return Metric Points created at or after this time (See {@link parseTime})
+	 * @param  {Date|Number|String} [options.to] - Only return Metric Points created before this time (See {@link parseTime})
+	 * @param  {Number} [options.utc_offset=0] - The offset from UTC in minutes of the Cachet instance's timezone, which the `created_at` of each
+	 * Metric Point is in, for example `-300` for US Eastern Standard Time
+	 * @param  {Integer} [options.per_page] - How many Metric Points to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Metric Points have been returned
+	 * @return {AsyncIterator.<MetricPoint>} Returns an Async Iterator that yields Metric Points
+	 * 
+	 * @example
+	 * for await (let point of cachet_api.iterateMetricPoints(0, { from: new Date(Date.now() - 60 * 60 * 1000) })) {
+	 * 	// point = {@link MetricPoint} from the last hour
+	 * }
+	 */
+	async *iterateMetricPoints(metric_id, options){
+		options = Object.assign({}, options)
+
+		let url = "/v1/metrics/" + metric_id + "/points"
+		let utc_offset = options.utc_offset
+
+		delete options.utc_offset
+
+		if (options.from === undefined && options.to === undefined){
+			yield* this.paginate(url, "metric_points", options)
+			return
+		}
+
+		let from = options.from !== undefined ? parseTime(options.from, utc_offset) : -Infinity
+		let to = options.to !== undefined ? parseTime(options.to, utc_offset) : Infinity
+		let max_items = options.max_items
+
+		delete options.from
+		delete options.to
+		delete options.max_items
+
+		if (max_items !== undefined && (!Number.isInteger(max_items) || max_items < 1))
+			throw new CachetValidationError("Error! max_items must be a positive Integer, got " + JSON.stringify(max_items))
+
+		// Cachet can't filter by time, so read the newest points first and stop once we reach points from before the range
+		if (options.sort === undefined){
+			options.sort = "created_at"
+			options.order = "desc"
+		}
+
+		let newest_first = options.sort === "created_at" && options.order === "desc"
+		let oldest_first = options.sort === "created_at" && options.order !== "desc"
+		let yielded = 0
+
+		for await (let point of this.paginate(url, "metric_points", options)){
+			let time = parseTime(point.created_at, utc_offset)
+
+			if ((newest_first && time < from) || (oldest_first && time >= to))
+				return
+			if (time < from || time >= to)
+				continue
+
+			yield point
+
+			if (max_items && ++yielded >= max_items)
+				return
+		}
+	}
+	/**
+	 * Get all the Metric Points, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to get Metric Points from
+	 * @param  {Object} [options] - The same options as {@link CachetAPI#iterateMetricPoints}, including the `from` and `to` time range
+	 * @return {Promise<Array.<MetricPoint>>} Returns an Array of Metric Points
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let points = await cachet_api.getAllMetricPoints(0, { from: "2018-07-01 00:00:00", to: "2018-07-02 00:00:00" })
+	 * // points = [{@link MetricPoint}, {@link MetricPoint}, {@link MetricPoint}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getAllMetricPoints(0, { from: "2018-07-01 00:00:00", to: "2018-07-02 00:00:00" }).then((points) => {
+	 * 	// points = [{@link MetricPoint}, {@link MetricPoint}, {@link MetricPoint}]
+	 * }).catch((error) => { })
+	 */
+	async getAllMetricPoints(metric_id, options){
+		let points = []
+
+		for await (let point of this.iterateMetricPoints(metric_id, options))
+			points.push(point)
+
+		return points
+	}
+	/**
+	 * Summarize the Metric Points of a Metric over a time range, in buckets of time. Each bucket's `value` is worked out the same way
+	 * Cachet does on its status page, using the Metric's `calc_type` and `default_value`.
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to summarize
+	 * @param  {Object} options - How to summarize the Metric Points (See {@link summarizeMetricPoints})
+	 * @param  {String|Number} options.interval - The size of each bucket, as `minute`, `hour`, `day`, `week` or a number of seconds
+	 * @param  {Date|Number|String} [options.from] - The start of the range (See {@link parseTime})
+	 * @param  {Date|Number|String} [options.to] - The end of the range (See {@link parseTime})
+	 * @param  {Array.<Number>} [options.percentiles] - Also work out these percentiles (0 to 100) for each bucket
+	 * @param  {Number} [options.utc_offset=0] - The offset from UTC in minutes of the Cachet instance's timezone (See {@link CachetAPI#iterateMetricPoints})
+	 * @param  {AbortSignal} [options.signal] - Cancel the requests with an AbortSignal (See {@link RequestOptions})
+	 * @param  {Integer} [options.timeout] - Give up if the requests take longer than this many milliseconds in total (See {@link RequestOptions})
+	 * @return {Promise<Array.<MetricBucket>>} Returns every bucket in the range, in order
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let buckets = await cachet_api.getMetricSummary(0, { from: Date.now() - 24 * 60 * 60 * 1000, to: Date.now(), interval: "hour", percentiles: [95] })
+	 * // buckets = [{@link MetricBucket}, {@link MetricBucket}, {@link MetricBucket}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getMetricSummary(0, { interval: "day" }).then((buckets) => {
+	 * 	// buckets = [{@link MetricBucket}, {@link MetricBucket}, {@link MetricBucket}]
+	 * }).catch((error) => { })
+	 */
+	async getMetricSummary(metric_id, options){
+		options = options || {}
+
+		// Share one deadline between reading the Metric and its points
+		let request_options = this.requestConfig(splitRequestOptions(options).request_options)
+
+		let metric = await this.getMetric(metric_id, request_options)
+		let points = await this.getAllMetricPoints(metric_id, Object.assign({ from: options.from, to: options.to, utc_offset: options.utc_offset, per_page: options.per_page }, request_options))
+
+		return summarizeMetricPoints(points, Object.assign({
+			calc_type: parseInt(metric.calc_type, 10),
+			default_value: metric.default_value
+		}, options))
+	}
+	/**
+	 * Add a new Component
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to add a Metric Point to
+	 * @param  {MetricPoint} point - The Metric Point you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<MetricPoint>} Returns a MetricPoint
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let metric_point = await cachet_api.addMetricPoint({
+	 * 	value: 0.75
+	 * })
+	 * // metric_point = {@link MetricPoint}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.addMetricPoint({
+	 * 	value: 0.75
+	 * }).then((metric_point) => {
+	 * 	// metric_point = {@link MetricPoint}
+	 * }).catch((error) => { })
+	 */
+	async addMetricPoint(metric_id, point, request_options){
+		validateMetricPoint(point)
+
+		let response 
+
+		let url = "/v1/metrics/" + metric_id + "/points"
+
+		try {
+			response = await this.api.post(url, point, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'POST', e)
+		}
+
+		// axios wraps in data AND cachet wraps in data. Unwrap both.
+		return response.data.data
+	}
+	/**
+	 * @typedef {Object} MetricPointImportReport
+	 * @property {Integer} total - How many rows were in the input
+	 * @property {Integer} succeeded - How many Metric Points were added
+	 * @property {Integer} failed - How many rows couldn't be read or added
+	 * @property {Array.<Object>} rows - One entry per row of the input, in order, with the `row` number (starting from 1, not counting a CSV header),
+	 * a `status` of `ok` or `error`, the `point` that was sent, and either the `result` from Cachet or the `error`
+	 */
+	/**
+	 * Import (or backfill) many Metric Points at once, from CSV, JSON or an Array. Timestamps can be Dates, ISO 8601 strings, Cachet's
+	 * `YYYY-MM-DD HH:mm:ss` format, or Unix timestamps in seconds or milliseconds, and are converted to the Unix timestamps that Cachet expects.
+	 *
+	 * Cachet adds Metric Points one at a time, so they are sent in chunks of `chunk_size` requests at once. Rows that can't be read or
+	 * that Cachet rejects don't stop the import. Check the report to see which rows failed, and why.
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to add Metric Points to
+	 * @param  {String|Array.<Object|Array>} points - The Metric Points to import (See {@link parseMetricPointRows})
+	 * @param  {Object} [options] - Options about the import
+	 * @param  {String} [options.from] - The format of `points` when it is a String, either `csv` or `json`
+	 * @param  {Object} [options.columns] - The names of the value and timestamp fields, if they aren't `value` and `timestamp`
+	 * @param  {Number} [options.utc_offset=0] - The offset from UTC in minutes of timestamps that don't include a timezone
+	 * @param  {Integer} [options.chunk_size=10] - How many Metric Points to send at the same time
+	 * @param  {Function} [options.onProgress] - Called with `(done, total)` after each chunk has been sent
+	 * @return {Promise<MetricPointImportReport>} Returns a report of which rows were added
+	 *
+	 * @example <caption>Async/Await</caption>
+	 * let csv = fs.readFileSync("latency.csv", "utf8")
+	 * // time,latency_ms
+	 * // 2018-07-01T12:00:00Z,42
+	 * // 2018-07-01T12:01:00Z,57
+	 *
+	 * let report = await cachet_api.importMetricPoints(0, csv, { from: "csv", columns: { timestamp: "time", value: "latency_ms" } })
+	 * // report = { total: 2, succeeded: 2, failed: 0, rows: [{ row: 1, status: "ok", point, result }, { row: 2, status: "ok", point, result }] }
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.importMetricPoints(0, [{ value: 42, timestamp: new Date() }, [1530446400, 57]]).then((report) => {
+	 * 	// report = {@link MetricPointImportReport}
+	 * }).catch((error) => { })
+	 */
+	async importMetricPoints(metric_id, points, options){
+		options = Object.assign({ chunk_size: 10 }, options)
+
+		if (!Number.isInteger(options.chunk_size) || options.chunk_size < 1)
+			throw new CachetValidationError("Error! options.chunk_size must be a positive Integer, got " + JSON.stringify(options.chunk_size))
+
+		let rows = parseMetricPointRows(points, options)
+		let pending = rows.filter((row) => !row.error)
+
+		for (let i = 0; i < pending.length; i += options.chunk_size){
+			await Promise.all(pending.slice(i, i + options.chunk_size).map(async (row) => {
+				try {
+					row.result = await this.addMetricPoint(metric_id, row.point)
+				} catch (e) {
+					row.error = e
+				}
+			}))
+
+			if (options.onProgress)
+				options.onProgress(Math.min(i + options.chunk_size, pending.length), pending.length)
+		}
+
+		let report = { total: rows.length, succeeded: 0, failed: 0, rows: [] }
+
+		for (let row of rows){
+			if (row.error){
+				report.failed++
+				report.rows.push({ row: row.row, status: "error", point: row.point, error: row.error })
+			} else {
+				report.succeeded++
+				report.rows.push({ row: row.row, status: "ok", point: row.point, result: row.result })
+			}
+		}
+
+		return report
+	}
+	/**
+	 * Delete a Metric Point
+	 * @param  {Integer} metric_id - The ID of the Metric you wish to delete a Metric Point from
+	 * @param  {Integer} point_id - The ID of the Metric Point you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Boolean>} Returns `true` if Metric Point deletion was successful
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let success = await cachet_api.deleteMetricPoint(0, 0)
+	 * // success = true
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.deleteMetricPoint(0, 0).then((success) => {
+	 * 	// success = true
+	 * }).catch((error) => { })
+	 */
+	async deleteMetricPoint(metric_id, point_id, request_options){
+		let response 
+
+		let url = "/v1/metrics/" + metric_id + "/points/" + point_id
+
+		try {
+			response = await this.api.delete(url, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'DELETE', e)
+		}
+
+		// Since nothing is returned from the API other than `204`, return true
+		return true
+	}
+
+	/* ----------------- SUBSCRIBERS ----------------- */
+	/**
+	 * @typedef {Object} Subscriber
+	 * @property {String} email - The email address of the Subscriber
+	 * @property {Boolean} [verify] - Set this to true to mark the Subscriber as verified straight away, instead of Cachet emailing them to confirm
+	 * @property {Array.<Integer>} [components="*"] - Array of component_id's that you wish to subscribe to
+	 * @property {String} [verified_at] - When the Subscriber confirmed their email address, or `null` if they haven't yet
+	 */
+	/**
+	 * @typedef {Object} Subscription
+	 * @property {Integer} id - The ID of the Subscription
+	 * @property {Integer} subscriber_id - The Subscriber that is subscribed
+	 * @property {Integer} component_id - The Component they are subscribed to
+	 */
+	/**
+	 * Get all the Subscribers
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Subscribers (See {@link ListQuery})
+	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Array.<Subscriber>>} Returns an Array of Subscribers
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let subscribers = await cachet_api.getSubscribers()
+	 * // subscribers = [{@link Subscriber}, {@link Subscriber}, {@link Subscriber}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getSubscribers().then((subscribers) => {
+	 * 	// subscribers = [{@link Subscriber}, {@link Subscriber}, {@link Subscriber}]
+	 * }).catch((error) => { })
+	 */
+	async getSubscribers(query, with_meta, request_options){
+		// Allow `with_meta` to be passed without a query, the same as the other list methods
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
+		let response 
+
+		let url = "/v1/subscribers"
+		let params = buildQuery("subscribers", query)
+
+		try {
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
+		} catch (e) {
+			throw this.createError(url, 'GET', e)
+		}
+
+		// If the user would like the "meta" data returned as well, they need to set the with_meta flag
+		// otherwise, we will just return an array of Subscribers 
+		// (since its nicer to work with than always doing .data on the response)
+		if (with_meta)
+			return response.data
+		else
+			return response.data.data
+	}
+	/**
+	 * Iterate over all the Subscribers, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Subscribers to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Subscribers have been returned
+	 * @return {AsyncIterator.<Subscriber>} Returns an Async Iterator that yields Subscribers
+	 * 
+	 * @example
+	 * for await (let subscriber of cachet_api.iterateSubscribers({ per_page: 50 })) {
+	 * 	// subscriber = {@link Subscriber}
+	 * }
+	 */
+	iterateSubscribers(options){
+		return this.paginate("/v1/subscribers", "subscribers", options)
+	}
+	/**
+	 * Get all the Subscribers, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Subscribers to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Subscribers have been returned
+	 * @return {Promise<Array.<Subscriber>>} Returns an Array of Subscribers
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let subscribers = await cachet_api.getAllSubscribers({ max_items: 500 })
+	 * // subscribers = [{@link Subscriber}, {@link Subscriber}, {@link Subscriber}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getAllSubscribers({ max_items: 500 }).then((subscribers) => {
+	 * 	// subscribers = [{@link Subscriber}, {@link Subscriber}, {@link Subscriber}]
+	 * }).catch((error) => { })
+	 */
+	async getAllSubscribers(options){
+		let subscribers = []
+
+		for await (let subscriber of this.iterateSubscribers(options))
+			subscribers.push(subscriber)
+
+		return subscribers
+	}
+	/**
+	 * Add a new Subscriber
+	 * @param  {Subscriber} subscriber - The Subscriber you wish to add
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Subscriber>} Returns a Subscriber
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let subscriber = await cachet_api.addSubscriber({
+	 * 	email: "email@example.com"
+	 * })
+	 * // subscriber = {@link Subscriber}
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.addSubscriber({
+	 * 	email: "email@example.com"
+	 * }).then((subscriber) => {
+	 * 	// subscriber = {@link Subscriber}
+	 * }).catch((error) => { })
+	 */
+	async addSubscriber(subscriber, request_options){
+		validateSubscriber(subscriber)
+
+		let response 
+
+		let url = "/v1/subscribers"
+
+		try {
+			response = await this.api.post(url, subscriber, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'POST', e)
+		}
+
+		// axios wraps in data AND cachet wraps in data. Unwrap both.
+		return response.data.data
+	}
+	/**
+	 * Delete a Subscriber
+	 * @param  {Integer} subscriber_id - The ID of the Subscriber you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Boolean>} Returns `true` if Subscriber deletion was successful
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let success = await cachet_api.deleteSubscriber(0)
+	 * // success = true
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.deleteSubscriber(0).then((success) => {
+	 * 	// success = true
+	 * }).catch((error) => { })
+	 */
+	async deleteSubscriber(subscriber_id, request_options){
+		let response 
+
+		let url = "/v1/subscribers/" + subscriber_id
+
+		try {
+			response = await this.api.delete(url, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'DELETE', e)
+		}
+
+		// Since nothing is returned from the API other than `204`, return true
+		return true
+	}
+
+	/**
+	 * Import many Subscribers at once, from CSV or an Array. Email addresses that are already subscribed, or that appear more than once, are
+	 * skipped, and invalid email addresses are reported rather than sent. Check the report to see what happened to each row.
+	 * @param  {String|Array.<Object|String>} subscribers - The Subscribers to import (See {@link parseSubscriberRows})
+	 * @param  {Object} [options] - Options about the import
+	 * @param  {Object} [options.columns] - The names of the `email`, `components` and `verify` fields, if they are named differently
+	 * @param  {Boolean} [options.verify=false] - Mark the new Subscribers as verified, for rows that don't say
+	 * @param  {Array.<Integer>} [options.components] - The Component IDs to subscribe to, for rows that don't say. Subscribes to every Component if left out.
+	 * @param  {Integer} [options.chunk_size=10] - How many Subscribers to add at the same time
+	 * @param  {Function} [options.onProgress] - Called with `(done, total)` after each chunk has been sent
+	 * @return {Promise<SubscriberImportReport>} Returns a report of which rows were added (See {@link SubscriberImportReport})
+	 *
+	 * @example <caption>Async/Await</caption>
+	 * let csv = fs.readFileSync("subscribers.csv", "utf8")
+	 * // email,components
+	 * // alice@example.com,1;2
+	 * // bob@example.com,
+	 * // ALICE@example.com,3
+	 *
+	 * let report = await cachet_api.importSubscribers(csv, { verify: true })
+	 * // report = { total: 3, added: 2, existing: 0, duplicates: 1, invalid: 0, failed: 0, rows: [...] }
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.importSubscribers(["alice@example.com", "bob@example.com"]).then((report) => {
+	 * 	// report = {@link SubscriberImportReport}
+	 * }).catch((error) => { })
+	 */
+	importSubscribers(subscribers, options){
+		return importSubscribers(this, subscribers, options)
+	}
+	/**
+	 * Get the Subscriptions of a Subscriber, which are the Components they get notified about
+	 * @param  {Integer} subscriber_id - The ID of the Subscriber you wish to get Subscriptions for
+	 * @param  {ListQuery} [query] - Filter, sort and paginate the Subscriptions (See {@link ListQuery})
+	 * @param  {boolean} [with_meta=false] - Set this to true if you would like the original response with meta info (paginated info)
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Array.<Subscription>>} Returns an Array of Subscriptions
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let subscriptions = await cachet_api.getSubscriptions(0)
+	 * // subscriptions = [{@link Subscription}, {@link Subscription}, {@link Subscription}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getSubscriptions(0).then((subscriptions) => {
+	 * 	// subscriptions = [{@link Subscription}, {@link Subscription}, {@link Subscription}]
+	 * }).catch((error) => { })
+	 */
+	async getSubscriptions(subscriber_id, query, with_meta, request_options){
+		// Allow `with_meta` to be passed without a query, the same as the other list methods
+		if (typeof query === "boolean"){
+			request_options = with_meta
+			with_meta = query
+			query = undefined
+		}
+
+		let response 
+
+		let url = "/v1/subscribers/" + subscriber_id + "/subscriptions"
+		let params = buildQuery("subscriptions", query)
+
+		try {
+			response = await this.api.get(url, this.requestConfig(request_options, { params }))
+		} catch (e) {
+			throw this.createError(url, 'GET', e)
+		}
+
+		if (with_meta)
+			return response.data
+		else
+			return response.data.data
+	}
+	/**
+	 * Iterate over all the Subscriptions of a Subscriber, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Integer} subscriber_id - The ID of the Subscriber you wish to get Subscriptions for
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Subscriptions to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop iterating once this many Subscriptions have been returned
+	 * @return {AsyncIterator.<Subscription>} Returns an Async Iterator that yields Subscriptions
+	 * 
+	 * @example
+	 * for await (let subscription of cachet_api.iterateSubscriptions(0, { per_page: 50 })) {
+	 * 	// subscription = {@link Subscription}
+	 * }
+	 */
+	iterateSubscriptions(subscriber_id, options){
+		return this.paginate("/v1/subscribers/" + subscriber_id + "/subscriptions", "subscriptions", options)
+	}
+	/**
+	 * Get all the Subscriptions of a Subscriber, following the pagination links that Cachet sends back until every page has been read
+	 * @param  {Integer} subscriber_id - The ID of the Subscriber you wish to get Subscriptions for
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many Subscriptions to request from Cachet per page
+	 * @param  {Integer} [options.max_items] - Stop once this many Subscriptions have been returned
+	 * @return {Promise<Array.<Subscription>>} Returns an Array of Subscriptions
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let subscriptions = await cachet_api.getAllSubscriptions(0)
+	 * // subscriptions = [{@link Subscription}, {@link Subscription}, {@link Subscription}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.getAllSubscriptions(0).then((subscriptions) => {
+	 * 	// subscriptions = [{@link Subscription}, {@link Subscription}, {@link Subscription}]
+	 * }).catch((error) => { })
+	 */
+	async getAllSubscriptions(subscriber_id, options){
+		let subscriptions = []
+
+		for await (let subscription of this.iterateSubscriptions(subscriber_id, options))
+			subscriptions.push(subscription)
+
+		return subscriptions
+	}
+	/**
+	 * Subscribe a Subscriber to some Components. Components they are already subscribed to are left as they are.
+	 * @param  {Integer} subscriber_id - The ID of the Subscriber
+	 * @param  {Array.<Integer>} component_ids - The IDs of the Components to subscribe them to
+	 * @param  {RequestOptions} [request_options] - Cancel the requests with an AbortSignal, or give them a timeout in total (See {@link RequestOptions})
+	 * @return {Promise<Array.<Subscription>>} Returns the Subscription to each of the Components, in the same order
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let subscriptions = await cachet_api.subscribeToComponents(0, [1, 2])
+	 * // subscriptions = [{@link Subscription}, {@link Subscription}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.subscribeToComponents(0, [1, 2]).then((subscriptions) => {
+	 * 	// subscriptions = [{@link Subscription}, {@link Subscription}]
+	 * }).catch((error) => { })
+	 */
+	async subscribeToComponents(subscriber_id, component_ids, request_options){
+		if (!Array.isArray(component_ids) || !component_ids.every((id) => Number.isInteger(id)))
+			throw new CachetValidationError("Error! component_ids must be an array of Component IDs, got " + JSON.stringify(component_ids))
+
+		// Share one deadline between every request
+		request_options = this.requestConfig(request_options)
+
+		let existing = await this.getAllSubscriptions(subscriber_id, request_options)
+
+		let url = "/v1/subscribers/" + subscriber_id + "/subscriptions"
+		let subscriptions = []
+
+		for (let component_id of component_ids){
+			let subscription = existing.find((subscription) => subscription.component_id === component_id)
+
+			if (subscription){
+				subscriptions.push(subscription)
+				continue
+			}
+
+			let response
+
+			try {
+				response = await this.api.post(url, { component_id }, this.requestConfig(request_options))
+			} catch (e) {
+				throw this.createError(url, 'POST', e)
+			}
+
+			subscriptions.push(response.data.data)
+			existing.push(response.data.data)
+		}
+
+		return subscriptions
+	}
+	/**
+	 * Unsubscribe a Subscriber from some Components, by deleting their Subscriptions to them. Components they aren't subscribed to are ignored.
+	 * @param  {Integer} subscriber_id - The ID of the Subscriber
+	 * @param  {Array.<Integer>} component_ids - The IDs of the Components to unsubscribe them from
+	 * @param  {RequestOptions} [request_options] - Cancel the requests with an AbortSignal, or give them a timeout in total (See {@link RequestOptions})
+	 * @return {Promise<Array.<Subscription>>} Returns the Subscriptions that were deleted
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let removed = await cachet_api.unsubscribeFromComponents(0, [2])
+	 * // removed = [{@link Subscription}]
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.unsubscribeFromComponents(0, [2]).then((removed) => {
+	 * 	// removed = [{@link Subscription}]
+	 * }).catch((error) => { })
+	 */
+	async unsubscribeFromComponents(subscriber_id, component_ids, request_options){
+		if (!Array.isArray(component_ids) || !component_ids.every((id) => Number.isInteger(id)))
+			throw new CachetValidationError("Error! component_ids must be an array of Component IDs, got " + JSON.stringify(component_ids))
+
+		request_options = this.requestConfig(request_options)
+
+		let subscriptions = await this.getAllSubscriptions(subscriber_id, request_options)
+		let removed = subscriptions.filter((subscription) => component_ids.indexOf(subscription.component_id) !== -1)
+
+		for (let subscription of removed)
+			await this.deleteSubscription(subscriber_id, subscription.id, request_options)
+
+		return removed
+	}
+	/**
+	 * Delete a Subscription
+	 * @param  {Integer} subscriber_id - The ID of the Subscriber the Subscription belongs to
+	 * @param  {Integer} subscription_id - The ID of the Subscription you wish to delete
+	 * @param  {RequestOptions} [request_options] - Cancel the request with an AbortSignal, or give it a timeout (See {@link RequestOptions})
+	 * @return {Promise<Boolean>} Returns `true` if Subscription deletion was successful
+	 * 
+	 * @example <caption>Async/Await</caption>
+	 * let success = await cachet_api.deleteSubscription(0, 0)
+	 * // success = true
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.deleteSubscription(0, 0).then((success) => {
+	 * 	// success = true
+	 * }).catch((error) => { })
+	 */
+	async deleteSubscription(subscriber_id, subscription_id, request_options){
+		let response 
+
+		let url = "/v1/subscribers/" + subscriber_id + "/subscriptions/" + subscription_id
+
+		try {
+			response = await this.api.delete(url, this.requestConfig(request_options))
+		} catch (e) {
+			throw this.createError(url, 'DELETE', e)
+		}
+
+		// Since nothing is returned from the API other than `204`, return true
+		return true
+	}
+
+	/* ----------------- BACKUP ----------------- */
+	/**
+	 * Export everything in Cachet into a single JSON-safe document: Component Groups, Components, Incidents (with their updates),
+	 * Metrics (with their points), Schedules and Subscribers (with their Subscriptions). Use {@link CachetAPI#importAll} to restore it, on this or another instance.
+	 * @param  {Object} [options] - Options about the export
+	 * @param  {Boolean} [options.points=true] - Include Metric Points, which can be most of the document on a busy instance
+	 * @param  {Number} [options.utc_offset=0] - The offset from UTC in minutes of this Cachet instance's timezone, saved in the document for {@link CachetAPI#importAll}
+	 * @return {Promise<BackupDocument>} Returns the backup document (See {@link BackupDocument})
+	 *
+	 * @example <caption>Async/Await</caption>
+	 * let backup = await cachet_api.exportAll()
+	 * fs.writeFileSync("cachet-backup.json", JSON.stringify(backup))
+	 *
+	 * @example <caption>Promise</caption>
+	 * cachet_api.exportAll().then((backup) => {
+	 * 	// backup = {@link BackupDocument}
+	 * }).catch((error) => { })
+	 */
+	async exportAll(options){
+		return exportAll(this, options)
+	}
+	/**
+	 * Recreate everything in a backup from {@link CachetAPI#exportAll}. The new items get new IDs, so the `group_id` of Components,
+	 * the `component_id` of Incidents and the Components of Schedules and Subscriptions are pointed at the new IDs, and Incident Updates and Metric Points
+	 * are added to the new Incidents and Metrics. If anything fails, nothing more is imported, and the Error that is thrown has
+	 * what was already imported on `error.imported`.
+	 * @param  {BackupDocument} doc - The backup document
+	 * @param  {Object} [options] - Options about the import
+	 * @param  {Boolean} [options.remapIds=true] - Point foreign keys at the IDs the new items were given. Turn this off if the instance
+	 * is empty and will give out the same IDs as the old one.
+	 * @param  {Number} [options.utc_offset] - The offset from UTC in minutes of the timezone the document's dates are in (defaults to the one saved in the document)
+	 * @return {Promise<ImportResult>} Returns the new ID of every item, and how many of each were imported (See {@link ImportResult})
+	 * @throws {CachetValidationError} Throws if the document is not a backup, or was made by a newer version
+	 *
+	 * @example <caption>Async/Await</caption>
+	 * let backup = await old_cachet_api.exportAll()
+	 * let { ids, counts } = await new_cachet_api.importAll(backup)
+	 * // ids.components = { 1: 14, 2: 15 }, counts = { groups: 1, components: 2, incidents: 3, ... }
+	 *
+	 * @example <caption>Promise</caption>
+	 * new_cachet_api.importAll(backup).then(({ ids, counts }) => {
+	 * 	// ids = { groups: {}, components: {}, incidents: {}, ... }
+	 * }).catch((error) => {
+	 * 	// error.imported = what was imported before the error
+	 * })
+	 */
+	async importAll(doc, options){
+		return importAll(this, doc, options)
+	}
+
+	/* ----------------- WATCHING ----------------- */
+	/**
+	 * Start polling Cachet for changes to Components, Incidents and Incident Updates. See {@link Watcher} for the events that are emitted.
+	 * @param  {Object} [options] - Options about what to watch, and how often (See {@link Watcher})
+	 * @return {Watcher} Returns a Watcher that has already started polling. Call `watcher.stop()` to stop it.
+	 *
+	 * @example
+	 * let watcher = cachet_api.watch({ interval: 15000 })
+	 *
+	 * watcher.on("component:status-changed", ({ before, after }) => {
+	 * 	// before = {@link Component}, after = {@link Component}
+	 * })
+	 * watcher.on("incident:created", ({ after }) => {
+	 * 	// after = {@link Incident}
+	 * })
+	 */
+	watch(options){
+		return new Watcher(this, options).start()
+	}
+
+	/* ----------------- Utilities ----------------- */
+	/**
+	 * Walk through every page of a paginated Cachet list endpoint. The first page is requested from `url`,
+	 * after which the `meta.pagination.links.next_page` URL that Cachet returns is followed until there are no pages left.
+	 * @param  {String} url - The URL of the list endpoint to paginate through
+	 * @param  {String} resource - The resource being listed, used to validate the query (See {@link buildQuery})
+	 * @param  {Object} [options] - Pagination options, along with any of the filter and sort options from {@link ListQuery}, and the `signal` and `timeout` from {@link RequestOptions}
+	 * @param  {Integer} [options.per_page] - How many items to request per page
+	 * @param  {Integer} [options.max_items] - Stop once this many items have been yielded
+	 * @return {AsyncIterator.<Object>} Yields each item from every page
+	 * @private
+	 */
+	async *paginate(url, resource, options){
+		options = Object.assign({}, options)
+
+		let max_items = options.max_items
+		delete options.max_items
+
+		if (max_items !== undefined && (!Number.isInteger(max_items) || max_items < 1))
+			throw new CachetValidationError("Error! max_items must be a positive Integer, got " + JSON.stringify(max_items))
+
+		let { request_options, rest } = splitRequestOptions(options)
+		let params = buildQuery(resource, rest)
+
+		// The timeout covers reading every page, rather than each page on its own
+		if (request_options.timeout !== undefined)
+			request_options.deadline = this.requestConfig(request_options).deadline
+
+		let yielded = 0
+		let next_url = url
+
+		while (next_url){
+			let response
+
+			try {
+				response = await this.api.get(next_url, this.requestConfig(request_options, { params }))
+			} catch (e) {
+				throw this.createError(next_url, 'GET', e)
+			}
+
+			let items = response.data.data || []
+
+			for (let item of items){
+				if (max_items && yielded >= max_items)
+					return
+
+				yielded++
+				yield item
+			}
+
+			if (max_items && yielded >= max_items)
+				return
+
+			let pagination = response.data.meta && response.data.meta.pagination
+
+			// Stop if Cachet gave us an empty page, otherwise follow the link to the next page (if there is one)
+			if (items.length === 0 || !pagination || !pagination.links)
+				next_url = undefined
+			else
+				next_url = pagination.links.next_page
+
+			// The next_page link that Cachet gives us already contains the query string, so don't send it twice
+			params = {}
+		}
+	}
+	/**
+	 * Build the axios config for a request, with the signal and timeout from its {@link RequestOptions}
+	 * @param  {RequestOptions} [request_options] - The request options passed to the method
+	 * @param  {Object} [config] - Any other axios config for the request
+	 * @return {Object} The axios config
+	 * @throws {CachetValidationError} Throws if the signal or timeout is invalid
+	 * @private
+	 */
+	requestConfig(request_options, config){
+		return getRequestConfig(request_options, config)
+	}
+	/**
+	 * Convert a failed request into the matching {@link CachetError} subclass
+	 * @param  {String} url - The URL of the request that failed
+	 * @param  {String} type - The HTTP method of the request that failed
+	 * @param  {Error} error - The Error thrown by axios
+	 * @return {CachetError}
+	 * @private
+	 */
+	createError(url, type, error){
+		let cachet_error = fromAxiosError(error, type, url)
+
+		this.logger.error(redact(cachet_error.message, this.options.apiToken), {
+			method: type,
+			url,
+			status: cachet_error.status,
+			errors: redact(cachet_error.errors, this.options.apiToken)
+		})
+
+		return cachet_error
+	}
+	/**
+	 * Log an outgoing request at the `debug` level, with the API Token and subscriber emails redacted
+	 * @param  {Object} config - The axios request config
+	 * @return {Object} The unmodified request config
+	 * @private
+	 */
+	logRequest(config){
+		config.started_at = Date.now()
+
+		this.logger.debug(redact("Cachet Request: " + String(config.method).toUpperCase() + " " + config.url, this.options.apiToken), redact({
+			method: config.method,
+			url: config.url,
+			params: config.params,
+			headers: config.headers,
+			data: config.data
+		}, this.options.apiToken))
+
+		return config
+	}
+	/**
+	 * Log a successful response at the `debug` level, with the API Token and subscriber emails redacted
+	 * @param  {Object} response - The axios response
+	 * @return {Object} The unmodified response
+	 * @private
+	 */
+	logResponse(response){
+		let config = response.config || {}
+
+		this.logger.debug(redact("Cachet Response: " + response.status + " " + String(config.method).toUpperCase() + " " + config.url, this.options.apiToken), redact({
+			method: config.method,
+			url: config.url,
+			status: response.status,
+			duration: config.started_at ? Date.now() - config.started_at : undefined,
+			data: response.data
+		}, this.options.apiToken))
+
+		return response
+	}
+	/**
+	 * Attempt a failed request again if the retry policy allows it, waiting with exponential backoff between attempts
+	 * @param  {Error} error - The Error thrown by axios
+	 * @return {Promise<Object>} Resolves with the response of a successful retry, or rejects with the last Error
+	 * @private
+	 */
+	async retryRequest(error){
+		let config = error && error.config
+		let attempt = (config && config.attempt) || 1
+
+		if (!shouldRetry(this.retry_policy, error, attempt))
+			throw error
+
+		let delay = getRetryDelay(this.retry_policy, attempt, error)
+
+		// Don't start a retry that would only time out again before it could finish
+		if (config.deadline && config.deadline.at - Date.now() <= delay)
+			throw error
+
+		this.logger.warn(redact("Retrying Cachet Request: " + String(config.method).toUpperCase() + " " + config.url + " in " + delay + "ms", this.options.apiToken), {
+			attempt: attempt + 1,
+			max_attempts: this.retry_policy.max_attempts,
+			status: error.response && error.response.status,
+			code: error.code
+		})
+
+		await sleep(delay, config.signal)
+
+		config.attempt = attempt + 1
 
-		console.error(error)
-		
-		return new Error("Unable to " + type + " " + url + ": " + extraErrorText)
+		return this.api.request(config)
 	}
 }
\ No newline at end of file
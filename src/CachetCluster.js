@@ -0,0 +1,212 @@
+import CachetAPI from './CachetAPI'
+import { CachetNotFoundError, CachetValidationError } from './errors'
+
+// CachetAPI methods that aren't fanned out, either because they are internal or because they don't return a single Promise
+const EXCLUDED_METHODS = ["constructor", "watch", "paginate", "requestConfig", "createError", "logRequest", "logResponse", "retryRequest"]
+
+/**
+ * Check if a CachetAPI method can be called on every instance of a cluster
+ * @private
+ */
+function canFanOut(method){
+	return typeof CachetAPI.prototype[method] === "function" && EXCLUDED_METHODS.indexOf(method) === -1 && method.indexOf("iterate") !== 0
+}
+
+/**
+ * @typedef {Object} ClusterResult
+ * @property {Boolean} ok - `true` if the call succeeded on every instance
+ * @property {Object.<String, *>} results - What the call resolved with on each instance that it succeeded on, keyed by instance name
+ * @property {Object.<String, Error>} errors - The Error from each instance that it failed on, keyed by instance name
+ * @property {Array.<String>} succeeded - The names of the instances it succeeded on
+ * @property {Array.<String>} failed - The names of the instances it failed on
+ */
+
+/**
+ * Sends the same calls to several Cachet instances at once, such as a status page per region. Every {@link CachetAPI} method
+ * that returns a Promise is also a method of the cluster, which calls it on every instance in parallel and resolves with a
+ * {@link ClusterResult}. A call that fails on some instances still resolves, with those failures in `errors`.
+ *
+ * Components usually have different IDs on each instance, so use {@link CachetCluster#withComponent} to work with a Component by name.
+ *
+ * @example
+ * import { CachetCluster, ComponentStatus, IncidentStatus } from 'cachetapi'
+ *
+ * let cluster = new CachetCluster([
+ * 	{ name: "us", url: "https://status-us.example.com/api", apiToken: "..." },
+ * 	{ name: "eu", url: "https://status-eu.example.com/api", apiToken: "..." }
+ * ], { retry: { max_attempts: 5 } })
+ *
+ * let { ok, results, errors } = await cluster.withComponent("API", (api, component_id) => api.addIncident({
+ * 	name: "API Errors",
+ * 	message: "We are investigating elevated error rates",
+ * 	status: IncidentStatus.INVESTIGATING,
+ * 	component_id,
+ * 	component_status: ComponentStatus.PARTIAL_OUTAGE
+ * }))
+ * // results = { us: {@link Incident}, eu: {@link Incident} }, errors = {}
+ *
+ * let versions = await cluster.getVersion()
+ * // versions.results = { us: "2.3.15", eu: "2.3.15" }
+ */
+export default class CachetCluster {
+	/**
+	 * Create a new CachetCluster
+	 * @param  {Array.<Object>} instances - The Cachet instances, each with a unique `name`, and either the options for a new {@link CachetAPI}
+	 * (such as `url` and `apiToken`), or an existing CachetAPI as `api`
+	 * @param  {Object} [options] - Options passed to every new {@link CachetAPI}, under the options of each instance
+	 * @return {CachetCluster}
+	 */
+	constructor(instances, options){
+		if (!Array.isArray(instances) || instances.length === 0)
+			throw new CachetValidationError("Error! instances must be an Array of at least one Cachet instance")
+
+		this.instances = new Map()
+		this.component_ids = undefined
+
+		for (let instance of instances){
+			let name = instance && instance.name
+
+			if (typeof name !== "string" || name === "")
+				throw new CachetValidationError("Error! Every instance needs a name, got " + JSON.stringify(name))
+			if (this.instances.has(name))
+				throw new CachetValidationError("Error! Instance names must be unique, but " + JSON.stringify(name) + " is used more than once")
+
+			let api = instance.api
+
+			if (!api){
+				let api_options = Object.assign({}, options, instance)
+				delete api_options.name
+
+				api = new CachetAPI(api_options)
+			}
+
+			this.instances.set(name, api)
+		}
+	}
+
+	/**
+	 * The names of the instances, in the order they were given
+	 * @type {Array.<String>}
+	 */
+	get names(){
+		return Array.from(this.instances.keys())
+	}
+
+	/**
+	 * Get the {@link CachetAPI} of one instance
+	 * @param  {String} name - The name of the instance
+	 * @return {CachetAPI}
+	 * @throws {CachetValidationError} Throws if there is no instance with that name
+	 */
+	get(name){
+		if (!this.instances.has(name))
+			throw new CachetValidationError("Error! There is no instance named " + JSON.stringify(name))
+
+		return this.instances.get(name)
+	}
+
+	/**
+	 * Run a function against every instance in parallel
+	 * @param  {Function} fn - Called with `(api, name)` for each instance. Can return a value or a Promise.
+	 * @return {Promise<ClusterResult>} Resolves once every instance has finished. Never rejects.
+	 *
+	 * @example
+	 * let { results } = await cluster.map(async (api) => (await api.getComponents({ status: 4 })).length)
+	 * // results = { us: 0, eu: 2 }
+	 */
+	async map(fn){
+		let result = { ok: true, results: {}, errors: {}, succeeded: [], failed: [] }
+
+		await Promise.all(this.names.map(async (name) => {
+			try {
+				result.results[name] = await fn(this.instances.get(name), name)
+				result.succeeded.push(name)
+			} catch (e) {
+				result.errors[name] = e
+				result.failed.push(name)
+			}
+		}))
+
+		// Report instances in the order they were given, rather than the order they finished in
+		result.succeeded.sort((a, b) => this.names.indexOf(a) - this.names.indexOf(b))
+		result.failed.sort((a, b) => this.names.indexOf(a) - this.names.indexOf(b))
+		result.ok = result.failed.length === 0
+
+		return result
+	}
+	/**
+	 * Call a {@link CachetAPI} method with the same arguments on every instance. Every method that returns a Promise is also available
+	 * directly on the cluster, so `cluster.call("getComponents", query)` is the same as `cluster.getComponents(query)`.
+	 * @param  {String} method - The name of the {@link CachetAPI} method
+	 * @param  {...*} args - The arguments to call it with
+	 * @return {Promise<ClusterResult>} Resolves once every instance has finished. Never rejects.
+	 */
+	call(method, ...args){
+		if (!canFanOut(method))
+			return Promise.reject(new CachetValidationError("Error! " + JSON.stringify(method) + " is not a CachetAPI method that can be called on a cluster"))
+
+		return this.map((api) => api[method](...args))
+	}
+
+	/**
+	 * Find the ID of every Component on every instance, so that Components can be matched up by name. This is done automatically by
+	 * {@link CachetCluster#withComponent}, so you only need to call it yourself after Components have been added or renamed.
+	 * @return {Promise<ClusterResult>} Resolves with a map of Component name to ID for each instance
+	 */
+	async mapComponents(){
+		let mapped = await this.map(async (api) => {
+			let ids = {}
+
+			for (let component of await api.getAllComponents())
+				ids[component.name] = component.id
+
+			return ids
+		})
+
+		this.component_ids = Object.assign({}, this.component_ids, mapped.results)
+
+		return mapped
+	}
+	/**
+	 * Run a function against every instance, with the ID that a Component (matched by name) has on that instance. Instances that
+	 * don't have a Component with that name are reported as failed with a {@link CachetNotFoundError}.
+	 * @param  {String} component_name - The name of the Component
+	 * @param  {Function} fn - Called with `(api, component_id, name)` for each instance that has the Component
+	 * @return {Promise<ClusterResult>} Resolves once every instance has finished. Never rejects.
+	 *
+	 * @example
+	 * await cluster.withComponent("API", (api, component_id) => api.updateComponent(component_id, { status: ComponentStatus.MAJOR_OUTAGE }))
+	 */
+	async withComponent(component_name, fn){
+		let missing = () => !this.component_ids || this.names.some((name) => !this.component_ids[name] || this.component_ids[name][component_name] === undefined)
+
+		// Look the Components up again if any instance doesn't know about this one yet, in case it was added since
+		if (missing())
+			await this.mapComponents()
+
+		return this.map((api, name) => {
+			let ids = this.component_ids[name]
+
+			if (!ids)
+				throw new CachetNotFoundError("Error! Unable to read the Components of the " + JSON.stringify(name) + " instance")
+			if (ids[component_name] === undefined)
+				throw new CachetNotFoundError("Error! There is no Component named " + JSON.stringify(component_name) + " on the " + JSON.stringify(name) + " instance")
+
+			return fn(api, ids[component_name], name)
+		})
+	}
+}
+
+// Fan out every CachetAPI method that returns a Promise, such as `cluster.addIncident(incident)`
+for (let method of Object.getOwnPropertyNames(CachetAPI.prototype)){
+	if (!canFanOut(method) || CachetCluster.prototype[method])
+		continue
+
+	Object.defineProperty(CachetCluster.prototype, method, {
+		value: function(...args){
+			return this.call(method, ...args)
+		},
+		writable: true,
+		configurable: true
+	})
+}
@@ -0,0 +1,136 @@
+import { ComponentStatus, IncidentStatus } from './constants'
+import { CachetValidationError } from './errors'
+
+/**
+ * Walks an Incident through Cachet's Incident statuses (Investigating, Identified, Watching, Fixed), posting an
+ * Incident Update for each step and keeping the status of the linked Component in sync along the way.
+ *
+ * You will normally get one of these from {@link CachetAPI#openIncident} or {@link CachetAPI#resumeIncident}.
+ *
+ * @example
+ * import { ComponentStatus } from 'cachetapi'
+ *
+ * let workflow = await cachet_api.openIncident({
+ * 	name: "API Outage",
+ * 	message: "We are looking into reports of API errors",
+ * 	component_id: 3,
+ * 	component_status: ComponentStatus.MAJOR_OUTAGE
+ * })
+ *
+ * await workflow.identified("A bad deploy is causing errors", { component_status: ComponentStatus.PARTIAL_OUTAGE })
+ * await workflow.watching("The deploy has been rolled back")
+ * // Sets the Component back to Operational
+ * await workflow.resolve("The API is working normally again")
+ */
+export default class IncidentWorkflow {
+	/**
+	 * Create a new IncidentWorkflow for an existing Incident
+	 * @param  {CachetAPI} api - The CachetAPI to send requests with
+	 * @param  {Incident} incident - The Incident to manage (must have an `id`)
+	 * @param  {Object} [options] - Options about the workflow
+	 * @param  {Integer} [options.component_id] - The Component linked to the Incident (defaults to `incident.component_id`)
+	 * @param  {Integer} [options.component_status] - The current status of the linked Component
+	 * @return {IncidentWorkflow}
+	 * @throws {CachetValidationError} Throws if the `api` or the Incident's `id` is missing
+	 */
+	constructor(api, incident, options){
+		if (!api)
+			throw new CachetValidationError("Error! api is a required argument!")
+		if (!incident || incident.id === undefined || incident.id === null)
+			throw new CachetValidationError("Error! incident.id is required to create an IncidentWorkflow!")
+
+		options = options || {}
+
+		this.api = api
+		this.incident = incident
+		this.component_id = options.component_id !== undefined ? options.component_id : incident.component_id
+		this.component_status = options.component_status
+		this.status = incident.status
+		this.updates = []
+	}
+
+	/**
+	 * Post an "Investigating" Incident Update
+	 * @param  {String} message - The message for the Incident Update
+	 * @param  {Object} [options] - See {@link IncidentWorkflow#transition}
+	 * @return {Promise<IncidentUpdate>} Returns the Incident Update that was added
+	 */
+	investigating(message, options){
+		return this.transition(IncidentStatus.INVESTIGATING, message, options)
+	}
+	/**
+	 * Post an "Identified" Incident Update
+	 * @param  {String} message - The message for the Incident Update
+	 * @param  {Object} [options] - See {@link IncidentWorkflow#transition}
+	 * @return {Promise<IncidentUpdate>} Returns the Incident Update that was added
+	 */
+	identified(message, options){
+		return this.transition(IncidentStatus.IDENTIFIED, message, options)
+	}
+	/**
+	 * Post a "Watching" Incident Update
+	 * @param  {String} message - The message for the Incident Update
+	 * @param  {Object} [options] - See {@link IncidentWorkflow#transition}
+	 * @return {Promise<IncidentUpdate>} Returns the Incident Update that was added
+	 */
+	watching(message, options){
+		return this.transition(IncidentStatus.WATCHING, message, options)
+	}
+	/**
+	 * Post a "Fixed" Incident Update, and set the linked Component back to Operational
+	 * @param  {String} message - The message for the Incident Update
+	 * @param  {Object} [options] - See {@link IncidentWorkflow#transition}
+	 * @return {Promise<IncidentUpdate>} Returns the Incident Update that was added
+	 */
+	resolve(message, options){
+		return this.transition(IncidentStatus.FIXED, message, Object.assign({ component_status: ComponentStatus.OPERATIONAL }, options))
+	}
+	/**
+	 * Check if the Incident has been resolved
+	 * @return {Boolean}
+	 */
+	isResolved(){
+		return this.status === IncidentStatus.FIXED
+	}
+
+	/**
+	 * Post an Incident Update with the given status, then update the linked Component if its status should change
+	 * @param  {Integer} status - The {@link IncidentStatus} for the Incident Update
+	 * @param  {String} message - The message for the Incident Update
+	 * @param  {Object} [options] - Options about the transition
+	 * @param  {Integer} [options.component_status] - The {@link ComponentStatus} to set the linked Component to. If left out, the Component is left as is.
+	 * @return {Promise<IncidentUpdate>} Returns the Incident Update that was added
+	 * @throws {CachetValidationError} Throws if the Incident has already been resolved
+	 */
+	async transition(status, message, options){
+		options = options || {}
+
+		if (this.isResolved())
+			throw new CachetValidationError("Error! Incident " + this.incident.id + " has already been resolved!")
+
+		let update = await this.api.addIncidentUpdate(this.incident.id, { status, message })
+
+		this.status = status
+		this.updates.push(update)
+
+		await this.syncComponent(options.component_status)
+
+		return update
+	}
+	/**
+	 * Set the linked Component to a status, skipping the request if it already has that status
+	 * @param  {Integer} [component_status] - The {@link ComponentStatus} to set
+	 * @return {Promise}
+	 * @private
+	 */
+	async syncComponent(component_status){
+		if (this.component_id === undefined || this.component_id === null)
+			return
+		if (component_status === undefined || component_status === this.component_status)
+			return
+
+		await this.api.updateComponent(this.component_id, { status: component_status })
+
+		this.component_status = component_status
+	}
+}
@@ -0,0 +1,244 @@
+import { EventEmitter } from 'events'
+
+import { CachetValidationError } from './errors'
+
+/**
+ * Functions that combine the buffered values of a Metric into a single value
+ * @private
+ */
+const AGGREGATES = {
+	sum: (values) => values.reduce((total, value) => total + value, 0),
+	average: (values) => values.reduce((total, value) => total + value, 0) / values.length,
+	min: (values) => Math.min.apply(null, values),
+	max: (values) => Math.max.apply(null, values),
+	last: (values) => values[values.length - 1],
+	count: (values) => values.length
+}
+
+/**
+ * Buffers Metric Points in memory and sends them to Cachet in the background, so that reporting a value never waits on
+ * (or floods) the Cachet API. Points are flushed every `interval`, whenever a Metric has `batch_size` points waiting,
+ * and when the reporter is closed.
+ *
+ * Without `aggregate`, every point is sent as its own Metric Point. With `aggregate`, the points that were buffered for a Metric
+ * are combined into one Metric Point per flush, which is the best option for high frequency values like request latency.
+ *
+ * A MetricReporter never throws or rejects because of a failed request. Instead, it emits these events:
+ * - `sent` `(metric_id, point, result)` - A Metric Point was added
+ * - `failed` `(error, metric_id, points)` - A Metric Point could not be added. `points` are the reported points it was made from.
+ * - `dropped` `(metric_id, points, reason)` - Points were thrown away without being sent, because the buffer was full (`"buffer_full"`)
+ * or the reporter was already closed (`"closed"`)
+ * - `flush` `({ sent, failed })` - A flush finished
+ *
+ * @example
+ * import { MetricReporter } from 'cachetapi'
+ *
+ * let reporter = new MetricReporter(cachet_api, { interval: 30000, aggregate: "average" })
+ *
+ * reporter.on("failed", (error, metric_id, points) => console.error("Unable to report metric " + metric_id, error))
+ * reporter.start()
+ *
+ * // Called on every request, but only sends one Metric Point to Cachet every 30 seconds
+ * reporter.report(5, latency_ms)
+ *
+ * process.on("SIGTERM", async () => {
+ * 	// Send whatever is still buffered before exiting
+ * 	await reporter.close()
+ * 	process.exit(0)
+ * })
+ */
+export default class MetricReporter extends EventEmitter {
+	/**
+	 * Create a new MetricReporter
+	 * @param  {CachetAPI} api - The CachetAPI to send Metric Points with
+	 * @param  {Object} [options] - Options about the reporter
+	 * @param  {Integer} [options.interval=10000] - How often to flush the buffered points, in milliseconds (once {@link MetricReporter#start} has been called)
+	 * @param  {Integer} [options.batch_size=100] - Flush as soon as a Metric has this many points buffered
+	 * @param  {Integer} [options.max_buffer=10000] - The most points to buffer for a single Metric. Points reported past this are dropped.
+	 * @param  {Integer} [options.concurrency=4] - The most Metric Points to send to Cachet at the same time
+	 * @param  {String|Function} [options.aggregate] - Combine the points of each Metric into one point per flush, using `sum`, `average`,
+	 * `min`, `max`, `last` or `count`, or a function that takes an Array of values and returns the combined value.
+	 * Pick the one that matches the `calc_type` of the Metric (`sum` for {@link MetricCalcType}.SUM, `average` for {@link MetricCalcType}.AVERAGE).
+	 * @return {MetricReporter}
+	 */
+	constructor(api, options){
+		super()
+
+		if (!api)
+			throw new CachetValidationError("Error! api is a required argument!")
+
+		this.api = api
+		this.options = Object.assign({ interval: 10000, batch_size: 100, max_buffer: 10000, concurrency: 4 }, options)
+
+		let aggregate = this.options.aggregate
+
+		if (aggregate !== undefined && typeof aggregate !== "function" && !AGGREGATES[aggregate])
+			throw new CachetValidationError("Error! options.aggregate must be a function or one of " + Object.keys(AGGREGATES).join(", ") + ", got " + JSON.stringify(aggregate))
+
+		for (let option of ["interval", "batch_size", "max_buffer", "concurrency"]){
+			if (!Number.isInteger(this.options[option]) || this.options[option] < 1)
+				throw new CachetValidationError("Error! options." + option + " must be a positive Integer, got " + JSON.stringify(this.options[option]))
+		}
+
+		this.buffers = new Map()
+		this.timer = undefined
+		this.closed = false
+		this.flushing = Promise.resolve()
+	}
+
+	/**
+	 * Buffer a value for a Metric. It is sent to Cachet on the next flush.
+	 * @param  {Integer} metric_id - The ID of the Metric
+	 * @param  {Number} value - The value to report
+	 * @param  {Integer} [timestamp] - When the value was measured, as a Unix timestamp in seconds (defaults to now)
+	 * @throws {CachetValidationError} Throws if the value is not a finite Number
+	 */
+	report(metric_id, value, timestamp){
+		if (typeof value !== "number" || !isFinite(value))
+			throw new CachetValidationError("Error! The value for Metric " + metric_id + " must be a finite Number, got " + JSON.stringify(value))
+
+		let point = { value, timestamp: timestamp !== undefined ? timestamp : Math.floor(Date.now() / 1000) }
+
+		if (this.closed){
+			this.emit("dropped", metric_id, [point], "closed")
+			return
+		}
+
+		if (!this.buffers.has(metric_id))
+			this.buffers.set(metric_id, [])
+
+		let buffer = this.buffers.get(metric_id)
+
+		if (buffer.length >= this.options.max_buffer){
+			this.emit("dropped", metric_id, [point], "buffer_full")
+			return
+		}
+
+		buffer.push(point)
+
+		if (buffer.length >= this.options.batch_size)
+			this.flush()
+	}
+	/**
+	 * Get how many points are waiting to be sent
+	 * @return {Integer}
+	 */
+	get pending(){
+		let pending = 0
+
+		for (let points of this.buffers.values())
+			pending += points.length
+
+		return pending
+	}
+
+	/**
+	 * Start flushing the buffered points every `options.interval` milliseconds. The timer does not keep the process running.
+	 * @return {MetricReporter} Returns itself, so that calls can be chained
+	 */
+	start(){
+		if (this.timer || this.closed)
+			return this
+
+		this.timer = setInterval(() => this.flush(), this.options.interval)
+
+		if (this.timer.unref)
+			this.timer.unref()
+
+		return this
+	}
+	/**
+	 * Stop flushing on an interval. Points that are already buffered stay buffered until the next {@link MetricReporter#flush}.
+	 * @return {MetricReporter} Returns itself, so that calls can be chained
+	 */
+	stop(){
+		clearInterval(this.timer)
+		this.timer = undefined
+
+		return this
+	}
+	/**
+	 * Stop the reporter and send everything that is still buffered. Points reported after this are dropped.
+	 * @return {Promise<Object>} Resolves with `{ sent, failed }` once the last flush has finished
+	 */
+	close(){
+		this.stop()
+		this.closed = true
+
+		return this.flush()
+	}
+
+	/**
+	 * Send every point that is currently buffered. If a flush is already running, this one starts once it has finished.
+	 * @return {Promise<Object>} Resolves with how many Metric Points were `sent` and how many `failed`. Never rejects.
+	 */
+	flush(){
+		// Start after the previous flush even if it failed, so one bad flush doesn't stop all the ones after it
+		this.flushing = this.flushing.then(() => this.send(), () => this.send())
+
+		return this.flushing
+	}
+
+	/**
+	 * Take everything out of the buffers and send it, at most `options.concurrency` requests at a time
+	 * @return {Promise<Object>} Resolves with `{ sent, failed }`
+	 * @private
+	 */
+	async send(){
+		let jobs = []
+
+		for (let [metric_id, points] of this.buffers){
+			if (this.options.aggregate)
+				jobs.push({ metric_id, points, point: this.aggregate(points) })
+			else
+				jobs = jobs.concat(points.map((point) => ({ metric_id, points: [point], point })))
+		}
+
+		this.buffers = new Map()
+
+		let summary = { sent: 0, failed: 0 }
+
+		let worker = async () => {
+			while (jobs.length > 0){
+				let job = jobs.shift()
+				let result
+
+				try {
+					result = await this.api.addMetricPoint(job.metric_id, job.point)
+				} catch (e) {
+					summary.failed++
+					this.emit("failed", e, job.metric_id, job.points)
+					continue
+				}
+
+				summary.sent++
+				this.emit("sent", job.metric_id, job.point, result)
+			}
+		}
+
+		let workers = []
+
+		for (let i = 0; i < this.options.concurrency; i++)
+			workers.push(worker())
+
+		await Promise.all(workers)
+
+		this.emit("flush", summary)
+
+		return summary
+	}
+	/**
+	 * Combine buffered points into one, timestamped with the most recent point
+	 * @param  {Array.<Object>} points - The buffered points
+	 * @return {MetricPoint}
+	 * @private
+	 */
+	aggregate(points){
+		let aggregate = typeof this.options.aggregate === "function" ? this.options.aggregate : AGGREGATES[this.options.aggregate]
+
+		return {
+			value: aggregate(points.map((point) => point.value)),
+			timestamp: Math.max.apply(null, points.map((point) => point.timestamp))
+		}
+	}
+}
@@ -0,0 +1,823 @@
+import { ComponentStatus, IncidentStatus, ScheduleStatus } from './constants'
+
+/**
+ * How each resource is validated, what it defaults to, and how its fields are stored. The rules use the same names as the
+ * Laravel validation rules that Cachet uses, so that validation errors look the same as they do on a real Cachet server.
+ * @private
+ */
+const RESOURCES = {
+	components: {
+		rules: { name: "required|string", description: "string", status: "required|in:1,2,3,4", link: "string", order: "integer", group_id: "integer", enabled: "boolean" },
+		defaults: { description: "", link: "", order: 0, group_id: 0, enabled: true },
+		casts: { status: "integer", order: "integer", group_id: "integer", enabled: "boolean" },
+		statuses: ComponentStatus
+	},
+	groups: {
+		rules: { name: "required|string", order: "integer", collapsed: "in:0,1,2", visible: "boolean" },
+		defaults: { order: 0, collapsed: 0, visible: 1 },
+		casts: { order: "integer", collapsed: "integer", visible: "tinyint" }
+	},
+	incidents: {
+		rules: { name: "required|string", message: "string", status: "required|in:0,1,2,3,4", visible: "boolean", component_id: "integer", component_status: "in:1,2,3,4", notify: "boolean", stickied: "boolean", template: "string" },
+		defaults: { message: "", visible: 1, component_id: 0, stickied: 0 },
+		casts: { status: "integer", visible: "tinyint", component_id: "integer", stickied: "tinyint" },
+		// These are instructions for the server, rather than fields of the Incident
+		transient: ["component_status", "notify", "template", "vars"],
+		statuses: IncidentStatus
+	},
+	templates: {
+		rules: { name: "required|string", template: "required|string" },
+		defaults: {},
+		casts: {}
+	},
+	updates: {
+		rules: { status: "required|in:1,2,3,4", message: "required|string" },
+		defaults: { user_id: 1 },
+		casts: { status: "integer" },
+		statuses: IncidentStatus
+	},
+	schedules: {
+		rules: { name: "required|string", message: "string", status: "required|in:0,1,2", scheduled_at: "required|string", completed_at: "string", notify: "boolean" },
+		defaults: { message: "", completed_at: null },
+		// The status each Component should have during the maintenance, keyed by Component ID
+		casts: { status: "integer", components: "status_map" },
+		transient: ["notify"],
+		statuses: ScheduleStatus
+	},
+	metrics: {
+		rules: { name: "required|string", suffix: "required|string", description: "string", default_value: "numeric", calc_type: "in:0,1", display_chart: "boolean", places: "integer", default_view: "integer", threshold: "integer", order: "integer", visible: "boolean" },
+		defaults: { description: "", default_value: 0, calc_type: 0, display_chart: 1, places: 2, default_view: 1, threshold: 5, order: 0, visible: 1 },
+		casts: { default_value: "number", calc_type: "integer", display_chart: "tinyint", places: "integer", default_view: "integer", threshold: "integer", order: "integer", visible: "tinyint" }
+	},
+	points: {
+		rules: { value: "required|numeric", timestamp: "integer" },
+		defaults: { counter: 1 },
+		casts: { value: "number" },
+		transient: ["timestamp"]
+	},
+	subscribers: {
+		rules: { email: "required|email", verify: "boolean" },
+		defaults: { verified_at: null },
+		casts: {},
+		transient: ["verify", "components"]
+	},
+	subscriptions: {
+		rules: { component_id: "required|integer" },
+		defaults: {},
+		casts: { component_id: "integer" }
+	}
+}
+
+/**
+ * The routes of the Cachet v1 API, matched in order
+ * @private
+ */
+const ROUTES = [
+	["GET", "/ping", "ping"],
+	["GET", "/version", "version"],
+	["GET", "/components/groups", "list", "groups"],
+	["POST", "/components/groups", "create", "groups"],
+	["GET", "/components/groups/:id", "show", "groups"],
+	["PUT", "/components/groups/:id", "update", "groups"],
+	["DELETE", "/components/groups/:id", "destroy", "groups"],
+	["GET", "/components", "list", "components"],
+	["POST", "/components", "create", "components"],
+	["GET", "/components/:id", "show", "components"],
+	["PUT", "/components/:id", "update", "components"],
+	["DELETE", "/components/:id", "destroy", "components"],
+	["GET", "/incidents/templates", "list", "templates"],
+	["POST", "/incidents/templates", "create", "templates"],
+	["GET", "/incidents/templates/:id", "show", "templates"],
+	["PUT", "/incidents/templates/:id", "update", "templates"],
+	["DELETE", "/incidents/templates/:id", "destroy", "templates"],
+	["GET", "/incidents/:parent_id/updates", "list", "updates"],
+	["POST", "/incidents/:parent_id/updates", "create", "updates"],
+	["GET", "/incidents/:parent_id/updates/:id", "show", "updates"],
+	["PUT", "/incidents/:parent_id/updates/:id", "update", "updates"],
+	["DELETE", "/incidents/:parent_id/updates/:id", "destroy", "updates"],
+	["GET", "/incidents", "list", "incidents"],
+	["POST", "/incidents", "create", "incidents"],
+	["GET", "/incidents/:id", "show", "incidents"],
+	["PUT", "/incidents/:id", "update", "incidents"],
+	["DELETE", "/incidents/:id", "destroy", "incidents"],
+	["GET", "/schedules", "list", "schedules"],
+	["POST", "/schedules", "create", "schedules"],
+	["GET", "/schedules/:id", "show", "schedules"],
+	["PUT", "/schedules/:id", "update", "schedules"],
+	["DELETE", "/schedules/:id", "destroy", "schedules"],
+	["GET", "/metrics/:parent_id/points", "list", "points"],
+	["POST", "/metrics/:parent_id/points", "create", "points"],
+	["DELETE", "/metrics/:parent_id/points/:id", "destroy", "points"],
+	["GET", "/metrics", "list", "metrics"],
+	["POST", "/metrics", "create", "metrics"],
+	["GET", "/metrics/:id", "show", "metrics"],
+	["PUT", "/metrics/:id", "update", "metrics"],
+	["DELETE", "/metrics/:id", "destroy", "metrics"],
+	["GET", "/subscribers", "list", "subscribers"],
+	["POST", "/subscribers", "create", "subscribers"],
+	["DELETE", "/subscribers/:id", "destroy", "subscribers"],
+	["GET", "/subscribers/:parent_id/subscriptions", "list", "subscriptions"],
+	["POST", "/subscribers/:parent_id/subscriptions", "create", "subscriptions"],
+	["DELETE", "/subscribers/:parent_id/subscriptions/:id", "destroy", "subscriptions"]
+].map(([method, pattern, action, resource]) => ({
+	method,
+	action,
+	resource,
+	keys: (pattern.match(/:\w+/g) || []).map((key) => key.slice(1)),
+	regex: new RegExp("^" + pattern.replace(/:\w+/g, "(\\d+)") + "/?$")
+}))
+
+// The resources that belong to another resource, and the field that links them
+const PARENTS = {
+	updates: { resource: "incidents", key: "incident_id" },
+	points: { resource: "metrics", key: "metric_id" },
+	subscriptions: { resource: "subscribers", key: "subscriber_id" }
+}
+
+const STATUS_TEXT = { 200: "OK", 204: "No Content", 304: "Not Modified", 400: "Bad Request", 401: "Unauthorized", 404: "Not Found" }
+
+/**
+ * Format a Date the same way Cachet does, for example `2018-07-01 12:00:00`
+ * @private
+ */
+function formatDate(date){
+	return date.toISOString().replace("T", " ").replace(/\.\d+Z$/, "")
+}
+
+/**
+ * Turn an enum key into the human readable status that Cachet returns, for example `PARTIAL_OUTAGE` into `Partial Outage`
+ * @private
+ */
+function humanStatus(statuses, status){
+	let key = Object.keys(statuses).find((k) => statuses[k] === status)
+
+	if (!key)
+		return ""
+
+	return key.toLowerCase().split("_").map((word) => word[0].toUpperCase() + word.slice(1)).join(" ")
+}
+
+/**
+ * Turn a name into a slug, for example `Major Outage` into `major-outage`
+ * @private
+ */
+function slugify(name){
+	return String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+}
+
+/**
+ * Fill in the `{{ variables }}` of a Twig template. Filters are ignored, except for `default`.
+ * @private
+ */
+function renderTemplate(template, vars){
+	return template.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*default\(\s*(['"])(.*?)\2\s*\))?[^}]*\}\}/g, (match, name, quote, fallback) => {
+		let value = name.split(".").reduce((object, key) => object !== undefined && object !== null ? object[key] : undefined, vars)
+
+		if (value === undefined || value === null)
+			return fallback || ""
+
+		return String(value)
+	})
+}
+
+/**
+ * Compare values the way Cachet's query filters do, where booleans are stored as tinyints
+ * @private
+ */
+function normalize(value){
+	if (value === true)
+		return "1"
+	if (value === false)
+		return "0"
+	if (value === null || value === undefined)
+		return ""
+
+	return String(value)
+}
+
+/**
+ * Cast a value to the type that Cachet stores it as
+ * @private
+ */
+function cast(value, type){
+	if (value === undefined || value === null)
+		return value
+
+	switch (type){
+		case "integer":
+			return parseInt(value, 10)
+		case "number":
+			return Number(value)
+		case "boolean":
+			return value === true || value === 1 || value === "1" || value === "true"
+		case "tinyint":
+			return value === true || value === 1 || value === "1" || value === "true" ? 1 : 0
+		case "status_map": {
+			let map = {}
+
+			for (let key in value)
+				map[parseInt(key, 10)] = parseInt(value[key], 10)
+
+			return map
+		}
+	}
+
+	return value
+}
+
+/**
+ * Check a single value against a rule, returning the Laravel style error message if it fails
+ * @private
+ */
+function checkRule(field, value, rule){
+	let label = field.replace(/_/g, " ")
+	let [name, arg] = rule.split(":")
+
+	switch (name){
+		case "string":
+			return typeof value === "string" ? undefined : "The " + label + " must be a string."
+		case "integer":
+			return /^-?\d+$/.test(String(value)) ? undefined : "The " + label + " must be an integer."
+		case "numeric":
+			return value !== "" && typeof value !== "boolean" && !isNaN(Number(value)) ? undefined : "The " + label + " must be a number."
+		case "boolean":
+			return [true, false, 0, 1, "0", "1", "true", "false"].indexOf(value) !== -1 ? undefined : "The " + label + " field must be true or false."
+		case "email":
+			return typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? undefined : "The " + label + " must be a valid email address."
+		case "in":
+			return arg.split(",").indexOf(String(value)) !== -1 ? undefined : "The selected " + label + " is invalid."
+	}
+}
+
+/**
+ * An in-memory stand-in for a Cachet server, which implements the v1 API routes that the {@link CachetAPI} uses.
+ * Responses use the same envelopes, pagination meta and validation errors as Cachet, so the CachetAPI
+ * (or your own code built on it) can be tested without a network connection or a real Cachet instance.
+ *
+ * Pass `server.adapter` as the `adapter` option of the {@link CachetAPI}, and every request is handled in memory.
+ *
+ * @example
+ * import CachetAPI, { MockCachetServer } from 'cachetapi'
+ *
+ * let server = new MockCachetServer({
+ * 	apiToken: "test-token",
+ * 	seed: {
+ * 		components: [{ name: "API", status: 1 }]
+ * 	}
+ * })
+ *
+ * let cachet_api = new CachetAPI({
+ * 	url: "https://cachet.example.com/api",
+ * 	apiToken: "test-token",
+ * 	adapter: server.adapter
+ * })
+ *
+ * let components = await cachet_api.getComponents()
+ * // components = [{ id: 1, name: "API", status: 1, ... }]
+ */
+export default class MockCachetServer {
+	/**
+	 * Create a new MockCachetServer
+	 * @param  {Object} [options] - Options about the server
+	 * @param  {String} [options.apiToken] - If set, requests that change data (`POST`, `PUT` and `DELETE`) must send this token, as on a real Cachet server
+	 * @param  {String} [options.version="2.3.15"] - The version to report from `/v1/version`
+	 * @param  {Integer} [options.per_page=20] - How many items to return per page when the request doesn't ask for a specific number
+	 * @param  {Object} [options.seed] - Data to start the server with. See {@link MockCachetServer#reset}
+	 * @param  {Function} [options.now] - Returns the current Date, used for timestamps (defaults to the system clock)
+	 * @param  {Boolean} [options.etags=false] - Send an `ETag` with every successful `GET` response sent through the adapter, and answer `If-None-Match` with a `304`.
+	 * Cachet doesn't do this itself, but a proxy or CDN in front of it might.
+	 * @return {MockCachetServer}
+	 */
+	constructor(options){
+		this.options = Object.assign({ version: "2.3.15", per_page: 20, now: () => new Date() }, options)
+
+		/**
+		 * Every request the server has handled, as `{ method, path, params, data }`
+		 * @type {Array.<Object>}
+		 */
+		this.requests = []
+
+		/**
+		 * An axios adapter that sends requests to this server. Pass it as the `adapter` option of the {@link CachetAPI}.
+		 * @type {Function}
+		 */
+		this.adapter = (config) => this.handleAxiosRequest(config)
+
+		this.reset(this.options.seed)
+	}
+
+	/**
+	 * Remove all data from the server, then optionally add some data to start with. IDs, timestamps and defaults
+	 * are filled in for any fields left out of the seed data.
+	 * @param  {Object} [seed] - The data to add, with an Array for any of `components`, `groups`, `incidents`, `templates`,
+	 * `updates`, `schedules`, `metrics`, `points`, `subscribers` and `subscriptions`. Incident Updates need an `incident_id`, Metric Points need a `metric_id`,
+	 * and Subscriptions need a `subscriber_id` and `component_id`.
+	 *
+	 * @example
+	 * server.reset({
+	 * 	groups: [{ name: "Core" }],
+	 * 	components: [{ name: "API", status: 4, group_id: 1 }]
+	 * })
+	 */
+	reset(seed){
+		seed = seed || {}
+
+		this.data = {}
+		this.next_ids = {}
+
+		for (let resource in RESOURCES){
+			this.data[resource] = []
+			this.next_ids[resource] = 1
+		}
+
+		for (let resource in RESOURCES){
+			for (let item of seed[resource] || [])
+				this.insert(resource, Object.assign({}, item))
+		}
+	}
+
+	/**
+	 * Get the stored items of a resource, to check what your code did
+	 * @param  {String} resource - One of `components`, `groups`, `incidents`, `templates`, `updates`, `schedules`, `metrics`, `points`, `subscribers` or `subscriptions`
+	 * @return {Array.<Object>} The stored items (copies, so they can't be changed by accident)
+	 */
+	getAll(resource){
+		if (!this.data[resource])
+			throw new Error("Error! Unknown resource \"" + resource + "\"")
+
+		return this.data[resource].map((item) => this.present(resource, item))
+	}
+
+	/**
+	 * Handle a request, the same way that a Cachet server would
+	 * @param  {Object} request - The request to handle
+	 * @param  {String} request.method - The HTTP method
+	 * @param  {String} request.path - The path of the request, starting from `/v1`
+	 * @param  {Object} [request.params] - The query string parameters
+	 * @param  {Object} [request.data] - The parsed JSON body
+	 * @param  {Object} [request.headers] - The request headers
+	 * @param  {String} [request.base_url] - The URL the path is relative to, used for pagination links
+	 * @return {Object} The response, as `{ status, headers, data }`
+	 */
+	handle(request){
+		let method = String(request.method).toUpperCase()
+		let path = request.path.replace(/^\/v1/, "")
+		let params = request.params || {}
+		let data = request.data || {}
+
+		this.requests.push({ method, path: request.path, params, data: request.data })
+
+		if (method !== "GET" && this.options.apiToken){
+			let headers = request.headers || {}
+			let token = Object.keys(headers).filter((key) => key.toLowerCase() === "x-cachet-token").map((key) => headers[key])[0]
+
+			if (token !== this.options.apiToken)
+				return this.error(401, "Unauthorized", "Authentication is required and has failed or has not yet been provided.")
+		}
+
+		for (let route of ROUTES){
+			let match = route.regex.exec(path)
+
+			if (route.method !== method || !match)
+				continue
+
+			let args = {}
+			route.keys.forEach((key, i) => { args[key] = parseInt(match[i + 1], 10) })
+
+			if (route.action === "ping")
+				return this.respond(200, { data: "Pong!" })
+			if (route.action === "version")
+				return this.respond(200, { meta: { on_latest: true, latest: { tag_name: "v" + this.options.version, prelease: false, draft: false } }, data: this.options.version })
+
+			let parent = PARENTS[route.resource]
+
+			if (parent && !this.find(parent.resource, args.parent_id))
+				return this.notFound()
+
+			return this[route.action](route.resource, Object.assign(args, { params, data, base_url: request.base_url || "", path: request.path }))
+		}
+
+		return this.notFound()
+	}
+
+	/**
+	 * Handle a request sent through the axios adapter, settling it the same way the default axios adapters do
+	 * @param  {Object} config - The axios request config
+	 * @return {Promise<Object>} Resolves with the axios response, or rejects if the status was not successful
+	 * @private
+	 */
+	async handleAxiosRequest(config){
+		let url = new URL(config.url, "http://localhost")
+		let params = {}
+
+		url.searchParams.forEach((value, key) => { params[key] = value })
+		Object.assign(params, config.params)
+
+		let version_index = url.pathname.indexOf("/v1/")
+		let path = version_index === -1 ? url.pathname : url.pathname.slice(version_index)
+		let base_url = config.url.slice(0, config.url.indexOf(path) === -1 ? 0 : config.url.indexOf(path))
+
+		let data = config.data
+
+		if (typeof data === "string" && data !== "")
+			data = JSON.parse(data)
+
+		let result = this.handle({ method: config.method, path, params, data, headers: config.headers, base_url })
+
+		if (this.options.etags && String(config.method).toUpperCase() === "GET" && result.status === 200)
+			result = this.withETag(result, config.headers || {})
+
+		let response = {
+			data: result.data === undefined ? "" : JSON.stringify(result.data),
+			status: result.status,
+			statusText: STATUS_TEXT[result.status] || "",
+			headers: result.headers,
+			config,
+			request: {}
+		}
+
+		let validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300)
+
+		if (validateStatus(response.status))
+			return response
+
+		let error = new Error("Request failed with status code " + response.status)
+		error.config = config
+		error.request = response.request
+		error.response = response
+
+		throw error
+	}
+
+	/**
+	 * Add an `ETag` to a response, or turn it into a `304` if it matches the `If-None-Match` request header
+	 * @private
+	 */
+	withETag(result, headers){
+		let body = JSON.stringify(result.data)
+		let hash = 5381
+
+		for (let i = 0; i < body.length; i++)
+			hash = ((hash * 33) ^ body.charCodeAt(i)) >>> 0
+
+		let etag = "W/\"" + hash.toString(16) + "\""
+		let if_none_match = Object.keys(headers).filter((key) => key.toLowerCase() === "if-none-match").map((key) => headers[key])[0]
+
+		if (if_none_match === etag)
+			return { status: 304, headers: { etag }, data: undefined }
+
+		return Object.assign({}, result, { headers: Object.assign({}, result.headers, { etag }) })
+	}
+
+	/* ----------------- Handlers ----------------- */
+	/**
+	 * List a resource, with filtering, sorting and pagination
+	 * @private
+	 */
+	list(resource, { parent_id, params, base_url, path }){
+		let items = this.scoped(resource, parent_id)
+		let filters = Object.keys(params).filter((key) => ["sort", "order", "per_page", "page"].indexOf(key) === -1)
+
+		items = items.filter((item) => filters.every((key) => normalize(item[key]) === normalize(params[key])))
+
+		let sort = params.sort || "id"
+		let direction = String(params.order).toLowerCase() === "desc" ? -1 : 1
+
+		items = items.slice().sort((a, b) => {
+			if (a[sort] === b[sort])
+				return 0
+
+			return (a[sort] > b[sort] ? 1 : -1) * direction
+		})
+
+		let per_page = parseInt(params.per_page, 10) || this.options.per_page
+		let current_page = parseInt(params.page, 10) || 1
+		let total_pages = Math.max(1, Math.ceil(items.length / per_page))
+		let page = items.slice((current_page - 1) * per_page, current_page * per_page)
+
+		let link = (page_number) => {
+			let query = Object.keys(params).filter((key) => key !== "page").map((key) => encodeURIComponent(key) + "=" + encodeURIComponent(params[key]))
+			query.push("page=" + page_number)
+
+			return base_url + path + "?" + query.join("&")
+		}
+
+		return this.respond(200, {
+			meta: {
+				pagination: {
+					total: items.length,
+					count: page.length,
+					per_page,
+					current_page,
+					total_pages,
+					links: {
+						next_page: current_page < total_pages ? link(current_page + 1) : null,
+						previous_page: current_page > 1 ? link(current_page - 1) : null
+					}
+				}
+			},
+			data: page.map((item) => this.present(resource, item))
+		})
+	}
+	/**
+	 * Get a single item of a resource
+	 * @private
+	 */
+	show(resource, { id, parent_id }){
+		let item = this.find(resource, id, parent_id)
+
+		if (!item)
+			return this.notFound()
+
+		return this.respond(200, { data: this.present(resource, item) })
+	}
+	/**
+	 * Validate and add an item to a resource
+	 * @private
+	 */
+	create(resource, { parent_id, data }){
+		let problems = this.validate(resource, data, false)
+
+		if (problems.length > 0)
+			return this.invalid(problems)
+
+		data = Object.assign({}, data)
+
+		if (resource === "subscribers"){
+			// Cachet returns the existing Subscriber if the email is already subscribed
+			let existing = this.data.subscribers.find((subscriber) => subscriber.email === data.email)
+
+			if (existing)
+				return this.respond(200, { data: this.present(resource, existing) })
+
+			if (data.verify)
+				data.verified_at = formatDate(this.options.now())
+		}
+
+		if (resource === "subscriptions"){
+			if (!this.find("components", cast(data.component_id, "integer")))
+				return this.invalid(["The selected component id is invalid."])
+
+			// Subscribing to a Component twice keeps the original Subscription
+			let existing = this.scoped(resource, parent_id).find((subscription) => subscription.component_id === cast(data.component_id, "integer"))
+
+			if (existing)
+				return this.respond(200, { data: this.present(resource, existing) })
+		}
+
+		if (resource === "incidents"){
+			if (data.template){
+				let template = this.data.templates.find((t) => t.slug === data.template)
+
+				if (!template)
+					return this.invalid(["The selected template is invalid."])
+
+				data.message = renderTemplate(template.template, Object.assign({ incident: data }, data.vars))
+			} else if (data.message === undefined){
+				return this.invalid(["The message field is required."])
+			}
+		}
+
+		if (parent_id !== undefined)
+			data[PARENTS[resource].key] = parent_id
+
+		let item = this.insert(resource, data)
+
+		this.applySideEffects(resource, item, data)
+
+		return this.respond(200, { data: this.present(resource, item) })
+	}
+	/**
+	 * Validate and change an item of a resource
+	 * @private
+	 */
+	update(resource, { id, parent_id, data }){
+		let item = this.find(resource, id, parent_id)
+
+		if (!item)
+			return this.notFound()
+
+		let problems = this.validate(resource, data, true)
+
+		if (problems.length > 0)
+			return this.invalid(problems)
+
+		Object.assign(item, this.fill(resource, data), { updated_at: formatDate(this.options.now()) })
+
+		if (resource === "templates" && data.name !== undefined)
+			item.slug = slugify(data.name)
+
+		this.applySideEffects(resource, item, data)
+
+		return this.respond(200, { data: this.present(resource, item) })
+	}
+	/**
+	 * Remove an item from a resource, along with anything that belongs to it
+	 * @private
+	 */
+	destroy(resource, { id, parent_id }){
+		let item = this.find(resource, id, parent_id)
+
+		if (!item)
+			return this.notFound()
+
+		this.data[resource].splice(this.data[resource].indexOf(item), 1)
+
+		if (resource === "incidents")
+			this.data.updates = this.data.updates.filter((update) => update.incident_id !== id)
+		if (resource === "metrics")
+			this.data.points = this.data.points.filter((point) => point.metric_id !== id)
+		if (resource === "groups")
+			this.data.components.filter((component) => component.group_id === id).forEach((component) => { component.group_id = 0 })
+		if (resource === "subscribers")
+			this.data.subscriptions = this.data.subscriptions.filter((subscription) => subscription.subscriber_id !== id)
+		if (resource === "components")
+			this.data.subscriptions = this.data.subscriptions.filter((subscription) => subscription.component_id !== id)
+
+		return this.respond(204)
+	}
+
+	/* ----------------- Utilities ----------------- */
+	/**
+	 * Store a new item, filling in its ID, timestamps and default values
+	 * @private
+	 */
+	insert(resource, data){
+		let now = formatDate(this.options.now())
+		let definition = RESOURCES[resource]
+
+		let id = data.id !== undefined ? data.id : this.next_ids[resource]
+		this.next_ids[resource] = Math.max(this.next_ids[resource], id + 1)
+
+		let item = Object.assign({ id }, definition.defaults, this.fill(resource, data), { created_at: data.created_at || now, updated_at: data.updated_at || now })
+
+		if (resource === "templates")
+			item.slug = data.slug || slugify(item.name)
+		if (resource === "incidents")
+			item.occurred_at = data.occurred_at || item.created_at
+		if (resource === "points" && data.timestamp !== undefined){
+			let date = new Date(data.timestamp * 1000)
+
+			if (!isNaN(date.getTime()))
+				item.created_at = item.updated_at = formatDate(date)
+		}
+
+		this.data[resource].push(item)
+
+		return item
+	}
+	/**
+	 * Copy the fields of a request body onto an item, casting them to the types that Cachet stores
+	 * @private
+	 */
+	fill(resource, data){
+		let definition = RESOURCES[resource]
+		let transient = definition.transient || []
+		let fields = {}
+
+		for (let key in data){
+			if (transient.indexOf(key) === -1 && key !== "id")
+				fields[key] = definition.casts[key] ? cast(data[key], definition.casts[key]) : data[key]
+		}
+
+		return fields
+	}
+	/**
+	 * Apply the changes that Cachet makes to other resources, such as an Incident changing the status of its Component
+	 * @private
+	 */
+	applySideEffects(resource, item, data){
+		if (resource === "incidents" && data.component_status !== undefined && item.component_id){
+			let component = this.find("components", item.component_id)
+
+			if (component)
+				component.status = cast(data.component_status, "integer")
+		}
+
+		// A new Subscriber gets a Subscription for each of the Components they picked, or for every Component if they didn't pick any
+		if (resource === "subscribers"){
+			let component_ids = Array.isArray(data.components) ? data.components : this.data.components.map((component) => component.id)
+
+			for (let component_id of component_ids){
+				if (this.find("components", component_id))
+					this.insert("subscriptions", { subscriber_id: item.id, component_id })
+			}
+		}
+
+		// Posting an Incident Update moves the Incident to the same status
+		if (resource === "updates" && data.status !== undefined){
+			let incident = this.find("incidents", item.incident_id)
+
+			if (incident){
+				incident.status = item.status
+				incident.updated_at = item.updated_at
+			}
+		}
+	}
+	/**
+	 * Check a request body against the rules for a resource
+	 * @private
+	 */
+	validate(resource, data, partial){
+		let rules = RESOURCES[resource].rules
+		let problems = []
+
+		if (!data || typeof data !== "object" || Array.isArray(data))
+			return ["The request body must be a JSON Object."]
+
+		for (let field in rules){
+			let value = data[field]
+
+			for (let rule of rules[field].split("|")){
+				if (rule === "required"){
+					if ((value === undefined || value === null || value === "") && !partial){
+						problems.push("The " + field.replace(/_/g, " ") + " field is required.")
+						break
+					}
+
+					continue
+				}
+
+				if (value === undefined || value === null)
+					break
+
+				let problem = checkRule(field, value, rule)
+
+				if (problem){
+					problems.push(problem)
+					break
+				}
+			}
+		}
+
+		return problems
+	}
+	/**
+	 * Get the items of a resource, limited to those that belong to a parent if there is one
+	 * @private
+	 */
+	scoped(resource, parent_id){
+		if (parent_id === undefined)
+			return this.data[resource]
+
+		return this.data[resource].filter((item) => item[PARENTS[resource].key] === parent_id)
+	}
+	/**
+	 * Find an item by its ID
+	 * @private
+	 */
+	find(resource, id, parent_id){
+		return this.scoped(resource, parent_id).find((item) => item.id === id)
+	}
+	/**
+	 * Get the version of an item that Cachet would return, including the fields Cachet works out for you
+	 * @private
+	 */
+	present(resource, item){
+		let presented = JSON.parse(JSON.stringify(item))
+		let statuses = RESOURCES[resource].statuses
+
+		if (statuses)
+			presented.human_status = humanStatus(statuses, item.status)
+
+		if (resource === "groups")
+			presented.enabled_components = this.data.components.filter((component) => component.group_id === item.id && component.enabled).map((component) => this.present("components", component))
+		if (resource === "points")
+			presented.calculated_value = item.value * item.counter
+
+		return presented
+	}
+	/**
+	 * Build a response
+	 * @private
+	 */
+	respond(status, data){
+		return { status, headers: { "content-type": "application/json" }, data }
+	}
+	/**
+	 * Build an error response in Cachet's format
+	 * @private
+	 */
+	error(status, title, detail, meta){
+		let error = { id: slugify(title), status, title, detail }
+
+		if (meta)
+			error.meta = meta
+
+		return this.respond(status, { errors: [error] })
+	}
+	/**
+	 * Build a `404` response
+	 * @private
+	 */
+	notFound(){
+		return this.error(404, "Not Found", "The requested resource could not be found but may be available again in the future.")
+	}
+	/**
+	 * Build a `400` response for a request that failed validation
+	 * @private
+	 */
+	invalid(problems){
+		return this.error(400, "Bad Request", "The request cannot be fulfilled due to bad syntax.", { details: problems })
+	}
+}
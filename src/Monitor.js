@@ -0,0 +1,466 @@
+import { EventEmitter } from 'events'
+import net from 'net'
+import axios from 'axios'
+
+import { ComponentStatus } from './constants'
+import { CachetValidationError } from './errors'
+
+const DEFAULT_THRESHOLDS = {
+	partial_outage: 2,
+	major_outage: 4,
+	recover: 2
+}
+
+/**
+ * @typedef {Object} MonitorThresholds
+ * @property {Integer} [partial_outage=2] - How many failures in a row set the Component to Partial Outage
+ * @property {Integer} [major_outage=4] - How many failures in a row set the Component to Major Outage
+ * @property {Integer} [recover=2] - How many successes in a row set a failing Component back to Operational
+ */
+/**
+ * @typedef {Object} MonitorCheck
+ * @property {String} name - A unique name for the check
+ * @property {Integer} component_id - The Component whose status the check controls
+ * @property {String} [type] - `http`, `tcp` or `function`. Worked out from the other fields if left out.
+ * @property {String} [url] - For `http` checks, the URL to request
+ * @property {String} [method="GET"] - For `http` checks, the HTTP method to use
+ * @property {Object} [headers] - For `http` checks, headers to send
+ * @property {Integer|Array.<Integer>|Function} [expected_status] - For `http` checks, the status code (or codes, or a function that
+ * takes the status code) that counts as a success. Defaults to any `2xx` or `3xx` status.
+ * @property {String} [host] - For `tcp` checks, the host to connect to
+ * @property {Integer} [port] - For `tcp` checks, the port to connect to
+ * @property {Function} [fn] - For `function` checks, a function that returns (or resolves with) `true` or `false`, or `{ ok, message }`.
+ * Throwing (or rejecting) counts as a failure.
+ * @property {Integer} [interval] - How often to run the check, in milliseconds (defaults to the Monitor's `interval`)
+ * @property {Integer} [timeout] - How long the check can take before it fails, in milliseconds (defaults to the Monitor's `timeout`)
+ * @property {MonitorThresholds} [thresholds] - Thresholds for this check (defaults to the Monitor's `thresholds`)
+ */
+/**
+ * @typedef {Object} CheckResult
+ * @property {Boolean} ok - Whether the check passed
+ * @property {Integer} duration - How long the check took, in milliseconds
+ * @property {String} [message] - Details about why the check failed
+ */
+
+/**
+ * Runs health checks on a schedule and keeps the status of a Component in sync with them. Each check counts its failures (and successes)
+ * in a row, so that a single blip doesn't flip the status page: a Component is only set to Partial Outage after `partial_outage` failures
+ * in a row, to Major Outage after `major_outage` failures in a row, and back to Operational after `recover` successes in a row.
+ * Cachet is only sent requests when the status actually changes.
+ *
+ * With the `incidents` option, an Incident is opened (through {@link CachetAPI#openIncident}) when a Component goes down, and resolved when it recovers.
+ *
+ * A Monitor emits these events:
+ * - `check` `(name, result, state)` - A check finished running
+ * - `transition` `({ name, component_id, from, to, result })` - A check changed the status of its Component
+ * - `incident:opened` `(name, workflow)` - An Incident was opened for a check
+ * - `incident:resolved` `(name, workflow)` - The Incident for a check was resolved
+ * - `failed` `(error, name)` - Cachet couldn't be updated. The change is tried again after the next run of the check.
+ *
+ * @example
+ * import { Monitor } from 'cachetapi'
+ *
+ * let monitor = new Monitor(cachet_api, { interval: 30000, thresholds: { partial_outage: 2, major_outage: 5 }, incidents: true })
+ *
+ * monitor.add({ name: "API", component_id: 1, url: "https://api.example.com/health" })
+ * monitor.add({ name: "Database", component_id: 2, host: "db.internal", port: 5432 })
+ * monitor.add({ name: "Queue", component_id: 3, fn: async () => (await queue.depth()) < 1000 })
+ *
+ * monitor.on("transition", ({ name, from, to }) => console.log(name + " went from " + from + " to " + to))
+ * monitor.start()
+ */
+export default class Monitor extends EventEmitter {
+	/**
+	 * Create a new Monitor
+	 * @param  {CachetAPI} api - The CachetAPI to update Components with
+	 * @param  {Object} [options] - Options about the Monitor
+	 * @param  {Integer} [options.interval=60000] - How often to run each check, in milliseconds
+	 * @param  {Integer} [options.timeout=10000] - How long a check can take before it fails, in milliseconds
+	 * @param  {MonitorThresholds} [options.thresholds] - How many failures or successes in a row change the status of a Component
+	 * @param  {Boolean|Object} [options.incidents=false] - Open an Incident when a Component goes down, and resolve it when the Component recovers
+	 * @param  {Function} [options.incidents.name] - Builds the name of the Incident from `(check, result)`
+	 * @param  {Function} [options.incidents.message] - Builds the message of the Incident from `(check, result)`
+	 * @param  {Function} [options.incidents.resolved_message] - Builds the message of the Incident Update that resolves the Incident from `(check, result)`
+	 * @param  {Boolean} [options.incidents.visible=true] - Whether the Incident is shown on the status page
+	 * @param  {Boolean} [options.incidents.notify=false] - Whether to notify subscribers about the Incident
+	 * @param  {Array.<MonitorCheck>} [options.checks] - Checks to add straight away
+	 * @return {Monitor}
+	 */
+	constructor(api, options){
+		super()
+
+		if (!api)
+			throw new CachetValidationError("Error! api is a required argument!")
+
+		options = options || {}
+
+		this.api = api
+		this.options = Object.assign({ interval: 60000, timeout: 10000 }, options)
+		this.options.thresholds = Object.assign({}, DEFAULT_THRESHOLDS, options.thresholds)
+
+		validateThresholds(this.options.thresholds)
+
+		if (this.options.incidents)
+			this.options.incidents = Object.assign({
+				name: (check) => check.name + " is unavailable",
+				message: (check, result) => "Automated monitoring found that " + check.name + " is failing" + (result.message ? ": " + result.message : ""),
+				resolved_message: (check) => check.name + " is working normally again",
+				visible: true,
+				notify: false
+			}, this.options.incidents === true ? {} : this.options.incidents)
+
+		this.checks = {}
+		this.running = false
+
+		for (let check of options.checks || [])
+			this.add(check)
+	}
+
+	/**
+	 * Add a check. If the Monitor is running, the check starts running straight away.
+	 * @param  {MonitorCheck} check - The check to add
+	 * @return {Monitor} Returns itself, so that calls can be chained
+	 */
+	add(check){
+		if (!check || typeof check.name !== "string" || check.name === "")
+			throw new CachetValidationError("Error! Every check needs a name")
+		if (this.checks[check.name])
+			throw new CachetValidationError("Error! There is already a check named " + JSON.stringify(check.name))
+		if (check.component_id === undefined || check.component_id === null)
+			throw new CachetValidationError("Error! The check " + JSON.stringify(check.name) + " needs a component_id")
+
+		let type = check.type || (check.fn ? "function" : check.url ? "http" : check.port !== undefined ? "tcp" : undefined)
+
+		if (type === "http" && !check.url)
+			throw new CachetValidationError("Error! The http check " + JSON.stringify(check.name) + " needs a url")
+		else if (type === "tcp" && (!check.host || check.port === undefined))
+			throw new CachetValidationError("Error! The tcp check " + JSON.stringify(check.name) + " needs a host and port")
+		else if (type === "function" && typeof check.fn !== "function")
+			throw new CachetValidationError("Error! The function check " + JSON.stringify(check.name) + " needs an fn")
+		else if (["http", "tcp", "function"].indexOf(type) === -1)
+			throw new CachetValidationError("Error! The check " + JSON.stringify(check.name) + " must be an http, tcp or function check")
+
+		let thresholds = Object.assign({}, this.options.thresholds, check.thresholds)
+		validateThresholds(thresholds)
+
+		this.checks[check.name] = {
+			check: Object.assign({}, check, { type, thresholds }),
+			state: { status: undefined, failures: 0, successes: 0, last_result: undefined, workflow: undefined },
+			timer: undefined,
+			running: undefined
+		}
+
+		if (this.running)
+			this.schedule(check.name, 0)
+
+		return this
+	}
+	/**
+	 * Stop and remove a check
+	 * @param  {String} name - The name of the check
+	 * @return {Monitor} Returns itself, so that calls can be chained
+	 */
+	remove(name){
+		if (this.checks[name]){
+			clearTimeout(this.checks[name].timer)
+			delete this.checks[name]
+		}
+
+		return this
+	}
+	/**
+	 * Get the current state of a check
+	 * @param  {String} name - The name of the check
+	 * @return {Object} Returns `{ status, failures, successes, last_result, workflow }`, where `status` is the {@link ComponentStatus}
+	 * the Monitor last set (or read), and `workflow` is the {@link IncidentWorkflow} of the open Incident, if there is one
+	 */
+	getState(name){
+		if (!this.checks[name])
+			throw new CachetValidationError("Error! There is no check named " + JSON.stringify(name))
+
+		return Object.assign({}, this.checks[name].state)
+	}
+
+	/**
+	 * Run every check straight away, then on their intervals. A check is never run again until its previous run has finished.
+	 * @return {Monitor} Returns itself, so that calls can be chained
+	 */
+	start(){
+		if (this.running)
+			return this
+
+		this.running = true
+
+		for (let name in this.checks)
+			this.schedule(name, 0)
+
+		return this
+	}
+	/**
+	 * Stop running checks. Runs that have already started still finish.
+	 * @return {Monitor} Returns itself, so that calls can be chained
+	 */
+	stop(){
+		this.running = false
+
+		for (let name in this.checks){
+			clearTimeout(this.checks[name].timer)
+			this.checks[name].timer = undefined
+		}
+
+		return this
+	}
+
+	/**
+	 * Run a check once, and update its Component if its status should change
+	 * @param  {String} name - The name of the check
+	 * @return {Promise<CheckResult>} Resolves with the result of the check. Never rejects because of a failed check or a failed request to Cachet.
+	 */
+	run(name){
+		let entry = this.checks[name]
+
+		if (!entry)
+			return Promise.reject(new CachetValidationError("Error! There is no check named " + JSON.stringify(name)))
+
+		// Share the run that is already happening, rather than running the same check twice at once
+		if (!entry.running)
+			entry.running = this.execute(entry).then((result) => {
+				entry.running = undefined
+				return result
+			})
+
+		return entry.running
+	}
+	/**
+	 * Run every check once
+	 * @return {Promise<Object.<String, CheckResult>>} Resolves with the result of each check, keyed by name
+	 */
+	async runAll(){
+		let names = Object.keys(this.checks)
+		let results = await Promise.all(names.map((name) => this.run(name)))
+		let by_name = {}
+
+		names.forEach((name, i) => { by_name[name] = results[i] })
+
+		return by_name
+	}
+
+	/**
+	 * Run a check in `delay` milliseconds, then keep running it on its interval while the Monitor is running
+	 * @private
+	 */
+	schedule(name, delay){
+		let entry = this.checks[name]
+
+		entry.timer = setTimeout(async () => {
+			await this.run(name)
+
+			if (this.running && this.checks[name] === entry)
+				this.schedule(name, entry.check.interval || this.options.interval)
+		}, delay)
+	}
+	/**
+	 * Run a check, then apply its result
+	 * @private
+	 */
+	async execute(entry){
+		let result = await this.probe(entry.check)
+		let state = entry.state
+
+		state.last_result = result
+
+		if (result.ok){
+			state.successes++
+			state.failures = 0
+		} else {
+			state.failures++
+			state.successes = 0
+		}
+
+		this.emit("check", entry.check.name, result, Object.assign({}, state))
+
+		try {
+			await this.applyResult(entry, result)
+		} catch (e) {
+			this.emit("failed", e, entry.check.name)
+		}
+
+		return result
+	}
+	/**
+	 * Run the probe for a check, timing it and catching any Error
+	 * @param  {MonitorCheck} check - The check to run
+	 * @return {Promise<CheckResult>}
+	 * @private
+	 */
+	async probe(check){
+		let timeout = check.timeout || this.options.timeout
+		let started_at = Date.now()
+		let timer
+
+		let timed_out = new Promise((resolve) => {
+			timer = setTimeout(() => resolve({ ok: false, message: "Timed out after " + timeout + "ms" }), timeout)
+		})
+
+		let result
+
+		try {
+			result = await Promise.race([this.probeCheck(check, timeout), timed_out])
+		} catch (e) {
+			result = { ok: false, message: e && e.message ? e.message : String(e) }
+		}
+
+		clearTimeout(timer)
+
+		return Object.assign({}, result, { duration: Date.now() - started_at })
+	}
+	/**
+	 * Run the type specific part of a check
+	 * @private
+	 */
+	async probeCheck(check, timeout){
+		if (check.type === "function"){
+			let returned = await check.fn()
+
+			if (returned && typeof returned === "object")
+				return { ok: !!returned.ok, message: returned.message }
+
+			return returned === false ? { ok: false, message: "The check returned false" } : { ok: true }
+		}
+
+		if (check.type === "http"){
+			let response = await axios.request({
+				url: check.url,
+				method: check.method || "GET",
+				headers: check.headers,
+				timeout,
+				validateStatus: () => true
+			})
+
+			let expected = check.expected_status
+			let ok
+
+			if (typeof expected === "function")
+				ok = !!expected(response.status)
+			else if (Array.isArray(expected))
+				ok = expected.indexOf(response.status) !== -1
+			else if (expected !== undefined)
+				ok = response.status === expected
+			else
+				ok = response.status >= 200 && response.status < 400
+
+			return ok ? { ok } : { ok, message: "Responded with " + response.status + (response.statusText ? " " + response.statusText : "") }
+		}
+
+		return new Promise((resolve) => {
+			let socket = net.connect({ host: check.host, port: check.port })
+
+			socket.setTimeout(timeout)
+			socket.once("connect", () => {
+				socket.destroy()
+				resolve({ ok: true })
+			})
+			socket.once("timeout", () => {
+				socket.destroy()
+				resolve({ ok: false, message: "Timed out connecting to " + check.host + ":" + check.port })
+			})
+			socket.once("error", (error) => {
+				socket.destroy()
+				resolve({ ok: false, message: error.message })
+			})
+		})
+	}
+	/**
+	 * Work out the status a check should set its Component to, and update Cachet if that is a change
+	 * @private
+	 */
+	async applyResult(entry, result){
+		let { check, state } = entry
+		let thresholds = check.thresholds
+
+		// Read the status the Component already has, so that the first run doesn't send a change that isn't one
+		if (state.status === undefined)
+			state.status = (await this.api.getComponent(check.component_id)).status
+
+		let from = state.status
+		let to = from
+
+		if (!result.ok){
+			let failing_status
+
+			if (state.failures >= thresholds.major_outage)
+				failing_status = ComponentStatus.MAJOR_OUTAGE
+			else if (state.failures >= thresholds.partial_outage)
+				failing_status = ComponentStatus.PARTIAL_OUTAGE
+
+			// Failures only ever make the status worse, so a status set by hand (such as a Major Outage) isn't downgraded
+			if (failing_status !== undefined && failing_status > from)
+				to = failing_status
+		} else if (from !== ComponentStatus.OPERATIONAL && state.successes >= thresholds.recover) {
+			to = ComponentStatus.OPERATIONAL
+		}
+
+		if (to === from)
+			return
+
+		await this.transition(entry, from, to, result)
+
+		state.status = to
+
+		this.emit("transition", { name: check.name, component_id: check.component_id, from, to, result })
+	}
+	/**
+	 * Send a status change to Cachet, opening or resolving an Incident if needed
+	 * @private
+	 */
+	async transition(entry, from, to, result){
+		let { check, state } = entry
+		let incidents = this.options.incidents
+
+		if (incidents && to === ComponentStatus.OPERATIONAL && state.workflow){
+			// Resolving the Incident also sets the Component back to Operational
+			await state.workflow.resolve(incidents.resolved_message(check, result))
+
+			let workflow = state.workflow
+			state.workflow = undefined
+
+			this.emit("incident:resolved", check.name, workflow)
+			return
+		}
+
+		if (incidents && to !== ComponentStatus.OPERATIONAL && !state.workflow){
+			// Opening the Incident also sets the status of the Component
+			state.workflow = await this.api.openIncident({
+				name: incidents.name(check, result),
+				message: incidents.message(check, result),
+				component_id: check.component_id,
+				component_status: to,
+				visible: incidents.visible ? 1 : 0,
+				notify: !!incidents.notify
+			})
+
+			this.emit("incident:opened", check.name, state.workflow)
+			return
+		}
+
+		await this.api.updateComponent(check.component_id, { status: to })
+
+		// Keep the workflow in step, so that it knows the Component needs to be set back to Operational when it is resolved
+		if (state.workflow)
+			state.workflow.component_status = to
+	}
+}
+
+/**
+ * Check that the thresholds are positive Integers, and that a Major Outage doesn't come before a Partial Outage
+ * @private
+ */
+function validateThresholds(thresholds){
+	for (let key in DEFAULT_THRESHOLDS){
+		if (!Number.isInteger(thresholds[key]) || thresholds[key] < 1)
+			throw new CachetValidationError("Error! thresholds." + key + " must be a positive Integer, got " + JSON.stringify(thresholds[key]))
+	}
+
+	if (thresholds.major_outage < thresholds.partial_outage)
+		throw new CachetValidationError("Error! thresholds.major_outage must be at least thresholds.partial_outage")
+}
@@ -0,0 +1,251 @@
+import { EventEmitter } from 'events'
+
+import { IncidentStatus } from './constants'
+import { CachetValidationError } from './errors'
+
+/**
+ * Find the fields that are different between two versions of an object
+ * @private
+ */
+function getChanges(before, after){
+	let keys = Object.keys(Object.assign({}, before, after))
+
+	return keys.filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+}
+
+/**
+ * Index a list of items by their ID
+ * @private
+ */
+function byId(items){
+	let map = new Map()
+
+	for (let item of items)
+		map.set(item.id, item)
+
+	return map
+}
+
+/**
+ * Polls Cachet for changes and emits an event for each one, so that you can react to changes made in the Cachet dashboard
+ * (or by anything else). The first poll takes a snapshot to compare against, and doesn't emit any change events.
+ *
+ * You will normally get one of these from {@link CachetAPI#watch}.
+ *
+ * Every change event is emitted with an Object of `{ before, after }`:
+ * - `component:status-changed` - The status of a Component changed
+ * - `incident:created` - An Incident was created (`before` is `null`)
+ * - `incident:updated` - An Incident was changed. Also has `changes`, the names of the fields that changed.
+ * - `update:added` - An Incident Update was posted (`before` is `null`). Also has `incident`, the Incident it was posted on.
+ *
+ * It also emits:
+ * - `ready` - The first snapshot was taken
+ * - `poll` `(events)` - A poll finished, with every change event it emitted as `{ type, before, after }`
+ * - `failed` `(error)` - A poll failed. The next poll still happens on schedule.
+ *
+ * To keep each poll cheap, only the most recent `incident_limit` Incidents are watched, and after the first poll, Incident Updates are only
+ * checked for Incidents that are not yet Fixed, or that changed since the last poll (Cachet updates an Incident when an update is posted on it).
+ *
+ * @example
+ * let watcher = cachet_api.watch({ interval: 15000 })
+ *
+ * watcher.on("component:status-changed", ({ before, after }) => {
+ * 	console.log(after.name + " went from " + before.status + " to " + after.status)
+ * })
+ * watcher.on("update:added", ({ incident, after }) => {
+ * 	console.log("New update on " + incident.name + ": " + after.message)
+ * })
+ *
+ * // Later
+ * watcher.stop()
+ */
+export default class Watcher extends EventEmitter {
+	/**
+	 * Create a new Watcher
+	 * @param  {CachetAPI} api - The CachetAPI to poll with
+	 * @param  {Object} [options] - Options about what to watch
+	 * @param  {Integer} [options.interval=30000] - How often to poll, in milliseconds
+	 * @param  {Boolean} [options.components=true] - Watch Components
+	 * @param  {Boolean} [options.incidents=true] - Watch Incidents
+	 * @param  {Boolean} [options.updates=true] - Watch Incident Updates (requires `incidents`)
+	 * @param  {Integer} [options.incident_limit=50] - How many of the most recent Incidents to watch
+	 * @return {Watcher}
+	 */
+	constructor(api, options){
+		super()
+
+		if (!api)
+			throw new CachetValidationError("Error! api is a required argument!")
+
+		this.api = api
+		this.options = Object.assign({ interval: 30000, components: true, incidents: true, updates: true, incident_limit: 50 }, options)
+
+		for (let option of ["interval", "incident_limit"]){
+			if (!Number.isInteger(this.options[option]) || this.options[option] < 1)
+				throw new CachetValidationError("Error! options." + option + " must be a positive Integer, got " + JSON.stringify(this.options[option]))
+		}
+
+		this.snapshot = undefined
+		this.timer = undefined
+		this.running = false
+		this.polling = undefined
+	}
+
+	/**
+	 * Start polling straight away, then every `options.interval` milliseconds
+	 * @return {Watcher} Returns itself, so that calls can be chained
+	 */
+	start(){
+		if (this.running)
+			return this
+
+		this.running = true
+		this.schedule(0)
+
+		return this
+	}
+	/**
+	 * Stop polling. A poll that has already started still finishes.
+	 * @return {Watcher} Returns itself, so that calls can be chained
+	 */
+	stop(){
+		this.running = false
+
+		clearTimeout(this.timer)
+		this.timer = undefined
+
+		return this
+	}
+
+	/**
+	 * Poll Cachet once, and emit an event for every change since the last poll. If a poll is already happening, this waits for it instead.
+	 * @return {Promise<Array.<Object>>} Resolves with the change events that were emitted, as `{ type, before, after }`. Rejects if the poll failed.
+	 */
+	poll(){
+		if (!this.polling)
+			this.polling = this.takeSnapshot().then((snapshot) => {
+				this.polling = undefined
+				return this.compare(snapshot)
+			}, (error) => {
+				this.polling = undefined
+				throw error
+			})
+
+		return this.polling
+	}
+
+	/**
+	 * Poll in `delay` milliseconds, then keep polling on the interval while the Watcher is running
+	 * @private
+	 */
+	schedule(delay){
+		this.timer = setTimeout(async () => {
+			try {
+				await this.poll()
+			} catch (e) {
+				this.emit("failed", e)
+			}
+
+			if (this.running)
+				this.schedule(this.options.interval)
+		}, delay)
+	}
+	/**
+	 * Read the current state of everything that is being watched
+	 * @return {Promise<Object>} Resolves with `{ components, incidents, updates }`, each a Map by ID (updates are a Map of incident ID to a Map of updates)
+	 * @private
+	 */
+	async takeSnapshot(){
+		let snapshot = { components: new Map(), incidents: new Map(), updates: new Map() }
+
+		if (this.options.components)
+			snapshot.components = byId(await this.api.getAllComponents())
+
+		if (!this.options.incidents)
+			return snapshot
+
+		snapshot.incidents = byId(await this.api.getIncidents({ sort: "id", order: "desc", per_page: this.options.incident_limit }))
+
+		if (!this.options.updates)
+			return snapshot
+
+		let previous = this.snapshot
+
+		for (let [incident_id, incident] of snapshot.incidents){
+			let before = previous && previous.incidents.get(incident_id)
+			let known_updates = previous && previous.updates.get(incident_id)
+
+			// Nothing can have been posted on a Fixed Incident that hasn't changed, so keep what we already know
+			if (known_updates && before && incident.status === IncidentStatus.FIXED && getChanges(before, incident).length === 0)
+				snapshot.updates.set(incident_id, known_updates)
+			else
+				snapshot.updates.set(incident_id, byId(await this.api.getAllIncidentUpdates(incident_id)))
+		}
+
+		return snapshot
+	}
+	/**
+	 * Compare a new snapshot against the last one, and emit the changes
+	 * @private
+	 */
+	compare(snapshot){
+		let previous = this.snapshot
+		let events = []
+
+		this.snapshot = snapshot
+
+		if (!previous){
+			this.emit("ready")
+			return events
+		}
+
+		for (let [id, after] of snapshot.components){
+			let before = previous.components.get(id)
+
+			if (before && before.status !== after.status)
+				events.push({ type: "component:status-changed", before, after })
+		}
+
+		for (let [id, after] of snapshot.incidents){
+			let before = previous.incidents.get(id)
+
+			if (!before){
+				// Older Incidents that only just came into the window (because a newer one was deleted) aren't new
+				if (previous.incidents.size < this.options.incident_limit || id > Math.min.apply(null, Array.from(previous.incidents.keys())))
+					events.push({ type: "incident:created", before: null, after })
+
+				continue
+			}
+
+			let changes = getChanges(before, after)
+
+			if (changes.length > 0)
+				events.push({ type: "incident:updated", before, after, changes })
+		}
+
+		for (let [incident_id, updates] of snapshot.updates){
+			let previous_updates = previous.updates.get(incident_id)
+			let incident = snapshot.incidents.get(incident_id)
+
+			// Only report updates on Incidents that were already being watched, or that were just created
+			if (!previous_updates && !events.some((event) => event.type === "incident:created" && event.after.id === incident_id))
+				continue
+
+			for (let [id, after] of updates){
+				if (!previous_updates || !previous_updates.has(id))
+					events.push({ type: "update:added", incident, before: null, after })
+			}
+		}
+
+		for (let event of events){
+			let payload = Object.assign({}, event)
+			delete payload.type
+
+			this.emit(event.type, payload)
+		}
+
+		this.emit("poll", events)
+
+		return events
+	}
+}
@@ -0,0 +1,168 @@
+import axios from 'axios'
+
+import { CachetValidationError } from './errors'
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancel the call when this signal is aborted, for example from an `AbortController`.
+ * The call then rejects with a {@link CachetAbortError}, and the request is not retried.
+ * @property {Integer} [timeout] - How long (in ms) the call may take in total, including any retries and time spent in the rate limit queue.
+ * The call then rejects with a {@link CachetNetworkError} with the code `ECONNABORTED`. Overrides the `timeout` option of the
+ * {@link CachetAPI}, and `0` means no timeout at all.
+ */
+
+/**
+ * Check the request options passed to a CachetAPI method, and turn them into the extra axios config that {@link createAbortableAdapter} reads
+ * @param  {RequestOptions} [request_options] - The request options
+ * @param  {Object} [config] - Axios config to add them to
+ * @return {Object} The axios config
+ * @throws {CachetValidationError} Throws if the signal or timeout is invalid
+ * @private
+ */
+export function getRequestConfig(request_options, config){
+	config = Object.assign({}, config)
+
+	if (request_options === undefined || request_options === null)
+		return config
+
+	if (typeof request_options !== "object")
+		throw new CachetValidationError("Error! The request options must be an Object, got " + JSON.stringify(request_options))
+
+	let { signal, timeout, deadline } = request_options
+
+	if (signal !== undefined){
+		if (!signal || typeof signal.aborted !== "boolean" || typeof signal.addEventListener !== "function")
+			throw new CachetValidationError("Error! signal must be an AbortSignal")
+
+		config.signal = signal
+	}
+
+	if (timeout !== undefined){
+		if (!Number.isInteger(timeout) || timeout < 0)
+			throw new CachetValidationError("Error! timeout must be an Integer of at least 0, got " + JSON.stringify(timeout))
+
+		config.deadline = createDeadline(timeout)
+	}
+
+	// A deadline that was already worked out for a call that makes many requests, such as following pagination links
+	if (deadline !== undefined)
+		config.deadline = deadline
+
+	return config
+}
+
+/**
+ * Work out when a call that starts now has to finish by
+ * @param  {Integer} timeout - The timeout in ms, or `0` for none
+ * @return {Object} The deadline, as `{ at, timeout }`
+ * @private
+ */
+export function createDeadline(timeout){
+	return { at: timeout === 0 ? Infinity : Date.now() + timeout, timeout }
+}
+
+/**
+ * Pick the {@link RequestOptions} out of a larger options Object, such as the options of {@link CachetAPI#getAllComponents}
+ * @param  {Object} [options] - The options
+ * @return {Object} Returns `{ request_options, rest }`, where `rest` is a copy of the options without them
+ * @private
+ */
+export function splitRequestOptions(options){
+	let rest = Object.assign({}, options)
+	let request_options = {}
+
+	for (let key of ["signal", "timeout", "deadline"]){
+		if (rest[key] !== undefined)
+			request_options[key] = rest[key]
+
+		delete rest[key]
+	}
+
+	return { request_options, rest }
+}
+
+/**
+ * Create the Error for a call that ran out of time, the same way that axios does for its own timeouts
+ * @private
+ */
+function createTimeoutError(config){
+	let error = new Error("timeout of " + config.deadline.timeout + "ms exceeded")
+
+	error.code = "ECONNABORTED"
+	error.config = config
+
+	return error
+}
+
+/**
+ * Wrap an axios adapter, so that requests sent through it can be cancelled with `config.signal`, and fail once `config.deadline` has passed.
+ * Cancelled requests reject with an axios `Cancel`, and requests that time out reject with an `ECONNABORTED` Error, so that
+ * they are handled the same way as the ones axios makes itself.
+ * @param  {Function} [adapter] - The axios adapter to wrap. Defaults to the default axios adapter.
+ * @param  {Object} [options] - Options about the adapter
+ * @param  {Integer} [options.timeout=0] - The timeout (in ms) to use for requests that weren't given a deadline. `0` means no timeout.
+ * @return {Function} The wrapped axios adapter
+ * @private
+ */
+export function createAbortableAdapter(adapter, options){
+	adapter = adapter || axios.defaults.adapter
+	options = Object.assign({ timeout: 0 }, options)
+
+	return (config) => {
+		// Set the deadline on the config itself, so that retries of this request share it
+		if (!config.deadline && options.timeout)
+			config.deadline = createDeadline(options.timeout)
+
+		let signal = config.signal
+		let deadline = config.deadline && config.deadline.at !== Infinity ? config.deadline : undefined
+
+		if (!signal && !deadline)
+			return adapter(config)
+
+		if (signal && signal.aborted)
+			return Promise.reject(new axios.Cancel("The request was aborted"))
+
+		if (deadline && deadline.at <= Date.now())
+			return Promise.reject(createTimeoutError(config))
+
+		let source = axios.CancelToken.source()
+
+		// Still honor a cancel token that was set by hand
+		if (config.cancelToken)
+			config.cancelToken.promise.then((cancel) => source.cancel(cancel.message))
+
+		let request = Object.assign({}, config, { cancelToken: source.token })
+
+		return new Promise((resolve, reject) => {
+			let timer
+			let onAbort
+
+			let finish = (settle, value) => {
+				clearTimeout(timer)
+
+				if (signal)
+					signal.removeEventListener("abort", onAbort)
+
+				settle(value)
+			}
+
+			if (deadline){
+				timer = setTimeout(() => {
+					source.cancel("The request timed out")
+					finish(reject, createTimeoutError(request))
+				}, deadline.at - Date.now())
+			}
+
+			if (signal){
+				onAbort = () => {
+					source.cancel("The request was aborted")
+					finish(reject, new axios.Cancel("The request was aborted"))
+				}
+
+				signal.addEventListener("abort", onAbort)
+			}
+
+			adapter(request).then((response) => finish(resolve, response), (error) => finish(reject, error))
+		})
+	}
+}
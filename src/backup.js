@@ -0,0 +1,237 @@
+import { CachetValidationError } from './errors'
+import { parseTime } from './metrics'
+
+/**
+ * The format of the documents made by {@link exportAll}. This only changes if a document made by an older version
+ * can no longer be imported as it is.
+ */
+export const BACKUP_VERSION = 1
+
+// The fields of each resource that are sent back to Cachet when importing. Everything else is worked out by Cachet itself.
+const FIELDS = {
+	groups: ["name", "order", "collapsed", "visible"],
+	components: ["name", "description", "status", "link", "order", "group_id", "enabled"],
+	incidents: ["name", "message", "status", "visible", "component_id", "stickied", "created_at"],
+	updates: ["status", "message"],
+	metrics: ["name", "suffix", "description", "default_value", "calc_type", "display_chart", "places", "default_view", "threshold", "order", "visible"],
+	schedules: ["name", "message", "status", "scheduled_at", "completed_at", "components"],
+	subscribers: ["email"]
+}
+
+/**
+ * @typedef {Object} BackupDocument
+ * @property {String} format - Always `cachetapi-backup`
+ * @property {Integer} version - The {@link BACKUP_VERSION} the document was made with
+ * @property {String} exported_at - When the document was made, as an ISO 8601 string
+ * @property {String} [cachet_version] - The version of the Cachet instance it was made from
+ * @property {Number} [utc_offset=0] - The offset from UTC in minutes of the timezone the Cachet instance it was made from is in,
+ * which its `created_at` dates are read in (See {@link parseTime})
+ * @property {Array.<ComponentGroup>} groups
+ * @property {Array.<Component>} components
+ * @property {Array.<Incident>} incidents - Each with its Incident Updates on `updates`, oldest first
+ * @property {Array.<Metric>} metrics - Each with its Metric Points on `points`, oldest first
+ * @property {Array.<Schedule>} schedules
+ * @property {Array.<Subscriber>} subscribers - Each with the Subscriptions it has on `subscriptions`, which is empty for Subscribers that get every Component
+ */
+/**
+ * @typedef {Object} ImportResult
+ * @property {Object.<String, Object.<Integer, Integer>>} ids - For each resource (`groups`, `components`, `incidents`, `updates`, `metrics`,
+ * `schedules` and `subscribers`), a map of the ID in the document to the ID it was given on the new instance
+ * @property {Object.<String, Integer>} counts - How many of each resource were imported (including `points` and `subscriptions`)
+ */
+
+/**
+ * Pick the fields that are imported from an exported item
+ * @private
+ */
+function pick(resource, item){
+	let data = {}
+
+	for (let field of FIELDS[resource]){
+		if (item[field] !== undefined && item[field] !== null)
+			data[field] = item[field]
+	}
+
+	return data
+}
+
+/**
+ * Look up the new ID of a foreign key. IDs of `0` mean "none" in Cachet, so they are left alone.
+ * @private
+ */
+function remap(ids, id){
+	if (!id || ids[id] === undefined)
+		return id
+
+	return ids[id]
+}
+
+/**
+ * Read every Component Group, Component, Incident (with its updates), Metric (with its points), Schedule and Subscriber (with its Subscriptions) from Cachet
+ * @param  {CachetAPI} api - The CachetAPI to read from
+ * @param  {Object} [options] - Options about the export
+ * @param  {Boolean} [options.points=true] - Include Metric Points, which can be most of the document on a busy instance
+ * @param  {Number} [options.utc_offset=0] - The offset from UTC in minutes of the Cachet instance's timezone, which is saved in the document
+ * so that the times of Metric Points can be read correctly when importing it
+ * @return {Promise<BackupDocument>}
+ */
+export async function exportAll(api, options){
+	options = Object.assign({ points: true }, options)
+
+	let doc = {
+		format: "cachetapi-backup",
+		version: BACKUP_VERSION,
+		exported_at: new Date().toISOString(),
+		cachet_version: undefined,
+		utc_offset: options.utc_offset || 0
+	}
+
+	try {
+		doc.cachet_version = await api.getVersion()
+	} catch (e) {
+		// Not every Cachet instance allows reading the version, and it is only informational
+	}
+
+	let by_id = { sort: "id", order: "asc" }
+
+	doc.groups = await api.getAllComponentGroups(by_id)
+	doc.components = await api.getAllComponents(by_id)
+	doc.incidents = await api.getAllIncidents(by_id)
+
+	for (let incident of doc.incidents)
+		incident.updates = await api.getAllIncidentUpdates(incident.id, by_id)
+
+	doc.metrics = await api.getAllMetrics(by_id)
+
+	for (let metric of doc.metrics)
+		metric.points = options.points ? await api.getAllMetricPoints(metric.id, by_id) : []
+
+	doc.schedules = await api.getAllSchedules(by_id)
+	doc.subscribers = await api.getAllSubscribers(by_id)
+
+	for (let subscriber of doc.subscribers)
+		subscriber.subscriptions = await api.getAllSubscriptions(subscriber.id, by_id)
+
+	return doc
+}
+
+/**
+ * Recreate everything in a {@link BackupDocument} on a Cachet instance. Component Groups are created first, then Components, Incidents
+ * (followed by their updates), Metrics (followed by their points), Schedules and Subscribers (followed by their Subscriptions). If anything fails, nothing more is imported,
+ * and the Error that is thrown has what was already imported on `error.imported` (an {@link ImportResult}).
+ * @param  {CachetAPI} api - The CachetAPI to import with
+ * @param  {BackupDocument} doc - The document from {@link exportAll}
+ * @param  {Object} [options] - Options about the import
+ * @param  {Boolean} [options.remapIds=true] - Point `group_id`, `component_id` and the Components of Schedules and Subscriptions at the IDs the new items were given.
+ * Turn this off if the instance is empty and will give out the same IDs as the old one.
+ * @param  {Number} [options.utc_offset] - The offset from UTC in minutes of the timezone the document's `created_at` dates are in (defaults to
+ * the `utc_offset` saved in the document)
+ * @return {Promise<ImportResult>}
+ * @throws {CachetValidationError} Throws if the document is not a backup, or was made by a newer version
+ */
+export async function importAll(api, doc, options){
+	options = Object.assign({ remapIds: true }, options)
+
+	if (!doc || typeof doc !== "object" || doc.format !== "cachetapi-backup")
+		throw new CachetValidationError("Error! The document is not a Cachet backup (its format must be \"cachetapi-backup\")")
+
+	if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > BACKUP_VERSION)
+		throw new CachetValidationError("Error! Unsupported backup version " + JSON.stringify(doc.version) + ", expected at most " + BACKUP_VERSION)
+
+	let result = {
+		ids: { groups: {}, components: {}, incidents: {}, updates: {}, metrics: {}, schedules: {}, subscribers: {} },
+		counts: { groups: 0, components: 0, incidents: 0, updates: 0, metrics: 0, points: 0, schedules: 0, subscribers: 0, subscriptions: 0 }
+	}
+	let ids = result.ids
+
+	let utc_offset = options.utc_offset !== undefined ? options.utc_offset : doc.utc_offset
+	let lookup = (resource, id) => options.remapIds ? remap(ids[resource], id) : id
+
+	let add = async (resource, item, create) => {
+		let created = await create(pick(resource, item))
+
+		ids[resource][item.id] = created.id
+		result.counts[resource]++
+
+		return created
+	}
+
+	try {
+		for (let group of doc.groups || [])
+			await add("groups", group, (data) => api.addComponentGroup(data))
+
+		for (let component of doc.components || []){
+			await add("components", component, (data) => {
+				data.group_id = lookup("groups", data.group_id)
+				return api.addComponent(data)
+			})
+		}
+
+		for (let incident of doc.incidents || []){
+			let created = await add("incidents", incident, (data) => {
+				data.component_id = lookup("components", data.component_id)
+				return api.addIncident(data)
+			})
+
+			for (let update of incident.updates || [])
+				await add("updates", update, (data) => api.addIncidentUpdate(created.id, data))
+		}
+
+		for (let metric of doc.metrics || []){
+			let created = await add("metrics", metric, (data) => api.addMetric(data))
+
+			for (let point of metric.points || []){
+				let timestamp = Math.floor(parseTime(point.created_at, utc_offset) / 1000)
+
+				// Cachet merges points with the same value into one point with a counter, so send it that many times to get the same counter back
+				for (let i = 0; i < (point.counter || 1); i++){
+					await api.addMetricPoint(created.id, { value: point.value, timestamp })
+					result.counts.points++
+				}
+			}
+		}
+
+		for (let schedule of doc.schedules || []){
+			await add("schedules", schedule, (data) => {
+				if (data.components){
+					let components = {}
+
+					// Cachet takes a map of Component ID to status, but the Schedule Components may have been exported as a list of rows instead
+					if (Array.isArray(data.components)){
+						for (let row of data.components)
+							components[lookup("components", row.component_id)] = row.component_status
+					} else {
+						for (let component_id in data.components)
+							components[lookup("components", parseInt(component_id, 10))] = data.components[component_id]
+					}
+
+					data.components = components
+				}
+
+				return api.addSchedule(data)
+			})
+		}
+
+		for (let subscriber of doc.subscribers || []){
+			// Cachet subscribes a new Subscriber to every Component unless it is told which ones, so pass on the ones they picked
+			let component_ids = (subscriber.subscriptions || []).map((subscription) => lookup("components", subscription.component_id))
+
+			await add("subscribers", subscriber, (data) => {
+				// Subscribers that had already confirmed their email shouldn't be asked to do it again
+				data.verify = !!subscriber.verified_at
+
+				if (component_ids.length > 0)
+					data.components = component_ids
+
+				return api.addSubscriber(data)
+			})
+
+			result.counts.subscriptions += component_ids.length
+		}
+	} catch (e) {
+		e.imported = result
+		throw e
+	}
+
+	return result
+}
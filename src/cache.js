@@ -0,0 +1,321 @@
+import axios from 'axios'
+
+import { CachetValidationError } from './errors'
+
+/**
+ * The resources that have to be invalidated when a resource is changed. Incident Updates are part of `incidents`,
+ * and Metric Points are part of `metrics`.
+ * @private
+ */
+const INVALIDATES = {
+	components: ["components", "groups"],
+	groups: ["groups", "components"],
+	incidents: ["incidents", "components"],
+	templates: ["templates"],
+	schedules: ["schedules"],
+	metrics: ["metrics"],
+	subscribers: ["subscribers"]
+}
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {Function} get - Called as `get(key)`. Returns (or resolves with) the stored value, or `undefined` if there isn't one.
+ * @property {Function} set - Called as `set(key, value, ttl)`. `ttl` is how long (in ms) the value needs to be kept, or `undefined` to keep it for as long as the store can.
+ * @property {Function} delete - Called as `delete(key)`
+ * @property {Function} keys - Called as `keys()`. Returns (or resolves with) an Array of every stored key.
+ * @property {Function} [clear] - Called as `clear()`. If not implemented, every key is deleted one at a time.
+ *
+ * Every method may return a Promise, so a store can be backed by something like Redis or memcached. Values are plain JSON-safe Objects.
+ */
+/**
+ * @typedef {Object} CacheOptions
+ * @property {Integer} [ttl=60000] - How long (in ms) a response is fresh for
+ * @property {Object} [ttls] - A TTL (in ms) per resource, which overrides `ttl`. The resources are `components`, `groups`, `incidents` (including Incident Updates),
+ * `templates`, `schedules`, `metrics` (including Metric Points), `subscribers`, `version` and `ping`. Set a TTL to `0` to never cache that resource. `ping` is never cached by default.
+ * @property {Integer} [max_entries=500] - The most responses the default in-memory store will hold, before the least recently used are evicted
+ * @property {CacheStore} [store] - Where to store responses. Defaults to a {@link MemoryCacheStore}.
+ */
+
+/**
+ * An in-memory {@link CacheStore} that evicts the least recently used entries once it is full, and drops entries once their TTL is up
+ *
+ * @example
+ * let store = new MemoryCacheStore({ max_entries: 100 })
+ *
+ * store.set("key", { value: 1 }, 1000)
+ * store.get("key") // { value: 1 }
+ */
+export class MemoryCacheStore {
+	/**
+	 * Create a new MemoryCacheStore
+	 * @param  {Object} [options] - Options about the store
+	 * @param  {Integer} [options.max_entries=500] - The most entries to hold
+	 * @param  {Function} [options.now=Date.now] - Returns the current time in ms, used to expire entries
+	 * @return {MemoryCacheStore}
+	 */
+	constructor(options){
+		this.options = Object.assign({ max_entries: 500, now: Date.now }, options)
+
+		if (!Number.isInteger(this.options.max_entries) || this.options.max_entries < 1)
+			throw new CachetValidationError("Error! max_entries must be a positive Integer, got " + JSON.stringify(this.options.max_entries))
+
+		this.entries = new Map()
+	}
+
+	/**
+	 * How many entries are being held (including any that have expired, but haven't been read since)
+	 * @type {Integer}
+	 */
+	get size(){
+		return this.entries.size
+	}
+
+	get(key){
+		let entry = this.entries.get(key)
+
+		if (!entry)
+			return undefined
+
+		if (entry.expires_at !== undefined && entry.expires_at <= this.options.now()){
+			this.entries.delete(key)
+			return undefined
+		}
+
+		// Move it to the end, so that it is the most recently used
+		this.entries.delete(key)
+		this.entries.set(key, entry)
+
+		return entry.value
+	}
+	set(key, value, ttl){
+		this.entries.delete(key)
+		this.entries.set(key, { value, expires_at: ttl === undefined ? undefined : this.options.now() + ttl })
+
+		// Maps iterate in insertion order, so the first key is always the least recently used
+		while (this.entries.size > this.options.max_entries)
+			this.entries.delete(this.entries.keys().next().value)
+	}
+	delete(key){
+		this.entries.delete(key)
+	}
+	keys(){
+		return Array.from(this.entries.keys())
+	}
+	clear(){
+		this.entries.clear()
+	}
+}
+
+/**
+ * Find which resource a request URL is for, for example `/v1/incidents/1/updates` is part of `incidents`
+ * @param  {String} url - The request URL
+ * @return {String} The resource, or `undefined` if it isn't a Cachet API URL
+ * @private
+ */
+function getResource(url){
+	let match = /\/v1\/(\w+)(?:\/(\w+))?/.exec(String(url))
+
+	if (!match)
+		return undefined
+
+	if (match[1] === "components" && match[2] === "groups")
+		return "groups"
+	if (match[1] === "incidents" && match[2] === "templates")
+		return "templates"
+
+	return match[1]
+}
+
+/**
+ * Caches the responses of GET requests, and throws away the cached responses of a resource whenever a request changes it.
+ * If Cachet sends an `ETag` with a response, the response is revalidated with `If-None-Match` once it is stale, instead of being downloaded again.
+ *
+ * You will normally get one of these by passing the `cache` option to the {@link CachetAPI}, and then use it from `cachet_api.cache`.
+ */
+export class ResponseCache {
+	/**
+	 * Create a new ResponseCache
+	 * @param  {CacheOptions} [options] - Options about what to cache, and for how long
+	 * @return {ResponseCache}
+	 */
+	constructor(options){
+		this.options = Object.assign({ ttl: 60000, max_entries: 500, now: Date.now }, options)
+		this.ttls = Object.assign({ ping: 0 }, this.options.ttls)
+
+		for (let resource of ["*"].concat(Object.keys(this.ttls))){
+			let ttl = resource === "*" ? this.options.ttl : this.ttls[resource]
+
+			if (!Number.isInteger(ttl) || ttl < 0)
+				throw new CachetValidationError("Error! The cache TTL" + (resource === "*" ? "" : " for " + resource) + " must be an Integer of at least 0, got " + JSON.stringify(ttl))
+		}
+
+		this.store = this.options.store || new MemoryCacheStore({ max_entries: this.options.max_entries, now: this.options.now })
+
+		for (let method of ["get", "set", "delete", "keys"]){
+			if (typeof this.store[method] !== "function")
+				throw new CachetValidationError("Error! The cache store must have a " + method + "() method")
+		}
+
+		this.stats = { hits: 0, misses: 0, revalidated: 0 }
+	}
+
+	/**
+	 * Wrap an axios adapter, so that requests sent through it are cached
+	 * @param  {Function} [adapter] - The axios adapter to wrap. Defaults to the default axios adapter.
+	 * @return {Function} The wrapped axios adapter
+	 */
+	wrap(adapter){
+		adapter = adapter || axios.defaults.adapter
+
+		return (config) => this.request(adapter, config)
+	}
+
+	/**
+	 * Throw away every cached response of the given resources
+	 * @param  {String|Array.<String>} resources - The resources to invalidate, such as `"components"`
+	 * @return {Promise}
+	 *
+	 * @example
+	 * await cachet_api.cache.invalidate("components")
+	 */
+	async invalidate(resources){
+		resources = [].concat(resources)
+
+		let keys = await this.store.keys()
+
+		for (let key of keys){
+			if (resources.indexOf(key.split(" ")[0]) !== -1)
+				await this.store.delete(key)
+		}
+	}
+	/**
+	 * Throw away every cached response
+	 * @return {Promise}
+	 */
+	async clear(){
+		if (typeof this.store.clear === "function")
+			return this.store.clear()
+
+		for (let key of await this.store.keys())
+			await this.store.delete(key)
+	}
+
+	/**
+	 * Send a request through the adapter, or answer it from the cache
+	 * @private
+	 */
+	async request(adapter, config){
+		let method = String(config.method).toLowerCase()
+		let resource = getResource(config.url)
+
+		if (method !== "get"){
+			let response = await adapter(config)
+
+			// The change worked, so anything we have cached about it is now out of date
+			if (resource)
+				await this.invalidate(INVALIDATES[resource] || [resource])
+
+			return response
+		}
+
+		let ttl = this.ttls[resource] !== undefined ? this.ttls[resource] : this.options.ttl
+
+		if (!resource || ttl === 0)
+			return adapter(config)
+
+		let key = this.getKey(resource, config)
+		let entry = await this.store.get(key)
+
+		if (entry && entry.expires_at > this.options.now()){
+			this.stats.hits++
+			return this.toResponse(entry, config)
+		}
+
+		if (entry && entry.etag){
+			let validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300)
+
+			let response = await adapter(Object.assign({}, config, {
+				headers: Object.assign({}, config.headers, { "If-None-Match": entry.etag }),
+				validateStatus: (status) => status === 304 || validateStatus(status)
+			}))
+
+			if (response.status === 304){
+				this.stats.revalidated++
+
+				entry.expires_at = this.options.now() + ttl
+				await this.store.set(key, entry)
+
+				return this.toResponse(entry, config)
+			}
+
+			response.config = config
+			this.stats.misses++
+
+			return this.save(key, ttl, response)
+		}
+
+		this.stats.misses++
+
+		return this.save(key, ttl, await adapter(config))
+	}
+	/**
+	 * Store a successful response, then return it
+	 * @private
+	 */
+	async save(key, ttl, response){
+		let headers = response.headers || {}
+		let etag = headers.etag || headers.ETag
+
+		let entry = {
+			data: response.data,
+			status: response.status,
+			statusText: response.statusText,
+			headers,
+			etag,
+			expires_at: this.options.now() + ttl
+		}
+
+		// Responses with an ETag are kept after they go stale, so that they can be revalidated
+		await this.store.set(key, entry, etag ? undefined : ttl)
+
+		return response
+	}
+	/**
+	 * Turn a cached entry back into an axios response
+	 * @private
+	 */
+	toResponse(entry, config){
+		let data = entry.data
+
+		// Copy parsed data, so that nothing can change what is cached
+		if (data && typeof data === "object")
+			data = JSON.parse(JSON.stringify(data))
+
+		return { data, status: entry.status, statusText: entry.statusText, headers: Object.assign({}, entry.headers), config, request: {} }
+	}
+	/**
+	 * The key a request is cached under. It starts with the resource, so that every response of a resource can be invalidated together.
+	 * @private
+	 */
+	getKey(resource, config){
+		let params = config.params || {}
+		let query = Object.keys(params).sort().filter((key) => params[key] !== undefined).map((key) => key + "=" + JSON.stringify(params[key])).join("&")
+
+		return resource + " " + config.url + (query ? " " + query : "")
+	}
+}
+
+/**
+ * Create the {@link ResponseCache} for the `cache` option of the {@link CachetAPI}
+ * @param  {CacheOptions|Boolean} [options] - The cache options. Pass `true` to use the defaults, or `false` (or nothing) to not cache at all.
+ * @return {ResponseCache} Returns `undefined` if caching is disabled
+ */
+export function createCache(options){
+	if (!options)
+		return undefined
+
+	if (options instanceof ResponseCache)
+		return options
+
+	return new ResponseCache(options === true ? {} : options)
+}
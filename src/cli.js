@@ -0,0 +1,568 @@
+#!/usr/bin/env node
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import CachetAPI from './CachetAPI'
+import { ComponentStatus, IncidentStatus, MetricCalcType, ComponentGroupCollapse, ScheduleStatus } from './constants'
+import {
+	CachetAuthError,
+	CachetNotFoundError,
+	CachetValidationError,
+	CachetRateLimitError,
+	CachetNetworkError,
+	CachetServerError
+} from './errors'
+
+/**
+ * The exit codes used by the `cachet` command
+ * @readonly
+ * @enum {Integer}
+ */
+export const ExitCode = Object.freeze({
+	SUCCESS: 0,
+	ERROR: 1,
+	USAGE: 2,
+	VALIDATION: 3,
+	AUTH: 4,
+	NOT_FOUND: 5,
+	RATE_LIMITED: 6,
+	NETWORK: 7,
+	SERVER: 8
+})
+
+const USAGE = `Usage: cachet [options] <resource> <action> [arguments]
+
+Resources and actions:
+  ping                                  Check that Cachet is online
+  version                               Print the Cachet version
+  components list|get|create|update|delete
+  groups     list|get|create|update|delete
+  incidents  list|get|create|update|delete
+  updates    list|get|create|update|delete <incident_id> ...
+  schedules  list|get|create|update|delete
+  templates  list|get|create|update|delete
+  metrics    list|get|create|delete
+  metrics    push <metric_id> <value> [--timestamp <unix>]
+  metrics    points <metric_id>
+  subscribers list|create|delete
+  sync       <file.json> [--dry-run] [--prune] [--match name|tag]
+
+Fields are passed as --flags, for example:
+  cachet components list --status major_outage --group 3
+  cachet components update 5 --status operational
+  cachet incidents create --name "API Outage" --message "Investigating" --status investigating --component 3 --component-status 4
+  cachet metrics push 5 42.1
+
+Options:
+  --url <url>        The URL of the Cachet API (or set CACHET_URL)
+  --token <token>    The API Token (or set CACHET_TOKEN)
+  --config <file>    A JSON file with "url" and "apiToken" (or set CACHET_CONFIG, defaults to ./.cachetrc or ~/.cachetrc)
+  --all              Follow pagination when listing, instead of only returning the first page
+  --json             Print the raw JSON response
+  -q, --quiet        Only print IDs
+  -h, --help         Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 validation error, 4 authentication error,
+  5 not found, 6 rate limited, 7 network error, 8 server error`
+
+const BOOLEAN_FLAGS = ["json", "quiet", "q", "help", "h", "all", "dry-run", "prune"]
+
+// Flags that are not fields of the resource being sent to Cachet
+const OPTION_FLAGS = ["url", "token", "config", "json", "quiet", "q", "help", "h", "all", "dry-run", "prune", "match", "per-page", "page", "sort", "order", "limit"]
+
+// Shorter flag names for common fields
+const FIELD_ALIASES = {
+	group: "group_id",
+	component: "component_id"
+}
+
+const ENUM_FIELDS = {
+	components: { status: ComponentStatus },
+	groups: { collapsed: ComponentGroupCollapse },
+	incidents: { status: IncidentStatus, component_status: ComponentStatus },
+	updates: { status: IncidentStatus },
+	schedules: { status: ScheduleStatus },
+	metrics: { calc_type: MetricCalcType }
+}
+
+const INTEGER_FIELDS = ["group_id", "component_id", "order", "places", "default_view", "threshold", "timestamp"]
+const NUMBER_FIELDS = ["default_value", "value"]
+const BOOLEAN_FIELDS = ["enabled", "visible", "notify", "stickied", "display_chart", "verify"]
+const JSON_FIELDS = ["vars", "components", "meta"]
+
+const TABLE_COLUMNS = {
+	components: ["id", "name", "status", "group_id", "enabled"],
+	groups: ["id", "name", "order", "collapsed"],
+	incidents: ["id", "name", "status", "component_id", "visible", "created_at"],
+	updates: ["id", "incident_id", "status", "message", "created_at"],
+	schedules: ["id", "name", "status", "scheduled_at", "completed_at"],
+	templates: ["id", "name", "slug"],
+	metrics: ["id", "name", "suffix", "calc_type", "default_value"],
+	points: ["id", "value", "counter", "created_at"],
+	subscribers: ["id", "email", "verified_at"]
+}
+
+/**
+ * An Error caused by calling the `cachet` command incorrectly
+ * @private
+ */
+class UsageError extends Error {
+	constructor(message){
+		super(message)
+		this.name = "UsageError"
+	}
+}
+
+/**
+ * Split the command line arguments into positional arguments and flags
+ * @param  {Array.<String>} argv - The command line arguments (without `node` and the script name)
+ * @return {Object} Returns `{ _: [positional], flags: { name: value } }`
+ */
+export function parseArgs(argv){
+	let parsed = { _: [], flags: {} }
+
+	for (let i = 0; i < argv.length; i++){
+		let arg = argv[i]
+
+		if (arg === "--"){
+			parsed._ = parsed._.concat(argv.slice(i + 1))
+			break
+		}
+
+		let flag = /^--?([^=]+)(?:=(.*))?$/.exec(arg)
+
+		// Negative numbers (such as a metric point of -5) are values, not flags
+		if (!flag || /^-\d/.test(arg)){
+			parsed._.push(arg)
+			continue
+		}
+
+		let name = flag[1]
+
+		if (flag[2] !== undefined)
+			parsed.flags[name] = flag[2]
+		else if (BOOLEAN_FLAGS.indexOf(name) !== -1)
+			parsed.flags[name] = true
+		else if (i + 1 < argv.length)
+			parsed.flags[name] = argv[++i]
+		else
+			throw new UsageError("Missing a value for --" + name)
+	}
+
+	return parsed
+}
+
+/**
+ * Parse an ID argument
+ * @private
+ */
+function parseId(value, name){
+	if (value === undefined)
+		throw new UsageError("Missing the " + name)
+	if (!/^\d+$/.test(value))
+		throw new UsageError("The " + name + " must be a number, got " + JSON.stringify(value))
+
+	return parseInt(value, 10)
+}
+
+/**
+ * Parse a status (or other enum) by its number or its name, so that both `4` and `major_outage` work
+ * @private
+ */
+function parseEnum(value, values, name){
+	if (/^\d+$/.test(value))
+		return parseInt(value, 10)
+
+	let key = String(value).toUpperCase().replace(/[-\s]/g, "_")
+
+	if (values[key] === undefined)
+		throw new UsageError("Unknown " + name + " " + JSON.stringify(value) + ", expected one of " + Object.keys(values).map((k) => k.toLowerCase()).join(", "))
+
+	return values[key]
+}
+
+/**
+ * Turn the flags into the fields of a resource, converting each value to the type Cachet expects
+ * @private
+ */
+function parseFields(resource, flags){
+	let fields = {}
+	let enums = ENUM_FIELDS[resource] || {}
+
+	for (let flag in flags){
+		if (OPTION_FLAGS.indexOf(flag) !== -1)
+			continue
+
+		let field = flag.replace(/-/g, "_")
+		field = FIELD_ALIASES[field] || field
+
+		let value = flags[flag]
+
+		if (enums[field])
+			fields[field] = parseEnum(value, enums[field], field)
+		else if (INTEGER_FIELDS.indexOf(field) !== -1)
+			fields[field] = parseId(value, field)
+		else if (NUMBER_FIELDS.indexOf(field) !== -1){
+			if (isNaN(Number(value)))
+				throw new UsageError("The " + field + " must be a number, got " + JSON.stringify(value))
+			fields[field] = Number(value)
+		} else if (BOOLEAN_FIELDS.indexOf(field) !== -1)
+			fields[field] = ["1", "true", "yes"].indexOf(String(value).toLowerCase()) !== -1
+		else if (JSON_FIELDS.indexOf(field) !== -1){
+			try {
+				fields[field] = JSON.parse(value)
+			} catch (e) {
+				throw new UsageError("The " + field + " must be valid JSON")
+			}
+		} else
+			fields[field] = value
+	}
+
+	return fields
+}
+
+/**
+ * Build the query for a list command from the flags
+ * @private
+ */
+function parseQuery(resource, flags){
+	let query = parseFields(resource, flags)
+
+	if (flags.sort !== undefined)
+		query.sort = flags.sort
+	if (flags.order !== undefined)
+		query.order = flags.order
+	if (flags["per-page"] !== undefined)
+		query.per_page = parseId(flags["per-page"], "per-page")
+	if (flags.page !== undefined)
+		query.page = parseId(flags.page, "page")
+
+	return query
+}
+
+/**
+ * Load the URL and API Token from the flags, the environment, or a config file (in that order)
+ * @param  {Object} flags - The parsed flags
+ * @param  {Object} env - The environment variables
+ * @param  {String} cwd - The current working directory
+ * @return {Object} Returns `{ url, apiToken }`
+ */
+export function loadConfig(flags, env, cwd){
+	let file_config = {}
+	let config_path = flags.config || env.CACHET_CONFIG
+
+	if (!config_path){
+		let candidates = [path.join(cwd, ".cachetrc"), path.join(env.HOME || os.homedir(), ".cachetrc")]
+		config_path = candidates.find((candidate) => fs.existsSync(candidate))
+	}
+
+	if (config_path){
+		try {
+			file_config = JSON.parse(fs.readFileSync(config_path, "utf8"))
+		} catch (e) {
+			throw new UsageError("Unable to read the config file " + config_path + ": " + e.message)
+		}
+	}
+
+	return {
+		url: flags.url || env.CACHET_URL || file_config.url,
+		apiToken: flags.token || env.CACHET_TOKEN || env.CACHET_API_TOKEN || file_config.apiToken || file_config.token
+	}
+}
+
+/**
+ * Run a list command, following pagination when `--all` is set
+ * @private
+ */
+function list(flags, first_page, all){
+	if (flags.all)
+		return all(flags.limit !== undefined ? parseId(flags.limit, "limit") : undefined)
+
+	return first_page()
+}
+
+/**
+ * Run a standard list/get/create/update/delete action against a resource
+ * @private
+ */
+async function crud(api, resource, methods, action, args, flags){
+	switch (action){
+		case "list": {
+			let query = parseQuery(resource, flags)
+			let per_page = query.per_page
+			return list(flags, () => api[methods.list](query), (max_items) => api[methods.all](Object.assign({}, query, { per_page, max_items })))
+		}
+		case "get":
+			return api[methods.get](parseId(args[0], "id"))
+		case "create":
+			return api[methods.create](parseFields(resource, flags))
+		case "update":
+			if (!methods.update)
+				break
+			return api[methods.update](parseId(args[0], "id"), parseFields(resource, flags))
+		case "delete":
+			return api[methods.delete](parseId(args[0], "id"))
+	}
+
+	throw new UsageError("Unknown action " + JSON.stringify(action) + " for " + resource)
+}
+
+const RESOURCES = {
+	components: { list: "getComponents", all: "getAllComponents", get: "getComponent", create: "addComponent", update: "updateComponent", delete: "deleteComponent" },
+	groups: { list: "getComponentGroups", all: "getAllComponentGroups", get: "getComponentGroup", create: "addComponentGroup", update: "updateComponentGroup", delete: "deleteComponentGroup" },
+	incidents: { list: "getIncidents", all: "getAllIncidents", get: "getIncident", create: "addIncident", update: "updateIncident", delete: "deleteIncident" },
+	schedules: { list: "getSchedules", all: "getAllSchedules", get: "getSchedule", create: "addSchedule", update: "updateSchedule", delete: "deleteSchedule" },
+	templates: { list: "getIncidentTemplates", all: "getAllIncidentTemplates", get: "getIncidentTemplate", create: "addIncidentTemplate", update: "updateIncidentTemplate", delete: "deleteIncidentTemplate" },
+	metrics: { list: "getMetrics", all: "getAllMetrics", get: "getMetric", create: "addMetric", delete: "deleteMetric" }
+}
+
+/**
+ * Run a command against Cachet
+ * @param  {CachetAPI} api - The CachetAPI to use
+ * @param  {Array.<String>} positional - The positional arguments (resource, action, then arguments)
+ * @param  {Object} flags - The parsed flags
+ * @param  {String} cwd - The directory to resolve files against
+ * @return {Promise<*>} Resolves with the result to print
+ * @private
+ */
+async function execute(api, positional, flags, cwd){
+	let [resource, action] = positional
+	let args = positional.slice(2)
+
+	if (resource === "ping")
+		return api.ping()
+	if (resource === "version")
+		return api.getVersion()
+
+	if (resource === "sync"){
+		let file = action
+
+		if (!file)
+			throw new UsageError("Missing the desired state file")
+
+		let desired
+
+		try {
+			desired = JSON.parse(fs.readFileSync(path.resolve(cwd, file), "utf8"))
+		} catch (e) {
+			throw new UsageError("Unable to read " + file + ": " + e.message)
+		}
+
+		let { plan } = await api.sync(desired, { dryRun: !!flags["dry-run"], prune: !!flags.prune, match: flags.match })
+
+		return plan
+	}
+
+	if (!action)
+		throw new UsageError("Missing the action for " + JSON.stringify(resource))
+
+	if (resource === "metrics" && action === "push"){
+		if (args[1] === undefined)
+			throw new UsageError("Missing the value to push")
+
+		let point = parseFields("metrics", flags.timestamp !== undefined ? { value: args[1], timestamp: flags.timestamp } : { value: args[1] })
+
+		return api.addMetricPoint(parseId(args[0], "metric id"), point)
+	}
+
+	if (resource === "metrics" && action === "points"){
+		let metric_id = parseId(args[0], "metric id")
+		return api.getMetricPoints(metric_id, parseQuery("points", flags))
+	}
+
+	if (resource === "updates"){
+		let incident_id = parseId(args[0], "incident id")
+
+		switch (action){
+			case "list": {
+				let query = parseQuery("updates", flags)
+				return list(flags, () => api.getIncidentUpdates(incident_id, query), (max_items) => api.getAllIncidentUpdates(incident_id, Object.assign({}, query, { max_items })))
+			}
+			case "get":
+				return api.getIncidentUpdate(incident_id, parseId(args[1], "update id"))
+			case "create":
+				return api.addIncidentUpdate(incident_id, parseFields("updates", flags))
+			case "update":
+				return api.updateIncidentUpdate(incident_id, parseId(args[1], "update id"), parseFields("updates", flags))
+			case "delete":
+				return api.deleteIncidentUpdate(incident_id, parseId(args[1], "update id"))
+		}
+
+		throw new UsageError("Unknown action " + JSON.stringify(action) + " for updates")
+	}
+
+	if (resource === "subscribers"){
+		switch (action){
+			case "list": {
+				let query = parseQuery("subscribers", flags)
+				return list(flags, () => api.getSubscribers(query), (max_items) => api.getAllSubscribers(Object.assign({}, query, { max_items })))
+			}
+			case "create":
+				return api.addSubscriber(parseFields("subscribers", flags))
+			case "delete":
+				return api.deleteSubscriber(parseId(args[0], "id"))
+		}
+
+		throw new UsageError("Unknown action " + JSON.stringify(action) + " for subscribers")
+	}
+
+	if (!RESOURCES[resource])
+		throw new UsageError("Unknown resource " + JSON.stringify(resource))
+
+	return crud(api, resource, RESOURCES[resource], action, args, flags)
+}
+
+/**
+ * Format a value for a table cell
+ * @private
+ */
+function formatCell(value){
+	if (value === undefined || value === null)
+		return ""
+	if (typeof value === "object")
+		return JSON.stringify(value)
+
+	return String(value).replace(/\s+/g, " ")
+}
+
+/**
+ * Format rows of objects as a text table
+ * @param  {Array.<Object>} rows - The rows to print
+ * @param  {Array.<String>} [columns] - The columns to print (defaults to every key of the first row)
+ * @return {String}
+ */
+export function formatTable(rows, columns){
+	if (rows.length === 0)
+		return "(none)"
+
+	columns = columns || Object.keys(rows[0])
+
+	let cells = [columns].concat(rows.map((row) => columns.map((column) => formatCell(row[column]))))
+	let widths = columns.map((column, i) => Math.max.apply(null, cells.map((row) => row[i].length)))
+
+	return cells.map((row) => row.map((cell, i) => i === row.length - 1 ? cell : (cell + " ".repeat(widths[i] - cell.length))).join("  ").replace(/\s+$/, "")).join("\n")
+}
+
+/**
+ * Format the result of a command for printing
+ * @private
+ */
+function formatResult(result, resource, action, flags){
+	if (flags.json)
+		return JSON.stringify(result, null, 2)
+
+	if (flags.quiet || flags.q){
+		if (Array.isArray(result))
+			return result.map((item) => item && item.id !== undefined ? item.id : "").filter((id) => id !== "").join("\n")
+		if (result && typeof result === "object" && result.id !== undefined)
+			return String(result.id)
+
+		return ""
+	}
+
+	if (result === true)
+		return "Deleted"
+
+	if (resource === "sync")
+		return result.length === 0 ? "Nothing to do" : result.map((step) => step.action + " " + step.type + " " + JSON.stringify(step.name) + (step.data && Object.keys(step.data).length > 0 ? " " + JSON.stringify(step.data) : "")).join("\n")
+
+	if (Array.isArray(result)){
+		let table_resource = resource === "metrics" && action === "points" ? "points" : resource
+		return formatTable(result, TABLE_COLUMNS[table_resource])
+	}
+
+	if (result && typeof result === "object")
+		return formatTable(Object.keys(result).map((key) => ({ field: key, value: result[key] })), ["field", "value"])
+
+	return String(result)
+}
+
+/**
+ * Pick the exit code for an Error
+ * @param  {Error} error - The Error that was thrown
+ * @return {Integer} One of the {@link ExitCode} values
+ */
+export function getExitCode(error){
+	if (error instanceof UsageError)
+		return ExitCode.USAGE
+	if (error instanceof CachetValidationError)
+		return ExitCode.VALIDATION
+	if (error instanceof CachetAuthError)
+		return ExitCode.AUTH
+	if (error instanceof CachetNotFoundError)
+		return ExitCode.NOT_FOUND
+	if (error instanceof CachetRateLimitError)
+		return ExitCode.RATE_LIMITED
+	if (error instanceof CachetNetworkError)
+		return ExitCode.NETWORK
+	if (error instanceof CachetServerError)
+		return ExitCode.SERVER
+
+	return ExitCode.ERROR
+}
+
+/**
+ * Run the `cachet` command
+ * @param  {Array.<String>} argv - The command line arguments (without `node` and the script name)
+ * @param  {Object} [io] - Where to read config from and write output to (defaults to the current process)
+ * @param  {Object} [io.env=process.env] - The environment variables
+ * @param  {String} [io.cwd=process.cwd()] - The current working directory
+ * @param  {Object} [io.stdout=process.stdout] - Where to write output
+ * @param  {Object} [io.stderr=process.stderr] - Where to write errors
+ * @param  {CachetAPI} [io.api] - Use this CachetAPI instead of creating one from the config
+ * @return {Promise<Integer>} Resolves with the exit code
+ *
+ * @example
+ * cachet components list --status major_outage --json
+ */
+export async function run(argv, io){
+	io = Object.assign({ env: process.env, cwd: process.cwd(), stdout: process.stdout, stderr: process.stderr }, io)
+
+	let parsed
+
+	try {
+		parsed = parseArgs(argv)
+	} catch (e) {
+		io.stderr.write(e.message + "\n\n" + USAGE + "\n")
+		return ExitCode.USAGE
+	}
+
+	let { flags } = parsed
+	let [resource, action] = parsed._
+
+	if (flags.help || flags.h || !resource){
+		io.stdout.write(USAGE + "\n")
+		return resource || flags.help || flags.h ? ExitCode.SUCCESS : ExitCode.USAGE
+	}
+
+	try {
+		let api = io.api
+
+		if (!api){
+			let config = loadConfig(flags, io.env, io.cwd)
+
+			if (!config.url)
+				throw new UsageError("Missing the Cachet URL. Pass --url, set CACHET_URL, or add \"url\" to a .cachetrc file")
+
+			api = new CachetAPI({ url: config.url, apiToken: config.apiToken })
+		}
+
+		let result = await execute(api, parsed._, flags, io.cwd)
+		let output = formatResult(result, resource, action, flags)
+
+		if (output !== "")
+			io.stdout.write(output + "\n")
+
+		return ExitCode.SUCCESS
+	} catch (e) {
+		io.stderr.write((e instanceof UsageError ? e.message + "\n\nRun `cachet --help` for usage" : e.message) + "\n")
+
+		return getExitCode(e)
+	}
+}
+
+// Let the process end on its own, as exiting straight away can cut off output that is still being written to a pipe
+if (require.main === module)
+	run(process.argv.slice(2)).then((code) => { process.exitCode = code })
@@ -0,0 +1,73 @@
+/**
+ * The statuses that a Component can have (See the {@link https://docs.cachethq.io/v1.0/docs/component-statuses Cachet Docs})
+ * @readonly
+ * @enum {Integer}
+ */
+export const ComponentStatus = Object.freeze({
+	/** The Component is working as expected */
+	OPERATIONAL: 1,
+	/** The Component is experiencing some slowness */
+	PERFORMANCE_ISSUES: 2,
+	/** The Component may not be working for everybody */
+	PARTIAL_OUTAGE: 3,
+	/** The Component is not working for anybody */
+	MAJOR_OUTAGE: 4
+})
+
+/**
+ * The statuses that an Incident or Incident Update can have (See the {@link https://docs.cachethq.io/v1.0/docs/incident-statuses Cachet Docs})
+ * @readonly
+ * @enum {Integer}
+ */
+export const IncidentStatus = Object.freeze({
+	/** The Incident is scheduled maintenance */
+	SCHEDULED: 0,
+	/** Reports of a problem are being investigated */
+	INVESTIGATING: 1,
+	/** The cause of the problem has been found */
+	IDENTIFIED: 2,
+	/** A fix has been deployed and is being monitored */
+	WATCHING: 3,
+	/** The problem has been fixed */
+	FIXED: 4
+})
+
+/**
+ * How the Metric Points of a Metric are combined
+ * @readonly
+ * @enum {Integer}
+ */
+export const MetricCalcType = Object.freeze({
+	/** Points are added together */
+	SUM: 0,
+	/** Points are averaged */
+	AVERAGE: 1
+})
+
+/**
+ * When a Component Group is collapsed on the status page
+ * @readonly
+ * @enum {Integer}
+ */
+export const ComponentGroupCollapse = Object.freeze({
+	/** The Component Group is always expanded */
+	NEVER: 0,
+	/** The Component Group is always collapsed */
+	ALWAYS: 1,
+	/** The Component Group is collapsed unless one of its Components is not Operational */
+	NOT_OPERATIONAL: 2
+})
+
+/**
+ * The statuses that a Schedule (scheduled maintenance) can have
+ * @readonly
+ * @enum {Integer}
+ */
+export const ScheduleStatus = Object.freeze({
+	/** The maintenance has not started yet */
+	UPCOMING: 0,
+	/** The maintenance is happening now */
+	IN_PROGRESS: 1,
+	/** The maintenance has finished */
+	COMPLETE: 2
+})
@@ -0,0 +1,99 @@
+import { CachetValidationError } from './errors'
+
+/**
+ * Parse CSV text into rows of fields. Supports quoted fields (including delimiters, quotes and line breaks inside quotes),
+ * `\n` and `\r\n` line endings, and a leading byte order mark.
+ * @param  {String} text - The CSV text
+ * @param  {Object} [options] - Options about the CSV
+ * @param  {String} [options.delimiter=","] - The character between fields
+ * @return {Array.<Array.<String>>} The rows, each an Array of fields
+ * @throws {CachetValidationError} Throws if a quoted field is never closed
+ *
+ * @example
+ * parseCSV('name,value\n"Latency, p95",42')
+ * // [["name", "value"], ["Latency, p95", "42"]]
+ */
+export function parseCSV(text, options){
+	let delimiter = (options && options.delimiter) || ","
+
+	if (typeof text !== "string")
+		throw new CachetValidationError("Error! The CSV must be a String")
+
+	// Strip the byte order mark that spreadsheet programs like to add
+	if (text.charCodeAt(0) === 0xFEFF)
+		text = text.slice(1)
+
+	let rows = []
+	let row = []
+	let field = ""
+	let quoted = false
+
+	for (let i = 0; i < text.length; i++){
+		let char = text[i]
+
+		if (quoted){
+			if (char === "\"" && text[i + 1] === "\""){
+				field += "\""
+				i++
+			} else if (char === "\"") {
+				quoted = false
+			} else {
+				field += char
+			}
+		} else if (char === "\"" && field === ""){
+			quoted = true
+		} else if (char === delimiter){
+			row.push(field)
+			field = ""
+		} else if (char === "\n" || char === "\r"){
+			if (char === "\r" && text[i + 1] === "\n")
+				i++
+
+			row.push(field)
+			rows.push(row)
+			row = []
+			field = ""
+		} else {
+			field += char
+		}
+	}
+
+	if (quoted)
+		throw new CachetValidationError("Error! The CSV has a quoted field that is never closed")
+
+	if (field !== "" || row.length > 0){
+		row.push(field)
+		rows.push(row)
+	}
+
+	return rows
+}
+
+/**
+ * Parse CSV text with a header row into Objects keyed by the (trimmed) header names. Blank lines are skipped.
+ * @param  {String} text - The CSV text
+ * @param  {Object} [options] - The same options as {@link parseCSV}
+ * @return {Array.<Object>} One Object per row after the header row
+ *
+ * @example
+ * parseCSVRecords("timestamp,value\n1530446400,42")
+ * // [{ timestamp: "1530446400", value: "42" }]
+ */
+export function parseCSVRecords(text, options){
+	let rows = parseCSV(text, options).filter((row) => !(row.length === 1 && row[0].trim() === ""))
+
+	if (rows.length === 0)
+		return []
+
+	let headers = rows[0].map((header) => header.trim())
+
+	return rows.slice(1).map((row) => {
+		let record = {}
+
+		headers.forEach((header, i) => {
+			record[header] = row[i] !== undefined ? row[i] : ""
+		})
+
+		return record
+	})
+}
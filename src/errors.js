@@ -0,0 +1,227 @@
+/**
+ * The base class for every Error thrown by the CachetAPI when a request fails.
+ * Catch this to handle any failure, or catch one of the subclasses to handle a specific type of failure.
+ *
+ * @example
+ * import { CachetError, CachetNotFoundError } from 'cachetapi'
+ *
+ * try {
+ * 	await cachet_api.getComponent(12345)
+ * } catch (e) {
+ * 	if (e instanceof CachetNotFoundError)
+ * 		// The component does not exist
+ * 	else if (e instanceof CachetError)
+ * 		// e.status, e.method, e.url, e.errors
+ * }
+ */
+export class CachetError extends Error {
+	/**
+	 * Create a new CachetError
+	 * @param  {String} message - A human readable description of the Error
+	 * @param  {Object} [details] - Information about the request that failed
+	 * @param  {Integer} [details.status] - The HTTP status code that Cachet responded with
+	 * @param  {String} [details.method] - The HTTP method of the request (`GET`, `POST`, `PUT` or `DELETE`)
+	 * @param  {String} [details.url] - The URL of the request
+	 * @param  {Array.<Object>} [details.errors] - The `errors` array from Cachet's response body
+	 * @param  {Error} [details.cause] - The original Error that caused this one
+	 * @return {CachetError}
+	 */
+	constructor(message, details){
+		super(message)
+
+		details = details || {}
+
+		this.name = "CachetError"
+		this.status = details.status
+		this.method = details.method
+		this.url = details.url
+		this.errors = details.errors || []
+		this.cause = details.cause
+	}
+}
+
+/**
+ * Thrown when Cachet rejects the API Token (`401` or `403`)
+ */
+export class CachetAuthError extends CachetError {
+	constructor(message, details){
+		super(message, details)
+		this.name = "CachetAuthError"
+	}
+}
+
+/**
+ * Thrown when the requested resource does not exist (`404`)
+ */
+export class CachetNotFoundError extends CachetError {
+	constructor(message, details){
+		super(message, details)
+		this.name = "CachetNotFoundError"
+	}
+}
+
+/**
+ * Thrown when Cachet rejects the data that was sent (`400` or `422`)
+ */
+export class CachetValidationError extends CachetError {
+	constructor(message, details){
+		super(message, details)
+		this.name = "CachetValidationError"
+	}
+}
+
+/**
+ * Thrown when Cachet (or a proxy in front of it) is rate limiting requests (`429`)
+ */
+export class CachetRateLimitError extends CachetError {
+	/**
+	 * @param  {String} message - A human readable description of the Error
+	 * @param  {Object} [details] - See {@link CachetError}
+	 * @param  {Number} [details.retry_after] - How many seconds the server asked us to wait before trying again
+	 */
+	constructor(message, details){
+		super(message, details)
+		this.name = "CachetRateLimitError"
+		this.retry_after = (details || {}).retry_after
+	}
+}
+
+/**
+ * Thrown when no response was received from Cachet, for example if the connection was refused, reset, or timed out
+ */
+export class CachetNetworkError extends CachetError {
+	/**
+	 * @param  {String} message - A human readable description of the Error
+	 * @param  {Object} [details] - See {@link CachetError}
+	 * @param  {String} [details.code] - The system error code, such as `ECONNRESET` or `ECONNABORTED`
+	 */
+	constructor(message, details){
+		super(message, details)
+		this.name = "CachetNetworkError"
+		this.code = (details || {}).code
+	}
+}
+
+/**
+ * Thrown when a call was cancelled through the `signal` of its {@link RequestOptions}. Timeouts are not cancellations, and are
+ * thrown as a {@link CachetNetworkError} with the code `ECONNABORTED` instead.
+ */
+export class CachetAbortError extends CachetError {
+	constructor(message, details){
+		super(message, details)
+		this.name = "CachetAbortError"
+	}
+}
+
+/**
+ * Thrown when Cachet responds with a server error (`5xx`)
+ */
+export class CachetServerError extends CachetError {
+	constructor(message, details){
+		super(message, details)
+		this.name = "CachetServerError"
+	}
+}
+
+/**
+ * Parse the `Retry-After` header into a number of seconds. The header can either be a number of seconds, or an HTTP date.
+ * @param  {String} [header] - The value of the `Retry-After` header
+ * @return {Number|undefined} The number of seconds to wait, or `undefined` if the header was missing or invalid
+ */
+export function parseRetryAfter(header){
+	if (header === undefined || header === null || header === "")
+		return undefined
+
+	let seconds = Number(header)
+
+	if (!isNaN(seconds))
+		return Math.max(0, seconds)
+
+	let date = Date.parse(header)
+
+	if (isNaN(date))
+		return undefined
+
+	return Math.max(0, (date - Date.now()) / 1000)
+}
+
+/**
+ * Convert an Error thrown by axios into the matching {@link CachetError} subclass
+ * @param  {Error} error - The Error thrown by axios
+ * @param  {String} method - The HTTP method of the request that failed
+ * @param  {String} url - The URL of the request that failed
+ * @return {CachetError}
+ */
+export function fromAxiosError(error, method, url){
+	// Errors that we threw ourselves, such as invalid request options, are already as specific as they can be
+	if (error instanceof CachetError)
+		return error
+
+	let details = { method, url, cause: error }
+
+	// axios marks the Errors of cancelled requests with __CANCEL__ (see axios.isCancel)
+	if (error && error.__CANCEL__)
+		return new CachetAbortError("Unable to " + method + " " + url + ": " + (error.message || "The request was aborted"), details)
+
+	// No response means that we never heard back from Cachet at all
+	if (!error || !error.response){
+		details.code = error && error.code
+
+		return new CachetNetworkError("Unable to " + method + " " + url + ": " + String(error), details)
+	}
+
+	let response = error.response
+	let data = response.data
+
+	details.status = response.status
+
+	if (data && Array.isArray(data.errors))
+		details.errors = data.errors
+
+	let message = "Unable to " + method + " " + url + ": " + response.status
+
+	if (response.statusText)
+		message += " " + response.statusText
+
+	// Prefer the details Cachet gave us, as they are much more useful than the status text alone
+	let error_details = details.errors ? details.errors.map(formatCachetError).filter((text) => text) : []
+
+	if (error_details.length > 0)
+		message += " | " + error_details.join(", ")
+	else if (data)
+		message += " | " + (typeof data === "string" ? data : JSON.stringify(data))
+
+	let status = response.status
+
+	if (status === 401 || status === 403)
+		return new CachetAuthError(message, details)
+	if (status === 404)
+		return new CachetNotFoundError(message, details)
+	if (status === 400 || status === 422)
+		return new CachetValidationError(message, details)
+	if (status === 429){
+		details.retry_after = parseRetryAfter(response.headers && response.headers["retry-after"])
+		return new CachetRateLimitError(message, details)
+	}
+	if (status >= 500)
+		return new CachetServerError(message, details)
+
+	return new CachetError(message, details)
+}
+
+/**
+ * Turn one of the entries from Cachet's `errors` array into a String
+ * @param  {Object} error - The error entry
+ * @return {String}
+ * @private
+ */
+function formatCachetError(error){
+	if (!error)
+		return ""
+
+	// Validation failures list the offending fields under `meta.details`
+	if (error.meta && Array.isArray(error.meta.details) && error.meta.details.length > 0)
+		return error.meta.details.join(" ")
+
+	return error.detail || error.title || ""
+}
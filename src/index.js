@@ -1,3 +1,44 @@
 import CachetAPI from './CachetAPI'
+import CachetCluster from './CachetCluster'
+import IncidentWorkflow from './IncidentWorkflow'
+import MockCachetServer from './MockCachetServer'
+import MetricReporter from './MetricReporter'
+import Monitor from './Monitor'
+import Watcher from './Watcher'
 
-export default CachetAPI
\ No newline at end of file
+export {
+	CachetError,
+	CachetAuthError,
+	CachetNotFoundError,
+	CachetValidationError,
+	CachetRateLimitError,
+	CachetNetworkError,
+	CachetAbortError,
+	CachetServerError
+} from './errors'
+
+export {
+	ComponentStatus,
+	IncidentStatus,
+	MetricCalcType,
+	ComponentGroupCollapse,
+	ScheduleStatus
+} from './constants'
+
+export { getTemplateVariables } from './templates'
+
+export { parseTime, filterMetricPoints, summarizeMetricPoints, percentile, parseMetricPointRows } from './metrics'
+
+export { parseCSV, parseCSVRecords } from './csv'
+
+export { parseSubscriberRows } from './subscribers'
+
+export { buildStatusTree } from './tree'
+
+export { MemoryCacheStore, ResponseCache } from './cache'
+
+export { RateLimiter } from './limiter'
+
+export { CachetCluster, IncidentWorkflow, MockCachetServer, MetricReporter, Monitor, Watcher }
+
+export default CachetAPI
@@ -0,0 +1,221 @@
+import axios from 'axios'
+
+import { CachetValidationError } from './errors'
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {Integer} [concurrency=Infinity] - The most requests to have in flight at the same time
+ * @property {Number} [per_second] - The most requests to start per second, on average. No limit if left out.
+ * @property {Integer} [burst] - How many requests can be started at once after a quiet period, before `per_second` kicks in
+ * (the size of the token bucket). Defaults to `per_second`, rounded down, or `1` if that is lower.
+ */
+/**
+ * @typedef {Object} RateLimitStats
+ * @property {Integer} active - How many requests are in flight right now
+ * @property {Integer} queued - How many requests are waiting to start right now
+ * @property {Integer} max_queued - The most requests that have ever been waiting at the same time
+ * @property {Integer} started - How many requests have been started
+ * @property {Integer} delayed - How many of those had to wait before they started
+ * @property {Number} total_wait - The total time (in ms) requests have spent waiting to start
+ * @property {Number} average_wait - The average time (in ms) a request waited to start, including requests that didn't wait
+ * @property {Number} max_wait - The longest time (in ms) a request has waited to start
+ */
+
+/**
+ * Queues requests so that no more than `concurrency` are in flight at once, and no more than `per_second` are started each second
+ * (using a token bucket, so short bursts are still sent straight away). Requests are started in the order they were made.
+ *
+ * You will normally get one of these by passing the `rate_limit` option to the {@link CachetAPI}, and then use it from `cachet_api.limiter`.
+ *
+ * @example
+ * let cachet_api = new CachetAPI({
+ * 	url: "https://demo.cachethq.io/api",
+ * 	apiToken: "9yMHsdioQosnyVK4iCVR",
+ * 	rate_limit: { concurrency: 4, per_second: 10 }
+ * })
+ *
+ * // Every delete is queued, and sent at 10 per second
+ * await Promise.all(component_ids.map((id) => cachet_api.deleteComponent(id)))
+ *
+ * cachet_api.limiter.getStats()
+ * // { active: 0, queued: 0, max_queued: 96, started: 100, delayed: 90, total_wait: 45000, average_wait: 450, max_wait: 9000 }
+ */
+export class RateLimiter {
+	/**
+	 * Create a new RateLimiter
+	 * @param  {RateLimitOptions} [options] - How many requests to allow
+	 * @return {RateLimiter}
+	 */
+	constructor(options){
+		this.options = Object.assign({ concurrency: Infinity, now: Date.now }, options)
+
+		let { concurrency, per_second } = this.options
+
+		if (concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency < 1))
+			throw new CachetValidationError("Error! rate_limit.concurrency must be a positive Integer, got " + JSON.stringify(concurrency))
+
+		if (per_second !== undefined && (typeof per_second !== "number" || !(per_second > 0) || per_second === Infinity))
+			throw new CachetValidationError("Error! rate_limit.per_second must be a positive Number, got " + JSON.stringify(per_second))
+
+		if (this.options.burst === undefined)
+			this.options.burst = per_second === undefined ? 1 : Math.max(1, Math.floor(per_second))
+
+		if (!Number.isInteger(this.options.burst) || this.options.burst < 1)
+			throw new CachetValidationError("Error! rate_limit.burst must be a positive Integer, got " + JSON.stringify(this.options.burst))
+
+		this.tokens = this.options.burst
+		this.refilled_at = this.options.now()
+
+		this.queue = []
+		this.active = 0
+		this.timer = undefined
+
+		this.stats = { max_queued: 0, started: 0, delayed: 0, total_wait: 0, max_wait: 0 }
+	}
+
+	/**
+	 * How many requests are waiting to start
+	 * @type {Integer}
+	 */
+	get queued(){
+		return this.queue.length
+	}
+
+	/**
+	 * Get the queue depth and wait time statistics
+	 * @return {RateLimitStats}
+	 */
+	getStats(){
+		return Object.assign({
+			active: this.active,
+			queued: this.queue.length,
+			average_wait: this.stats.started === 0 ? 0 : this.stats.total_wait / this.stats.started
+		}, this.stats)
+	}
+
+	/**
+	 * Wrap an axios adapter, so that requests sent through it are rate limited
+	 * @param  {Function} [adapter] - The axios adapter to wrap. Defaults to the default axios adapter.
+	 * @return {Function} The wrapped axios adapter
+	 */
+	wrap(adapter){
+		adapter = adapter || axios.defaults.adapter
+
+		return (config) => this.schedule(() => {
+			// Don't send requests that were cancelled (or timed out) while they were waiting in the queue
+			if (config.cancelToken && config.cancelToken.reason)
+				return Promise.reject(config.cancelToken.reason)
+
+			return adapter(config)
+		})
+	}
+
+	/**
+	 * Run a task as soon as the limits allow
+	 * @param  {Function} task - Returns a Promise, such as a function that sends a request
+	 * @return {Promise} Resolves or rejects with the result of the task
+	 */
+	schedule(task){
+		return new Promise((resolve, reject) => {
+			this.queue.push({ task, resolve, reject, queued_at: this.options.now() })
+			this.stats.max_queued = Math.max(this.stats.max_queued, this.queue.length)
+
+			this.drain()
+		})
+	}
+
+	/**
+	 * Start as many queued tasks as the limits allow, and wait for more tokens if we ran out
+	 * @private
+	 */
+	drain(){
+		while (this.queue.length > 0 && this.active < this.options.concurrency){
+			if (this.options.per_second !== undefined){
+				this.refill()
+
+				if (this.tokens < 1){
+					this.wait((1 - this.tokens) / this.options.per_second * 1000)
+					return
+				}
+
+				this.tokens--
+			}
+
+			this.start(this.queue.shift())
+		}
+	}
+	/**
+	 * Add the tokens that have been earned since the last refill
+	 * @private
+	 */
+	refill(){
+		let now = this.options.now()
+
+		this.tokens = Math.min(this.options.burst, this.tokens + (now - this.refilled_at) / 1000 * this.options.per_second)
+		this.refilled_at = now
+	}
+	/**
+	 * Try draining the queue again in `delay` milliseconds
+	 * @private
+	 */
+	wait(delay){
+		if (this.timer)
+			return
+
+		this.timer = setTimeout(() => {
+			this.timer = undefined
+			this.drain()
+		}, Math.ceil(delay))
+	}
+	/**
+	 * Start a queued task, and record how long it waited
+	 * @private
+	 */
+	start(job){
+		let waited = this.options.now() - job.queued_at
+
+		this.active++
+		this.stats.started++
+		this.stats.total_wait += waited
+		this.stats.max_wait = Math.max(this.stats.max_wait, waited)
+
+		if (waited > 0)
+			this.stats.delayed++
+
+		let finish = () => {
+			this.active--
+			this.drain()
+		}
+
+		let running
+
+		try {
+			running = Promise.resolve(job.task())
+		} catch (e) {
+			running = Promise.reject(e)
+		}
+
+		running.then((result) => {
+			finish()
+			job.resolve(result)
+		}, (error) => {
+			finish()
+			job.reject(error)
+		})
+	}
+}
+
+/**
+ * Create the {@link RateLimiter} for the `rate_limit` option of the {@link CachetAPI}
+ * @param  {RateLimitOptions} [options] - The rate limit options. Pass nothing to not limit requests at all.
+ * @return {RateLimiter} Returns `undefined` if rate limiting is disabled
+ */
+export function createRateLimiter(options){
+	if (!options)
+		return undefined
+
+	if (options instanceof RateLimiter)
+		return options
+
+	return new RateLimiter(options)
+}
@@ -0,0 +1,73 @@
+const LEVELS = ["debug", "info", "warn", "error"]
+
+const REDACTED = "[REDACTED]"
+
+// Keys whose values should never be written to a log, compared case-insensitively
+const SENSITIVE_KEYS = ["x-cachet-token", "apitoken", "api_token", "authorization", "email"]
+
+// Email addresses inside other text, such as a validation error from Cachet that echoes the Subscriber it was given,
+// or a URL with an `email` filter in its query string
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+(@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+
+function noop(){}
+
+/**
+ * @typedef {Object} Logger
+ * @property {Function} debug - Called as `debug(message, meta)`
+ * @property {Function} info - Called as `info(message, meta)`
+ * @property {Function} warn - Called as `warn(message, meta)`
+ * @property {Function} error - Called as `error(message, meta)`
+ */
+/**
+ * Wrap a user supplied logger so that every level can be called safely. Any level that the logger
+ * does not implement is silently ignored, and if no logger is passed, nothing is logged at all.
+ * The levels are called as `level(message, meta)`, which is the signature used by `console` and winston.
+ * @param  {Object} [logger] - A logger such as `console`, or a winston/pino/bunyan logger
+ * @return {Logger}
+ */
+export function createLogger(logger){
+	let wrapped = {}
+
+	for (let level of LEVELS){
+		if (logger && typeof logger[level] === "function")
+			wrapped[level] = logger[level].bind(logger)
+		else
+			wrapped[level] = noop
+	}
+
+	return wrapped
+}
+
+/**
+ * Make a copy of a value that is safe to log. The API Token and any email addresses are replaced with `[REDACTED]`,
+ * both under sensitive keys and anywhere they show up inside a string.
+ * @param  {*} value - The value to redact
+ * @param  {String} [token] - The API Token, which will also be removed if it shows up anywhere else (such as a URL)
+ * @return {*} A redacted copy of the value
+ */
+export function redact(value, token){
+	if (typeof value === "string"){
+		if (token && value.indexOf(token) !== -1)
+			value = value.split(token).join(REDACTED)
+
+		return value.replace(EMAIL_PATTERN, REDACTED)
+	}
+
+	if (Array.isArray(value))
+		return value.map((item) => redact(item, token))
+
+	if (value && typeof value === "object"){
+		let copy = {}
+
+		for (let key in value){
+			if (SENSITIVE_KEYS.indexOf(key.toLowerCase()) !== -1 && value[key] !== undefined && value[key] !== null)
+				copy[key] = REDACTED
+			else if (typeof value[key] !== "function")
+				copy[key] = redact(value[key], token)
+		}
+
+		return copy
+	}
+
+	return value
+}
@@ -0,0 +1,341 @@
+import { MetricCalcType } from './constants'
+import { CachetValidationError } from './errors'
+import { parseCSVRecords } from './csv'
+
+/**
+ * The named intervals that can be used to bucket Metric Points, in seconds
+ * @private
+ */
+const INTERVALS = {
+	minute: 60,
+	hour: 60 * 60,
+	day: 24 * 60 * 60,
+	week: 7 * 24 * 60 * 60
+}
+
+// The most buckets that a single summary can have, so that a small interval over a long range can't lock up the process
+const MAX_BUCKETS = 10000
+
+/**
+ * Convert a time into milliseconds since the epoch
+ * @param  {Date|Number|String} time - A Date, a Unix timestamp in seconds (or milliseconds), or a date string.
+ * Date strings without a timezone, such as Cachet's `YYYY-MM-DD HH:mm:ss` format, are read as UTC (or as `utc_offset`).
+ * @param  {Number} [utc_offset=0] - The offset from UTC in minutes to read date strings without a timezone in, for example `-300` for US Eastern Standard Time
+ * @return {Number} Milliseconds since the epoch
+ * @throws {CachetValidationError} Throws if the time can't be read
+ *
+ * @example
+ * parseTime("2018-07-01 12:00:00") // 1530446400000
+ * parseTime("2018-07-01 07:00:00", -300) // 1530446400000
+ * parseTime(1530446400) // 1530446400000
+ */
+export function parseTime(time, utc_offset){
+	let ms
+
+	if (typeof time === "string" && /^-?\d+(\.\d+)?$/.test(time.trim()))
+		time = Number(time)
+
+	if (time instanceof Date)
+		ms = time.getTime()
+	else if (typeof time === "number")
+		// Unix timestamps in seconds won't reach 1e11 until the year 5138, so anything larger is already in milliseconds
+		ms = Math.abs(time) < 1e11 ? time * 1000 : time
+	else if (typeof time === "string" && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(time.trim()))
+		ms = Date.parse(time.trim().replace(" ", "T") + "Z") - (utc_offset || 0) * 60 * 1000
+	else if (typeof time === "string")
+		ms = Date.parse(time)
+
+	if (typeof ms !== "number" || isNaN(ms))
+		throw new CachetValidationError("Error! Unable to read the time " + JSON.stringify(time))
+
+	return ms
+}
+
+/**
+ * Get the value that Cachet plots for a Metric Point, which is its value multiplied by its counter
+ * @param  {MetricPoint} point - The Metric Point
+ * @return {Number}
+ * @private
+ */
+function getPointValue(point){
+	if (point.calculated_value !== undefined && point.calculated_value !== null)
+		return Number(point.calculated_value)
+
+	return Number(point.value) * (point.counter !== undefined && point.counter !== null ? Number(point.counter) : 1)
+}
+
+/**
+ * Get the interval in seconds, from either a number of seconds or a name
+ * @private
+ */
+function parseInterval(interval){
+	let seconds = typeof interval === "string" ? INTERVALS[interval] : interval
+
+	if (typeof seconds !== "number" || !isFinite(seconds) || seconds <= 0)
+		throw new CachetValidationError("Error! interval must be a positive number of seconds or one of " + Object.keys(INTERVALS).join(", ") + ", got " + JSON.stringify(interval))
+
+	return seconds
+}
+
+/**
+ * Get the sum of some values
+ * @param  {Array.<Number>} values
+ * @return {Number} Returns `0` for an empty Array
+ */
+export function sum(values){
+	return values.reduce((total, value) => total + value, 0)
+}
+
+/**
+ * Get the average of some values
+ * @param  {Array.<Number>} values
+ * @return {Number|null} Returns `null` for an empty Array
+ */
+export function average(values){
+	return values.length === 0 ? null : sum(values) / values.length
+}
+
+/**
+ * Get the smallest value
+ * @param  {Array.<Number>} values
+ * @return {Number|null} Returns `null` for an empty Array
+ */
+export function min(values){
+	return values.length === 0 ? null : values.reduce((lowest, value) => value < lowest ? value : lowest)
+}
+
+/**
+ * Get the largest value
+ * @param  {Array.<Number>} values
+ * @return {Number|null} Returns `null` for an empty Array
+ */
+export function max(values){
+	return values.length === 0 ? null : values.reduce((highest, value) => value > highest ? value : highest)
+}
+
+/**
+ * Get a percentile of some values, interpolating between the two closest values
+ * @param  {Array.<Number>} values
+ * @param  {Number} p - The percentile to get, from 0 to 100
+ * @return {Number|null} Returns `null` for an empty Array
+ *
+ * @example
+ * percentile([1, 2, 3, 4], 50) // 2.5
+ * percentile([1, 2, 3, 4], 100) // 4
+ */
+export function percentile(values, p){
+	if (typeof p !== "number" || !(p >= 0 && p <= 100))
+		throw new CachetValidationError("Error! The percentile must be a number from 0 to 100, got " + JSON.stringify(p))
+
+	if (values.length === 0)
+		return null
+
+	let sorted = values.slice().sort((a, b) => a - b)
+	let rank = (p / 100) * (sorted.length - 1)
+	let lower = Math.floor(rank)
+	let upper = Math.ceil(rank)
+
+	return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+/**
+ * Keep only the Metric Points that were created within a time range
+ * @param  {Array.<MetricPoint>} points - The Metric Points, as returned by Cachet (with a `created_at`)
+ * @param  {Object} [range] - The time range
+ * @param  {Date|Number|String} [range.from] - Keep points created at or after this time (See {@link parseTime})
+ * @param  {Date|Number|String} [range.to] - Keep points created before this time (See {@link parseTime})
+ * @param  {Number} [range.utc_offset=0] - The offset from UTC in minutes of the Cachet instance's timezone, which its `created_at` dates
+ * (and any `from` and `to` date strings without a timezone) are read in (See {@link parseTime})
+ * @return {Array.<MetricPoint>}
+ */
+export function filterMetricPoints(points, range){
+	range = range || {}
+
+	let from = range.from !== undefined ? parseTime(range.from, range.utc_offset) : -Infinity
+	let to = range.to !== undefined ? parseTime(range.to, range.utc_offset) : Infinity
+
+	return points.filter((point) => {
+		let time = parseTime(point.created_at, range.utc_offset)
+
+		return time >= from && time < to
+	})
+}
+
+/**
+ * @typedef {Object} MetricBucket
+ * @property {Date} start - The start of the bucket (inclusive)
+ * @property {Date} end - The end of the bucket (exclusive)
+ * @property {Integer} count - How many Metric Points are in the bucket
+ * @property {Number} value - The value Cachet shows for the bucket: the `sum` or `average` (depending on the `calc_type`),
+ * or the Metric's `default_value` if there are no points in the bucket
+ * @property {Number} sum - The sum of the values
+ * @property {Number|null} average - The average of the values
+ * @property {Number|null} min - The smallest value
+ * @property {Number|null} max - The largest value
+ * @property {Object.<Number, Number>} [percentiles] - The requested percentiles, keyed by percentile
+ */
+/**
+ * Group Metric Points into buckets of time, and summarize each bucket the same way Cachet does on its status page.
+ * Each point counts as its value multiplied by its counter, the same as in Cachet.
+ * @param  {Array.<MetricPoint>} points - The Metric Points, as returned by Cachet (with a `created_at`)
+ * @param  {Object} options - How to summarize the points
+ * @param  {String|Number} options.interval - The size of each bucket, as `minute`, `hour`, `day`, `week` or a number of seconds.
+ * Buckets line up with the interval at the `utc_offset`, so `day` buckets start at midnight in the Cachet instance's timezone (UTC by default).
+ * @param  {Date|Number|String} [options.from] - The start of the first bucket (defaults to the earliest point)
+ * @param  {Date|Number|String} [options.to] - The end of the last bucket (defaults to just after the latest point)
+ * @param  {Integer} [options.calc_type=MetricCalcType.SUM] - The `calc_type` of the Metric, which decides whether `value` is the sum or average
+ * @param  {Number} [options.default_value=0] - The value to use for buckets with no points, the same as the `default_value` of the Metric
+ * @param  {Array.<Number>} [options.percentiles] - Also work out these percentiles (0 to 100) for each bucket, for example `[50, 95, 99]`
+ * @param  {Number} [options.utc_offset=0] - The offset from UTC in minutes of the Cachet instance's timezone, which `created_at` is read in
+ * and the buckets line up with (See {@link filterMetricPoints})
+ * @return {Array.<MetricBucket>} Every bucket in the range, in order, including empty ones
+ *
+ * @example
+ * summarizeMetricPoints(points, { interval: "hour", calc_type: MetricCalcType.AVERAGE, percentiles: [95] })
+ * // [{ start: Date, end: Date, count: 12, value: 140.5, sum: 1686, average: 140.5, min: 98, max: 310, percentiles: { 95: 288 } }, ...]
+ */
+export function summarizeMetricPoints(points, options){
+	options = options || {}
+
+	let interval = parseInterval(options.interval) * 1000
+	let calc_type = options.calc_type !== undefined ? options.calc_type : MetricCalcType.SUM
+	let default_value = options.default_value !== undefined ? Number(options.default_value) : 0
+	let percentiles = options.percentiles || []
+
+	if (calc_type !== MetricCalcType.SUM && calc_type !== MetricCalcType.AVERAGE)
+		throw new CachetValidationError("Error! calc_type must be " + MetricCalcType.SUM + " (SUM) or " + MetricCalcType.AVERAGE + " (AVERAGE), got " + JSON.stringify(calc_type))
+
+	points = filterMetricPoints(points, options)
+
+	let times = points.map((point) => parseTime(point.created_at, options.utc_offset))
+
+	if (times.length === 0 && (options.from === undefined || options.to === undefined))
+		return []
+
+	let from = options.from !== undefined ? parseTime(options.from, options.utc_offset) : min(times)
+	let to = options.to !== undefined ? parseTime(options.to, options.utc_offset) : max(times) + 1
+
+	// Line the buckets up with the interval in the instance's timezone, so `day` buckets start at its midnight the same as on the status page
+	let offset = (options.utc_offset || 0) * 60 * 1000
+	let first = Math.floor((from + offset) / interval) * interval - offset
+	let bucket_count = Math.max(0, Math.ceil((to - first) / interval))
+
+	if (bucket_count > MAX_BUCKETS)
+		throw new CachetValidationError("Error! Summarizing that range by that interval would make " + bucket_count + " buckets, the most is " + MAX_BUCKETS)
+
+	let grouped = []
+
+	for (let i = 0; i < bucket_count; i++)
+		grouped.push([])
+
+	points.forEach((point, i) => {
+		grouped[Math.floor((times[i] - first) / interval)].push(getPointValue(point))
+	})
+
+	return grouped.map((values, i) => {
+		let bucket = {
+			start: new Date(first + i * interval),
+			end: new Date(first + (i + 1) * interval),
+			count: values.length,
+			value: default_value,
+			sum: sum(values),
+			average: average(values),
+			min: min(values),
+			max: max(values)
+		}
+
+		if (values.length > 0)
+			bucket.value = calc_type === MetricCalcType.AVERAGE ? bucket.average : bucket.sum
+
+		if (percentiles.length > 0){
+			bucket.percentiles = {}
+
+			for (let p of percentiles)
+				bucket.percentiles[p] = percentile(values, p)
+		}
+
+		return bucket
+	})
+}
+
+/**
+ * @typedef {Object} MetricPointRow
+ * @property {Integer} row - The position of the row in the input, starting from 1 (not counting the CSV header row)
+ * @property {MetricPoint} [point] - The Metric Point to send, with its `timestamp` converted to a Unix timestamp in seconds
+ * @property {CachetValidationError} [error] - Why the row couldn't be read, if it couldn't be
+ */
+/**
+ * Read Metric Points from CSV, JSON or an Array, converting their timestamps into the Unix timestamps (in seconds) that Cachet expects.
+ * Rows that can't be read are returned with an `error`, rather than stopping the rest of the rows from being read.
+ * @param  {String|Array.<Object|Array>} input - The Metric Points. Either CSV text with a header row, JSON text, or an Array.
+ * JSON and Arrays can hold Objects (`{ value, timestamp }`) or `[timestamp, value]` pairs.
+ * @param  {Object} [options] - How to read the input
+ * @param  {String} [options.from] - The format of `input` when it is a String, either `csv` or `json`
+ * @param  {Object} [options.columns] - The names of the fields to read, if they aren't `value` and `timestamp`, for example `{ value: "latency_ms", timestamp: "time" }`
+ * @param  {Number} [options.utc_offset=0] - The offset from UTC in minutes of timestamps that don't include a timezone (See {@link parseTime})
+ * @param  {String} [options.delimiter=","] - The delimiter between CSV fields
+ * @return {Array.<MetricPointRow>} One entry per row of the input
+ * @throws {CachetValidationError} Throws if the input as a whole can't be read, for example if the JSON is invalid or the CSV has no value column
+ *
+ * @example
+ * parseMetricPointRows("time,latency\n2018-07-01T12:00:00Z,42\n2018-07-01T12:01:00Z,oops", { from: "csv", columns: { timestamp: "time", value: "latency" } })
+ * // [{ row: 1, point: { value: 42, timestamp: 1530446400 } }, { row: 2, error: CachetValidationError }]
+ */
+export function parseMetricPointRows(input, options){
+	options = options || {}
+
+	let columns = Object.assign({ value: "value", timestamp: "timestamp" }, options.columns)
+	let records = input
+
+	if (typeof input === "string"){
+		if (options.from === "csv"){
+			records = parseCSVRecords(input, { delimiter: options.delimiter })
+
+			if (records.length > 0 && !(columns.value in records[0]))
+				throw new CachetValidationError("Error! The CSV doesn't have a \"" + columns.value + "\" column")
+		} else if (options.from === "json"){
+			try {
+				records = JSON.parse(input)
+			} catch (e) {
+				throw new CachetValidationError("Error! Unable to parse the JSON: " + e.message)
+			}
+		} else {
+			throw new CachetValidationError("Error! options.from must be \"csv\" or \"json\" when the Metric Points are a String, got " + JSON.stringify(options.from))
+		}
+	}
+
+	if (!Array.isArray(records))
+		throw new CachetValidationError("Error! The Metric Points must be an Array")
+
+	return records.map((record, i) => {
+		let row = i + 1
+		let value
+		let timestamp
+
+		if (Array.isArray(record))
+			[timestamp, value] = record
+		else if (record && typeof record === "object"){
+			value = record[columns.value]
+			timestamp = record[columns.timestamp]
+		} else
+			return { row, error: new CachetValidationError("Error! Row " + row + " must be an Object or a [timestamp, value] pair") }
+
+		if (typeof value === "string" && value.trim() !== "")
+			value = Number(value)
+
+		if (typeof value !== "number" || !isFinite(value))
+			return { row, error: new CachetValidationError("Error! Row " + row + " has an invalid value " + JSON.stringify(record[columns.value] !== undefined ? record[columns.value] : value)) }
+
+		let point = { value }
+
+		if (timestamp !== undefined && timestamp !== null && timestamp !== ""){
+			try {
+				point.timestamp = Math.floor(parseTime(timestamp, options.utc_offset) / 1000)
+			} catch (e) {
+				return { row, error: new CachetValidationError("Error! Row " + row + " has an invalid timestamp " + JSON.stringify(timestamp)) }
+			}
+		}
+
+		return { row, point }
+	})
+}
@@ -0,0 +1,95 @@
+import { CachetValidationError } from './errors'
+
+/**
+ * The fields that each Cachet list endpoint allows you to filter on. Any of these (along with `created_at` and `updated_at`)
+ * can also be used as the `sort` field.
+ * @type {Object.<String, Array.<String>>}
+ * @private
+ */
+const FILTERS = {
+	components: ["id", "name", "status", "order", "group_id", "enabled", "link"],
+	component_groups: ["id", "name", "order", "collapsed", "visible"],
+	incidents: ["id", "component_id", "name", "status", "visible", "stickied"],
+	incident_templates: ["id", "name", "slug"],
+	incident_updates: ["id", "incident_id", "status", "user_id"],
+	schedules: ["id", "name", "status", "scheduled_at", "completed_at"],
+	metrics: ["id", "name", "description", "default_value", "calc_type", "display_chart", "places", "default_view", "threshold", "order", "visible"],
+	metric_points: ["id", "metric_id", "value", "counter"],
+	subscribers: ["id", "email", "verified_at"],
+	subscriptions: ["id", "subscriber_id", "component_id"]
+}
+
+const ORDERS = ["asc", "desc"]
+
+/**
+ * @typedef {Object} ListQuery
+ * @property {String} [sort] - The field to sort the results by
+ * @property {String} [order] - The direction to sort in, either `asc` or `desc`
+ * @property {Integer} [per_page] - How many results Cachet should return per page
+ * @property {Integer} [page] - Which page of results to return
+ * @property {String|Number|Boolean} [field] - Any field filter supported by the resource, for example `status`, `group_id`, `enabled`, `name` or `visible`
+ */
+/**
+ * Validate a list query and convert it into the query string parameters that Cachet expects
+ * @param  {String} resource - The resource being listed (one of the keys of `FILTERS`)
+ * @param  {ListQuery} [query] - The query to validate
+ * @return {Object} The query string parameters to send along with the request
+ * @throws {CachetValidationError} Throws if an unknown option is used, or if an option has an invalid value
+ *
+ * @example
+ * buildQuery("components", { group_id: 3, enabled: true, status: 4, sort: "name" })
+ * // { group_id: 3, enabled: 1, status: 4, sort: "name" }
+ */
+export function buildQuery(resource, query){
+	let filters = FILTERS[resource]
+
+	if (!filters)
+		throw new CachetValidationError("Error! Unknown resource \"" + resource + "\"")
+
+	let params = {}
+
+	if (query === undefined || query === null)
+		return params
+
+	if (typeof query !== "object" || Array.isArray(query))
+		throw new CachetValidationError("Error! The query for " + resource + " must be an Object")
+
+	for (let key in query){
+		let value = query[key]
+
+		// Allow options to be left undefined so that callers can build queries conditionally
+		if (value === undefined)
+			continue
+
+		if (key === "per_page" || key === "page"){
+			if (!Number.isInteger(value) || value < 1)
+				throw new CachetValidationError("Error! " + key + " must be a positive Integer, got " + JSON.stringify(value))
+
+			params[key] = value
+		} else if (key === "order"){
+			let order = String(value).toLowerCase()
+
+			if (ORDERS.indexOf(order) === -1)
+				throw new CachetValidationError("Error! order must be one of " + ORDERS.join(", ") + ", got " + JSON.stringify(value))
+
+			params.order = order
+		} else if (key === "sort"){
+			if (filters.indexOf(value) === -1 && value !== "created_at" && value !== "updated_at")
+				throw new CachetValidationError("Error! Unable to sort " + resource + " by " + JSON.stringify(value))
+
+			params.sort = value
+		} else if (filters.indexOf(key) !== -1){
+			if (typeof value === "boolean")
+				// Cachet stores booleans as tinyints, so send them the same way
+				params[key] = value ? 1 : 0
+			else if (typeof value === "string" || typeof value === "number")
+				params[key] = value
+			else
+				throw new CachetValidationError("Error! The " + key + " filter must be a String, Number or Boolean, got " + JSON.stringify(value))
+		} else {
+			throw new CachetValidationError("Error! Unknown option \"" + key + "\" for " + resource + ". Supported options are sort, order, per_page, page, " + filters.join(", "))
+		}
+	}
+
+	return params
+}
@@ -0,0 +1,118 @@
+import axios from 'axios'
+
+import { parseRetryAfter, CachetValidationError } from './errors'
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {Integer} [max_attempts=3] - The maximum number of times a request will be attempted (including the first attempt). Set to `1` to disable retries.
+ * @property {Integer} [base_delay=200] - The delay (in ms) before the first retry. Each retry after that doubles the delay.
+ * @property {Integer} [max_delay=10000] - The longest delay (in ms) to ever wait between two attempts
+ * @property {Boolean} [jitter=true] - Randomize each delay between `0` and the computed delay, so that many clients don't retry in lockstep
+ * @property {Array.<String>} [methods=["get", "head", "options", "put", "delete"]] - The HTTP methods that may be retried. `post` is not idempotent, so it has to be opted into.
+ * @property {Array.<Integer>} [status_codes=[408, 429, 502, 503, 504]] - The HTTP status codes that should be retried
+ * @property {Array.<String>} [error_codes=["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"]] - The network error codes that should be retried
+ * @property {Boolean} [respect_retry_after=true] - Wait for as long as the `Retry-After` response header asks (capped to `max_delay`)
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+	max_attempts: 3,
+	base_delay: 200,
+	max_delay: 10000,
+	jitter: true,
+	methods: Object.freeze(["get", "head", "options", "put", "delete"]),
+	status_codes: Object.freeze([408, 429, 502, 503, 504]),
+	error_codes: Object.freeze(["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"]),
+	respect_retry_after: true
+})
+
+/**
+ * Merge user supplied retry options over the {@link DEFAULT_RETRY_POLICY}
+ * @param  {RetryPolicy|Boolean} [options] - The retry options. Pass `false` to disable retries entirely.
+ * @return {RetryPolicy}
+ * @throws {CachetValidationError} Throws if `max_attempts` is not a positive Integer
+ */
+export function createRetryPolicy(options){
+	if (options === false)
+		return Object.assign({}, DEFAULT_RETRY_POLICY, { max_attempts: 1 })
+
+	let policy = Object.assign({}, DEFAULT_RETRY_POLICY, options === true ? {} : options)
+
+	if (!Number.isInteger(policy.max_attempts) || policy.max_attempts < 1)
+		throw new CachetValidationError("Error! retry.max_attempts must be a positive Integer, got " + JSON.stringify(policy.max_attempts))
+
+	policy.methods = policy.methods.map((method) => method.toLowerCase())
+
+	return policy
+}
+
+/**
+ * Check if a failed request should be attempted again
+ * @param  {RetryPolicy} policy - The retry policy to apply
+ * @param  {Error} error - The Error thrown by axios
+ * @param  {Integer} attempt - The number of attempts that have been made so far
+ * @return {Boolean}
+ */
+export function shouldRetry(policy, error, attempt){
+	if (attempt >= policy.max_attempts)
+		return false
+
+	let config = error && error.config
+
+	// Errors that didn't come from a request (or requests that were cancelled on purpose) should never be retried
+	if (!config || axios.isCancel(error))
+		return false
+
+	if (policy.methods.indexOf(String(config.method).toLowerCase()) === -1)
+		return false
+
+	if (error.response)
+		return policy.status_codes.indexOf(error.response.status) !== -1
+
+	// Browsers don't tell us why a request failed, so treat any network failure without a code as transient
+	return !error.code || policy.error_codes.indexOf(error.code) !== -1
+}
+
+/**
+ * Calculate how long to wait before the next attempt, using exponential backoff
+ * @param  {RetryPolicy} policy - The retry policy to apply
+ * @param  {Integer} attempt - The number of attempts that have been made so far
+ * @param  {Error} [error] - The Error from the last attempt, used to read the `Retry-After` header
+ * @return {Number} The delay in ms
+ */
+export function getRetryDelay(policy, attempt, error){
+	if (policy.respect_retry_after && error && error.response && error.response.headers){
+		let retry_after = parseRetryAfter(error.response.headers["retry-after"])
+
+		if (retry_after !== undefined)
+			return Math.min(retry_after * 1000, policy.max_delay)
+	}
+
+	let delay = Math.min(policy.base_delay * Math.pow(2, attempt - 1), policy.max_delay)
+
+	if (policy.jitter)
+		delay = Math.random() * delay
+
+	return Math.round(delay)
+}
+
+/**
+ * Wait for a number of ms
+ * @param  {Number} ms - How long to wait
+ * @param  {AbortSignal} [signal] - Stop waiting early if this signal is aborted
+ * @return {Promise}
+ * @private
+ */
+export function sleep(ms, signal){
+	return new Promise((resolve) => {
+		if (!signal)
+			return setTimeout(resolve, ms)
+
+		let done = () => {
+			clearTimeout(timer)
+			signal.removeEventListener("abort", done)
+			resolve()
+		}
+
+		let timer = setTimeout(done, ms)
+		signal.addEventListener("abort", done)
+	})
+}
@@ -0,0 +1,173 @@
+import { CachetValidationError } from './errors'
+import { parseCSVRecords } from './csv'
+import { validateSubscriber } from './validation'
+
+const TRUE_VALUES = ["1", "true", "yes", "y"]
+const FALSE_VALUES = ["0", "false", "no", "n", ""]
+
+/**
+ * @typedef {Object} SubscriberRow
+ * @property {Integer} row - The position of the row in the input, starting from 1 (not counting the CSV header row)
+ * @property {Subscriber} [subscriber] - The Subscriber to add, with its `email` trimmed
+ * @property {String} [email] - The email address of a row that isn't a valid Subscriber, if it had one
+ * @property {CachetValidationError} [error] - Why the row couldn't be read, if it couldn't be
+ */
+/**
+ * Read Subscribers from CSV or an Array. Rows that can't be read, such as invalid email addresses, are returned with an `error`,
+ * rather than stopping the rest of the rows from being read.
+ * @param  {String|Array.<Object|String>} input - The Subscribers. Either CSV text with a header row, or an Array of email addresses or Objects.
+ * Besides the email address, each row can have a `components` field (Component IDs, separated by spaces, `;` or `|` in CSV) and a `verify` field
+ * (`true`, `yes` or `1` in CSV).
+ * @param  {Object} [options] - How to read the input
+ * @param  {Object} [options.columns] - The names of the fields to read, if they aren't `email`, `components` and `verify`, for example `{ email: "Email Address" }`
+ * @param  {Boolean} [options.verify=false] - Whether to mark Subscribers as verified, for rows that don't say
+ * @param  {Array.<Integer>} [options.components] - The Component IDs to subscribe to, for rows that don't say. Subscribes to every Component if left out.
+ * @param  {String} [options.delimiter=","] - The delimiter between CSV fields
+ * @return {Array.<SubscriberRow>} One entry per row of the input
+ * @throws {CachetValidationError} Throws if the input as a whole can't be read, for example if the CSV has no email column
+ *
+ * @example
+ * parseSubscriberRows("email,components\nalice@example.com,1;2\nnot-an-email,")
+ * // [{ row: 1, subscriber: { email: "alice@example.com", components: [1, 2], verify: false } }, { row: 2, error: CachetValidationError }]
+ */
+export function parseSubscriberRows(input, options){
+	options = options || {}
+
+	let columns = Object.assign({ email: "email", components: "components", verify: "verify" }, options.columns)
+	let records = input
+
+	if (typeof input === "string"){
+		records = parseCSVRecords(input, { delimiter: options.delimiter })
+
+		if (records.length > 0 && !(columns.email in records[0]))
+			throw new CachetValidationError("Error! The CSV doesn't have an \"" + columns.email + "\" column")
+	}
+
+	if (!Array.isArray(records))
+		throw new CachetValidationError("Error! The Subscribers must be an Array or CSV text")
+
+	return records.map((record, i) => {
+		let row = i + 1
+
+		if (typeof record === "string")
+			record = { [columns.email]: record }
+		else if (!record || typeof record !== "object" || Array.isArray(record))
+			return { row, error: new CachetValidationError("Error! Row " + row + " must be an Object or an email address") }
+
+		let email = typeof record[columns.email] === "string" ? record[columns.email].trim() : record[columns.email]
+		let components = record[columns.components]
+		let verify = record[columns.verify]
+
+		if (typeof components === "string")
+			components = components.trim() === "" ? undefined : components.trim().split(/[\s;|]+/).map((id) => /^\d+$/.test(id) ? parseInt(id, 10) : id)
+
+		if (typeof verify === "string"){
+			let value = verify.trim().toLowerCase()
+
+			if (TRUE_VALUES.indexOf(value) !== -1)
+				verify = true
+			else if (FALSE_VALUES.indexOf(value) !== -1)
+				verify = value === "" ? undefined : false
+		}
+
+		let subscriber = {
+			email,
+			components: components !== undefined ? components : options.components,
+			verify: verify !== undefined ? verify : !!options.verify
+		}
+
+		if (subscriber.components === undefined)
+			delete subscriber.components
+
+		try {
+			validateSubscriber(subscriber)
+		} catch (e) {
+			return { row, email, error: new CachetValidationError("Error! Row " + row + " is not a valid Subscriber: " + e.message.replace(/^Error! Invalid Subscriber: /, ""), { errors: e.errors }) }
+		}
+
+		return { row, subscriber }
+	})
+}
+
+/**
+ * @typedef {Object} SubscriberImportReport
+ * @property {Integer} total - How many rows were in the input
+ * @property {Integer} added - How many new Subscribers were added
+ * @property {Integer} existing - How many rows were for email addresses that were already subscribed
+ * @property {Integer} duplicates - How many rows repeated an email address from an earlier row
+ * @property {Integer} invalid - How many rows couldn't be read, such as rows with an invalid email address
+ * @property {Integer} failed - How many rows Cachet rejected
+ * @property {Array.<Object>} rows - One entry per row of the input, in order, with the `row` number (starting from 1, not counting a CSV header),
+ * the `email`, a `status` of `added`, `existing`, `duplicate`, `invalid` or `error`, and either the `subscriber` from Cachet or the `error`
+ */
+/**
+ * Add many Subscribers at once, skipping email addresses that are already subscribed or that appear more than once. Email addresses are
+ * compared without regard to case. Rows that can't be read or that Cachet rejects don't stop the import.
+ * @param  {CachetAPI} api - The CachetAPI to import with
+ * @param  {String|Array.<Object|String>} input - The Subscribers to import (See {@link parseSubscriberRows})
+ * @param  {Object} [options] - Options about the import, along with the options of {@link parseSubscriberRows}
+ * @param  {Integer} [options.chunk_size=10] - How many Subscribers to add at the same time
+ * @param  {Function} [options.onProgress] - Called with `(done, total)` after each chunk has been sent
+ * @return {Promise<SubscriberImportReport>}
+ */
+export async function importSubscribers(api, input, options){
+	options = Object.assign({ chunk_size: 10 }, options)
+
+	if (!Number.isInteger(options.chunk_size) || options.chunk_size < 1)
+		throw new CachetValidationError("Error! options.chunk_size must be a positive Integer, got " + JSON.stringify(options.chunk_size))
+
+	let rows = parseSubscriberRows(input, options)
+	let report = { total: rows.length, added: 0, existing: 0, duplicates: 0, invalid: 0, failed: 0, rows: [] }
+
+	let existing = new Map()
+
+	for (let subscriber of await api.getAllSubscribers())
+		existing.set(subscriber.email.toLowerCase(), subscriber)
+
+	let seen = new Set()
+	let pending = []
+
+	for (let row of rows){
+		if (row.error){
+			report.invalid++
+			report.rows.push({ row: row.row, email: row.email, status: "invalid", error: row.error })
+			continue
+		}
+
+		let key = row.subscriber.email.toLowerCase()
+		let entry = { row: row.row, email: row.subscriber.email }
+
+		if (seen.has(key)){
+			report.duplicates++
+			entry.status = "duplicate"
+		} else if (existing.has(key)){
+			report.existing++
+			entry.status = "existing"
+			entry.subscriber = existing.get(key)
+		} else {
+			pending.push({ entry, subscriber: row.subscriber })
+		}
+
+		seen.add(key)
+		report.rows.push(entry)
+	}
+
+	for (let i = 0; i < pending.length; i += options.chunk_size){
+		await Promise.all(pending.slice(i, i + options.chunk_size).map(async ({ entry, subscriber }) => {
+			try {
+				entry.subscriber = await api.addSubscriber(subscriber)
+				entry.status = "added"
+				report.added++
+			} catch (e) {
+				entry.status = "error"
+				entry.error = e
+				report.failed++
+			}
+		}))
+
+		if (options.onProgress)
+			options.onProgress(Math.min(i + options.chunk_size, pending.length), pending.length)
+	}
+
+	return report
+}
@@ -0,0 +1,286 @@
+import { validateComponent, validateComponentGroup } from './validation'
+import { CachetValidationError } from './errors'
+import { ComponentStatus } from './constants'
+
+// Fields that describe how a desired Component or Group is matched and grouped, rather than data to send to Cachet
+const COMPONENT_KEYS = ["name", "group", "tag"]
+const GROUP_KEYS = ["name"]
+
+/**
+ * @typedef {Object} DesiredState
+ * @property {Array.<ComponentGroup>} [groups] - The Component Groups that should exist, matched by `name`
+ * @property {Array.<Object>} [components] - The Components that should exist. Each one takes the same fields as a {@link Component},
+ * plus an optional `group` (the name of the Component Group it belongs in, or `null` to ungroup it) and an optional `tag` (used when matching by tag).
+ * Fields that are left out are not managed, and are left as they are in Cachet. New Components without a `status` are created as Operational.
+ */
+/**
+ * @typedef {Object} SyncStep
+ * @property {String} action - `create`, `update` or `delete`
+ * @property {String} type - `group` or `component`
+ * @property {String} name - The name of the Component or Component Group
+ * @property {Integer} [id] - The ID of the existing Component or Component Group (for updates and deletes)
+ * @property {Object} [data] - The fields to send to Cachet (for creates and updates)
+ * @property {String} [group] - The name of the Component Group that a Component belongs in, if the group ID can only be known once the plan is applied
+ */
+
+/**
+ * Cachet returns booleans as either booleans or tinyints depending on the field, so compare them as numbers
+ * @private
+ */
+function normalize(value){
+	if (value === true)
+		return 1
+	if (value === false)
+		return 0
+
+	return value
+}
+
+/**
+ * Get the tags of a Component from Cachet, which can be returned as an Array or as an Object of `slug: name`
+ * @private
+ */
+function getTags(component){
+	let tags = component.tags
+
+	if (!tags)
+		return []
+	if (Array.isArray(tags))
+		return tags.map((tag) => typeof tag === "string" ? tag : tag.name || tag.slug)
+
+	return Object.keys(tags).concat(Object.keys(tags).map((slug) => tags[slug]))
+}
+
+/**
+ * Copy every field except for the ones used for matching
+ * @private
+ */
+function pick(item, skip){
+	let data = {}
+
+	for (let key in item){
+		if (skip.indexOf(key) === -1 && item[key] !== undefined)
+			data[key] = item[key]
+	}
+
+	return data
+}
+
+/**
+ * Find the fields in `data` that are different on `current`
+ * @private
+ */
+function diff(current, data){
+	let changes = {}
+
+	for (let key in data){
+		// Ungrouped Components can have a group_id of either 0 or null
+		let value = key === "group_id" && !current[key] ? 0 : current[key]
+
+		if (normalize(value) !== normalize(data[key]))
+			changes[key] = data[key]
+	}
+
+	return changes
+}
+
+/**
+ * Check that every item has a unique, non-empty key
+ * @private
+ */
+function assertUnique(items, kind, getKey){
+	let seen = []
+
+	for (let item of items){
+		let key = getKey(item)
+
+		if (key === undefined || key === null || key === "")
+			throw new CachetValidationError("Error! Every desired " + kind + " needs a " + (kind === "Component" ? "name (or tag)" : "name"))
+		if (seen.indexOf(key) !== -1)
+			throw new CachetValidationError("Error! The desired " + kind + " " + JSON.stringify(key) + " is listed more than once")
+
+		seen.push(key)
+	}
+}
+
+/**
+ * Work out the changes needed to make Cachet match the desired state. Nothing is sent to Cachet.
+ * The steps are returned in the order they need to be applied: Component Groups are created and updated before the Components that
+ * belong to them, and Components are deleted before the Component Groups that they were in.
+ * @param  {Object} current - What currently exists in Cachet
+ * @param  {Array.<Component>} current.components - Every Component in Cachet
+ * @param  {Array.<ComponentGroup>} current.groups - Every Component Group in Cachet
+ * @param  {DesiredState} desired - What should exist in Cachet
+ * @param  {Object} [options] - Options about the sync
+ * @param  {Boolean} [options.prune=false] - Delete Components and Component Groups that are not in the desired state
+ * @param  {String} [options.match="name"] - Match desired Components to existing ones by `name` or by `tag`
+ * @return {Array.<SyncStep>} The steps to apply
+ */
+export function planSync(current, desired, options){
+	options = options || {}
+	desired = desired || {}
+
+	let match = options.match || "name"
+
+	if (match !== "name" && match !== "tag")
+		throw new CachetValidationError("Error! options.match must be \"name\" or \"tag\", got " + JSON.stringify(match))
+
+	let desired_groups = desired.groups || []
+	let desired_components = desired.components || []
+
+	assertUnique(desired_groups, "Component Group", (group) => group.name)
+	assertUnique(desired_components, "Component", (component) => match === "tag" ? component.tag : component.name)
+
+	for (let group of desired_groups){
+		if (typeof group.name !== "string")
+			throw new CachetValidationError("Error! Every desired Component Group needs a name")
+
+		validateComponentGroup(pick(group, GROUP_KEYS), true)
+	}
+
+	for (let component of desired_components){
+		if (typeof component.name !== "string")
+			throw new CachetValidationError("Error! Every desired Component needs a name")
+
+		validateComponent(pick(component, COMPONENT_KEYS), true)
+
+		if (component.group !== undefined && component.group !== null && !desired_groups.some((group) => group.name === component.group) && !current.groups.some((group) => group.name === component.group))
+			throw new CachetValidationError("Error! The Component " + JSON.stringify(component.name) + " is in the unknown Component Group " + JSON.stringify(component.group))
+	}
+
+	let group_steps = []
+	let component_steps = []
+	let delete_steps = []
+
+	let matched_groups = []
+
+	for (let group of desired_groups){
+		let existing = current.groups.find((g) => g.name === group.name && matched_groups.indexOf(g) === -1)
+		let data = pick(group, GROUP_KEYS)
+
+		if (!existing){
+			group_steps.push({ action: "create", type: "group", name: group.name, data: Object.assign({ name: group.name }, data) })
+			continue
+		}
+
+		matched_groups.push(existing)
+
+		let changes = diff(existing, data)
+
+		if (Object.keys(changes).length > 0)
+			group_steps.push({ action: "update", type: "group", id: existing.id, name: group.name, data: changes })
+	}
+
+	let matched_components = []
+
+	for (let component of desired_components){
+		let existing = current.components.find((c) => {
+			if (matched_components.indexOf(c) !== -1)
+				return false
+
+			return match === "tag" ? getTags(c).indexOf(component.tag) !== -1 : c.name === component.name
+		})
+
+		let data = pick(component, COMPONENT_KEYS)
+
+		if (match === "tag" && !existing)
+			data.tags = component.tag
+
+		// The name is data when matching by tag, as it may have been changed
+		if (match === "tag" || !existing)
+			data.name = component.name
+
+		let step_group
+
+		if (component.group === null){
+			data.group_id = 0
+		} else if (component.group !== undefined){
+			let group = current.groups.find((g) => g.name === component.group)
+
+			// If the group doesn't exist yet, its ID is filled in once it has been created
+			if (group)
+				data.group_id = group.id
+			else
+				step_group = component.group
+		}
+
+		if (!existing){
+			// Cachet needs a status to create a Component, so assume new Components are working
+			if (data.status === undefined)
+				data.status = ComponentStatus.OPERATIONAL
+
+			component_steps.push(Object.assign({ action: "create", type: "component", name: component.name, data }, step_group ? { group: step_group } : {}))
+			continue
+		}
+
+		matched_components.push(existing)
+
+		let changes = diff(existing, data)
+
+		if (Object.keys(changes).length > 0 || step_group)
+			component_steps.push(Object.assign({ action: "update", type: "component", id: existing.id, name: component.name, data: changes }, step_group ? { group: step_group } : {}))
+	}
+
+	if (options.prune){
+		for (let component of current.components){
+			if (matched_components.indexOf(component) === -1)
+				delete_steps.push({ action: "delete", type: "component", id: component.id, name: component.name })
+		}
+
+		for (let group of current.groups){
+			if (matched_groups.indexOf(group) === -1)
+				delete_steps.push({ action: "delete", type: "group", id: group.id, name: group.name })
+		}
+	}
+
+	return group_steps.concat(component_steps, delete_steps)
+}
+
+/**
+ * Apply a plan from {@link planSync}, one step at a time. If a step fails, no further steps are applied, and the
+ * Error that is thrown has the steps that were already applied on `error.applied`.
+ * @param  {CachetAPI} api - The CachetAPI to send requests with
+ * @param  {Array.<SyncStep>} plan - The steps to apply
+ * @return {Promise<Array.<Object>>} Resolves with each step that was applied, along with the `result` from Cachet
+ */
+export async function applySync(api, plan){
+	let applied = []
+	let group_ids = {}
+
+	for (let step of plan){
+		let result
+
+		try {
+			let data = Object.assign({}, step.data)
+
+			if (step.group !== undefined)
+				data.group_id = group_ids[step.group]
+
+			if (step.type === "group"){
+				if (step.action === "create")
+					result = await api.addComponentGroup(data)
+				else if (step.action === "update")
+					result = await api.updateComponentGroup(step.id, data)
+				else
+					result = await api.deleteComponentGroup(step.id)
+
+				if (step.action === "create")
+					group_ids[step.name] = result.id
+			} else {
+				if (step.action === "create")
+					result = await api.addComponent(data)
+				else if (step.action === "update")
+					result = await api.updateComponent(step.id, data)
+				else
+					result = await api.deleteComponent(step.id)
+			}
+		} catch (e) {
+			e.applied = applied
+			throw e
+		}
+
+		applied.push(Object.assign({}, step, { result }))
+	}
+
+	return applied
+}
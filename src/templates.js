@@ -0,0 +1,75 @@
+// Variables that Twig provides by itself, so they never have to be passed in
+const TWIG_GLOBALS = ["loop", "_self", "_context", "_charset", "true", "false", "null", "none"]
+
+const PRINT_PATTERN = /\{\{-?\s*([\s\S]*?)\s*-?\}\}/g
+const TAG_PATTERN = /\{%-?\s*([\s\S]*?)\s*-?%\}/g
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/
+
+/**
+ * Find the variables that an Incident Template needs to be rendered. Variables that are only printed
+ * with a `default` filter (e.g. `{{ region|default("all regions") }}`), variables that are only used in
+ * `{% if %}` conditions, and variables declared by the template itself with `{% for %}` or `{% set %}` are not required.
+ * @param  {String} template - The Twig source of the Incident Template
+ * @return {Array.<String>} The names of the required variables
+ *
+ * @example
+ * getTemplateVariables("{{ service }} is down in {{ region|default('all regions') }}")
+ * // ["service"]
+ */
+export function getTemplateVariables(template){
+	let required = []
+	let declared = [].concat(TWIG_GLOBALS)
+
+	let add = (name) => {
+		if (name && declared.indexOf(name) === -1 && required.indexOf(name) === -1)
+			required.push(name)
+	}
+
+	let match
+
+	// Collect the variables that the template declares for itself first
+	TAG_PATTERN.lastIndex = 0
+	while ((match = TAG_PATTERN.exec(template || "")) !== null){
+		let tag = match[1]
+
+		let for_tag = /^for\s+([A-Za-z_]\w*)(?:\s*,\s*([A-Za-z_]\w*))?\s+in\s+([A-Za-z_]\w*)/.exec(tag)
+		let set_tag = /^set\s+([A-Za-z_]\w*)/.exec(tag)
+
+		if (for_tag){
+			declared.push(for_tag[1])
+			if (for_tag[2])
+				declared.push(for_tag[2])
+			add(for_tag[3])
+		} else if (set_tag){
+			declared.push(set_tag[1])
+		}
+	}
+
+	PRINT_PATTERN.lastIndex = 0
+	while ((match = PRINT_PATTERN.exec(template || "")) !== null){
+		let expression = match[1]
+
+		// A default filter means the variable is allowed to be missing
+		if (/\|\s*default\b/.test(expression))
+			continue
+
+		let identifier = IDENTIFIER_PATTERN.exec(expression)
+
+		if (identifier)
+			add(identifier[0])
+	}
+
+	return required
+}
+
+/**
+ * Find the required Incident Template variables that are missing from `vars`
+ * @param  {String} template - The Twig source of the Incident Template
+ * @param  {Object} [vars] - The variables that will be passed to the template
+ * @return {Array.<String>} The names of the missing variables
+ */
+export function getMissingTemplateVariables(template, vars){
+	vars = vars || {}
+
+	return getTemplateVariables(template).filter((name) => vars[name] === undefined || vars[name] === null)
+}
@@ -0,0 +1,104 @@
+import { ComponentStatus, ComponentGroupCollapse } from './constants'
+
+/**
+ * @typedef {Object} StatusTreeGroup
+ * @property {Integer} id - The ID of the Component Group
+ * @property {String} name - The name of the Component Group
+ * @property {Integer} order - The order of the Component Group
+ * @property {Integer} collapsed - When the Component Group is collapsed (See {@link ComponentGroupCollapse})
+ * @property {Boolean} is_collapsed - Whether Cachet shows the Component Group collapsed right now
+ * @property {Integer} status - The worst status of its Components (See {@link ComponentStatus})
+ * @property {Array.<Component>} components - Its Components, in the order Cachet shows them
+ * @property {ComponentGroup} group - The Component Group, as Cachet returned it
+ */
+/**
+ * @typedef {Object} StatusTree
+ * @property {Integer} status - The worst status of every Component in the tree (See {@link ComponentStatus})
+ * @property {Array.<StatusTreeGroup>} groups - The Component Groups, in the order Cachet shows them
+ * @property {Object} ungrouped - The Components that aren't in a Component Group, as `{ status, components }`
+ */
+
+/**
+ * Sort items the way Cachet does, by `order` and then by when they were added
+ * @private
+ */
+function byOrder(a, b){
+	return (parseInt(a.order, 10) || 0) - (parseInt(b.order, 10) || 0) || a.id - b.id
+}
+
+/**
+ * Work out the worst status of some Components, which is the highest status number. No Components means nothing is wrong.
+ * @private
+ */
+function worstStatus(components){
+	return components.reduce((worst, component) => Math.max(worst, parseInt(component.status, 10) || 0), ComponentStatus.OPERATIONAL)
+}
+
+/**
+ * Check if Cachet shows a Component Group collapsed, which depends on its `collapsed` setting and the status of its Components
+ * @private
+ */
+function isCollapsed(collapsed, status){
+	if (collapsed === ComponentGroupCollapse.ALWAYS)
+		return true
+	if (collapsed === ComponentGroupCollapse.NOT_OPERATIONAL)
+		return status === ComponentStatus.OPERATIONAL
+
+	return false
+}
+
+/**
+ * Nest Components inside their Component Groups, the same way Cachet lays out its status page. Component Groups and their Components
+ * are sorted by `order`, and each Component Group gets the worst status of its Components. Components that aren't in a Component Group
+ * (or whose Component Group no longer exists) go in `ungrouped`, which Cachet shows after the Component Groups.
+ *
+ * Like the status page, disabled Components, hidden Component Groups and Component Groups without any Components are left out by default.
+ * @param  {Object} current - The Components and Component Groups
+ * @param  {Array.<Component>} current.components - Every Component
+ * @param  {Array.<ComponentGroup>} current.groups - Every Component Group
+ * @param  {Object} [options] - What to include
+ * @param  {Boolean} [options.include_disabled=false] - Include disabled Components
+ * @param  {Boolean} [options.include_hidden=false] - Include Component Groups that aren't visible to the public, along with their Components
+ * @param  {Boolean} [options.include_empty=false] - Include Component Groups that don't have any Components
+ * @return {StatusTree}
+ *
+ * @example
+ * buildStatusTree({
+ * 	groups: [{ id: 1, name: "Core", order: 0, collapsed: 2, visible: 1 }],
+ * 	components: [{ id: 1, name: "API", status: 3, group_id: 1, enabled: true }, { id: 2, name: "Docs", status: 1, group_id: 0, enabled: true }]
+ * })
+ * // { status: 3, groups: [{ id: 1, name: "Core", status: 3, is_collapsed: false, components: [API], ... }], ungrouped: { status: 1, components: [Docs] } }
+ */
+export function buildStatusTree(current, options){
+	options = options || {}
+
+	// Cachet sends booleans as `true`, `1` or `"1"`, depending on the version, and leaving them out means they are on
+	let components = (current.components || []).filter((component) => options.include_disabled || Number(component.enabled) !== 0)
+	let group_ids = new Set((current.groups || []).map((group) => group.id))
+
+	let groups = (current.groups || []).filter((group) => options.include_hidden || Number(group.visible) !== 0).sort(byOrder).map((group) => {
+		let members = components.filter((component) => parseInt(component.group_id, 10) === group.id).sort(byOrder)
+		let status = worstStatus(members)
+		let collapsed = parseInt(group.collapsed, 10) || ComponentGroupCollapse.NEVER
+
+		return {
+			id: group.id,
+			name: group.name,
+			order: parseInt(group.order, 10) || 0,
+			collapsed,
+			is_collapsed: isCollapsed(collapsed, status),
+			status,
+			components: members,
+			group
+		}
+	}).filter((group) => options.include_empty || group.components.length > 0)
+
+	let ungrouped = components.filter((component) => !group_ids.has(parseInt(component.group_id, 10))).sort(byOrder)
+	let shown = ungrouped.concat(...groups.map((group) => group.components))
+
+	return {
+		status: worstStatus(shown),
+		groups,
+		ungrouped: { status: worstStatus(ungrouped), components: ungrouped }
+	}
+}
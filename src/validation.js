@@ -0,0 +1,250 @@
+import { ComponentStatus, IncidentStatus, MetricCalcType, ComponentGroupCollapse, ScheduleStatus } from './constants'
+import { CachetValidationError } from './errors'
+
+/**
+ * The fields that are checked for each type of payload. Fields that are not listed here are passed through to Cachet untouched.
+ * @private
+ */
+const SCHEMAS = {
+	Component: {
+		name: { type: "string", required: true },
+		description: { type: "string" },
+		status: { enum: ComponentStatus, required: true },
+		link: { type: "string" },
+		order: { type: "integer" },
+		group_id: { type: "id" },
+		enabled: { type: "boolean" }
+	},
+	ComponentGroup: {
+		name: { type: "string", required: true },
+		order: { type: "integer" },
+		collapsed: { enum: ComponentGroupCollapse },
+		visible: { type: "boolean" }
+	},
+	Incident: {
+		name: { type: "string", required: true },
+		message: { type: "string" },
+		status: { enum: IncidentStatus, required: true },
+		visible: { type: "boolean" },
+		component_id: { type: "id" },
+		component_status: { enum: ComponentStatus },
+		notify: { type: "boolean" },
+		stickied: { type: "boolean" },
+		template: { type: "string" }
+	},
+	IncidentUpdate: {
+		message: { type: "string", required: true },
+		status: { enum: IncidentStatus, required: true }
+	},
+	IncidentTemplate: {
+		name: { type: "string", required: true },
+		template: { type: "string", required: true }
+	},
+	Schedule: {
+		name: { type: "string", required: true },
+		message: { type: "string" },
+		status: { enum: ScheduleStatus, required: true },
+		scheduled_at: { type: "string", required: true },
+		completed_at: { type: "string" },
+		components: { type: "object" },
+		notify: { type: "boolean" }
+	},
+	Metric: {
+		name: { type: "string", required: true },
+		suffix: { type: "string", required: true },
+		description: { type: "string" },
+		default_value: { type: "number" },
+		calc_type: { enum: MetricCalcType },
+		display_chart: { type: "boolean" },
+		places: { type: "integer" },
+		default_view: { type: "integer" },
+		threshold: { type: "integer" },
+		order: { type: "integer" },
+		visible: { type: "boolean" }
+	},
+	MetricPoint: {
+		value: { type: "number", required: true },
+		timestamp: { type: "integer" }
+	},
+	Subscriber: {
+		email: { type: "email", required: true },
+		verify: { type: "boolean" }
+	}
+}
+
+const TYPE_CHECKS = {
+	string: (value) => typeof value === "string",
+	number: (value) => typeof value === "number" && isFinite(value),
+	integer: (value) => Number.isInteger(value),
+	id: (value) => Number.isInteger(value) || (typeof value === "string" && /^\d+$/.test(value)),
+	// Cachet stores booleans as tinyints, so 0 and 1 are accepted as well
+	boolean: (value) => typeof value === "boolean" || value === 0 || value === 1,
+	object: (value) => !!value && typeof value === "object" && !Array.isArray(value),
+	array: (value) => Array.isArray(value),
+	email: (value) => typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+}
+
+/**
+ * Describe the allowed values of an enum, for example `1 (OPERATIONAL), 2 (PERFORMANCE_ISSUES)`
+ * @private
+ */
+function describeEnum(values){
+	return Object.keys(values).map((key) => values[key] + " (" + key + ")").join(", ")
+}
+
+/**
+ * Check a payload against its schema, returning a list of the problems that were found
+ * @param  {String} kind - The name of the schema to check against
+ * @param  {Object} data - The payload to check
+ * @param  {Boolean} [partial=false] - Set to true when the payload is an update, so that required fields may be left out
+ * @return {Array.<String>} The problems that were found
+ * @private
+ */
+function check(kind, data, partial){
+	if (!data || typeof data !== "object" || Array.isArray(data))
+		return ["The " + kind + " must be an Object"]
+
+	let schema = SCHEMAS[kind]
+	let problems = []
+
+	for (let field in schema){
+		let rule = schema[field]
+		let value = data[field]
+
+		if (value === undefined || value === null){
+			if (rule.required && !partial)
+				problems.push(field + " is required")
+
+			continue
+		}
+
+		if (rule.enum){
+			let allowed = Object.keys(rule.enum).map((key) => rule.enum[key])
+
+			if (allowed.indexOf(value) === -1)
+				problems.push(field + " must be one of " + describeEnum(rule.enum) + ", got " + JSON.stringify(value))
+		} else if (!TYPE_CHECKS[rule.type](value)){
+			problems.push(field + " must be " + (["integer", "id", "array", "object", "email"].indexOf(rule.type) !== -1 ? "an " : "a ") + rule.type + ", got " + JSON.stringify(value))
+		}
+	}
+
+	return problems
+}
+
+/**
+ * Throw a {@link CachetValidationError} listing every problem, if there were any
+ * @private
+ */
+function assertValid(kind, problems){
+	if (problems.length === 0)
+		return
+
+	throw new CachetValidationError("Error! Invalid " + kind + ": " + problems.join(", "), {
+		errors: problems.map((detail) => ({ title: "Invalid " + kind, detail }))
+	})
+}
+
+/**
+ * Check that a Component is valid before it is sent to Cachet
+ * @param  {Component} component - The Component to check
+ * @param  {Boolean} [partial=false] - Set to true when validating an update, so that required fields may be left out
+ * @throws {CachetValidationError} Throws if the Component is invalid
+ */
+export function validateComponent(component, partial){
+	assertValid("Component", check("Component", component, partial))
+}
+
+/**
+ * Check that a Component Group is valid before it is sent to Cachet
+ * @param  {ComponentGroup} group - The Component Group to check
+ * @param  {Boolean} [partial=false] - Set to true when validating an update, so that required fields may be left out
+ * @throws {CachetValidationError} Throws if the Component Group is invalid
+ */
+export function validateComponentGroup(group, partial){
+	assertValid("ComponentGroup", check("ComponentGroup", group, partial))
+}
+
+/**
+ * Check that an Incident is valid before it is sent to Cachet
+ * @param  {Incident} incident - The Incident to check
+ * @param  {Boolean} [partial=false] - Set to true when validating an update, so that required fields may be left out
+ * @throws {CachetValidationError} Throws if the Incident is invalid
+ */
+export function validateIncident(incident, partial){
+	let problems = check("Incident", incident, partial)
+
+	if (problems.length === 0){
+		// Without a template, the message is what gets shown on the status page
+		if (!partial && (incident.message === undefined || incident.message === null) && !incident.template)
+			problems.push("message is required when no template is used")
+
+		if (incident.component_status !== undefined && incident.component_status !== null && (incident.component_id === undefined || incident.component_id === null))
+			problems.push("component_id is required when component_status is set")
+	}
+
+	assertValid("Incident", problems)
+}
+
+/**
+ * Check that an Incident Update is valid before it is sent to Cachet
+ * @param  {IncidentUpdate} update - The Incident Update to check
+ * @param  {Boolean} [partial=false] - Set to true when validating an update, so that required fields may be left out
+ * @throws {CachetValidationError} Throws if the Incident Update is invalid
+ */
+export function validateIncidentUpdate(update, partial){
+	assertValid("IncidentUpdate", check("IncidentUpdate", update, partial))
+}
+
+/**
+ * Check that an Incident Template is valid before it is sent to Cachet
+ * @param  {IncidentTemplate} template - The Incident Template to check
+ * @param  {Boolean} [partial=false] - Set to true when validating an update, so that required fields may be left out
+ * @throws {CachetValidationError} Throws if the Incident Template is invalid
+ */
+export function validateIncidentTemplate(template, partial){
+	assertValid("IncidentTemplate", check("IncidentTemplate", template, partial))
+}
+
+/**
+ * Check that a Schedule is valid before it is sent to Cachet
+ * @param  {Schedule} schedule - The Schedule to check
+ * @param  {Boolean} [partial=false] - Set to true when validating an update, so that required fields may be left out
+ * @throws {CachetValidationError} Throws if the Schedule is invalid
+ */
+export function validateSchedule(schedule, partial){
+	assertValid("Schedule", check("Schedule", schedule, partial))
+}
+
+/**
+ * Check that a Metric is valid before it is sent to Cachet
+ * @param  {Metric} metric - The Metric to check
+ * @param  {Boolean} [partial=false] - Set to true when validating an update, so that required fields may be left out
+ * @throws {CachetValidationError} Throws if the Metric is invalid
+ */
+export function validateMetric(metric, partial){
+	assertValid("Metric", check("Metric", metric, partial))
+}
+
+/**
+ * Check that a Metric Point is valid before it is sent to Cachet
+ * @param  {MetricPoint} point - The Metric Point to check
+ * @throws {CachetValidationError} Throws if the Metric Point is invalid
+ */
+export function validateMetricPoint(point){
+	assertValid("MetricPoint", check("MetricPoint", point))
+}
+
+/**
+ * Check that a Subscriber is valid before it is sent to Cachet
+ * @param  {Subscriber} subscriber - The Subscriber to check
+ * @throws {CachetValidationError} Throws if the Subscriber is invalid
+ */
+export function validateSubscriber(subscriber){
+	let problems = check("Subscriber", subscriber)
+
+	// Leaving out `components` (or passing "*") subscribes to every Component
+	if (problems.length === 0 && subscriber.components !== undefined && subscriber.components !== "*" && !(Array.isArray(subscriber.components) && subscriber.components.every((id) => Number.isInteger(id))))
+		problems.push("components must be an array of Component IDs, got " + JSON.stringify(subscriber.components))
+
+	assertValid("Subscriber", problems)
+}
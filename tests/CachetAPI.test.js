@@ -1,8 +1,25 @@
-import CachetAPI from '../src/index'
+import CachetAPI, { MockCachetServer } from '../src/index'
+
+let server = new MockCachetServer({
+	apiToken: "test-token",
+	seed: {
+		groups: [
+			{ name: "Websites", order: 1 },
+			{ name: "Services", order: 2 }
+		],
+		components: [
+			{ name: "API", status: 1, group_id: 2 },
+			{ name: "Documentation", status: 1, group_id: 1 },
+			{ name: "Blog", status: 2, group_id: 1 },
+			{ name: "Legacy Dashboard", status: 4, enabled: false }
+		]
+	}
+})
 
 let cachet_api = new CachetAPI({
-	url: "https://demo.cachethq.io/api",
-	apiToken: "9yMHsdioQosnyVK4iCVR"
+	url: "https://cachet.example.com/api",
+	apiToken: "test-token",
+	adapter: server.adapter
 })
 
 describe("General", () => {
@@ -33,6 +50,32 @@ describe("Components", () => {
 		expect(components[0].name).toBeDefined()
 		expect(components[0].status).toBeDefined()
 	})
+	test("Get All Components", async () => {
+		let components = await cachet_api.getAllComponents({ per_page: 1 })
+		let first_page = await cachet_api.getComponents(true)
+
+		expect(components.length).toBe(first_page.meta.pagination.total)
+		expect(components[0].id).toBeDefined()
+	})
+	test("Iterate Components", async () => {
+		let components = []
+
+		for await (let component of cachet_api.iterateComponents({ per_page: 1, max_items: 2 }))
+			components.push(component)
+
+		expect(components.length).toBe(2)
+		expect(components[0].id).not.toBe(components[1].id)
+	})
+
+	test("Filter Components", async () => {
+		let components = await cachet_api.getComponents({ enabled: true, sort: "id", order: "desc" })
+
+		expect(components.length).toBeGreaterThan(0)
+		expect(components[0].enabled).toBe(true)
+
+		for (let i = 1; i < components.length; i++)
+			expect(components[i - 1].id).toBeGreaterThan(components[i].id)
+	})
 
 	let added_component_id
 
@@ -201,10 +244,72 @@ describe("Incidents", () => {
 	})
 })
 
-/*
- * Incident Updates are broken when testing on the Cachet Demo API. It works fine when a regular Cachet API is used.
- */
-/*
+describe("Incident Templates", () => {
+	let added_template_id
+
+	test("Add an Incident Template", async () => {
+		let template = await cachet_api.addIncidentTemplate({
+			name: "added template",
+			template: "{{ service }} is experiencing issues"
+		})
+
+		expect(template).toBeDefined()
+		expect(template.id).toBeDefined()
+		expect(template.name).toBe("added template")
+		expect(template.slug).toBeDefined()
+
+		added_template_id = template.id
+	})
+	test("Get Incident Templates", async () => {
+		let templates = await cachet_api.getIncidentTemplates()
+
+		expect(templates.length).toBeGreaterThan(0)
+		expect(templates[0].id).toBeDefined()
+		expect(templates[0].template).toBeDefined()
+	})
+	test("Get an Incident Template", async () => {
+		let template = await cachet_api.getIncidentTemplate(added_template_id)
+
+		expect(template).toBeDefined()
+		expect(template.id).toBe(added_template_id)
+		expect(template.name).toBe("added template")
+	})
+	test("Update an Incident Template", async () => {
+		let template = await cachet_api.updateIncidentTemplate(added_template_id, {
+			template: "{{ service }} is unavailable in {{ region }}"
+		})
+
+		expect(template).toBeDefined()
+		expect(template.template).toBe("{{ service }} is unavailable in {{ region }}")
+	})
+	test("Add an Incident from a Template", async () => {
+		let template = await cachet_api.getIncidentTemplate(added_template_id)
+
+		await expect(cachet_api.addIncidentFromTemplate(template.slug, {
+			name: "templated incident",
+			status: 1,
+			visible: 1
+		}, { service: "API" })).rejects.toThrow(/region/)
+
+		let incident = await cachet_api.addIncidentFromTemplate(template.slug, {
+			name: "templated incident",
+			status: 1,
+			visible: 1
+		}, { service: "API", region: "us-east" })
+
+		expect(incident).toBeDefined()
+		expect(incident.id).toBeDefined()
+		expect(incident.name).toBe("templated incident")
+
+		await cachet_api.deleteIncident(incident.id)
+	})
+	test("Delete an Incident Template", async () => {
+		let deleted = await cachet_api.deleteIncidentTemplate(added_template_id)
+
+		expect(deleted).toBe(true)
+	})
+})
+
 describe("Incident Updates", () => {
 	let incident_id
 
@@ -270,7 +375,61 @@ describe("Incident Updates", () => {
 		await cachet_api.deleteIncident(incident_id)
 	})
 })
-*/
+
+describe("Schedules", () => {
+	let added_schedule_id
+
+	test("Add a Schedule", async () => {
+		let schedule = await cachet_api.addSchedule({
+			name: "added schedule",
+			message: "testing from npm package `cachetapi`",
+			status: 0,
+			scheduled_at: "2030-01-01 02:00"
+		})
+
+		expect(schedule).toBeDefined()
+		expect(schedule.id).toBeDefined()
+		expect(schedule.name).toBe("added schedule")
+
+		added_schedule_id = schedule.id
+	})
+	test("Get Schedules", async () => {
+		let schedules = await cachet_api.getSchedules()
+
+		expect(schedules.length).toBeGreaterThan(0)
+		expect(schedules[0].id).toBeDefined()
+		expect(schedules[0].name).toBeDefined()
+
+		let with_meta = await cachet_api.getSchedules(true)
+
+		expect(with_meta.meta).toBeDefined()
+		expect(with_meta.data.length).toBe(schedules.length)
+	})
+	test("Get a Schedule", async () => {
+		let schedule = await cachet_api.getSchedule(added_schedule_id)
+
+		expect(schedule).toBeDefined()
+		expect(schedule.id).toBe(added_schedule_id)
+		expect(schedule.name).toBe("added schedule")
+		expect(schedule.status).toBe(0)
+	})
+	test("Update a Schedule", async () => {
+		let schedule = await cachet_api.updateSchedule(added_schedule_id, {
+			name: "updated schedule",
+			status: 1
+		})
+
+		expect(schedule).toBeDefined()
+		expect(schedule.id).toBe(added_schedule_id)
+		expect(schedule.name).toBe("updated schedule")
+		expect(schedule.status).toBe(1)
+	})
+	test("Delete a Schedule", async () => {
+		let deleted = await cachet_api.deleteSchedule(added_schedule_id)
+
+		expect(deleted).toBe(true)
+	})
+})
 
 describe("Metrics", () => {
 	let added_metric_id
@@ -337,10 +496,6 @@ describe("Metrics", () => {
 	})
 })
 
-/*
- * Subscriber add fails right now on alternate Cachet instance and never resolves.
- */
-
 describe("Subscribers", () => {
 	let subscriber_id
 
@@ -355,7 +510,7 @@ describe("Subscribers", () => {
 
 		subscriber_id = subscriber.id
 
-	}, 10000)
+	})
 	test("Get Subscribers", async () => {
 		let subscribers = await cachet_api.getSubscribers()
 
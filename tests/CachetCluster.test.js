@@ -0,0 +1,103 @@
+import CachetAPI, { CachetCluster, MockCachetServer, ComponentStatus, IncidentStatus, CachetNotFoundError, CachetValidationError } from '../src/index'
+
+let us
+let eu
+let cluster
+
+beforeEach(() => {
+	us = new MockCachetServer({ apiToken: "us-token", seed: { components: [{ name: "API", status: 1 }, { name: "Website", status: 1 }] } })
+	// The same Components, with different IDs
+	eu = new MockCachetServer({ apiToken: "eu-token", seed: { components: [{ name: "Website", status: 1 }, { name: "Billing", status: 1 }, { name: "API", status: 1 }] } })
+
+	cluster = new CachetCluster([
+		{ name: "us", url: "https://status-us.example.com/api", apiToken: "us-token", adapter: us.adapter },
+		{ name: "eu", url: "https://status-eu.example.com/api", apiToken: "eu-token", adapter: eu.adapter }
+	], { retry: false })
+})
+
+describe("CachetCluster", () => {
+	test("Fans out any CachetAPI method to every instance", async () => {
+		let components = await cluster.getComponents()
+
+		expect(components.ok).toBe(true)
+		expect(components.succeeded).toEqual(["us", "eu"])
+		expect(components.results.us.map((component) => component.name)).toEqual(["API", "Website"])
+		expect(components.results.eu.map((component) => component.name)).toEqual(["Website", "Billing", "API"])
+
+		let incidents = await cluster.addIncident({ name: "Maintenance", message: "Planned", status: IncidentStatus.WATCHING })
+
+		expect(incidents.ok).toBe(true)
+		expect(us.getAll("incidents")).toHaveLength(1)
+		expect(eu.getAll("incidents")).toHaveLength(1)
+
+		expect((await cluster.call("getVersion")).results).toEqual({ us: "2.3.15", eu: "2.3.15" })
+	})
+
+	test("Reports partial failures instead of rejecting", async () => {
+		eu.options.apiToken = "rotated"
+
+		let result = await cluster.addComponent({ name: "Search", status: 1 })
+
+		expect(result.ok).toBe(false)
+		expect(result.succeeded).toEqual(["us"])
+		expect(result.failed).toEqual(["eu"])
+		expect(result.results.us).toMatchObject({ name: "Search" })
+		expect(result.errors.eu.name).toBe("CachetAuthError")
+		expect(us.getAll("components")).toHaveLength(3)
+	})
+
+	test("Works with a Component by name on every instance", async () => {
+		let result = await cluster.withComponent("API", (api, component_id) => api.addIncident({
+			name: "API Errors",
+			message: "Investigating",
+			status: IncidentStatus.INVESTIGATING,
+			component_id,
+			component_status: ComponentStatus.MAJOR_OUTAGE
+		}))
+
+		expect(result.ok).toBe(true)
+		expect(result.results.us.component_id).toBe(1)
+		expect(result.results.eu.component_id).toBe(3)
+		expect(us.getAll("components")[0].status).toBe(ComponentStatus.MAJOR_OUTAGE)
+		expect(eu.getAll("components")[2].status).toBe(ComponentStatus.MAJOR_OUTAGE)
+	})
+
+	test("Fails the instances that don't have the Component", async () => {
+		let result = await cluster.withComponent("Billing", (api, component_id) => component_id)
+
+		expect(result.results).toEqual({ eu: 2 })
+		expect(result.errors.us).toBeInstanceOf(CachetNotFoundError)
+		expect(result.errors.us.message).toMatch("no Component named \"Billing\" on the \"us\" instance")
+	})
+
+	test("Looks Components up again when one is missing", async () => {
+		await cluster.mapComponents()
+		await cluster.get("us").addComponent({ name: "Billing", status: 1 })
+
+		let result = await cluster.withComponent("Billing", (api, component_id) => component_id)
+
+		expect(result.results).toEqual({ us: 3, eu: 2 })
+	})
+
+	test("Accepts existing CachetAPIs", async () => {
+		let api = new CachetAPI({ url: "https://status-us.example.com/api", adapter: us.adapter })
+		let single = new CachetCluster([{ name: "us", api }])
+
+		expect(single.get("us")).toBe(api)
+		expect((await single.ping()).results).toEqual({ us: "Pong!" })
+	})
+
+	test("Only fans out methods that return a Promise", async () => {
+		expect(cluster.iterateComponents).toBeUndefined()
+		expect(cluster.watch).toBeUndefined()
+		await expect(cluster.call("watch")).rejects.toThrow(CachetValidationError)
+		await expect(cluster.call("nope")).rejects.toThrow(CachetValidationError)
+	})
+
+	test("Validates the instances", () => {
+		expect(() => new CachetCluster([])).toThrow(CachetValidationError)
+		expect(() => new CachetCluster([{ url: "https://a.example.com/api" }])).toThrow("needs a name")
+		expect(() => new CachetCluster([{ name: "a", url: "https://a.example.com/api" }, { name: "a", url: "https://b.example.com/api" }])).toThrow("unique")
+		expect(() => cluster.get("asia")).toThrow(CachetValidationError)
+	})
+})
@@ -0,0 +1,110 @@
+import CachetAPI, { IncidentWorkflow, ComponentStatus, IncidentStatus, CachetValidationError } from '../src/index'
+
+function mockAPI(){
+	let api = new CachetAPI({ url: "https://cachet.example.com/api" })
+	let next_id = 10
+
+	api.requests = []
+	api.api.defaults.adapter = async (config) => {
+		let body = config.data ? JSON.parse(config.data) : undefined
+		let path = config.url.replace("https://cachet.example.com/api", "")
+
+		api.requests.push([config.method.toUpperCase(), path, body])
+
+		let data
+
+		if (config.method === "get" && path === "/v1/incidents/5")
+			data = { id: 5, name: "Existing", status: IncidentStatus.IDENTIFIED, component_id: 3 }
+		else if (config.method === "get" && path === "/v1/components/3")
+			data = { id: 3, name: "API", status: ComponentStatus.PARTIAL_OUTAGE }
+		else
+			data = Object.assign({ id: next_id++ }, body)
+
+		return { data: { data }, status: 200, statusText: "OK", headers: {}, config }
+	}
+
+	return api
+}
+
+describe("IncidentWorkflow", () => {
+	test("Opens, updates and resolves an Incident", async () => {
+		let api = mockAPI()
+
+		let workflow = await api.openIncident({
+			name: "API Outage",
+			message: "Investigating",
+			component_id: 3,
+			component_status: ComponentStatus.MAJOR_OUTAGE
+		})
+
+		expect(workflow).toBeInstanceOf(IncidentWorkflow)
+		expect(workflow.incident.id).toBe(10)
+		expect(api.requests[0]).toEqual(["POST", "/v1/incidents", {
+			name: "API Outage",
+			message: "Investigating",
+			status: IncidentStatus.INVESTIGATING,
+			visible: 1,
+			component_id: 3,
+			component_status: ComponentStatus.MAJOR_OUTAGE
+		}])
+
+		await workflow.identified("Found it", { component_status: ComponentStatus.PARTIAL_OUTAGE })
+		await workflow.watching("Fix deployed")
+		await workflow.resolve("All good")
+
+		expect(api.requests.slice(1)).toEqual([
+			["POST", "/v1/incidents/10/updates", { status: IncidentStatus.IDENTIFIED, message: "Found it" }],
+			["PUT", "/v1/components/3", { status: ComponentStatus.PARTIAL_OUTAGE }],
+			["POST", "/v1/incidents/10/updates", { status: IncidentStatus.WATCHING, message: "Fix deployed" }],
+			["POST", "/v1/incidents/10/updates", { status: IncidentStatus.FIXED, message: "All good" }],
+			["PUT", "/v1/components/3", { status: ComponentStatus.OPERATIONAL }]
+		])
+		expect(workflow.updates.length).toBe(3)
+		expect(workflow.isResolved()).toBe(true)
+		expect(workflow.component_status).toBe(ComponentStatus.OPERATIONAL)
+	})
+	test("Does not update the Component when its status is unchanged", async () => {
+		let api = mockAPI()
+		let workflow = await api.openIncident({ name: "Slow API", message: "Slow", component_id: 3, component_status: ComponentStatus.PERFORMANCE_ISSUES })
+
+		await workflow.investigating("Still slow", { component_status: ComponentStatus.PERFORMANCE_ISSUES })
+
+		expect(api.requests.filter((request) => request[0] === "PUT").length).toBe(0)
+	})
+	test("Incidents without a Component", async () => {
+		let api = mockAPI()
+		let workflow = await api.openIncident({ name: "Email delays", message: "Delayed" })
+
+		await workflow.resolve("Delivered")
+
+		expect(api.requests.map((request) => request[0] + " " + request[1])).toEqual(["POST /v1/incidents", "POST /v1/incidents/10/updates"])
+	})
+	test("Cannot update a resolved Incident", async () => {
+		let api = mockAPI()
+		let workflow = await api.openIncident({ name: "Outage", message: "Down" })
+
+		await workflow.resolve("Fixed")
+
+		await expect(workflow.watching("Still watching")).rejects.toThrow(/already been resolved/)
+		await expect(workflow.watching("Still watching")).rejects.toBeInstanceOf(CachetValidationError)
+	})
+	test("Resumes an existing Incident", async () => {
+		let api = mockAPI()
+		let workflow = await api.resumeIncident(5)
+
+		expect(workflow.status).toBe(IncidentStatus.IDENTIFIED)
+		expect(workflow.component_id).toBe(3)
+		expect(workflow.component_status).toBe(ComponentStatus.PARTIAL_OUTAGE)
+
+		await workflow.resolve("Fixed")
+
+		expect(api.requests.slice(2)).toEqual([
+			["POST", "/v1/incidents/5/updates", { status: IncidentStatus.FIXED, message: "Fixed" }],
+			["PUT", "/v1/components/3", { status: ComponentStatus.OPERATIONAL }]
+		])
+	})
+	test("Requires an Incident ID", () => {
+		expect(() => new IncidentWorkflow(mockAPI(), {})).toThrow(/incident.id/)
+		expect(() => new IncidentWorkflow(undefined, { id: 1 })).toThrow(CachetValidationError)
+	})
+})
@@ -0,0 +1,115 @@
+import CachetAPI, { MockCachetServer, MetricReporter, CachetValidationError } from '../src/index'
+
+let server
+let cachet_api
+
+beforeEach(() => {
+	server = new MockCachetServer({ seed: { metrics: [{ name: "Latency", suffix: "ms" }, { name: "Errors", suffix: "errors" }] } })
+	cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+})
+
+describe("MetricReporter", () => {
+	test("Buffers points until flushed", async () => {
+		let reporter = new MetricReporter(cachet_api)
+		let sent = []
+
+		reporter.on("sent", (metric_id, point) => sent.push([metric_id, point.value]))
+
+		reporter.report(1, 10, 1530446400)
+		reporter.report(1, 20, 1530446401)
+		reporter.report(2, 1, 1530446401)
+
+		expect(reporter.pending).toBe(3)
+		expect(server.requests.length).toBe(0)
+
+		expect(await reporter.flush()).toEqual({ sent: 3, failed: 0 })
+		expect(reporter.pending).toBe(0)
+		expect(sent).toEqual([[1, 10], [1, 20], [2, 1]])
+		expect(server.getAll("points").map((p) => [p.metric_id, p.value])).toEqual([[1, 10], [1, 20], [2, 1]])
+	})
+	test("Aggregates points per Metric", async () => {
+		let reporter = new MetricReporter(cachet_api, { aggregate: "average" })
+
+		reporter.report(1, 10, 1530446400)
+		reporter.report(1, 30, 1530446460)
+		reporter.report(2, 5, 1530446400)
+
+		expect(await reporter.flush()).toEqual({ sent: 2, failed: 0 })
+		expect(server.requests.map((r) => [r.path, r.data])).toEqual([
+			["/v1/metrics/1/points", { value: 20, timestamp: 1530446460 }],
+			["/v1/metrics/2/points", { value: 5, timestamp: 1530446400 }]
+		])
+	})
+	test("Flushes when a Metric reaches the batch size", async () => {
+		let reporter = new MetricReporter(cachet_api, { batch_size: 2, aggregate: "sum" })
+
+		reporter.report(1, 1)
+		reporter.report(1, 2)
+		reporter.report(2, 4)
+
+		await reporter.flushing
+
+		expect(server.getAll("points").map((p) => p.value)).toEqual([3, 4])
+	})
+	test("Limits how many points are sent at once", async () => {
+		let active = 0
+		let max_active = 0
+
+		let slow_api = {
+			addMetricPoint: async () => {
+				active++
+				max_active = Math.max(max_active, active)
+				await new Promise((resolve) => setTimeout(resolve, 5))
+				active--
+			}
+		}
+
+		let reporter = new MetricReporter(slow_api, { concurrency: 2 })
+
+		for (let i = 0; i < 7; i++)
+			reporter.report(1, i)
+
+		expect(await reporter.flush()).toEqual({ sent: 7, failed: 0 })
+		expect(max_active).toBe(2)
+	})
+	test("Reports failed and dropped points", async () => {
+		let reporter = new MetricReporter(cachet_api, { max_buffer: 2, batch_size: 10 })
+		let failed = []
+		let dropped = []
+
+		reporter.on("failed", (error, metric_id, points) => failed.push([error.name, metric_id, points.length]))
+		reporter.on("dropped", (metric_id, points, reason) => dropped.push([metric_id, points[0].value, reason]))
+
+		reporter.report(99, 1)
+		reporter.report(1, 2)
+		reporter.report(1, 3)
+		reporter.report(1, 4)
+
+		expect(await reporter.close()).toEqual({ sent: 2, failed: 1 })
+
+		reporter.report(1, 5)
+
+		expect(failed).toEqual([["CachetNotFoundError", 99, 1]])
+		expect(dropped).toEqual([[1, 4, "buffer_full"], [1, 5, "closed"]])
+	})
+	test("Flushes on an interval", async () => {
+		jest.useFakeTimers()
+
+		let reporter = new MetricReporter(cachet_api, { interval: 1000 }).start()
+		let flushed = new Promise((resolve) => reporter.once("flush", resolve))
+
+		reporter.report(1, 1)
+		jest.advanceTimersByTime(1000)
+
+		expect(await flushed).toEqual({ sent: 1, failed: 0 })
+
+		reporter.stop()
+		jest.useRealTimers()
+	})
+	test("Rejects invalid values and options", () => {
+		expect(() => new MetricReporter()).toThrow(CachetValidationError)
+		expect(() => new MetricReporter(cachet_api).report(1, NaN)).toThrow(CachetValidationError)
+		expect(() => new MetricReporter(cachet_api, { aggregate: "median" })).toThrow(CachetValidationError)
+		expect(() => new MetricReporter(cachet_api, { concurrency: 0 })).toThrow(CachetValidationError)
+	})
+})
@@ -0,0 +1,116 @@
+import CachetAPI, { MockCachetServer, CachetAuthError, CachetNotFoundError, CachetValidationError } from '../src/index'
+
+let server
+let cachet_api
+
+beforeEach(() => {
+	server = new MockCachetServer({
+		apiToken: "test-token",
+		now: () => new Date("2018-07-01T12:00:00Z"),
+		seed: {
+			groups: [{ name: "Core" }],
+			components: [
+				{ name: "API", status: 1, group_id: 1 },
+				{ name: "Website", status: 1, group_id: 1 },
+				{ name: "FTP", status: 4 }
+			]
+		}
+	})
+
+	cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", apiToken: "test-token", adapter: server.adapter, retry: false })
+})
+
+describe("MockCachetServer", () => {
+	test("Fills in defaults and timestamps", async () => {
+		let component = await cachet_api.getComponent(3)
+
+		expect(component).toEqual({
+			id: 3,
+			name: "FTP",
+			description: "",
+			link: "",
+			status: 4,
+			human_status: "Major Outage",
+			order: 0,
+			group_id: 0,
+			enabled: true,
+			created_at: "2018-07-01 12:00:00",
+			updated_at: "2018-07-01 12:00:00"
+		})
+	})
+	test("Paginates with Cachet's meta", async () => {
+		let page = await cachet_api.getComponents({ per_page: 2, sort: "name", order: "desc" }, true)
+
+		expect(page.data.map((c) => c.name)).toEqual(["Website", "FTP"])
+		expect(page.meta.pagination).toEqual({
+			total: 3,
+			count: 2,
+			per_page: 2,
+			current_page: 1,
+			total_pages: 2,
+			links: {
+				next_page: "https://cachet.example.com/api/v1/components?per_page=2&sort=name&order=desc&page=2",
+				previous_page: null
+			}
+		})
+
+		let all = await cachet_api.getAllComponents({ per_page: 1 })
+
+		expect(all.map((c) => c.id)).toEqual([1, 2, 3])
+	})
+	test("Filters lists", async () => {
+		let components = await cachet_api.getComponents({ group_id: 1, enabled: true })
+
+		expect(components.map((c) => c.name)).toEqual(["API", "Website"])
+	})
+	test("Responds with Cachet's validation errors", async () => {
+		// Send the request directly, as the CachetAPI would reject it before it was sent
+		let error = await cachet_api.api.post("/v1/components", { status: 9 }).catch((e) => e)
+
+		expect(error.response.status).toBe(400)
+		expect(error.response.data.errors[0].meta.details).toEqual(["The name field is required.", "The selected status is invalid."])
+	})
+	test("Requires the API Token for changes", async () => {
+		let anonymous = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter })
+
+		expect((await anonymous.getComponents()).length).toBe(3)
+		await expect(anonymous.deleteComponent(1)).rejects.toBeInstanceOf(CachetAuthError)
+		expect(server.getAll("components").length).toBe(3)
+	})
+	test("Responds with 404s", async () => {
+		await expect(cachet_api.getComponent(99)).rejects.toBeInstanceOf(CachetNotFoundError)
+		await expect(cachet_api.getIncidentUpdates(99)).rejects.toBeInstanceOf(CachetNotFoundError)
+	})
+	test("Updates Components and Incidents the way Cachet does", async () => {
+		let incident = await cachet_api.addIncident({ name: "API Outage", message: "Investigating", status: 1, component_id: 1, component_status: 4 })
+
+		expect((await cachet_api.getComponent(1)).status).toBe(4)
+
+		await cachet_api.addIncidentUpdate(incident.id, { status: 4, message: "Fixed" })
+
+		expect((await cachet_api.getIncident(incident.id)).status).toBe(4)
+
+		await cachet_api.deleteComponentGroup(1)
+
+		expect((await cachet_api.getComponent(1)).group_id).toBe(0)
+	})
+	test("Renders Incident Templates", async () => {
+		await cachet_api.addIncidentTemplate({ name: "Outage", template: "{{ service }} is down in {{ region|default('every region') }}" })
+
+		let incident = await cachet_api.addIncidentFromTemplate("outage", { name: "Outage", status: 1 }, { service: "API" })
+
+		expect(incident.message).toBe("API is down in every region")
+	})
+	test("Records requests", async () => {
+		await cachet_api.addMetric({ name: "Latency", suffix: "ms" })
+		await expect(cachet_api.addMetricPoint(1, { value: "fast" })).rejects.toBeInstanceOf(CachetValidationError)
+
+		expect(server.requests.map((r) => r.method + " " + r.path)).toEqual(["POST /v1/metrics"])
+	})
+	test("Resets to new seed data", () => {
+		server.reset({ metrics: [{ name: "Latency", suffix: "ms" }], points: [{ metric_id: 1, value: 5, timestamp: 1530446400 }] })
+
+		expect(server.getAll("components")).toEqual([])
+		expect(server.getAll("points")[0]).toMatchObject({ id: 1, metric_id: 1, value: 5, counter: 1, calculated_value: 5, created_at: "2018-07-01 12:00:00" })
+	})
+})
@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http'
+import net from 'net'
+
+import CachetAPI, { MockCachetServer, Monitor, ComponentStatus, IncidentStatus, CachetValidationError } from '../src/index'
+
+let server
+let cachet_api
+
+beforeEach(() => {
+	server = new MockCachetServer({ seed: { components: [{ name: "API", status: 1 }, { name: "Database", status: 1 }] } })
+	cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+})
+
+// A function check that passes or fails depending on the next value in `outcomes`
+function scripted(outcomes){
+	return () => outcomes.shift()
+}
+
+async function runTimes(monitor, name, times){
+	for (let i = 0; i < times; i++)
+		await monitor.run(name)
+}
+
+describe("Monitor", () => {
+	test("Only changes the status after enough failures or successes in a row", async () => {
+		let outcomes = [false, true, false, false, false, false, true, true]
+		let monitor = new Monitor(cachet_api, { thresholds: { partial_outage: 2, major_outage: 4, recover: 2 } })
+		let transitions = []
+
+		monitor.on("transition", ({ from, to }) => transitions.push([from, to]))
+		monitor.add({ name: "API", component_id: 1, fn: scripted(outcomes) })
+
+		let statuses = []
+
+		for (let i = 0; i < 8; i++){
+			await monitor.run("API")
+			statuses.push((await cachet_api.getComponent(1)).status)
+		}
+
+		expect(statuses).toEqual([1, 1, 1, 3, 3, 4, 4, 1])
+		expect(transitions).toEqual([[1, 3], [3, 4], [4, 1]])
+		// One GET to read the starting status, then one PUT per transition
+		expect(server.requests.filter((r) => r.method === "PUT").length).toBe(3)
+	})
+	test("Opens and resolves Incidents", async () => {
+		let outcomes = [false, false, true]
+		let monitor = new Monitor(cachet_api, { thresholds: { partial_outage: 1, major_outage: 2, recover: 1 }, incidents: true })
+		let events = []
+
+		monitor.on("incident:opened", (name, workflow) => events.push(["opened", workflow.incident.id]))
+		monitor.on("incident:resolved", (name, workflow) => events.push(["resolved", workflow.incident.id]))
+		monitor.add({ name: "API", component_id: 1, fn: async () => outcomes.shift() ? true : { ok: false, message: "connection refused" } })
+
+		await monitor.run("API")
+
+		let incident = server.getAll("incidents")[0]
+
+		expect(incident).toMatchObject({ name: "API is unavailable", message: "Automated monitoring found that API is failing: connection refused", component_id: 1, status: IncidentStatus.INVESTIGATING })
+		expect((await cachet_api.getComponent(1)).status).toBe(ComponentStatus.PARTIAL_OUTAGE)
+
+		await monitor.run("API")
+		expect((await cachet_api.getComponent(1)).status).toBe(ComponentStatus.MAJOR_OUTAGE)
+
+		await monitor.run("API")
+		expect((await cachet_api.getComponent(1)).status).toBe(ComponentStatus.OPERATIONAL)
+		expect((await cachet_api.getIncident(incident.id)).status).toBe(IncidentStatus.FIXED)
+		expect(events).toEqual([["opened", 1], ["resolved", 1]])
+		expect(server.getAll("incidents").length).toBe(1)
+	})
+	test("Doesn't downgrade a status set by hand", async () => {
+		await cachet_api.updateComponent(1, { status: ComponentStatus.MAJOR_OUTAGE })
+
+		let monitor = new Monitor(cachet_api, { thresholds: { partial_outage: 1, major_outage: 3, recover: 1 } })
+		monitor.add({ name: "API", component_id: 1, fn: () => false })
+
+		await monitor.run("API")
+
+		expect(monitor.getState("API")).toMatchObject({ status: ComponentStatus.MAJOR_OUTAGE, failures: 1 })
+	})
+	test("Treats thrown errors and timeouts as failures", async () => {
+		let monitor = new Monitor(cachet_api, { timeout: 20 })
+		monitor.add({ name: "Throws", component_id: 1, fn: () => { throw new Error("boom") } })
+		monitor.add({ name: "Hangs", component_id: 2, fn: () => new Promise(() => {}) })
+
+		let results = await monitor.runAll()
+
+		expect(results.Throws).toMatchObject({ ok: false, message: "boom" })
+		expect(results.Hangs).toMatchObject({ ok: false, message: "Timed out after 20ms" })
+	})
+	test("Reports Cachet errors and tries again on the next run", async () => {
+		let monitor = new Monitor(cachet_api, { thresholds: { partial_outage: 1, major_outage: 5, recover: 1 } })
+		let errors = []
+
+		monitor.on("failed", (error, name) => errors.push([error.name, name]))
+		monitor.add({ name: "Missing", component_id: 99, fn: () => false })
+
+		await monitor.run("Missing")
+
+		server.reset({ components: [{ id: 99, name: "Missing", status: 1 }] })
+		await monitor.run("Missing")
+
+		expect(errors).toEqual([["CachetNotFoundError", "Missing"]])
+		expect((await cachet_api.getComponent(99)).status).toBe(ComponentStatus.PARTIAL_OUTAGE)
+	})
+	test("Runs http and tcp checks", async () => {
+		let http_server = http.createServer((req, res) => {
+			res.statusCode = req.url === "/health" ? 200 : 503
+			res.end()
+		})
+		let tcp_server = net.createServer((socket) => socket.end())
+
+		await new Promise((resolve) => http_server.listen(0, "127.0.0.1", resolve))
+		await new Promise((resolve) => tcp_server.listen(0, "127.0.0.1", resolve))
+
+		let http_port = http_server.address().port
+		let tcp_port = tcp_server.address().port
+
+		let monitor = new Monitor(cachet_api, { timeout: 2000 })
+		monitor.add({ name: "Healthy", component_id: 1, url: "http://127.0.0.1:" + http_port + "/health" })
+		monitor.add({ name: "Unhealthy", component_id: 1, url: "http://127.0.0.1:" + http_port + "/broken" })
+		monitor.add({ name: "Expected 503", component_id: 1, url: "http://127.0.0.1:" + http_port + "/broken", expected_status: [503] })
+		monitor.add({ name: "Open port", component_id: 2, host: "127.0.0.1", port: tcp_port })
+
+		let results = await monitor.runAll()
+
+		await new Promise((resolve) => tcp_server.close(resolve))
+		let closed = await monitor.run("Open port")
+
+		await new Promise((resolve) => http_server.close(resolve))
+
+		expect(results.Healthy.ok).toBe(true)
+		expect(results.Unhealthy).toMatchObject({ ok: false, message: "Responded with 503 Service Unavailable" })
+		expect(results["Expected 503"].ok).toBe(true)
+		expect(results["Open port"].ok).toBe(true)
+		expect(closed.ok).toBe(false)
+	})
+	test("Runs checks on their interval", async () => {
+		let runs = 0
+		let monitor = new Monitor(cachet_api, { interval: 10 })
+
+		monitor.add({ name: "API", component_id: 1, fn: () => { runs++; return true } })
+		monitor.start()
+
+		await new Promise((resolve) => setTimeout(resolve, 60))
+		monitor.stop()
+
+		let stopped_at = runs
+		await new Promise((resolve) => setTimeout(resolve, 30))
+
+		expect(stopped_at).toBeGreaterThan(1)
+		expect(runs).toBe(stopped_at)
+	})
+	test("Rejects invalid checks and thresholds", () => {
+		let monitor = new Monitor(cachet_api)
+
+		expect(() => monitor.add({ name: "API", fn: () => true })).toThrow(CachetValidationError)
+		expect(() => monitor.add({ name: "API", component_id: 1 })).toThrow(/http, tcp or function/)
+		expect(() => monitor.add({ name: "API", component_id: 1, type: "tcp", host: "localhost" })).toThrow(/port/)
+		expect(() => new Monitor()).toThrow(CachetValidationError)
+		expect(() => new Monitor(cachet_api, { thresholds: { partial_outage: 3, major_outage: 2 } })).toThrow(CachetValidationError)
+	})
+})
@@ -0,0 +1,160 @@
+import CachetAPI, { MockCachetServer, Watcher, ComponentStatus, IncidentStatus, CachetValidationError } from '../src/index'
+
+let server
+let cachet_api
+
+beforeEach(() => {
+	server = new MockCachetServer({
+		seed: {
+			components: [{ name: "API", status: 1 }, { name: "Database", status: 1 }],
+			incidents: [{ name: "Slow Database", message: "Looking into it", status: 1 }]
+		}
+	})
+	cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+})
+
+// Record every change event a Watcher emits, in order
+function record(watcher){
+	let events = []
+
+	for (let type of ["component:status-changed", "incident:created", "incident:updated", "update:added"])
+		watcher.on(type, (payload) => events.push(Object.assign({ type }, payload)))
+
+	return events
+}
+
+describe("Watcher", () => {
+	test("The first poll only takes a snapshot", async () => {
+		let watcher = new Watcher(cachet_api)
+		let ready = jest.fn()
+		let events = record(watcher)
+
+		watcher.on("ready", ready)
+
+		expect(await watcher.poll()).toEqual([])
+		expect(ready).toHaveBeenCalledTimes(1)
+		expect(events).toEqual([])
+		expect(watcher.snapshot.components.size).toBe(2)
+		expect(watcher.snapshot.incidents.size).toBe(1)
+	})
+
+	test("Emits when a Component status changes", async () => {
+		let watcher = new Watcher(cachet_api)
+		let events = record(watcher)
+
+		await watcher.poll()
+		await cachet_api.updateComponent(2, { status: ComponentStatus.MAJOR_OUTAGE })
+		await cachet_api.updateComponent(1, { description: "Not a status change" })
+		await watcher.poll()
+
+		expect(events).toHaveLength(1)
+		expect(events[0].type).toBe("component:status-changed")
+		expect(events[0].before.status).toBe(ComponentStatus.OPERATIONAL)
+		expect(events[0].after).toMatchObject({ id: 2, status: ComponentStatus.MAJOR_OUTAGE })
+	})
+
+	test("Emits when Incidents are created or changed, and when updates are posted", async () => {
+		let watcher = new Watcher(cachet_api)
+		let events = record(watcher)
+
+		await watcher.poll()
+
+		await cachet_api.addIncident({ name: "API Errors", message: "Investigating", status: IncidentStatus.INVESTIGATING })
+		await cachet_api.addIncidentUpdate(1, { status: IncidentStatus.IDENTIFIED, message: "Found a bad query" })
+
+		let polled = await watcher.poll()
+
+		expect(polled.map((event) => event.type)).toEqual(["incident:created", "incident:updated", "update:added"])
+
+		let [created, updated, added] = events
+
+		expect(created.before).toBeNull()
+		expect(created.after).toMatchObject({ id: 2, name: "API Errors" })
+		expect(updated.before.status).toBe(IncidentStatus.INVESTIGATING)
+		expect(updated.after.status).toBe(IncidentStatus.IDENTIFIED)
+		expect(updated.changes).toContain("status")
+		expect(added.incident.id).toBe(1)
+		expect(added.after).toMatchObject({ message: "Found a bad query" })
+
+		// Nothing changed since the last poll
+		expect(await watcher.poll()).toEqual([])
+	})
+
+	test("Reports updates that were posted with a new Incident", async () => {
+		let watcher = new Watcher(cachet_api)
+
+		await watcher.poll()
+
+		let incident = await cachet_api.addIncident({ name: "API Errors", message: "Investigating", status: IncidentStatus.INVESTIGATING })
+		await cachet_api.addIncidentUpdate(incident.id, { status: IncidentStatus.WATCHING, message: "Deployed a fix" })
+
+		let polled = await watcher.poll()
+
+		expect(polled.map((event) => event.type)).toEqual(["incident:created", "update:added"])
+	})
+
+	test("Doesn't re-read updates for Fixed Incidents that haven't changed", async () => {
+		let watcher = new Watcher(cachet_api)
+
+		await cachet_api.addIncidentUpdate(1, { status: IncidentStatus.FIXED, message: "All good" })
+		await watcher.poll()
+		await watcher.poll()
+
+		let update_requests = server.requests.filter((request) => /\/incidents\/1\/updates/.test(request.path) && request.method === "GET")
+
+		expect(update_requests).toHaveLength(1)
+	})
+
+	test("Only watches what it is asked to", async () => {
+		let watcher = new Watcher(cachet_api, { incidents: false })
+		let events = record(watcher)
+
+		await watcher.poll()
+		await cachet_api.addIncident({ name: "API Errors", message: "Investigating", status: IncidentStatus.INVESTIGATING })
+		await watcher.poll()
+
+		expect(events).toEqual([])
+		expect(server.requests.some((request) => request.method === "GET" && /\/incidents/.test(request.path))).toBe(false)
+	})
+
+	test("Emits failed and keeps polling when a poll fails", async () => {
+		let error = new Error("Cachet is down")
+		let watcher = new Watcher({ getAllComponents: () => Promise.reject(error) }, { interval: 5, incidents: false })
+		let failed = []
+
+		await new Promise((resolve) => {
+			watcher.on("failed", (e) => {
+				failed.push(e)
+
+				if (failed.length === 2)
+					resolve()
+			})
+			watcher.start()
+		})
+		watcher.stop()
+
+		expect(failed).toEqual([error, error])
+		await expect(watcher.poll()).rejects.toBe(error)
+	})
+
+	test("Is started by CachetAPI#watch", () => {
+		jest.useFakeTimers()
+
+		let watcher = cachet_api.watch({ interval: 5000 })
+
+		expect(watcher).toBeInstanceOf(Watcher)
+		expect(watcher.running).toBe(true)
+
+		watcher.stop()
+		jest.useRealTimers()
+
+		expect(watcher.running).toBe(false)
+	})
+
+	test("Validates its options", () => {
+		expect(() => new Watcher()).toThrow("api is a required argument")
+		expect(() => new Watcher()).toThrow(CachetValidationError)
+		expect(() => new Watcher(cachet_api, { interval: 0 })).toThrow(CachetValidationError)
+		expect(() => new Watcher(cachet_api, { incident_limit: 1.5 })).toThrow(CachetValidationError)
+	})
+})
@@ -0,0 +1,189 @@
+import CachetAPI, { MockCachetServer, CachetAbortError, CachetNetworkError, CachetServerError, CachetValidationError } from '../src/index'
+
+// An adapter that never answers, until the request is cancelled through its cancel token
+function hangingAdapter(){
+	let adapter = (config) => {
+		adapter.configs.push(config)
+
+		return new Promise((resolve, reject) => {
+			if (config.cancelToken)
+				config.cancelToken.promise.then(() => {
+					adapter.cancelled++
+					reject(new Error("cancelled"))
+				})
+		})
+	}
+
+	adapter.configs = []
+	adapter.cancelled = 0
+
+	return adapter
+}
+
+// Just enough of an AbortController, as the test environment doesn't have one
+class TestAbortController {
+	constructor(){
+		let listeners = new Set()
+
+		this.signal = {
+			aborted: false,
+			addEventListener: (type, listener) => listeners.add(listener),
+			removeEventListener: (type, listener) => listeners.delete(listener)
+		}
+		this.abort = () => {
+			this.signal.aborted = true
+			listeners.forEach((listener) => listener())
+		}
+	}
+}
+
+function createAPI(options){
+	return new CachetAPI(Object.assign({ url: "https://cachet.example.com/api", apiToken: "test-token" }, options))
+}
+
+describe("Timeouts", () => {
+	test("The timeout option fails calls that take too long, without retrying them", async () => {
+		let adapter = hangingAdapter()
+		let cachet_api = createAPI({ adapter, timeout: 30 })
+		let started = Date.now()
+
+		let error = await cachet_api.ping().catch((e) => e)
+
+		expect(error).toBeInstanceOf(CachetNetworkError)
+		expect(error.code).toBe("ECONNABORTED")
+		expect(error.message).toMatch(/timeout of 30ms exceeded/)
+		expect(Date.now() - started).toBeLessThan(1000)
+		expect(adapter.configs.length).toBe(1)
+		expect(adapter.cancelled).toBe(1)
+	})
+
+	test("A per-call timeout overrides the timeout option", async () => {
+		let server = new MockCachetServer()
+		let slow = (config) => new Promise((resolve) => setTimeout(resolve, 40)).then(() => server.adapter(config))
+		let cachet_api = createAPI({ adapter: slow, timeout: 10 })
+
+		expect(await cachet_api.ping({ timeout: 500 })).toBe("Pong!")
+		expect(await cachet_api.ping({ timeout: 0 })).toBe("Pong!")
+		await expect(cachet_api.ping()).rejects.toBeInstanceOf(CachetNetworkError)
+	})
+
+	test("Retries share the timeout of the call", async () => {
+		let attempts = 0
+		let adapter = (config) => {
+			attempts++
+
+			let error = new Error("Request failed with status code 503")
+			error.config = config
+			error.response = { status: 503, statusText: "Service Unavailable", headers: {}, data: "", config }
+
+			return Promise.reject(error)
+		}
+		let cachet_api = createAPI({ adapter, retry: { base_delay: 40, jitter: false, max_attempts: 10 } })
+
+		// Attempts at 0ms and 40ms, and the next one would only start after the call has timed out
+		await expect(cachet_api.getComponent(1, { timeout: 100 })).rejects.toBeInstanceOf(CachetServerError)
+		expect(attempts).toBe(2)
+	})
+
+	test("The timeout of a paginated call covers every page", async () => {
+		let server = new MockCachetServer({ seed: { components: [1, 2, 3, 4].map((i) => ({ name: "Component " + i, status: 1 })) } })
+		let slow = (config) => new Promise((resolve) => setTimeout(resolve, 30)).then(() => server.adapter(config))
+		let cachet_api = createAPI({ adapter: slow })
+
+		expect((await cachet_api.getAllComponents({ per_page: 2, timeout: 500 })).length).toBe(4)
+		await expect(cachet_api.getAllComponents({ per_page: 1, timeout: 70 })).rejects.toBeInstanceOf(CachetNetworkError)
+	})
+
+	test("Invalid timeouts are rejected", async () => {
+		expect(() => createAPI({ timeout: -1 })).toThrow(CachetValidationError)
+
+		let cachet_api = createAPI({ adapter: new MockCachetServer().adapter })
+
+		await expect(cachet_api.ping({ timeout: 1.5 })).rejects.toBeInstanceOf(CachetValidationError)
+		await expect(cachet_api.ping({ signal: {} })).rejects.toBeInstanceOf(CachetValidationError)
+	})
+})
+
+describe("Cancellation", () => {
+	test("Aborting the signal cancels the request", async () => {
+		let adapter = hangingAdapter()
+		let cachet_api = createAPI({ adapter })
+		let controller = new TestAbortController()
+
+		let call = cachet_api.getComponents({ status: 1 }, false, { signal: controller.signal })
+
+		setTimeout(() => controller.abort(), 10)
+
+		let error = await call.catch((e) => e)
+
+		expect(error).toBeInstanceOf(CachetAbortError)
+		expect(error.method).toBe("GET")
+		expect(error.url).toBe("/v1/components")
+		expect(adapter.configs.length).toBe(1)
+		expect(adapter.cancelled).toBe(1)
+	})
+
+	test("Requests are never sent with a signal that was already aborted", async () => {
+		let adapter = hangingAdapter()
+		let cachet_api = createAPI({ adapter })
+		let controller = new TestAbortController()
+
+		controller.abort()
+
+		await expect(cachet_api.addComponent({ name: "API", status: 1 }, { signal: controller.signal })).rejects.toBeInstanceOf(CachetAbortError)
+		// The original `(with_meta)` signature still takes the request options last
+		await expect(cachet_api.getComponents(true, { signal: controller.signal })).rejects.toBeInstanceOf(CachetAbortError)
+		expect(adapter.configs.length).toBe(0)
+	})
+
+	test("Aborting stops paginated calls", async () => {
+		let server = new MockCachetServer({ seed: { components: [1, 2, 3].map((i) => ({ name: "Component " + i, status: 1 })) } })
+		let controller = new TestAbortController()
+		let pages = 0
+		let cachet_api = createAPI({ adapter: (config) => {
+			if (++pages === 2)
+				controller.abort()
+
+			return server.adapter(config)
+		} })
+
+		await expect(cachet_api.getAllComponents({ per_page: 1, signal: controller.signal })).rejects.toBeInstanceOf(CachetAbortError)
+		expect(pages).toBe(2)
+	})
+
+	test("Aborting stops waiting for a retry", async () => {
+		let adapter = (config) => {
+			let error = new Error("socket hang up")
+			error.code = "ECONNRESET"
+			error.config = config
+
+			return Promise.reject(error)
+		}
+		let cachet_api = createAPI({ adapter, retry: { base_delay: 5000, jitter: false } })
+		let controller = new TestAbortController()
+		let started = Date.now()
+
+		setTimeout(() => controller.abort(), 20)
+
+		await expect(cachet_api.ping({ signal: controller.signal })).rejects.toBeInstanceOf(CachetAbortError)
+		expect(Date.now() - started).toBeLessThan(1000)
+	})
+
+	test("Requests that are aborted while waiting in the rate limit queue are never sent", async () => {
+		let adapter = hangingAdapter()
+		let cachet_api = createAPI({ adapter, rate_limit: { concurrency: 1 } })
+		let controller = new TestAbortController()
+
+		let first = cachet_api.ping({ timeout: 30 })
+		let second = cachet_api.ping({ signal: controller.signal })
+
+		controller.abort()
+
+		await expect(second).rejects.toBeInstanceOf(CachetAbortError)
+		await expect(first).rejects.toBeInstanceOf(CachetNetworkError)
+		await new Promise((resolve) => setTimeout(resolve, 10))
+
+		expect(adapter.configs.length).toBe(1)
+		expect(cachet_api.limiter.getStats()).toMatchObject({ active: 0, queued: 0 })
+	})
+})
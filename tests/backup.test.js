@@ -0,0 +1,161 @@
+import CachetAPI, { MockCachetServer, ComponentStatus, IncidentStatus, CachetValidationError } from '../src/index'
+
+function createAPI(server){
+	return new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+}
+
+let source
+let source_api
+
+beforeEach(() => {
+	source = new MockCachetServer({
+		seed: {
+			groups: [{ name: "Core" }, { name: "Edge" }],
+			components: [
+				{ name: "API", status: ComponentStatus.PARTIAL_OUTAGE, group_id: 1 },
+				{ name: "CDN", status: ComponentStatus.OPERATIONAL, group_id: 2 },
+				{ name: "Docs", status: ComponentStatus.OPERATIONAL }
+			],
+			incidents: [
+				{ name: "Old Outage", message: "Fixed a while ago", status: IncidentStatus.FIXED, created_at: "2018-06-01 10:00:00" },
+				{ name: "API Errors", message: "Investigating", status: IncidentStatus.IDENTIFIED, component_id: 1 }
+			],
+			updates: [{ incident_id: 2, status: IncidentStatus.IDENTIFIED, message: "Found a bad query" }],
+			metrics: [{ name: "Latency", suffix: "ms", calc_type: 1 }],
+			points: [
+				{ metric_id: 1, value: 40, created_at: "2018-07-01 12:00:00" },
+				{ metric_id: 1, value: 42, counter: 2, created_at: "2018-07-01 12:01:00" }
+			],
+			schedules: [{ name: "Upgrade", status: 0, scheduled_at: "2018-08-01 02:00:00", components: { 1: ComponentStatus.MAJOR_OUTAGE, 2: ComponentStatus.PERFORMANCE_ISSUES } }],
+			subscribers: [{ email: "verified@example.com", verified_at: "2018-06-01 10:00:00" }, { email: "pending@example.com" }],
+			subscriptions: [{ subscriber_id: 2, component_id: 1 }, { subscriber_id: 2, component_id: 3 }]
+		}
+	})
+	source_api = createAPI(source)
+})
+
+describe("Backup", () => {
+	test("Exports everything into one versioned document", async () => {
+		let backup = await source_api.exportAll()
+
+		expect(backup).toMatchObject({ format: "cachetapi-backup", version: 1, cachet_version: "2.3.15" })
+		expect(backup.groups.map((group) => group.name)).toEqual(["Core", "Edge"])
+		expect(backup.components.map((component) => component.name)).toEqual(["API", "CDN", "Docs"])
+		expect(backup.incidents[1].updates.map((update) => update.message)).toEqual(["Found a bad query"])
+		expect(backup.metrics[0].points.map((point) => point.value)).toEqual([40, 42])
+		expect(backup.schedules).toHaveLength(1)
+		expect(backup.schedules[0].components).toEqual({ 1: ComponentStatus.MAJOR_OUTAGE, 2: ComponentStatus.PERFORMANCE_ISSUES })
+		expect(backup.subscribers).toHaveLength(2)
+		expect(backup.subscribers[0].subscriptions).toEqual([])
+		expect(backup.subscribers[1].subscriptions.map((subscription) => subscription.component_id)).toEqual([1, 3])
+
+		let without_points = await source_api.exportAll({ points: false })
+		expect(without_points.metrics[0].points).toEqual([])
+	})
+
+	test("Imports into another instance, pointing foreign keys at the new IDs", async () => {
+		// Things that already exist on the new instance, so that new IDs don't line up with the old ones
+		let destination = new MockCachetServer({ seed: { groups: [{ name: "Existing" }], components: [{ name: "Existing", status: 1 }, { name: "Existing 2", status: 1 }] } })
+		let destination_api = createAPI(destination)
+
+		let backup = JSON.parse(JSON.stringify(await source_api.exportAll()))
+		let { ids, counts } = await destination_api.importAll(backup)
+
+		expect(counts).toEqual({ groups: 2, components: 3, incidents: 2, updates: 1, metrics: 1, points: 3, schedules: 1, subscribers: 2, subscriptions: 2 })
+		expect(ids.groups).toEqual({ 1: 2, 2: 3 })
+		expect(ids.components).toEqual({ 1: 3, 2: 4, 3: 5 })
+
+		let components = destination.getAll("components").slice(2)
+
+		expect(components.map((component) => [component.name, component.group_id, component.status])).toEqual([
+			["API", 2, ComponentStatus.PARTIAL_OUTAGE],
+			["CDN", 3, ComponentStatus.OPERATIONAL],
+			["Docs", 0, ComponentStatus.OPERATIONAL]
+		])
+
+		let incidents = destination.getAll("incidents")
+
+		expect(incidents[0]).toMatchObject({ name: "Old Outage", component_id: 0, created_at: "2018-06-01 10:00:00" })
+		expect(incidents[1]).toMatchObject({ name: "API Errors", component_id: 3, status: IncidentStatus.IDENTIFIED })
+		expect(destination.getAll("schedules")[0].components).toEqual({ 3: ComponentStatus.MAJOR_OUTAGE, 4: ComponentStatus.PERFORMANCE_ISSUES })
+		expect(destination.getAll("updates")).toEqual([expect.objectContaining({ incident_id: ids.incidents[2], message: "Found a bad query" })])
+
+		expect(destination.getAll("points").map((point) => [point.value, point.created_at])).toEqual([
+			[40, "2018-07-01 12:00:00"],
+			[42, "2018-07-01 12:01:00"],
+			[42, "2018-07-01 12:01:00"]
+		])
+
+		// Only the Subscriber that had verified their email is verified without being asked again
+		let verify = destination.requests.filter((request) => request.path === "/v1/subscribers" && request.method === "POST").map((request) => request.data.verify)
+		expect(verify).toEqual([true, false])
+
+		// Subscribers keep the Components they picked, and only the ones that didn't pick any are subscribed to everything
+		let components_sent = destination.requests.filter((request) => request.path === "/v1/subscribers" && request.method === "POST").map((request) => request.data.components)
+		expect(components_sent).toEqual([undefined, [3, 5]])
+
+		let subscribed = (subscriber_id) => destination.getAll("subscriptions").filter((subscription) => subscription.subscriber_id === subscriber_id).map((subscription) => subscription.component_id)
+
+		expect(subscribed(ids.subscribers[1])).toEqual([1, 2, 3, 4, 5])
+		expect(subscribed(ids.subscribers[2])).toEqual([3, 5])
+	})
+
+	test("Remaps Schedule Components exported as a list of rows", async () => {
+		let destination = new MockCachetServer({ seed: { components: [{ name: "Existing", status: 1 }] } })
+		let backup = await source_api.exportAll()
+
+		backup.schedules[0].components = [
+			{ component_id: 1, component_status: ComponentStatus.MAJOR_OUTAGE },
+			{ component_id: 3, component_status: ComponentStatus.PARTIAL_OUTAGE }
+		]
+
+		await createAPI(destination).importAll(backup)
+
+		expect(destination.getAll("schedules")[0].components).toEqual({ 2: ComponentStatus.MAJOR_OUTAGE, 4: ComponentStatus.PARTIAL_OUTAGE })
+	})
+
+	test("Reads the times of Metric Points in the timezone of the instance they came from", async () => {
+		let destination = new MockCachetServer()
+		let backup = await source_api.exportAll({ utc_offset: -300 })
+
+		expect(backup.utc_offset).toBe(-300)
+
+		await createAPI(destination).importAll(backup)
+
+		// The destination is in UTC, so the points move forward by the five hours the source was behind it
+		expect(destination.getAll("points").map((point) => point.created_at)).toEqual(["2018-07-01 17:00:00", "2018-07-01 17:01:00", "2018-07-01 17:01:00"])
+
+		await createAPI(destination).importAll(backup, { utc_offset: 0 })
+
+		expect(destination.getAll("points").slice(3).map((point) => point.created_at)).toEqual(["2018-07-01 12:00:00", "2018-07-01 12:01:00", "2018-07-01 12:01:00"])
+	})
+
+	test("Can keep the original IDs", async () => {
+		let destination = new MockCachetServer({ seed: { groups: [{ name: "Existing" }] } })
+		let backup = await source_api.exportAll()
+
+		await createAPI(destination).importAll(backup, { remapIds: false })
+
+		expect(destination.getAll("components").map((component) => component.group_id)).toEqual([1, 2, 0])
+	})
+
+	test("Reports what was imported before a failure", async () => {
+		let destination = new MockCachetServer()
+		let backup = await source_api.exportAll()
+
+		backup.incidents[1].updates[0].status = 99
+
+		let error = await createAPI(destination).importAll(backup).catch((e) => e)
+
+		expect(error).toBeInstanceOf(CachetValidationError)
+		expect(error.imported.counts).toMatchObject({ groups: 2, components: 3, incidents: 2, updates: 0, metrics: 0 })
+		expect(destination.getAll("metrics")).toEqual([])
+	})
+
+	test("Only imports backup documents it understands", async () => {
+		let destination_api = createAPI(new MockCachetServer())
+
+		await expect(destination_api.importAll({ components: [] })).rejects.toThrow(CachetValidationError)
+		await expect(destination_api.importAll({ format: "cachetapi-backup", version: 2 })).rejects.toThrow("Unsupported backup version 2")
+	})
+})
@@ -0,0 +1,200 @@
+import CachetAPI, { MockCachetServer, MemoryCacheStore, ResponseCache, ComponentStatus, IncidentStatus, CachetValidationError } from '../src/index'
+
+let server
+let now
+
+function createAPI(cache, server_options){
+	server = new MockCachetServer(Object.assign({
+		seed: {
+			groups: [{ name: "Core" }],
+			components: [{ name: "API", status: 1, group_id: 1 }, { name: "Database", status: 1 }],
+			incidents: [{ name: "Slow Database", message: "Looking into it", status: 1 }]
+		}
+	}, server_options))
+
+	return new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false, cache: Object.assign({ now: () => now }, cache) })
+}
+
+function countRequests(path){
+	return server.requests.filter((request) => request.method === "GET" && request.path === path).length
+}
+
+beforeEach(() => {
+	now = 1000000
+})
+
+describe("MemoryCacheStore", () => {
+	test("Expires entries once their TTL is up", () => {
+		let store = new MemoryCacheStore({ now: () => now })
+
+		store.set("a", 1, 1000)
+		store.set("b", 2)
+
+		now += 999
+		expect(store.get("a")).toBe(1)
+
+		now += 1
+		expect(store.get("a")).toBeUndefined()
+		expect(store.get("b")).toBe(2)
+	})
+
+	test("Evicts the least recently used entry when full", () => {
+		let store = new MemoryCacheStore({ max_entries: 2 })
+
+		store.set("a", 1)
+		store.set("b", 2)
+		store.get("a")
+		store.set("c", 3)
+
+		expect(store.keys()).toEqual(["a", "c"])
+		expect(store.size).toBe(2)
+	})
+
+	test("Validates max_entries", () => {
+		expect(() => new MemoryCacheStore({ max_entries: 0 })).toThrow(CachetValidationError)
+	})
+})
+
+describe("ResponseCache", () => {
+	test("Serves repeat requests from the cache until the TTL is up", async () => {
+		let cachet_api = createAPI({ ttl: 5000 })
+
+		await cachet_api.getComponents()
+		let components = await cachet_api.getComponents()
+
+		expect(components).toHaveLength(2)
+		expect(countRequests("/v1/components")).toBe(1)
+		expect(cachet_api.cache.stats).toMatchObject({ hits: 1, misses: 1 })
+
+		now += 5000
+		await cachet_api.getComponents()
+
+		expect(countRequests("/v1/components")).toBe(2)
+	})
+
+	test("Caches each query separately", async () => {
+		let cachet_api = createAPI()
+
+		await cachet_api.getComponents({ status: ComponentStatus.OPERATIONAL })
+		await cachet_api.getComponents({ status: ComponentStatus.MAJOR_OUTAGE })
+		await cachet_api.getComponents({ status: ComponentStatus.OPERATIONAL })
+
+		expect(countRequests("/v1/components")).toBe(2)
+	})
+
+	test("Uses the TTL of each resource", async () => {
+		let cachet_api = createAPI({ ttl: 1000, ttls: { groups: 0, components: 10000 } })
+
+		await cachet_api.getComponentGroups()
+		await cachet_api.getComponentGroups()
+		await cachet_api.getComponents()
+		now += 5000
+		await cachet_api.getComponents()
+		await cachet_api.ping()
+		await cachet_api.ping()
+
+		expect(countRequests("/v1/components/groups")).toBe(2)
+		expect(countRequests("/v1/components")).toBe(1)
+		expect(countRequests("/v1/ping")).toBe(2)
+	})
+
+	test("Invalidates a resource, and the resources that depend on it, when a change succeeds", async () => {
+		let cachet_api = createAPI()
+
+		await cachet_api.getComponents()
+		await cachet_api.getComponentGroups()
+		await cachet_api.getIncidents()
+
+		await cachet_api.updateComponent(1, { status: ComponentStatus.MAJOR_OUTAGE })
+
+		expect((await cachet_api.getComponent(1)).status).toBe(ComponentStatus.MAJOR_OUTAGE)
+		await cachet_api.getComponents()
+		await cachet_api.getComponentGroups()
+		await cachet_api.getIncidents()
+
+		expect(countRequests("/v1/components")).toBe(2)
+		expect(countRequests("/v1/components/groups")).toBe(2)
+		expect(countRequests("/v1/incidents")).toBe(1)
+
+		// Posting an Incident Update changes the Incident
+		await cachet_api.addIncidentUpdate(1, { status: IncidentStatus.FIXED, message: "All good" })
+
+		expect((await cachet_api.getIncidents())[0].status).toBe(IncidentStatus.FIXED)
+	})
+
+	test("Doesn't invalidate anything when a change fails", async () => {
+		let cachet_api = createAPI()
+
+		await cachet_api.getComponents()
+		await expect(cachet_api.updateComponent(99, { status: ComponentStatus.MAJOR_OUTAGE })).rejects.toThrow()
+		await cachet_api.getComponents()
+
+		expect(countRequests("/v1/components")).toBe(1)
+	})
+
+	test("Revalidates stale responses with If-None-Match when there is an ETag", async () => {
+		let cachet_api = createAPI({ ttl: 1000 }, { etags: true })
+
+		await cachet_api.getComponents()
+		now += 1000
+
+		let components = await cachet_api.getComponents()
+
+		expect(components).toHaveLength(2)
+		expect(cachet_api.cache.stats.revalidated).toBe(1)
+		expect(countRequests("/v1/components")).toBe(2)
+
+		// Fresh again after revalidating
+		await cachet_api.getComponents()
+		expect(countRequests("/v1/components")).toBe(2)
+
+		// Changed behind our back, so the ETag no longer matches
+		server.data.components[0].status = ComponentStatus.PARTIAL_OUTAGE
+		now += 1000
+
+		expect((await cachet_api.getComponent(1)).status).toBe(ComponentStatus.PARTIAL_OUTAGE)
+		expect((await cachet_api.getComponents())[0].status).toBe(ComponentStatus.PARTIAL_OUTAGE)
+		expect(cachet_api.cache.stats.revalidated).toBe(1)
+	})
+
+	test("Works with a custom async store", async () => {
+		let entries = new Map()
+		let store = {
+			get: async (key) => entries.get(key),
+			set: async (key, value) => { entries.set(key, value) },
+			delete: async (key) => { entries.delete(key) },
+			keys: async () => Array.from(entries.keys())
+		}
+		let cachet_api = createAPI({ store })
+
+		await cachet_api.getComponents()
+		await cachet_api.getIncidents()
+		await cachet_api.getComponents()
+
+		expect(countRequests("/v1/components")).toBe(1)
+		expect(entries.size).toBe(2)
+
+		await cachet_api.cache.invalidate("incidents")
+		expect(Array.from(entries.keys())).toEqual([expect.stringMatching(/^components /)])
+
+		await cachet_api.cache.clear()
+		expect(entries.size).toBe(0)
+	})
+
+	test("Is off unless asked for", async () => {
+		server = new MockCachetServer({ seed: { components: [{ name: "API", status: 1 }] } })
+		let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+
+		await cachet_api.getComponents()
+		await cachet_api.getComponents()
+
+		expect(cachet_api.cache).toBeUndefined()
+		expect(countRequests("/v1/components")).toBe(2)
+	})
+
+	test("Validates its options", () => {
+		expect(() => new ResponseCache({ ttl: -1 })).toThrow(CachetValidationError)
+		expect(() => new ResponseCache({ ttls: { components: "1s" } })).toThrow("TTL for components")
+		expect(() => new ResponseCache({ store: { get(){} } })).toThrow("set()")
+	})
+})
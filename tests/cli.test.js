@@ -0,0 +1,134 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import CachetAPI from '../src/index'
+import { run, parseArgs, loadConfig, formatTable, ExitCode } from '../src/cli'
+
+let requests
+let responses
+
+let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", apiToken: "token", retry: false })
+
+cachet_api.api.defaults.adapter = async (config) => {
+	let path = config.url.replace("https://cachet.example.com/api", "")
+	let body = config.data ? JSON.parse(config.data) : undefined
+
+	requests.push({ method: config.method.toUpperCase(), path, params: config.params, body })
+
+	let response = responses[config.method.toUpperCase() + " " + path] || { status: 200, data: { data: Object.assign({ id: 1 }, body) } }
+	let result = { data: response.data, status: response.status, statusText: response.status === 200 ? "OK" : "Error", headers: {}, config }
+
+	if (response.status >= 400){
+		let error = new Error("Request failed with status code " + response.status)
+		error.config = config
+		error.response = result
+		throw error
+	}
+
+	return result
+}
+
+let output
+
+function cli(argv, io){
+	output = { stdout: "", stderr: "" }
+
+	return run(argv, Object.assign({
+		api: cachet_api,
+		env: {},
+		cwd: os.tmpdir(),
+		stdout: { write: (text) => { output.stdout += text } },
+		stderr: { write: (text) => { output.stderr += text } }
+	}, io))
+}
+
+beforeEach(() => {
+	requests = []
+	responses = {}
+})
+
+describe("parseArgs", () => {
+	test("Splits positional arguments and flags", () => {
+		expect(parseArgs(["incidents", "create", "--component", "3", "--status=2", "--json", "-q"])).toEqual({
+			_: ["incidents", "create"],
+			flags: { component: "3", status: "2", json: true, q: true }
+		})
+	})
+	test("Keeps negative numbers as values", () => {
+		expect(parseArgs(["metrics", "push", "5", "-4.2"])._).toEqual(["metrics", "push", "5", "-4.2"])
+	})
+})
+
+describe("loadConfig", () => {
+	test("Flags win over env vars, which win over the config file", () => {
+		let dir = fs.mkdtempSync(path.join(os.tmpdir(), "cachet-cli-"))
+		fs.writeFileSync(path.join(dir, ".cachetrc"), JSON.stringify({ url: "https://file.example.com/api", apiToken: "file-token" }))
+
+		expect(loadConfig({}, { HOME: dir }, dir)).toEqual({ url: "https://file.example.com/api", apiToken: "file-token" })
+		expect(loadConfig({}, { HOME: dir, CACHET_TOKEN: "env-token" }, dir)).toEqual({ url: "https://file.example.com/api", apiToken: "env-token" })
+		expect(loadConfig({ url: "https://flag.example.com/api" }, { HOME: dir }, dir).url).toBe("https://flag.example.com/api")
+
+		fs.unlinkSync(path.join(dir, ".cachetrc"))
+		fs.rmdirSync(dir)
+	})
+})
+
+describe("formatTable", () => {
+	test("Pads columns", () => {
+		expect(formatTable([{ id: 1, name: "API" }, { id: 10, name: "Website" }], ["id", "name"])).toBe("id  name\n1   API\n10  Website")
+	})
+})
+
+describe("run", () => {
+	test("Lists Components as a table", async () => {
+		responses["GET /v1/components"] = { status: 200, data: { data: [{ id: 1, name: "API", status: 4, group_id: 0, enabled: true, description: "" }] } }
+
+		let code = await cli(["components", "list", "--status", "major_outage", "--group", "0"])
+
+		expect(code).toBe(ExitCode.SUCCESS)
+		expect(requests[0].params).toEqual({ status: 4, group_id: 0 })
+		expect(output.stdout).toBe("id  name  status  group_id  enabled\n1   API   4       0         true\n")
+	})
+	test("Creates an Incident from flags", async () => {
+		let code = await cli(["incidents", "create", "--name", "API Outage", "--message", "Looking into it", "--component", "3", "--status", "2", "--component-status", "major-outage", "--visible", "true", "--json"])
+
+		expect(code).toBe(ExitCode.SUCCESS)
+		expect(requests[0]).toMatchObject({ method: "POST", path: "/v1/incidents", body: { name: "API Outage", message: "Looking into it", component_id: 3, status: 2, component_status: 4, visible: true } })
+		expect(JSON.parse(output.stdout).component_id).toBe(3)
+	})
+	test("Pushes a Metric Point and prints its ID when quiet", async () => {
+		let code = await cli(["metrics", "push", "5", "42.1", "--quiet"])
+
+		expect(code).toBe(ExitCode.SUCCESS)
+		expect(requests[0]).toMatchObject({ method: "POST", path: "/v1/metrics/5/points", body: { value: 42.1 } })
+		expect(output.stdout).toBe("1\n")
+	})
+	test("Exits with a usage error for unknown commands", async () => {
+		expect(await cli(["widgets", "list"])).toBe(ExitCode.USAGE)
+		expect(await cli(["components", "get", "abc"])).toBe(ExitCode.USAGE)
+		expect(await cli(["components", "update", "1", "--status", "broken"])).toBe(ExitCode.USAGE)
+		expect(requests).toEqual([])
+	})
+	test("Exits with a usage error without a URL", async () => {
+		expect(await cli(["components", "list"], { api: undefined })).toBe(ExitCode.USAGE)
+		expect(output.stderr).toMatch("Missing the Cachet URL")
+	})
+	test("Maps errors to exit codes", async () => {
+		responses["GET /v1/components/9"] = { status: 404, data: { errors: [{ title: "Not Found", detail: "Resource not found" }] } }
+		expect(await cli(["components", "get", "9"])).toBe(ExitCode.NOT_FOUND)
+
+		responses["GET /v1/components/9"] = { status: 401, data: {} }
+		expect(await cli(["components", "get", "9"])).toBe(ExitCode.AUTH)
+
+		responses["GET /v1/components/9"] = { status: 500, data: {} }
+		expect(await cli(["components", "get", "9"])).toBe(ExitCode.SERVER)
+
+		// Rejected before any request is sent, as Components need a name and status
+		expect(await cli(["components", "create", "--description", "No name"])).toBe(ExitCode.VALIDATION)
+	})
+	test("Prints help", async () => {
+		expect(await cli(["--help"])).toBe(ExitCode.SUCCESS)
+		expect(output.stdout).toMatch("Usage: cachet")
+	})
+})
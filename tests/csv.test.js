@@ -0,0 +1,27 @@
+import { parseCSV, parseCSVRecords, CachetValidationError } from '../src/index'
+
+describe("parseCSV", () => {
+	test("Parses quoted fields and line endings", () => {
+		expect(parseCSV('\uFEFFa,b,c\r\n"x, y","say ""hi""",\n"multi\nline",2,3')).toEqual([
+			["a", "b", "c"],
+			["x, y", "say \"hi\"", ""],
+			["multi\nline", "2", "3"]
+		])
+	})
+	test("Supports other delimiters", () => {
+		expect(parseCSV("a;b\n1;2\n", { delimiter: ";" })).toEqual([["a", "b"], ["1", "2"]])
+	})
+	test("Rejects unclosed quotes", () => {
+		expect(() => parseCSV('a,"b\n1,2')).toThrow(CachetValidationError)
+	})
+})
+
+describe("parseCSVRecords", () => {
+	test("Keys rows by header and skips blank lines", () => {
+		expect(parseCSVRecords(" timestamp , value\n\n1530446400,42\n1530446460\n")).toEqual([
+			{ timestamp: "1530446400", value: "42" },
+			{ timestamp: "1530446460", value: "" }
+		])
+		expect(parseCSVRecords("")).toEqual([])
+	})
+})
@@ -0,0 +1,87 @@
+import {
+	CachetError,
+	CachetAuthError,
+	CachetNotFoundError,
+	CachetValidationError,
+	CachetRateLimitError,
+	CachetNetworkError,
+	CachetServerError,
+	fromAxiosError,
+	parseRetryAfter
+} from '../src/errors'
+
+function axiosError(status, data, headers){
+	let error = new Error("Request failed with status code " + status)
+	error.response = { status, statusText: "Status Text", data, headers: headers || {} }
+	return error
+}
+
+describe("fromAxiosError", () => {
+	test("Maps status codes to Error classes", () => {
+		expect(fromAxiosError(axiosError(401), "GET", "/v1/components")).toBeInstanceOf(CachetAuthError)
+		expect(fromAxiosError(axiosError(403), "GET", "/v1/components")).toBeInstanceOf(CachetAuthError)
+		expect(fromAxiosError(axiosError(404), "GET", "/v1/components/1")).toBeInstanceOf(CachetNotFoundError)
+		expect(fromAxiosError(axiosError(400), "POST", "/v1/components")).toBeInstanceOf(CachetValidationError)
+		expect(fromAxiosError(axiosError(422), "POST", "/v1/components")).toBeInstanceOf(CachetValidationError)
+		expect(fromAxiosError(axiosError(429), "GET", "/v1/components")).toBeInstanceOf(CachetRateLimitError)
+		expect(fromAxiosError(axiosError(500), "GET", "/v1/components")).toBeInstanceOf(CachetServerError)
+		expect(fromAxiosError(axiosError(503), "GET", "/v1/components")).toBeInstanceOf(CachetServerError)
+
+		let other = fromAxiosError(axiosError(409), "GET", "/v1/components")
+
+		expect(other).toBeInstanceOf(CachetError)
+		expect(other).not.toBeInstanceOf(CachetServerError)
+	})
+	test("Carries request details and Cachet errors", () => {
+		let cause = axiosError(400, {
+			errors: [{ status: 400, title: "Bad Request", detail: "The request cannot be fulfilled due to bad syntax.", meta: { details: ["The name field is required."] } }]
+		})
+		let error = fromAxiosError(cause, "POST", "/v1/components")
+
+		expect(error).toBeInstanceOf(Error)
+		expect(error.name).toBe("CachetValidationError")
+		expect(error.status).toBe(400)
+		expect(error.method).toBe("POST")
+		expect(error.url).toBe("/v1/components")
+		expect(error.errors.length).toBe(1)
+		expect(error.errors[0].title).toBe("Bad Request")
+		expect(error.cause).toBe(cause)
+		expect(error.message).toBe("Unable to POST /v1/components: 400 Status Text | The name field is required.")
+	})
+	test("Network Errors", () => {
+		let cause = new Error("socket hang up")
+		cause.code = "ECONNRESET"
+
+		let error = fromAxiosError(cause, "GET", "/v1/ping")
+
+		expect(error).toBeInstanceOf(CachetNetworkError)
+		expect(error.status).toBeUndefined()
+		expect(error.code).toBe("ECONNRESET")
+		expect(error.errors).toEqual([])
+		expect(error.cause).toBe(cause)
+	})
+	test("Rate Limit Retry-After", () => {
+		let error = fromAxiosError(axiosError(429, "", { "retry-after": "120" }), "GET", "/v1/components")
+
+		expect(error.retry_after).toBe(120)
+	})
+})
+
+describe("parseRetryAfter", () => {
+	test("Seconds", () => {
+		expect(parseRetryAfter("5")).toBe(5)
+		expect(parseRetryAfter(0)).toBe(0)
+	})
+	test("HTTP Date", () => {
+		let seconds = parseRetryAfter(new Date(Date.now() + 10000).toUTCString())
+
+		expect(seconds).toBeGreaterThan(8)
+		expect(seconds).toBeLessThanOrEqual(10)
+		expect(parseRetryAfter(new Date(Date.now() - 10000).toUTCString())).toBe(0)
+	})
+	test("Missing or invalid", () => {
+		expect(parseRetryAfter(undefined)).toBeUndefined()
+		expect(parseRetryAfter("")).toBeUndefined()
+		expect(parseRetryAfter("soon")).toBeUndefined()
+	})
+})
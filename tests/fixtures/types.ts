@@ -0,0 +1,46 @@
+// Compiled (never run) by tests/types.test.js to make sure index.d.ts type-checks from a consumer's point of view
+import CachetAPI, { CachetCluster, Component, ComponentStatus, Incident, ListResponse } from '../../index'
+
+const api = new CachetAPI({ url: "https://status.example.com/api/v1", apiToken: "token" })
+
+async function withMeta(){
+	let components: Component[] = await api.getComponents()
+	let plain: Component[] = await api.getComponents({ per_page: 10 }, false)
+	let with_meta: ListResponse<Component> = await api.getComponents({ per_page: 10 }, true)
+	let only_meta: ListResponse<Component> = await api.getComponents(true)
+	let incidents: ListResponse<Incident> = await api.getIncidents(undefined, true, { timeout: 1000 })
+
+	let created_at: string = incidents.data[0].created_at
+
+	return { components, plain, with_meta, only_meta, created_at }
+}
+
+async function cluster(){
+	const cluster = new CachetCluster([{ name: "primary", api }, { name: "secondary", url: "https://status2.example.com/api/v1" }])
+
+	let fetched = await cluster.getComponent(1)
+	let component: Component = fetched.results["primary"]
+
+	let called = await cluster.call("updateComponent", 1, { status: ComponentStatus.MAJOR_OUTAGE })
+	let updated: Component = called.results["primary"]
+
+	// @ts-expect-error Only the methods that return a Promise can be fanned out
+	cluster.call("iterateComponents")
+
+	return { component, updated }
+}
+
+async function misspelledFields(){
+	// @ts-expect-error Misspelled fields are caught when sending a resource
+	let component = await api.addComponent({ name: "API", status: 1, descripton: "The public API" })
+
+	// @ts-expect-error Misspelled fields are caught when reading a resource
+	let status = component.stauts
+
+	// Filters aren't checked, as every resource has its own
+	let filtered: Component[] = await api.getComponents({ group_id: 1, enabled: true })
+
+	return { status, filtered }
+}
+
+export { withMeta, cluster, misspelledFields }
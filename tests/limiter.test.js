@@ -0,0 +1,114 @@
+import CachetAPI, { MockCachetServer, RateLimiter, CachetValidationError } from '../src/index'
+
+// A task that only finishes when it is told to
+function deferred(){
+	let done
+	let promise = new Promise((resolve) => { done = resolve })
+
+	return { task: () => promise, done }
+}
+
+function tick(){
+	return new Promise((resolve) => setImmediate(resolve))
+}
+
+describe("RateLimiter", () => {
+	test("Never runs more than `concurrency` tasks at once, in the order they were scheduled", async () => {
+		let limiter = new RateLimiter({ concurrency: 2 })
+		let jobs = [deferred(), deferred(), deferred(), deferred()]
+		let finished = []
+
+		jobs.forEach((job, i) => limiter.schedule(job.task).then(() => finished.push(i)))
+
+		expect(limiter.active).toBe(2)
+		expect(limiter.queued).toBe(2)
+
+		jobs[1].done()
+		await tick()
+
+		expect(finished).toEqual([1])
+		expect(limiter.active).toBe(2)
+		expect(limiter.queued).toBe(1)
+
+		jobs[0].done()
+		jobs[2].done()
+		jobs[3].done()
+		await tick()
+		await tick()
+
+		expect(finished).toEqual([1, 0, 2, 3])
+		expect(limiter.getStats()).toMatchObject({ active: 0, queued: 0, max_queued: 2, started: 4 })
+	})
+
+	test("Starts at most `per_second` tasks a second, after the first burst", async () => {
+		let limiter = new RateLimiter({ per_second: 50, burst: 2 })
+		let started_at = []
+		let start = Date.now()
+
+		await Promise.all([0, 1, 2, 3, 4].map(() => limiter.schedule(() => started_at.push(Date.now() - start))))
+
+		// 2 straight away, then one every 20ms
+		expect(started_at[1]).toBeLessThan(15)
+		expect(started_at[2]).toBeGreaterThanOrEqual(15)
+		expect(started_at[4]).toBeGreaterThanOrEqual(55)
+
+		let stats = limiter.getStats()
+
+		expect(stats.delayed).toBe(3)
+		expect(stats.max_wait).toBeGreaterThanOrEqual(55)
+		expect(stats.average_wait).toBeCloseTo(stats.total_wait / 5)
+	})
+
+	test("Passes on the result or error of each task", async () => {
+		let limiter = new RateLimiter({ concurrency: 1 })
+		let error = new Error("Nope")
+
+		await expect(limiter.schedule(() => Promise.resolve(42))).resolves.toBe(42)
+		await expect(limiter.schedule(() => Promise.reject(error))).rejects.toBe(error)
+		await expect(limiter.schedule(() => { throw error })).rejects.toBe(error)
+
+		// A failed task still frees up its slot
+		await expect(limiter.schedule(() => "ok")).resolves.toBe("ok")
+	})
+
+	test("Limits the requests of a CachetAPI", async () => {
+		let server = new MockCachetServer({ seed: { components: [1, 2, 3, 4, 5, 6].map((i) => ({ name: "Component " + i, status: 1 })) } })
+		let in_flight = 0
+		let most_in_flight = 0
+
+		let adapter = async (config) => {
+			in_flight++
+			most_in_flight = Math.max(most_in_flight, in_flight)
+
+			await tick()
+
+			in_flight--
+			return server.adapter(config)
+		}
+
+		let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter, retry: false, rate_limit: { concurrency: 2 } })
+
+		await Promise.all([1, 2, 3, 4, 5, 6].map((id) => cachet_api.deleteComponent(id)))
+
+		expect(most_in_flight).toBe(2)
+		expect(server.getAll("components")).toEqual([])
+		expect(cachet_api.limiter.getStats()).toMatchObject({ started: 6, max_queued: 4 })
+	})
+
+	test("Doesn't queue requests that are answered from the cache", async () => {
+		let server = new MockCachetServer({ seed: { components: [{ name: "API", status: 1 }] } })
+		let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false, cache: true, rate_limit: { per_second: 1 } })
+
+		await cachet_api.getComponents()
+		await cachet_api.getComponents()
+
+		expect(cachet_api.limiter.getStats().started).toBe(1)
+	})
+
+	test("Validates its options", () => {
+		expect(() => new RateLimiter({ concurrency: 0 })).toThrow(CachetValidationError)
+		expect(() => new RateLimiter({ per_second: -1 })).toThrow(CachetValidationError)
+		expect(() => new RateLimiter({ per_second: 5, burst: 0.5 })).toThrow(CachetValidationError)
+		expect(new RateLimiter({ per_second: 0.5 }).options.burst).toBe(1)
+	})
+})
@@ -0,0 +1,115 @@
+import CachetAPI from '../src/index'
+import { createLogger, redact } from '../src/logger'
+
+describe("createLogger", () => {
+	test("Silent by default", () => {
+		let logger = createLogger()
+
+		expect(() => {
+			logger.debug("debug")
+			logger.info("info")
+			logger.warn("warn")
+			logger.error("error")
+		}).not.toThrow()
+	})
+	test("Fills in missing levels", () => {
+		let messages = []
+		let logger = createLogger({ error: (message) => messages.push(message) })
+
+		logger.debug("ignored")
+		logger.error("failed")
+
+		expect(messages).toEqual(["failed"])
+	})
+})
+
+describe("redact", () => {
+	test("Redacts the API Token and emails", () => {
+		let redacted = redact({
+			headers: { "X-Cachet-Token": "secret", common: { Accept: "application/json" } },
+			url: "/v1/ping?token=secret",
+			data: [{ id: 1, email: "email@example.com" }]
+		}, "secret")
+
+		expect(redacted).toEqual({
+			headers: { "X-Cachet-Token": "[REDACTED]", common: { Accept: "application/json" } },
+			url: "/v1/ping?token=[REDACTED]",
+			data: [{ id: 1, email: "[REDACTED]" }]
+		})
+	})
+	test("Redacts emails inside strings", () => {
+		expect(redact("Unable to POST /v1/subscribers: 422 | The email email@example.com is invalid")).toBe("Unable to POST /v1/subscribers: 422 | The email [REDACTED] is invalid")
+		expect(redact({ url: "/v1/subscribers?email=first.last%40example.co.uk&page=2" })).toEqual({ url: "/v1/subscribers?email=[REDACTED]&page=2" })
+		expect(redact(["Component 1 is down at 12:00"])).toEqual(["Component 1 is down at 12:00"])
+	})
+	test("Does not modify the original", () => {
+		let original = { email: "email@example.com" }
+
+		redact(original)
+
+		expect(original.email).toBe("email@example.com")
+	})
+})
+
+describe("CachetAPI Logging", () => {
+	let logs
+	let cachet_api
+
+	beforeEach(() => {
+		logs = []
+
+		let log = (level) => (message, meta) => logs.push({ level, message, meta })
+
+		cachet_api = new CachetAPI({
+			url: "https://cachet.example.com/api",
+			apiToken: "secret",
+			logger: { debug: log("debug"), info: log("info"), warn: log("warn"), error: log("error") }
+		})
+	})
+
+	test("Logs requests and responses without secrets", async () => {
+		cachet_api.api.defaults.adapter = async (config) => ({
+			data: { data: [{ id: 1, email: "email@example.com" }] },
+			status: 200,
+			statusText: "OK",
+			headers: {},
+			config
+		})
+
+		await cachet_api.getSubscribers()
+
+		expect(logs.map((log) => log.level)).toEqual(["debug", "debug"])
+		expect(logs[0].message).toBe("Cachet Request: GET /v1/subscribers")
+		expect(logs[1].meta.status).toBe(200)
+		expect(JSON.stringify(logs)).not.toMatch(/secret|email@example\.com/)
+	})
+	test("Logs failed requests as errors", async () => {
+		cachet_api.api.defaults.adapter = async (config) => {
+			let error = new Error("Request failed with status code 404")
+			error.config = config
+			error.response = { status: 404, statusText: "Not Found", headers: {}, data: { errors: [{ detail: "Not here" }] }, config }
+			throw error
+		}
+
+		await expect(cachet_api.getComponent(1)).rejects.toThrow(/404/)
+
+		let error_log = logs.find((log) => log.level === "error")
+
+		expect(error_log.message).toBe("Unable to GET /v1/components/1: 404 Not Found | Not here")
+		expect(error_log.meta.status).toBe(404)
+		expect(JSON.stringify(logs)).not.toMatch(/secret/)
+	})
+	test("Logs failed requests without the emails Cachet echoes back", async () => {
+		cachet_api.api.defaults.adapter = async (config) => {
+			let error = new Error("Request failed with status code 422")
+			error.config = config
+			error.response = { status: 422, statusText: "Unprocessable Entity", headers: {}, data: { errors: [{ detail: "The email email@example.com has already been taken." }] }, config }
+			throw error
+		}
+
+		await expect(cachet_api.addSubscriber({ email: "email@example.com" })).rejects.toThrow(/422/)
+
+		expect(logs.find((log) => log.level === "error").message).toMatch(/The email \[REDACTED\] has already been taken/)
+		expect(JSON.stringify(logs)).not.toMatch(/email@example\.com/)
+	})
+})
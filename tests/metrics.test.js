@@ -0,0 +1,200 @@
+import CachetAPI, { MockCachetServer, MetricCalcType, CachetValidationError, CachetNotFoundError, CachetAbortError, parseTime, filterMetricPoints, summarizeMetricPoints, percentile, parseMetricPointRows } from '../src/index'
+
+// 2018-07-01 12:00:00 UTC
+let noon = 1530446400
+
+let points = [
+	{ id: 1, value: 10, counter: 1, created_at: "2018-07-01 12:00:00" },
+	{ id: 2, value: 20, counter: 1, created_at: "2018-07-01 12:30:00" },
+	{ id: 3, value: 5, counter: 2, created_at: "2018-07-01 12:59:59" },
+	{ id: 4, value: 40, counter: 1, created_at: "2018-07-01 14:15:00" }
+]
+
+describe("parseTime", () => {
+	test("Reads Dates, timestamps and strings", () => {
+		expect(parseTime("2018-07-01 12:00:00")).toBe(noon * 1000)
+		expect(parseTime(noon)).toBe(noon * 1000)
+		expect(parseTime(noon * 1000)).toBe(noon * 1000)
+		expect(parseTime(new Date(noon * 1000))).toBe(noon * 1000)
+		expect(parseTime("2018-07-01T12:00:00Z")).toBe(noon * 1000)
+		expect(parseTime("2018-07-01T08:00:00-04:00")).toBe(noon * 1000)
+		expect(parseTime("1530446400")).toBe(noon * 1000)
+		expect(() => parseTime("yesterday")).toThrow(CachetValidationError)
+	})
+	test("Reads timestamps without a timezone at the UTC offset", () => {
+		expect(parseTime("2018-07-01 07:00:00", -300)).toBe(noon * 1000)
+		expect(parseTime("2018-07-01T14:00", 120)).toBe(noon * 1000)
+	})
+})
+
+describe("percentile", () => {
+	test("Interpolates between values", () => {
+		expect(percentile([4, 1, 3, 2], 50)).toBe(2.5)
+		expect(percentile([1, 2, 3, 4], 0)).toBe(1)
+		expect(percentile([1, 2, 3, 4], 100)).toBe(4)
+		expect(percentile([], 95)).toBe(null)
+		expect(() => percentile([1], 101)).toThrow(CachetValidationError)
+	})
+})
+
+describe("filterMetricPoints", () => {
+	test("Keeps points from (inclusive) to (exclusive)", () => {
+		expect(filterMetricPoints(points, { from: "2018-07-01 12:30:00", to: "2018-07-01 14:15:00" }).map((p) => p.id)).toEqual([2, 3])
+	})
+	test("Reads created_at in the timezone of the Cachet instance", () => {
+		// The points were created at 12:00 to 14:15 US Eastern Standard Time, which is 17:00 to 19:15 UTC
+		let range = { from: new Date("2018-07-01T17:30:00Z"), to: new Date("2018-07-01T19:15:00Z"), utc_offset: -300 }
+
+		expect(filterMetricPoints(points, range).map((p) => p.id)).toEqual([2, 3])
+		expect(filterMetricPoints(points, { from: range.from, to: range.to }).map((p) => p.id)).toEqual([])
+	})
+})
+
+describe("summarizeMetricPoints", () => {
+	test("Sums buckets and fills in empty ones with the default value", () => {
+		let buckets = summarizeMetricPoints(points, { interval: "hour", default_value: 0 })
+
+		expect(buckets.map((b) => [b.start.toISOString(), b.count, b.value])).toEqual([
+			["2018-07-01T12:00:00.000Z", 3, 40],
+			["2018-07-01T13:00:00.000Z", 0, 0],
+			["2018-07-01T14:00:00.000Z", 1, 40]
+		])
+		expect(buckets[0]).toMatchObject({ sum: 40, average: 40 / 3, min: 10, max: 20 })
+		expect(buckets[1]).toMatchObject({ sum: 0, average: null, min: null, max: null })
+	})
+	test("Averages buckets for AVERAGE Metrics", () => {
+		let buckets = summarizeMetricPoints(points, {
+			interval: 2 * 60 * 60,
+			from: "2018-07-01 12:00:00",
+			to: "2018-07-01 16:00:00",
+			calc_type: MetricCalcType.AVERAGE,
+			percentiles: [50, 100]
+		})
+
+		expect(buckets.map((b) => b.value)).toEqual([40 / 3, 40])
+		expect(buckets[0].percentiles).toEqual({ 50: 10, 100: 20 })
+	})
+	test("Lines up daily buckets with midnight at a half hour offset", () => {
+		let local = [
+			{ id: 5, value: 1, counter: 1, created_at: "2018-07-01 23:00:00" },
+			{ id: 6, value: 2, counter: 1, created_at: "2018-07-02 01:00:00" }
+		]
+
+		// Midnight at +05:30 is 18:30 UTC the day before
+		let buckets = summarizeMetricPoints(local, { interval: "day", utc_offset: 330 })
+
+		expect(buckets.map((b) => [b.start.toISOString(), b.end.toISOString(), b.value])).toEqual([
+			["2018-06-30T18:30:00.000Z", "2018-07-01T18:30:00.000Z", 1],
+			["2018-07-01T18:30:00.000Z", "2018-07-02T18:30:00.000Z", 2]
+		])
+	})
+	test("Buckets points in the timezone of the Cachet instance", () => {
+		let buckets = summarizeMetricPoints(points, { interval: "hour", utc_offset: -300 })
+
+		expect(buckets.map((b) => [b.start.toISOString(), b.count])).toEqual([
+			["2018-07-01T17:00:00.000Z", 3],
+			["2018-07-01T18:00:00.000Z", 0],
+			["2018-07-01T19:00:00.000Z", 1]
+		])
+	})
+	test("Rejects bad options", () => {
+		expect(() => summarizeMetricPoints(points, { interval: "fortnight" })).toThrow(CachetValidationError)
+		expect(() => summarizeMetricPoints(points, { interval: 1, from: 0, to: noon })).toThrow(/buckets/)
+		expect(() => summarizeMetricPoints(points, { interval: "hour", calc_type: 5 })).toThrow(CachetValidationError)
+	})
+})
+
+describe("CachetAPI Metric Points", () => {
+	let server = new MockCachetServer({
+		seed: {
+			metrics: [{ name: "Latency", suffix: "ms", calc_type: MetricCalcType.AVERAGE, default_value: 100 }],
+			points: points.map((point) => Object.assign({ metric_id: 1 }, point))
+		}
+	})
+	let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter })
+
+	test("Gets points in a time range", async () => {
+		server.requests = []
+
+		let in_range = await cachet_api.getAllMetricPoints(1, { from: "2018-07-01 12:30:00", to: "2018-07-01 14:00:00", per_page: 1 })
+
+		expect(in_range.map((p) => p.id)).toEqual([3, 2])
+		// Stops reading pages once it reaches a point from before the range
+		expect(server.requests.length).toBe(4)
+	})
+	test("Summarizes a Metric using its calc_type and default_value", async () => {
+		let buckets = await cachet_api.getMetricSummary(1, { interval: "hour", from: "2018-07-01 12:00:00", to: "2018-07-01 15:00:00" })
+
+		expect(buckets.map((b) => b.value)).toEqual([40 / 3, 100, 40])
+	})
+	test("Reads points in the timezone of the Cachet instance", async () => {
+		let in_range = await cachet_api.getAllMetricPoints(1, { from: new Date("2018-07-01T17:30:00Z"), to: new Date("2018-07-01T19:00:00Z"), utc_offset: -300 })
+
+		expect(in_range.map((p) => p.id)).toEqual([3, 2])
+
+		let buckets = await cachet_api.getMetricSummary(1, { interval: "hour", from: new Date("2018-07-01T17:00:00Z"), to: new Date("2018-07-01T20:00:00Z"), utc_offset: -300 })
+
+		expect(buckets.map((b) => b.value)).toEqual([40 / 3, 100, 40])
+	})
+	test("Passes the request options on when summarizing", async () => {
+		let signal = { aborted: true, addEventListener: () => {}, removeEventListener: () => {} }
+
+		server.requests = []
+
+		await expect(cachet_api.getMetricSummary(1, { interval: "hour", signal })).rejects.toBeInstanceOf(CachetAbortError)
+		expect(server.requests).toEqual([])
+	})
+})
+
+describe("parseMetricPointRows", () => {
+	test("Reads CSV with custom columns", () => {
+		let rows = parseMetricPointRows("time,latency\n2018-07-01 07:00:00,42\n2018-07-01 07:01:00,oops\nlater,5\n", {
+			from: "csv",
+			columns: { timestamp: "time", value: "latency" },
+			utc_offset: -300
+		})
+
+		expect(rows[0]).toEqual({ row: 1, point: { value: 42, timestamp: noon } })
+		expect(rows[1].error).toBeInstanceOf(CachetValidationError)
+		expect(rows[2].error.message).toMatch("invalid timestamp")
+	})
+	test("Reads JSON objects and pairs", () => {
+		expect(parseMetricPointRows(JSON.stringify([{ value: 1, timestamp: "2018-07-01T12:00:00Z" }, [noon * 1000, 2], { value: 3 }]), { from: "json" })).toEqual([
+			{ row: 1, point: { value: 1, timestamp: noon } },
+			{ row: 2, point: { value: 2, timestamp: noon } },
+			{ row: 3, point: { value: 3 } }
+		])
+	})
+	test("Rejects input that can't be read at all", () => {
+		expect(() => parseMetricPointRows("{", { from: "json" })).toThrow(CachetValidationError)
+		expect(() => parseMetricPointRows("time,latency\n1,2", { from: "csv" })).toThrow(/value/)
+		expect(() => parseMetricPointRows("1,2")).toThrow(/options.from/)
+	})
+})
+
+describe("importMetricPoints", () => {
+	let server = new MockCachetServer({ seed: { metrics: [{ name: "Latency", suffix: "ms" }] } })
+	let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+
+	test("Sends points in chunks and reports each row", async () => {
+		let progress = []
+		let report = await cachet_api.importMetricPoints(1, [
+			{ value: 1, timestamp: new Date(noon * 1000) },
+			{ value: "nope" },
+			[noon + 60, 3],
+			{ value: 4, timestamp: "2018-07-01 12:02:00" }
+		], { chunk_size: 2, onProgress: (done, total) => progress.push([done, total]) })
+
+		expect(report).toMatchObject({ total: 4, succeeded: 3, failed: 1 })
+		expect(report.rows.map((row) => row.status)).toEqual(["ok", "error", "ok", "ok"])
+		expect(report.rows[2].result.created_at).toBe("2018-07-01 12:01:00")
+		expect(progress).toEqual([[2, 3], [3, 3]])
+		expect(server.getAll("points").map((p) => p.value)).toEqual([1, 3, 4])
+	})
+	test("Reports rows that Cachet rejects", async () => {
+		let report = await cachet_api.importMetricPoints(99, "value\n1", { from: "csv" })
+
+		expect(report).toMatchObject({ total: 1, succeeded: 0, failed: 1 })
+		expect(report.rows[0].error).toBeInstanceOf(CachetNotFoundError)
+	})
+})
@@ -0,0 +1,41 @@
+import { buildQuery } from '../src/query'
+
+describe("buildQuery", () => {
+	test("Empty Query", () => {
+		expect(buildQuery("components")).toEqual({})
+		expect(buildQuery("components", null)).toEqual({})
+	})
+	test("Filters, Sorting and Pagination", () => {
+		let params = buildQuery("components", {
+			group_id: 3,
+			enabled: true,
+			status: 4,
+			name: "API",
+			sort: "name",
+			order: "DESC",
+			per_page: 50,
+			page: 2
+		})
+
+		expect(params).toEqual({ group_id: 3, enabled: 1, status: 4, name: "API", sort: "name", order: "desc", per_page: 50, page: 2 })
+	})
+	test("Skips undefined options", () => {
+		expect(buildQuery("incidents", { status: undefined, visible: false })).toEqual({ visible: 0 })
+	})
+	test("Sort by timestamps", () => {
+		expect(buildQuery("incidents", { sort: "created_at" })).toEqual({ sort: "created_at" })
+	})
+	test("Rejects unknown options", () => {
+		expect(() => buildQuery("components", { colour: "red" })).toThrow(/Unknown option "colour"/)
+		expect(() => buildQuery("subscribers", { status: 1 })).toThrow(/Unknown option "status"/)
+		expect(() => buildQuery("widgets", {})).toThrow(/Unknown resource/)
+	})
+	test("Rejects invalid values", () => {
+		expect(() => buildQuery("components", "enabled")).toThrow(/must be an Object/)
+		expect(() => buildQuery("components", { per_page: 0 })).toThrow(/per_page must be a positive Integer/)
+		expect(() => buildQuery("components", { page: "2" })).toThrow(/page must be a positive Integer/)
+		expect(() => buildQuery("components", { order: "up" })).toThrow(/order must be one of/)
+		expect(() => buildQuery("components", { sort: "colour" })).toThrow(/Unable to sort/)
+		expect(() => buildQuery("components", { status: [1, 2] })).toThrow(/status filter must be/)
+	})
+})
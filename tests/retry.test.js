@@ -0,0 +1,127 @@
+import CachetAPI, { CachetServerError, CachetValidationError } from '../src/index'
+import { createRetryPolicy, shouldRetry, getRetryDelay, DEFAULT_RETRY_POLICY } from '../src/retry'
+
+function axiosError(method, status, headers){
+	let error = new Error("Request failed")
+	error.config = { method }
+	if (status)
+		error.response = { status, headers: headers || {}, data: "" }
+	return error
+}
+
+describe("Retry Policy", () => {
+	test("Defaults", () => {
+		let policy = createRetryPolicy()
+
+		expect(policy.max_attempts).toBe(DEFAULT_RETRY_POLICY.max_attempts)
+		expect(createRetryPolicy(false).max_attempts).toBe(1)
+		expect(() => createRetryPolicy({ max_attempts: 0 })).toThrow(/max_attempts/)
+		expect(() => createRetryPolicy({ max_attempts: 1.5 })).toThrow(CachetValidationError)
+	})
+	test("Retries idempotent methods by default", () => {
+		let policy = createRetryPolicy()
+
+		expect(shouldRetry(policy, axiosError("get", 503), 1)).toBe(true)
+		expect(shouldRetry(policy, axiosError("put", 502), 1)).toBe(true)
+		expect(shouldRetry(policy, axiosError("delete", 504), 1)).toBe(true)
+		expect(shouldRetry(policy, axiosError("post", 503), 1)).toBe(false)
+		expect(shouldRetry(createRetryPolicy({ methods: ["GET", "POST"] }), axiosError("post", 503), 1)).toBe(true)
+	})
+	test("Only retries transient failures", () => {
+		let policy = createRetryPolicy()
+		let reset = axiosError("get")
+		reset.code = "ECONNRESET"
+		let unknown_host = axiosError("get")
+		unknown_host.code = "ENOTFOUND"
+
+		expect(shouldRetry(policy, axiosError("get", 404), 1)).toBe(false)
+		expect(shouldRetry(policy, axiosError("get", 500), 1)).toBe(false)
+		expect(shouldRetry(policy, reset, 1)).toBe(true)
+		expect(shouldRetry(policy, unknown_host, 1)).toBe(false)
+		expect(shouldRetry(policy, new Error("no config"), 1)).toBe(false)
+	})
+	test("Stops after max_attempts", () => {
+		let policy = createRetryPolicy({ max_attempts: 2 })
+
+		expect(shouldRetry(policy, axiosError("get", 503), 1)).toBe(true)
+		expect(shouldRetry(policy, axiosError("get", 503), 2)).toBe(false)
+	})
+	test("Exponential backoff", () => {
+		let policy = createRetryPolicy({ jitter: false, base_delay: 100, max_delay: 1000 })
+
+		expect(getRetryDelay(policy, 1)).toBe(100)
+		expect(getRetryDelay(policy, 2)).toBe(200)
+		expect(getRetryDelay(policy, 3)).toBe(400)
+		expect(getRetryDelay(policy, 10)).toBe(1000)
+
+		let jittered = getRetryDelay(createRetryPolicy({ base_delay: 100 }), 3)
+
+		expect(jittered).toBeGreaterThanOrEqual(0)
+		expect(jittered).toBeLessThanOrEqual(400)
+	})
+	test("Honors Retry-After", () => {
+		let policy = createRetryPolicy({ max_delay: 5000 })
+
+		expect(getRetryDelay(policy, 1, axiosError("get", 429, { "retry-after": "2" }))).toBe(2000)
+		expect(getRetryDelay(policy, 1, axiosError("get", 429, { "retry-after": "60" }))).toBe(5000)
+		expect(getRetryDelay(createRetryPolicy({ respect_retry_after: false, jitter: false }), 1, axiosError("get", 429, { "retry-after": "2" }))).toBe(200)
+	})
+})
+
+describe("CachetAPI Retries", () => {
+	function flakyAdapter(failures, status){
+		let calls = 0
+
+		let adapter = async (config) => {
+			calls++
+			adapter.calls = calls
+
+			if (calls <= failures){
+				let error = new Error("Request failed with status code " + status)
+				error.config = config
+				error.response = { status, statusText: "Service Unavailable", headers: {}, data: "", config }
+				throw error
+			}
+
+			return { data: { data: { id: 1, value: 42 } }, status: 200, statusText: "OK", headers: {}, config }
+		}
+
+		return adapter
+	}
+
+	test("Retries a GET until it succeeds", async () => {
+		let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", retry: { base_delay: 1 } })
+		let adapter = flakyAdapter(2, 503)
+		cachet_api.api.defaults.adapter = adapter
+
+		let metric = await cachet_api.getMetric(1)
+
+		expect(metric.id).toBe(1)
+		expect(adapter.calls).toBe(3)
+	})
+	test("Gives up after max_attempts", async () => {
+		let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", retry: { base_delay: 1, max_attempts: 2 } })
+		let adapter = flakyAdapter(5, 503)
+		cachet_api.api.defaults.adapter = adapter
+
+		await expect(cachet_api.getMetric(1)).rejects.toBeInstanceOf(CachetServerError)
+		expect(adapter.calls).toBe(2)
+	})
+	test("Does not retry POST unless opted in", async () => {
+		let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", retry: { base_delay: 1 } })
+		let adapter = flakyAdapter(1, 503)
+		cachet_api.api.defaults.adapter = adapter
+
+		await expect(cachet_api.addMetricPoint(1, { value: 42 })).rejects.toBeInstanceOf(CachetServerError)
+		expect(adapter.calls).toBe(1)
+
+		cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", retry: { base_delay: 1, methods: ["post"] } })
+		adapter = flakyAdapter(1, 503)
+		cachet_api.api.defaults.adapter = adapter
+
+		let point = await cachet_api.addMetricPoint(1, { value: 42 })
+
+		expect(point.value).toBe(42)
+		expect(adapter.calls).toBe(2)
+	})
+})
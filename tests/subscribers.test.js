@@ -0,0 +1,153 @@
+import CachetAPI, { MockCachetServer, ComponentStatus, CachetValidationError, CachetNotFoundError, parseSubscriberRows } from '../src/index'
+
+let server
+let cachet_api
+
+beforeEach(() => {
+	server = new MockCachetServer({
+		seed: {
+			components: [
+				{ name: "API", status: ComponentStatus.OPERATIONAL },
+				{ name: "Website", status: ComponentStatus.OPERATIONAL },
+				{ name: "Docs", status: ComponentStatus.OPERATIONAL }
+			],
+			subscribers: [{ email: "existing@example.com", verified_at: "2018-06-01 10:00:00" }]
+		}
+	})
+	cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+})
+
+describe("Subscriptions", () => {
+	test("Add a verified Subscriber to some Components", async () => {
+		let subscriber = await cachet_api.addSubscriber({ email: "alice@example.com", verify: true, components: [1, 2] })
+
+		expect(subscriber.verified_at).not.toBeNull()
+		expect((await cachet_api.getSubscriptions(subscriber.id)).map((subscription) => subscription.component_id)).toEqual([1, 2])
+	})
+
+	test("Subscribers that don't pick any Components are subscribed to all of them", async () => {
+		let subscriber = await cachet_api.addSubscriber({ email: "carol@example.com" })
+
+		expect((await cachet_api.getAllSubscriptions(subscriber.id)).map((subscription) => subscription.component_id)).toEqual([1, 2, 3])
+	})
+
+	test("Subscribe to and unsubscribe from Components", async () => {
+		let subscriber = await cachet_api.addSubscriber({ email: "bob@example.com", components: [] })
+
+		expect(await cachet_api.getSubscriptions(subscriber.id)).toEqual([])
+
+		let subscriptions = await cachet_api.subscribeToComponents(subscriber.id, [1, 3])
+
+		expect(subscriptions.map((subscription) => subscription.component_id)).toEqual([1, 3])
+		expect(subscriptions.every((subscription) => subscription.subscriber_id === subscriber.id)).toBe(true)
+
+		// Subscribing again keeps the Subscriptions that already exist, without asking Cachet to create them
+		let again = await cachet_api.subscribeToComponents(subscriber.id, [3, 2])
+		let posted = server.requests.filter((request) => request.method === "POST" && /\/subscriptions$/.test(request.path)).map((request) => request.data.component_id)
+
+		expect(again[0].id).toBe(subscriptions[1].id)
+		expect(posted).toEqual([1, 3, 2])
+		expect((await cachet_api.getAllSubscriptions(subscriber.id)).length).toBe(3)
+
+		let with_meta = await cachet_api.getSubscriptions(subscriber.id, { component_id: 2 }, true)
+
+		expect(with_meta.meta.pagination.total).toBe(1)
+
+		let removed = await cachet_api.unsubscribeFromComponents(subscriber.id, [1, 2])
+
+		expect(removed.map((subscription) => subscription.component_id).sort()).toEqual([1, 2])
+		expect((await cachet_api.getAllSubscriptions(subscriber.id)).map((subscription) => subscription.component_id)).toEqual([3])
+
+		await expect(cachet_api.deleteSubscription(subscriber.id, removed[0].id)).rejects.toBeInstanceOf(CachetNotFoundError)
+	})
+
+	test("Deleting a Subscriber or a Component deletes their Subscriptions", async () => {
+		let alice = await cachet_api.addSubscriber({ email: "alice@example.com", components: [1, 2] })
+		let bob = await cachet_api.addSubscriber({ email: "bob@example.com", components: [2] })
+
+		await cachet_api.deleteComponent(2)
+
+		expect(server.getAll("subscriptions").map((subscription) => subscription.component_id)).toEqual([1])
+
+		await cachet_api.deleteSubscriber(alice.id)
+
+		expect(server.getAll("subscriptions")).toEqual([])
+		await expect(cachet_api.getSubscriptions(alice.id)).rejects.toBeInstanceOf(CachetNotFoundError)
+		expect(await cachet_api.getSubscriptions(bob.id)).toEqual([])
+	})
+
+	test("Subscribing to a Component that doesn't exist fails", async () => {
+		let subscriber = await cachet_api.addSubscriber({ email: "bob@example.com" })
+
+		await expect(cachet_api.subscribeToComponents(subscriber.id, [99])).rejects.toBeInstanceOf(CachetValidationError)
+		await expect(cachet_api.subscribeToComponents(subscriber.id, ["1"])).rejects.toThrow(/component_ids/)
+		await expect(cachet_api.unsubscribeFromComponents(subscriber.id, 1)).rejects.toThrow(/component_ids/)
+	})
+})
+
+describe("Subscriber Import", () => {
+	test("Reads CSV with components and verify columns", () => {
+		let rows = parseSubscriberRows("Email Address,components,verify\n alice@example.com ,1;2,yes\nnot-an-email,,\nbob@example.com,1 x,no", { columns: { email: "Email Address" } })
+
+		expect(rows[0]).toEqual({ row: 1, subscriber: { email: "alice@example.com", components: [1, 2], verify: true } })
+		expect(rows[1].error).toBeInstanceOf(CachetValidationError)
+		expect(rows[1].email).toBe("not-an-email")
+		expect(rows[2].error.message).toMatch(/Row 3 .*components/)
+
+		expect(() => parseSubscriberRows("address\nalice@example.com")).toThrow(/"email" column/)
+		expect(parseSubscriberRows(["carol@example.com"], { verify: true, components: [3] })).toEqual([
+			{ row: 1, subscriber: { email: "carol@example.com", components: [3], verify: true } }
+		])
+	})
+
+	test("Deduplicates by email and reports existing and invalid addresses", async () => {
+		let progress = []
+		let csv = [
+			"email,components",
+			"alice@example.com,1;2",
+			"Existing@Example.com,",
+			"bob@example.com,",
+			"ALICE@example.com,3",
+			"not an email,"
+		].join("\n")
+
+		let report = await cachet_api.importSubscribers(csv, { verify: true, chunk_size: 1, onProgress: (done, total) => progress.push([done, total]) })
+
+		expect(report).toMatchObject({ total: 5, added: 2, existing: 1, duplicates: 1, invalid: 1, failed: 0 })
+		expect(report.rows.map((row) => row.status)).toEqual(["added", "existing", "added", "duplicate", "invalid"])
+		expect(report.rows[1].subscriber.email).toBe("existing@example.com")
+		expect(report.rows[4].email).toBe("not an email")
+		expect(progress).toEqual([[1, 2], [2, 2]])
+
+		let subscribers = server.getAll("subscribers")
+
+		expect(subscribers.map((subscriber) => subscriber.email)).toEqual(["existing@example.com", "alice@example.com", "bob@example.com"])
+		expect(subscribers.every((subscriber) => subscriber.verified_at)).toBe(true)
+		// Bob didn't pick any Components, so they are subscribed to all of them
+		expect(server.getAll("subscriptions").map((subscription) => [subscription.subscriber_id, subscription.component_id])).toEqual([
+			[2, 1], [2, 2],
+			[3, 1], [3, 2], [3, 3]
+		])
+	})
+
+	test("Reports Subscribers that Cachet rejects without stopping", async () => {
+		let report = await cachet_api.importSubscribers([{ email: "alice@example.com", components: [1] }, "bob@example.com"], {
+			chunk_size: 0
+		}).catch((e) => e)
+
+		expect(report).toBeInstanceOf(CachetValidationError)
+
+		let failing = new CachetAPI({ url: "https://cachet.example.com/api", retry: false, adapter: (config) => {
+			if (config.method === "post" && config.data.indexOf("bob") !== -1)
+				return Promise.reject(Object.assign(new Error("Request failed with status code 500"), { config, response: { status: 500, headers: {}, data: "", config } }))
+
+			return server.adapter(config)
+		} })
+
+		report = await failing.importSubscribers(["alice@example.com", "bob@example.com"])
+
+		expect(report).toMatchObject({ added: 1, failed: 1 })
+		expect(report.rows[1]).toMatchObject({ email: "bob@example.com", status: "error" })
+		expect(report.rows[1].error).toBeDefined()
+	})
+})
@@ -0,0 +1,118 @@
+import CachetAPI, { ComponentStatus, CachetValidationError } from '../src/index'
+import { planSync } from '../src/sync'
+
+let current = {
+	groups: [
+		{ id: 1, name: "Core", collapsed: 0, visible: 1 },
+		{ id: 2, name: "Legacy", collapsed: 0, visible: 1 }
+	],
+	components: [
+		{ id: 10, name: "API", status: 1, group_id: 1, enabled: true, tags: { "svc-api": "svc-api" } },
+		{ id: 11, name: "Website", status: 1, group_id: 1, enabled: true, tags: {} },
+		{ id: 12, name: "FTP", status: 1, group_id: 2, enabled: true, tags: {} }
+	]
+}
+
+describe("planSync", () => {
+	test("Nothing to do", () => {
+		let plan = planSync(current, {
+			groups: [{ name: "Core" }],
+			components: [{ name: "API", group: "Core", enabled: true }, { name: "Website", group: "Core" }]
+		})
+
+		expect(plan).toEqual([])
+	})
+	test("Creates, updates and orders steps by dependency", () => {
+		let plan = planSync(current, {
+			groups: [{ name: "Core", collapsed: 2 }, { name: "Edge" }],
+			components: [
+				{ name: "CDN", group: "Edge", status: ComponentStatus.OPERATIONAL },
+				{ name: "API", group: "Core", link: "https://api.example.com" },
+				{ name: "Website", group: "Edge" },
+				{ name: "FTP", group: null }
+			]
+		})
+
+		expect(plan).toEqual([
+			{ action: "update", type: "group", id: 1, name: "Core", data: { collapsed: 2 } },
+			{ action: "create", type: "group", name: "Edge", data: { name: "Edge" } },
+			{ action: "create", type: "component", name: "CDN", data: { name: "CDN", status: 1 }, group: "Edge" },
+			{ action: "update", type: "component", id: 10, name: "API", data: { link: "https://api.example.com" } },
+			{ action: "update", type: "component", id: 11, name: "Website", data: {}, group: "Edge" },
+			{ action: "update", type: "component", id: 12, name: "FTP", data: { group_id: 0 } }
+		])
+	})
+	test("Prunes Components before Component Groups", () => {
+		let plan = planSync(current, { groups: [{ name: "Core" }], components: [{ name: "API" }, { name: "Website" }] }, { prune: true })
+
+		expect(plan).toEqual([
+			{ action: "delete", type: "component", id: 12, name: "FTP" },
+			{ action: "delete", type: "group", id: 2, name: "Legacy" }
+		])
+	})
+	test("Matches by tag", () => {
+		let plan = planSync(current, {
+			components: [
+				{ name: "Public API", tag: "svc-api" },
+				{ name: "Billing", tag: "svc-billing" }
+			]
+		}, { match: "tag" })
+
+		expect(plan).toEqual([
+			{ action: "update", type: "component", id: 10, name: "Public API", data: { name: "Public API" } },
+			{ action: "create", type: "component", name: "Billing", data: { name: "Billing", tags: "svc-billing", status: ComponentStatus.OPERATIONAL } }
+		])
+	})
+	test("Rejects invalid desired states", () => {
+		expect(() => planSync(current, { components: [{ name: "API" }, { name: "API" }] })).toThrow(/more than once/)
+		expect(() => planSync(current, { components: [{ status: 1 }] })).toThrow(CachetValidationError)
+		expect(() => planSync(current, { components: [{ name: "API", status: 7 }] })).toThrow(/status must be one of/)
+		expect(() => planSync(current, { components: [{ name: "API", group: "Missing" }] })).toThrow(/unknown Component Group/)
+		expect(() => planSync(current, {}, { match: "id" })).toThrow(/options.match/)
+	})
+})
+
+describe("CachetAPI.sync", () => {
+	let cachet_api
+	let requests
+
+	beforeEach(() => {
+		requests = []
+
+		cachet_api = new CachetAPI({ url: "https://cachet.example.com/api" })
+		cachet_api.api.defaults.adapter = async (config) => {
+			let path = config.url.replace("https://cachet.example.com/api", "")
+			let body = config.data ? JSON.parse(config.data) : undefined
+			let data
+
+			if (config.method === "get")
+				data = { meta: { pagination: { links: { next_page: null } } }, data: path === "/v1/components" ? current.components : current.groups }
+			else {
+				requests.push([config.method.toUpperCase(), path, body])
+				data = { data: Object.assign({ id: 100 + requests.length }, body) }
+			}
+
+			return { data, status: 200, statusText: "OK", headers: {}, config }
+		}
+	})
+
+	test("Dry Run", async () => {
+		let { plan, applied } = await cachet_api.sync({ components: [{ name: "CDN" }] }, { dryRun: true, prune: true })
+
+		expect(plan.map((step) => step.action)).toEqual(["create", "delete", "delete", "delete", "delete", "delete"])
+		expect(applied).toEqual([])
+		expect(requests).toEqual([])
+	})
+	test("Applies the plan, filling in new Component Group IDs", async () => {
+		let { applied } = await cachet_api.sync({
+			groups: [{ name: "Edge" }],
+			components: [{ name: "CDN", group: "Edge" }]
+		})
+
+		expect(requests).toEqual([
+			["POST", "/v1/components/groups", { name: "Edge" }],
+			["POST", "/v1/components", { name: "CDN", status: ComponentStatus.OPERATIONAL, group_id: 101 }]
+		])
+		expect(applied[1].result.id).toBe(102)
+	})
+})
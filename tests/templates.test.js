@@ -0,0 +1,82 @@
+import CachetAPI, { CachetNotFoundError, CachetValidationError, CachetAbortError } from '../src/index'
+import { getTemplateVariables, getMissingTemplateVariables } from '../src/templates'
+
+describe("getTemplateVariables", () => {
+	test("Printed variables", () => {
+		expect(getTemplateVariables("{{ service }} is down in {{region}}. {{ service }} will be back soon.")).toEqual(["service", "region"])
+	})
+	test("Properties and filters", () => {
+		expect(getTemplateVariables("{{ incident.name|upper }} affects {{- component.name -}}")).toEqual(["incident", "component"])
+	})
+	test("Optional variables", () => {
+		expect(getTemplateVariables("{{ service }} is down in {{ region|default('all regions') }}")).toEqual(["service"])
+		expect(getTemplateVariables("{% if region %}Only {{ service }} is affected{% endif %}")).toEqual(["service"])
+	})
+	test("Variables declared by the template", () => {
+		let template = "{% set team = 'SRE' %}{% for service in services %}{{ service }} ({{ loop.index }}) {% endfor %}{{ team }}"
+
+		expect(getTemplateVariables(template)).toEqual(["services"])
+	})
+	test("Empty template", () => {
+		expect(getTemplateVariables("No variables here")).toEqual([])
+		expect(getTemplateVariables(undefined)).toEqual([])
+	})
+	test("Missing variables", () => {
+		expect(getMissingTemplateVariables("{{ service }} in {{ region }}", { service: "API" })).toEqual(["region"])
+		expect(getMissingTemplateVariables("{{ service }} in {{ region }}", { service: "API", region: "eu" })).toEqual([])
+	})
+})
+
+describe("addIncidentFromTemplate", () => {
+	let cachet_api
+	let posted
+
+	beforeEach(() => {
+		posted = []
+
+		cachet_api = new CachetAPI({ url: "https://cachet.example.com/api" })
+		cachet_api.api.defaults.adapter = async (config) => {
+			let data
+
+			if (config.method === "get")
+				data = { meta: { pagination: { links: { next_page: null } } }, data: [{ id: 1, name: "Service Outage", slug: "service-outage", template: "{{ service }} is down in {{ region }}" }] }
+			else {
+				posted.push(JSON.parse(config.data))
+				data = { data: Object.assign({ id: 7 }, JSON.parse(config.data)) }
+			}
+
+			return { data, status: 200, statusText: "OK", headers: {}, config }
+		}
+	})
+
+	test("Creates the Incident with the template and vars", async () => {
+		let incident = await cachet_api.addIncidentFromTemplate("Service Outage", { name: "API Outage", status: 1, visible: 1 }, { service: "API", region: "eu" })
+
+		expect(incident.id).toBe(7)
+		expect(posted).toEqual([{ name: "API Outage", status: 1, visible: 1, template: "service-outage", vars: { service: "API", region: "eu" } }])
+	})
+	test("Rejects missing vars before sending the Incident", async () => {
+		await expect(cachet_api.addIncidentFromTemplate("service-outage", { name: "API Outage", status: 1, visible: 1 }, { service: "API" })).rejects.toBeInstanceOf(CachetValidationError)
+		expect(posted.length).toBe(0)
+	})
+	test("Passes the request options on to every request", async () => {
+		let signal = { aborted: false, addEventListener: () => {}, removeEventListener: () => {} }
+		let adapter = cachet_api.api.defaults.adapter
+
+		// Abort once the template has been looked up, so that adding the Incident has to see the signal too
+		let aborting_api = new CachetAPI({
+			url: "https://cachet.example.com/api",
+			adapter: async (config) => {
+				let response = await adapter(config)
+				signal.aborted = true
+				return response
+			}
+		})
+
+		await expect(aborting_api.addIncidentFromTemplate("service-outage", { name: "API Outage", status: 1 }, { service: "API", region: "eu" }, { signal })).rejects.toBeInstanceOf(CachetAbortError)
+		expect(posted.length).toBe(0)
+	})
+	test("Rejects unknown templates", async () => {
+		await expect(cachet_api.addIncidentFromTemplate("missing", { name: "API Outage" }, {})).rejects.toBeInstanceOf(CachetNotFoundError)
+	})
+})
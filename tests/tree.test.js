@@ -0,0 +1,81 @@
+import CachetAPI, { MockCachetServer, ComponentStatus, ComponentGroupCollapse, buildStatusTree } from '../src/index'
+
+let server
+let cachet_api
+
+beforeEach(() => {
+	server = new MockCachetServer({
+		seed: {
+			groups: [
+				{ name: "Edge", order: 2, collapsed: ComponentGroupCollapse.ALWAYS },
+				{ name: "Core", order: 1, collapsed: ComponentGroupCollapse.NOT_OPERATIONAL },
+				{ name: "Internal", order: 0, visible: 0 },
+				{ name: "Empty", order: 3 }
+			],
+			components: [
+				{ name: "Website", status: ComponentStatus.OPERATIONAL, group_id: 2, order: 2 },
+				{ name: "API", status: ComponentStatus.PARTIAL_OUTAGE, group_id: 2, order: 1 },
+				{ name: "CDN", status: ComponentStatus.OPERATIONAL, group_id: 1 },
+				{ name: "Database", status: ComponentStatus.MAJOR_OUTAGE, group_id: 3 },
+				{ name: "Docs", status: ComponentStatus.PERFORMANCE_ISSUES, order: 1 },
+				{ name: "Blog", status: ComponentStatus.OPERATIONAL, order: 0 },
+				{ name: "Legacy", status: ComponentStatus.MAJOR_OUTAGE, enabled: false }
+			]
+		}
+	})
+	cachet_api = new CachetAPI({ url: "https://cachet.example.com/api", adapter: server.adapter, retry: false })
+})
+
+describe("Status Tree", () => {
+	test("Nests ordered Components in ordered Component Groups, like the status page", async () => {
+		let tree = await cachet_api.getStatusTree()
+
+		expect(tree.groups.map((group) => group.name)).toEqual(["Core", "Edge"])
+		expect(tree.groups[0].components.map((component) => component.name)).toEqual(["API", "Website"])
+		expect(tree.groups[1].components.map((component) => component.name)).toEqual(["CDN"])
+		expect(tree.ungrouped.components.map((component) => component.name)).toEqual(["Blog", "Docs"])
+		expect(tree.groups[0].group.name).toBe("Core")
+	})
+
+	test("Rolls up the worst status of each Component Group and of everything", async () => {
+		let tree = await cachet_api.getStatusTree()
+
+		expect(tree.groups.map((group) => group.status)).toEqual([ComponentStatus.PARTIAL_OUTAGE, ComponentStatus.OPERATIONAL])
+		expect(tree.ungrouped.status).toBe(ComponentStatus.PERFORMANCE_ISSUES)
+		// The hidden Database and the disabled Legacy Components have major outages, but aren't shown
+		expect(tree.status).toBe(ComponentStatus.PARTIAL_OUTAGE)
+
+		// Core is only collapsed while everything in it is operational, and Edge is always collapsed
+		expect(tree.groups.map((group) => group.is_collapsed)).toEqual([false, true])
+
+		await cachet_api.updateComponent(2, { status: ComponentStatus.OPERATIONAL })
+		tree = await cachet_api.getStatusTree()
+
+		expect(tree.groups[0]).toMatchObject({ status: ComponentStatus.OPERATIONAL, is_collapsed: true })
+		expect(tree.status).toBe(ComponentStatus.PERFORMANCE_ISSUES)
+	})
+
+	test("Can include hidden Component Groups, disabled Components and empty Component Groups", async () => {
+		let tree = await cachet_api.getStatusTree({ include_hidden: true, include_disabled: true, include_empty: true })
+
+		expect(tree.groups.map((group) => group.name)).toEqual(["Internal", "Core", "Edge", "Empty"])
+		expect(tree.groups[3]).toMatchObject({ status: ComponentStatus.OPERATIONAL, components: [] })
+		expect(tree.ungrouped.components.map((component) => component.name)).toEqual(["Blog", "Legacy", "Docs"])
+		expect(tree.status).toBe(ComponentStatus.MAJOR_OUTAGE)
+	})
+
+	test("Puts Components whose Component Group no longer exists with the ungrouped Components", () => {
+		let tree = buildStatusTree({
+			groups: [{ id: 1, name: "Core", order: "0", visible: true, collapsed: "0" }],
+			components: [
+				{ id: 1, name: "API", status: "3", group_id: "1", order: 0, enabled: "1" },
+				{ id: 2, name: "Orphan", status: 4, group_id: 9, order: 0, enabled: true }
+			]
+		})
+
+		expect(tree.groups[0]).toMatchObject({ name: "Core", status: 3, collapsed: 0, is_collapsed: false })
+		expect(tree.ungrouped.components.map((component) => component.name)).toEqual(["Orphan"])
+		expect(tree.status).toBe(4)
+		expect(buildStatusTree({ groups: [], components: [] })).toEqual({ status: 1, groups: [], ungrouped: { status: 1, components: [] } })
+	})
+})
@@ -0,0 +1,54 @@
+import fs from 'fs'
+import path from 'path'
+import ts from 'typescript'
+
+import CachetAPI, * as exported from '../src/index'
+
+// index.d.ts is maintained by hand, so make sure it doesn't fall behind the code
+const declarations = fs.readFileSync(path.join(__dirname, "..", "index.d.ts"), "utf8")
+
+function getPublicMethods(Class){
+	return Object.getOwnPropertyNames(Class.prototype).filter((name) => {
+		return name !== "constructor" && typeof Object.getOwnPropertyDescriptor(Class.prototype, name).value === "function"
+	})
+}
+
+// Methods that are only used internally, and are marked @private in the JSDoc
+const PRIVATE_METHODS = ["paginate", "requestConfig", "createError", "logRequest", "logResponse", "retryRequest"]
+
+describe("Type definitions", () => {
+	test("Declare every export", () => {
+		for (let name of Object.keys(exported).filter((name) => name !== "default" && name !== "__esModule"))
+			expect(declarations).toMatch(new RegExp("export (const|function|class) " + name + "\\b"))
+
+		expect(declarations).toMatch(/export default class CachetAPI \{/)
+	})
+
+	test("Declare every public CachetAPI method", () => {
+		let body = declarations.slice(declarations.indexOf("export default class CachetAPI"))
+		body = body.slice(0, body.indexOf("\n}"))
+
+		for (let method of getPublicMethods(CachetAPI).filter((name) => PRIVATE_METHODS.indexOf(name) === -1))
+			expect(body).toMatch(new RegExp("\\n\\t" + method + "\\("))
+	})
+
+	test("Compile for a TypeScript consumer", () => {
+		// Type-check index.d.ts through a fixture that uses it, the same way a package that depends on this one would
+		let program = ts.createProgram([path.join(__dirname, "fixtures", "types.ts")], {
+			noEmit: true,
+			strict: true,
+			target: ts.ScriptTarget.ES2018,
+			lib: ["lib.es2018.d.ts"],
+			moduleResolution: ts.ModuleResolutionKind.NodeJs,
+			types: ["node"]
+		})
+
+		let diagnostics = ts.getPreEmitDiagnostics(program)
+
+		expect(ts.formatDiagnostics(diagnostics, {
+			getCanonicalFileName: (file_name) => file_name,
+			getCurrentDirectory: () => path.join(__dirname, ".."),
+			getNewLine: () => "\n"
+		})).toBe("")
+	})
+})
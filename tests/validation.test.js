@@ -0,0 +1,104 @@
+import CachetAPI, { ComponentStatus, IncidentStatus, MetricCalcType, ComponentGroupCollapse, ScheduleStatus, CachetValidationError } from '../src/index'
+import {
+	validateComponent,
+	validateComponentGroup,
+	validateIncident,
+	validateIncidentUpdate,
+	validateSchedule,
+	validateMetric,
+	validateMetricPoint,
+	validateSubscriber
+} from '../src/validation'
+
+describe("Constants", () => {
+	test("Values match Cachet", () => {
+		expect(ComponentStatus).toEqual({ OPERATIONAL: 1, PERFORMANCE_ISSUES: 2, PARTIAL_OUTAGE: 3, MAJOR_OUTAGE: 4 })
+		expect(IncidentStatus).toEqual({ SCHEDULED: 0, INVESTIGATING: 1, IDENTIFIED: 2, WATCHING: 3, FIXED: 4 })
+		expect(MetricCalcType).toEqual({ SUM: 0, AVERAGE: 1 })
+		expect(ComponentGroupCollapse).toEqual({ NEVER: 0, ALWAYS: 1, NOT_OPERATIONAL: 2 })
+		expect(ScheduleStatus).toEqual({ UPCOMING: 0, IN_PROGRESS: 1, COMPLETE: 2 })
+	})
+	test("Frozen", () => {
+		expect(Object.isFrozen(ComponentStatus)).toBe(true)
+		expect(Object.isFrozen(IncidentStatus)).toBe(true)
+		expect(Object.isFrozen(MetricCalcType)).toBe(true)
+		expect(Object.isFrozen(ComponentGroupCollapse)).toBe(true)
+		expect(Object.isFrozen(ScheduleStatus)).toBe(true)
+	})
+})
+
+describe("Validation", () => {
+	test("Component", () => {
+		expect(() => validateComponent({ name: "API", status: ComponentStatus.MAJOR_OUTAGE })).not.toThrow()
+		expect(() => validateComponent({ name: "API", status: 5 })).toThrow(/status must be one of 1 \(OPERATIONAL\)/)
+		expect(() => validateComponent({ status: 1 })).toThrow(/name is required/)
+		expect(() => validateComponent({ name: "API", status: 1, group_id: "three" })).toThrow(/group_id must be an id/)
+		expect(() => validateComponent({ status: 2 }, true)).not.toThrow()
+		expect(() => validateComponent({ status: 0 }, true)).toThrow(CachetValidationError)
+		expect(() => validateComponent("API")).toThrow(/must be an Object/)
+	})
+	test("Lists every problem", () => {
+		try {
+			validateComponent({ status: 9, enabled: "yes" })
+		} catch (e) {
+			expect(e).toBeInstanceOf(CachetValidationError)
+			expect(e.errors.map((error) => error.detail)).toEqual([
+				"name is required",
+				"status must be one of 1 (OPERATIONAL), 2 (PERFORMANCE_ISSUES), 3 (PARTIAL_OUTAGE), 4 (MAJOR_OUTAGE), got 9",
+				"enabled must be a boolean, got \"yes\""
+			])
+		}
+
+		expect.assertions(2)
+	})
+	test("Component Group", () => {
+		expect(() => validateComponentGroup({ name: "Group", collapsed: ComponentGroupCollapse.NOT_OPERATIONAL })).not.toThrow()
+		expect(() => validateComponentGroup({ name: "Group", collapsed: 3 })).toThrow(/collapsed must be one of/)
+	})
+	test("Incident", () => {
+		expect(() => validateIncident({ name: "Outage", message: "Down", status: IncidentStatus.INVESTIGATING, visible: 1 })).not.toThrow()
+		expect(() => validateIncident({ name: "Outage", status: 1, template: "outage" })).not.toThrow()
+		expect(() => validateIncident({ name: "Outage", status: 1 })).toThrow(/message is required/)
+		expect(() => validateIncident({ name: "Outage", message: "Down", status: 5 })).toThrow(/status must be one of 0 \(SCHEDULED\)/)
+		expect(() => validateIncident({ name: "Outage", message: "Down", status: 1, component_status: 4 })).toThrow(/component_id is required/)
+		expect(() => validateIncident({ name: "Outage", message: "Down", status: 1, component_id: 3, component_status: 7 })).toThrow(/component_status/)
+		expect(() => validateIncident({ status: 4 }, true)).not.toThrow()
+	})
+	test("Incident Update", () => {
+		expect(() => validateIncidentUpdate({ message: "Fixed", status: IncidentStatus.FIXED })).not.toThrow()
+		expect(() => validateIncidentUpdate({ message: "Fixed" })).toThrow(/status is required/)
+	})
+	test("Schedule", () => {
+		expect(() => validateSchedule({ name: "Upgrade", status: ScheduleStatus.UPCOMING, scheduled_at: "2030-01-01 02:00" })).not.toThrow()
+		expect(() => validateSchedule({ name: "Upgrade", status: 3, scheduled_at: "2030-01-01 02:00" })).toThrow(/status must be one of/)
+	})
+	test("Metric", () => {
+		expect(() => validateMetric({ name: "Latency", suffix: "ms", calc_type: MetricCalcType.AVERAGE })).not.toThrow()
+		expect(() => validateMetric({ name: "Latency", suffix: "ms", calc_type: 2 })).toThrow(/calc_type/)
+		expect(() => validateMetricPoint({ value: 0.75 })).not.toThrow()
+		expect(() => validateMetricPoint({ value: "fast" })).toThrow(/value must be a number/)
+	})
+	test("Subscriber", () => {
+		expect(() => validateSubscriber({ email: "email@example.com", components: [1, 2] })).not.toThrow()
+		expect(() => validateSubscriber({ email: "email@example.com", components: "*" })).not.toThrow()
+		expect(() => validateSubscriber({ email: "not an email" })).toThrow(/email must be an email/)
+		expect(() => validateSubscriber({ email: "email@example.com", components: ["api"] })).toThrow(/components must be an array/)
+	})
+	test("Invalid payloads are never sent", async () => {
+		let cachet_api = new CachetAPI({ url: "https://cachet.example.com/api" })
+		let requests = 0
+
+		cachet_api.api.defaults.adapter = async (config) => {
+			requests++
+			return { data: { data: {} }, status: 200, statusText: "OK", headers: {}, config }
+		}
+
+		await expect(cachet_api.addComponent({ name: "API", status: 0 })).rejects.toBeInstanceOf(CachetValidationError)
+		await expect(cachet_api.updateComponent(1, { status: "down" })).rejects.toBeInstanceOf(CachetValidationError)
+		await expect(cachet_api.addIncident({ name: "Outage", message: "Down", status: 9 })).rejects.toBeInstanceOf(CachetValidationError)
+		expect(requests).toBe(0)
+
+		await cachet_api.updateComponent(1, { status: ComponentStatus.OPERATIONAL })
+		expect(requests).toBe(1)
+	})
+})